@@ -0,0 +1,112 @@
+// API keys let integrations (payroll, credentialing, ...) call the API
+// without a user session. Each key carries scopes, "<resource>:read" or
+// "<resource>:write", and a per-minute request limit. Keys are created and
+// checked in auth.js; this module decides which scope a request needs and
+// counts requests against the limits.
+
+// Every key starts with this, so requireAuth can tell keys from session tokens
+const API_KEY_PREFIX = 'nmk_';
+
+const API_KEY_RESOURCES = ['nurses', 'credentials', 'documents', 'shifts', 'units', 'leave', 'training', 'reports'];
+
+const API_KEY_SCOPES = API_KEY_RESOURCES.flatMap((resource) => [`${resource}:read`, `${resource}:write`]);
+
+const DEFAULT_RATE_LIMIT_PER_MINUTE = parseInt(process.env.API_KEY_RATE_LIMIT, 10) || 60;
+const MAX_RATE_LIMIT_PER_MINUTE = 10000;
+
+// The resource each API path belongs to, first match wins. Paths that match
+// none (logins, users, API keys) are for people only and refuse keys.
+const RESOURCE_ROUTES = [
+  [/^\/nurses\/[^/]+\/credentials(\/|$)/, 'credentials'],
+  [/^\/credentials\//, 'credentials'],
+  [/^\/nurses\/[^/]+\/documents(\/|$)/, 'documents'],
+  [/^\/nurses\/[^/]+\/leave-(requests|balances)(\/|$)/, 'leave'],
+  [/^\/leave-requests(\/|$)/, 'leave'],
+  [/^\/nurses\/[^/]+\/training(\/|$)/, 'training'],
+  [/^\/(competencies|compliance)(\/|$)/, 'training'],
+  [/^\/nurses\/[^/]+\/units$/, 'units'],
+  [/^\/units(\/|$)/, 'units'],
+  [/^\/shifts(\/|$)/, 'shifts'],
+  [/^\/nurses\/[^/]+\/profile\.pdf$/, 'reports'],
+  [/^\/(reports|analytics)\//, 'reports'],
+  [/^\/exports\//, 'nurses'],
+  [/^\/(nurses|duplicates|events|custom-fields)(\/|$)/, 'nurses'],
+];
+
+// The scope a call needs, e.g. "shifts:write" for POST /shifts (a path
+// under /api/v1), or null when API keys can't be used for the path. Reads
+// need the read scope, anything else the write scope.
+const scopeForPath = (method, path) => {
+  const route = RESOURCE_ROUTES.find(([pattern]) => pattern.test(path));
+  if (!route) return null;
+  const access = ['GET', 'HEAD'].includes(method) ? 'read' : 'write';
+  return `${route[1]}:${access}`;
+};
+
+// The scope a request needs, whether it came in under /api/v1 or /api.
+// Express routes ignore case, so the path is lowercased before matching.
+const requiredScope = (req) =>
+  scopeForPath(req.method, req.originalUrl.split('?')[0].toLowerCase().replace(/^\/api(\/v1)?/, ''));
+
+// Requests per key in the current minute. Counts are kept in memory, so they
+// start over when the server restarts.
+const rateLimitWindows = new Map();
+
+// Count a request against a key's limit. Returns whether it is allowed, with
+// the values for the X-RateLimit-* headers.
+const consumeRateLimit = (apiKey) => {
+  const now = Date.now();
+  const windowStart = now - (now % 60000);
+  let window = rateLimitWindows.get(apiKey.id);
+  if (!window || window.start !== windowStart) {
+    window = { start: windowStart, count: 0 };
+    rateLimitWindows.set(apiKey.id, window);
+  }
+  window.count += 1;
+
+  const limit = apiKey.rate_limit_per_minute;
+  return {
+    allowed: window.count <= limit,
+    limit,
+    remaining: Math.max(0, limit - window.count),
+    resetSeconds: Math.ceil((windowStart + 60000 - now) / 1000),
+  };
+};
+
+// Validate an API key payload; name and scopes may be omitted on update.
+// Returns an error message, or null when valid.
+const validateApiKeyInput = ({ name, scopes, rate_limit_per_minute: rateLimit }) => {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.trim().length > 100)) {
+    return 'Name must be between 1 and 100 characters';
+  }
+  if (scopes !== undefined) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return 'scopes must be a non-empty list';
+    }
+    const unknownScopes = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+    if (unknownScopes.length > 0) {
+      return `Unknown scopes: ${unknownScopes.join(', ')}; scopes can be: ${API_KEY_SCOPES.join(', ')}`;
+    }
+  }
+  if (
+    rateLimit !== undefined &&
+    (!Number.isInteger(rateLimit) || rateLimit < 1 || rateLimit > MAX_RATE_LIMIT_PER_MINUTE)
+  ) {
+    return `rate_limit_per_minute must be a whole number from 1 to ${MAX_RATE_LIMIT_PER_MINUTE}`;
+  }
+  return null;
+};
+
+// Parse the stored scopes and drop the hash before a key is sent to the client
+const toPublicApiKey = ({ key_hash, scopes, ...apiKey }) => ({ ...apiKey, scopes: JSON.parse(scopes) });
+
+module.exports = {
+  API_KEY_PREFIX,
+  API_KEY_SCOPES,
+  DEFAULT_RATE_LIMIT_PER_MINUTE,
+  scopeForPath,
+  requiredScope,
+  consumeRateLimit,
+  validateApiKeyInput,
+  toPublicApiKey,
+};
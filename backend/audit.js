@@ -0,0 +1,130 @@
+const { db } = require('./db');
+const { queueNurseWebhook } = require('./webhooks');
+const { parseCustomFieldValues } = require('./customFields');
+const NURSE_SCHEMA = require('../shared/nurseSchema.json');
+
+// Nurse fields whose before/after values are kept in the audit log: the
+// profile fields of the shared schema, the primary unit and the custom field
+// values (as one object). Age is derived from dob, so it is not audited (older
+// entries may still include it). Emergency contacts, float units and the
+// photo are not audited.
+const AUDITED_FIELDS = [...Object.keys(NURSE_SCHEMA), 'primary_unit_id', 'custom_fields'];
+
+// Actions recorded in the audit log
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge', 'import', 'revert', 'merge'];
+
+const pickAuditedFields = (nurse) =>
+  nurse
+    ? Object.fromEntries(
+        AUDITED_FIELDS.map((field) => [
+          field,
+          field === 'custom_fields' ? parseCustomFieldValues(nurse.custom_fields) : nurse[field],
+        ])
+      )
+    : null;
+
+// Custom field values are compared as JSON, since they are an object
+const auditedValue = (snapshot, field) => {
+  const value = snapshot ? snapshot[field] : null;
+  return field === 'custom_fields' ? JSON.stringify(value || {}) : value;
+};
+
+// List the audited fields whose values differ between two snapshots
+const getChangedFields = (before, after) =>
+  AUDITED_FIELDS.filter((field) => auditedValue(before, field) !== auditedValue(after, field));
+
+// One change per field; a change to custom fields is listed per custom field
+// as "custom_fields.<key>"
+const listChanges = (field, before, after) => {
+  if (field !== 'custom_fields') {
+    return [{ field, before: before ? before[field] : null, after: after ? after[field] : null }];
+  }
+  const beforeValues = (before && before.custom_fields) || {};
+  const afterValues = (after && after.custom_fields) || {};
+  return [...new Set([...Object.keys(beforeValues), ...Object.keys(afterValues)])]
+    .filter((key) => beforeValues[key] !== afterValues[key])
+    .map((key) => ({
+      field: `custom_fields.${key}`,
+      before: beforeValues[key] ?? null,
+      after: afterValues[key] ?? null,
+    }));
+};
+
+// Record a change to a nurse. Call inside the transaction that makes the
+// change so the record and its audit entry are written together. Updates
+// that change nothing are not recorded. Merges name the other nurse of the
+// merge as mergedNurseId. Each recorded change is also queued for the
+// webhooks subscribed to it.
+const recordAudit = ({
+  nurseId,
+  action,
+  user,
+  before = null,
+  after = null,
+  revertedFrom = null,
+  mergedNurseId = null,
+}) => {
+  if (!AUDIT_ACTIONS.includes(action)) {
+    throw new Error(`Unknown audit action: ${action}`);
+  }
+
+  const beforeData = pickAuditedFields(before);
+  const afterData = pickAuditedFields(after);
+  const changedFields = getChangedFields(beforeData, afterData);
+  if (changedFields.length === 0 && (action === 'update' || action === 'import')) {
+    return;
+  }
+
+  const result = db.prepare(`
+    INSERT INTO nurse_audit_log
+      (nurse_id, action, changed_fields, before_data, after_data, user_id, username, reverted_from, merged_nurse_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    nurseId,
+    action,
+    JSON.stringify(changedFields),
+    beforeData && JSON.stringify(beforeData),
+    afterData && JSON.stringify(afterData),
+    user ? user.id : null,
+    user ? user.username : null,
+    revertedFrom,
+    mergedNurseId
+  );
+
+  queueNurseWebhook({ nurseId, action, user, before, after, auditId: result.lastInsertRowid, changedFields });
+};
+
+// Turn a stored audit row into its API shape, with a per-field change list
+const formatAuditEntry = (entry) => {
+  const before = entry.before_data ? JSON.parse(entry.before_data) : null;
+  const after = entry.after_data ? JSON.parse(entry.after_data) : null;
+  return {
+    id: entry.id,
+    nurse_id: entry.nurse_id,
+    action: entry.action,
+    user_id: entry.user_id,
+    username: entry.username,
+    reverted_from: entry.reverted_from,
+    merged_nurse_id: entry.merged_nurse_id,
+    created_at: entry.created_at,
+    changes: JSON.parse(entry.changed_fields).flatMap((field) => listChanges(field, before, after)),
+    before,
+    after,
+  };
+};
+
+// Get a nurse's audit entries, newest first
+const getNurseHistory = (nurseId) =>
+  db
+    .prepare('SELECT * FROM nurse_audit_log WHERE nurse_id = ? ORDER BY id DESC')
+    .all(nurseId)
+    .map(formatAuditEntry);
+
+const getAuditEntry = (nurseId, auditId) => {
+  const entry = db
+    .prepare('SELECT * FROM nurse_audit_log WHERE id = ? AND nurse_id = ?')
+    .get(auditId, nurseId);
+  return entry ? formatAuditEntry(entry) : null;
+};
+
+module.exports = { AUDITED_FIELDS, recordAudit, getNurseHistory, getAuditEntry };
@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const { db, asyncQuery } = require('./db');
+const { API_KEY_PREFIX, requiredScope, consumeRateLimit } = require('./apiKeys');
+
+// Roles, from most to least privileged
+const ROLES = ['admin', 'editor', 'viewer'];
+
+// Roles allowed to create, update and delete nurses
+const NURSE_EDITOR_ROLES = ['admin', 'editor'];
+
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS, 10) || 12;
+
+// Hash a password with a random salt using scrypt ("salt:hash", hex encoded)
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+};
+
+// Check a password against a stored "salt:hash" in constant time
+const verifyPassword = (password, storedHash) => {
+  const [salt, hash] = storedHash.split(':');
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Session tokens are only stored hashed, so a leaked database can't be replayed
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Strip the password hash before a user is sent to the client
+const toPublicUser = ({ password_hash, ...user }) => user;
+
+// Start a session for a user and return its bearer token
+const createSession = (userId) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  db.prepare("DELETE FROM sessions WHERE expires_at <= datetime('now')").run();
+  db.prepare(
+    "INSERT INTO sessions (token_hash, user_id, expires_at) VALUES (?, ?, datetime('now', ?))"
+  ).run(hashToken(token), userId, `+${SESSION_TTL_HOURS} hours`);
+  return token;
+};
+
+const destroySession = (token) => {
+  db.prepare('DELETE FROM sessions WHERE token_hash = ?').run(hashToken(token));
+};
+
+// Create an API key for an integration. Returns its id and the key itself,
+// which is shown once: only its hash is stored.
+const createApiKey = ({ name, scopes, rateLimitPerMinute, username }) => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  const result = db
+    .prepare(
+      `INSERT INTO api_keys (name, key_prefix, key_hash, scopes, rate_limit_per_minute, created_by_username)
+      VALUES (?, ?, ?, ?, ?, ?)`
+    )
+    .run(
+      name,
+      key.slice(0, API_KEY_PREFIX.length + 8),
+      hashToken(key),
+      JSON.stringify(scopes),
+      rateLimitPerMinute,
+      username
+    );
+  return { id: result.lastInsertRowid, key };
+};
+
+// Download links let the browser save a file by navigating to it, so large
+// exports stream straight to disk instead of into a fetch() Blob. A link
+// names one path, acts as the user who asked for it and expires quickly. The
+// signing key is made per process, so links also stop working on restart.
+const DOWNLOAD_TOKEN_TTL_SECONDS = 60;
+const DOWNLOAD_TOKEN_KEY = crypto.randomBytes(32);
+
+const signDownloadToken = (payload) =>
+  crypto.createHmac('sha256', DOWNLOAD_TOKEN_KEY).update(payload).digest('base64url');
+
+// Create a token that lets the user GET the given path (e.g.
+// "/api/v1/exports/nurses.csv") for the next DOWNLOAD_TOKEN_TTL_SECONDS
+const createDownloadToken = (userId, path) => {
+  const expiresAt = Date.now() + DOWNLOAD_TOKEN_TTL_SECONDS * 1000;
+  const payload = Buffer.from(JSON.stringify({ user_id: userId, path, expires_at: expiresAt })).toString(
+    'base64url'
+  );
+  return { token: `${payload}.${signDownloadToken(payload)}`, expiresAt: new Date(expiresAt) };
+};
+
+// The user id a download token was made for, or null unless it is genuine,
+// unexpired and for this path
+const verifyDownloadToken = (token, path) => {
+  const [payload, signature = ''] = token.split('.');
+  const expected = Buffer.from(signDownloadToken(payload));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+  const { user_id, path: tokenPath, expires_at } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  return tokenPath === path && expires_at > Date.now() ? user_id : null;
+};
+
+// Read the bearer token from the Authorization header, or an API key from
+// X-API-Key. Browsers can't set headers on an EventSource, so event streams
+// may pass ?access_token= instead.
+const getRequestToken = (req) => {
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) {
+    return apiKey;
+  }
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme === 'Bearer' && token) {
+    return token;
+  }
+  const isEventStream = (req.get('Accept') || '').includes('text/event-stream');
+  if (req.method === 'GET' && isEventStream) {
+    return typeof req.query.access_token === 'string' ? req.query.access_token : null;
+  }
+  return null;
+};
+
+// Authenticate a request made with an API key: the key must be live, within
+// its rate limit and hold the scope the request needs. The integration acts
+// as an editor when it has any write scope, else as a viewer, so admin-only
+// routes stay out of its reach.
+const authenticateApiKey = async (req, res, next, key) => {
+  try {
+    const apiKey = await asyncQuery(() =>
+      db.prepare('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL').get(hashToken(key))
+    );
+    if (!apiKey) {
+      return res.status(401).json({ error: 'Invalid or revoked API key' });
+    }
+
+    const rateLimit = consumeRateLimit(apiKey);
+    res.set({
+      'X-RateLimit-Limit': String(rateLimit.limit),
+      'X-RateLimit-Remaining': String(rateLimit.remaining),
+      'X-RateLimit-Reset': String(rateLimit.resetSeconds),
+    });
+    if (!rateLimit.allowed) {
+      res.set('Retry-After', String(rateLimit.resetSeconds));
+      return res.status(429).json({ error: 'Rate limit exceeded, try again later' });
+    }
+
+    const scopes = JSON.parse(apiKey.scopes);
+    const scope = requiredScope(req);
+    if (!scope) {
+      return res.status(403).json({ error: 'API keys cannot be used for this endpoint' });
+    }
+    if (!scopes.includes(scope)) {
+      return res.status(403).json({ error: `This API key lacks the ${scope} scope` });
+    }
+
+    await asyncQuery(() =>
+      db.prepare('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?').run(apiKey.id)
+    );
+    req.user = {
+      id: null,
+      username: `api-key:${apiKey.name}`,
+      role: scopes.some((keyScope) => keyScope.endsWith(':write')) ? 'editor' : 'viewer',
+      api_key_id: apiKey.id,
+    };
+    next();
+  } catch (error) {
+    console.error('Error checking API key:', error);
+    res.status(500).json({ error: 'Failed to check API key' });
+  }
+};
+
+// Authenticate a GET made with a download link's ?download_token=
+const authenticateDownloadToken = async (req, res, next, token) => {
+  try {
+    const user = await asyncQuery(() => {
+      const userId = verifyDownloadToken(token, req.originalUrl.split('?')[0]);
+      return userId === null ? null : db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
+    });
+    if (!user) {
+      return res.status(401).json({ error: 'Download link is invalid or has expired' });
+    }
+    req.user = toPublicUser(user);
+    next();
+  } catch (error) {
+    console.error('Error checking download link:', error);
+    res.status(500).json({ error: 'Failed to check download link' });
+  }
+};
+
+// Middleware: require a valid session (or API key, or download link) and
+// attach the user to req.user
+const requireAuth = async (req, res, next) => {
+  const token = getRequestToken(req);
+  if (!token) {
+    const downloadToken = req.method === 'GET' ? req.query.download_token : undefined;
+    if (typeof downloadToken === 'string') {
+      return authenticateDownloadToken(req, res, next, downloadToken);
+    }
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  if (token.startsWith(API_KEY_PREFIX)) {
+    return authenticateApiKey(req, res, next, token);
+  }
+
+  try {
+    const user = await asyncQuery(() => {
+      const stmt = db.prepare(`
+        SELECT users.* FROM sessions
+        JOIN users ON users.id = sessions.user_id
+        WHERE sessions.token_hash = ? AND sessions.expires_at > datetime('now')
+      `);
+      return stmt.get(hashToken(token));
+    });
+
+    if (!user) {
+      return res.status(401).json({ error: 'Session expired, please log in again' });
+    }
+
+    req.user = toPublicUser(user);
+    req.token = token;
+    next();
+  } catch (error) {
+    console.error('Error checking session:', error);
+    res.status(500).json({ error: 'Failed to check session' });
+  }
+};
+
+// Middleware: require a session whose user has one of the given roles
+const requireRole = (...roles) => [
+  requireAuth,
+  (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'You do not have permission to do this' });
+    }
+    next();
+  },
+];
+
+// Create the first admin account when the users table is empty. The password
+// comes from ADMIN_PASSWORD, or is generated and printed once.
+const ensureAdminUser = () => {
+  const { count } = db.prepare('SELECT COUNT(*) AS count FROM users').get();
+  if (count > 0) return;
+
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+  db.prepare('INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)').run(
+    username,
+    hashPassword(password),
+    'admin'
+  );
+
+  if (!process.env.ADMIN_PASSWORD) {
+    console.log(`Created admin user "${username}" with password: ${password}`);
+  }
+};
+
+module.exports = {
+  ROLES,
+  NURSE_EDITOR_ROLES,
+  hashPassword,
+  verifyPassword,
+  toPublicUser,
+  createSession,
+  destroySession,
+  createApiKey,
+  createDownloadToken,
+  requireAuth,
+  requireRole,
+  ensureAdminUser,
+};
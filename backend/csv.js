@@ -0,0 +1,56 @@
+// CSV formatting for exports, following RFC 4180: fields containing the
+// delimiter, a double quote or a line break are quoted (with quotes doubled)
+// and records end with CRLF.
+
+// Delimiters an export may use, by the name clients ask for
+const CSV_DELIMITERS = {
+  comma: ',',
+  semicolon: ';',
+  tab: '\t',
+  pipe: '|',
+};
+
+// Byte order mark, so Excel reads the file as UTF-8
+const UTF8_BOM = '\uFEFF';
+
+// Spreadsheet apps evaluate cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Neutralize a text value Excel would otherwise run as a formula
+// (e.g. "=HYPERLINK(...)") by prefixing it with an apostrophe
+const sanitizeFormula = (value) => (FORMULA_PREFIX.test(value) ? `'${value}` : value);
+
+// Undo sanitizeFormula for a cell read back from an export, so a phone
+// number like "+1 555 0100" imports as it was saved
+const unsanitizeFormula = (value) =>
+  value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value;
+
+// Format one field. Only text is sanitized: numbers are written as they are.
+const formatCsvField = (value, delimiter) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' ? sanitizeFormula(value) : String(value);
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+// Format one record, including its CRLF terminator
+const formatCsvRow = (values, delimiter) =>
+  `${values.map((value) => formatCsvField(value, delimiter)).join(delimiter)}\r\n`;
+
+// Send a small, already-loaded table as a CSV download. columns are
+// { label, value(row) } like the export columns.
+const sendCsv = (res, filename, columns, rows) => {
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+  });
+  res.send(
+    UTF8_BOM +
+      formatCsvRow(columns.map(({ label }) => label), ',') +
+      rows.map((row) => formatCsvRow(columns.map(({ value }) => value(row)), ',')).join('')
+  );
+};
+
+module.exports = { CSV_DELIMITERS, UTF8_BOM, formatCsvRow, unsanitizeFormula, sendCsv };
@@ -0,0 +1,179 @@
+const { db } = require('./db');
+const { compilePattern, validateFields, customFieldSchema } = require('./validation');
+
+// Custom nurse fields: extra attributes (badge ID, union membership, ...)
+// that admins define per deployment instead of adding columns. Definitions
+// are read on each request, so a new field applies at once. A nurse's values
+// are stored in nurses.custom_fields as a JSON object keyed by field key.
+
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'select', 'boolean'];
+
+// Keys name the values in the API and in SQL JSON paths, so they are kept to
+// lowercase snake_case; a key cannot change once values are stored under it
+const CUSTOM_FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+const MAX_SELECT_OPTIONS = 50;
+// Patterns run on every save of a nurse, so they are kept short
+const MAX_PATTERN_LENGTH = 200;
+
+// Validation settings that only apply to some types
+const TYPE_SETTINGS = {
+  text: ['min_length', 'max_length', 'pattern'],
+  number: ['min_value', 'max_value'],
+  date: [],
+  select: ['options'],
+  boolean: [],
+};
+
+const toApiCustomField = (field) => ({
+  ...field,
+  required: Boolean(field.required),
+  options: JSON.parse(field.options),
+});
+
+// Every custom field definition, in display order
+const findCustomFields = () =>
+  db.prepare('SELECT * FROM custom_fields ORDER BY position, id').all().map(toApiCustomField);
+
+const findCustomField = (id) => {
+  const field = db.prepare('SELECT * FROM custom_fields WHERE id = ?').get(id);
+  return field && toApiCustomField(field);
+};
+
+const isSet = (value) => value !== undefined && value !== null;
+const isWholeNumber = (value) => Number.isInteger(value) && value >= 0;
+
+// Validate a custom field definition; every setting may be omitted on
+// update, where type is the saved field's. Returns an error message, or null
+// when valid.
+const validateCustomFieldInput = (input, type = input.type) => {
+  const { key, label, required, options, min_length, max_length, pattern, min_value, max_value, position } =
+    input;
+
+  if (key !== undefined && (typeof key !== 'string' || !CUSTOM_FIELD_KEY_PATTERN.test(key))) {
+    return 'key must start with a lowercase letter and contain only lowercase letters, digits and underscores (at most 40)';
+  }
+  if (label !== undefined && (typeof label !== 'string' || !label.trim() || label.trim().length > 60)) {
+    return 'label must be 1 to 60 characters';
+  }
+  if (!CUSTOM_FIELD_TYPES.includes(type)) {
+    return `type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`;
+  }
+  if (required !== undefined && typeof required !== 'boolean') {
+    return 'required must be true or false';
+  }
+  if (position !== undefined && !isWholeNumber(position)) {
+    return 'position must be a non-negative integer';
+  }
+
+  const unsupported = Object.values(TYPE_SETTINGS)
+    .flat()
+    .filter((setting) => !TYPE_SETTINGS[type].includes(setting))
+    .filter((setting) => isSet(input[setting]));
+  if (unsupported.length > 0) {
+    return `${unsupported.join(', ')} cannot be set on a ${type} field`;
+  }
+
+  if (options !== undefined) {
+    if (
+      !Array.isArray(options) ||
+      options.length === 0 ||
+      options.some((option) => typeof option !== 'string' || !option.trim())
+    ) {
+      return 'options must be a non-empty list of choices';
+    }
+    if (options.length > MAX_SELECT_OPTIONS) {
+      return `A select field can have at most ${MAX_SELECT_OPTIONS} options`;
+    }
+    if (new Set(options.map((option) => option.trim())).size !== options.length) {
+      return 'options cannot repeat a choice';
+    }
+  }
+  if ([min_length, max_length].some((length) => isSet(length) && !isWholeNumber(length))) {
+    return 'min_length and max_length must be non-negative integers';
+  }
+  if (isSet(min_length) && isSet(max_length) && min_length > max_length) {
+    return 'min_length cannot be greater than max_length';
+  }
+  if (isSet(pattern)) {
+    if (typeof pattern !== 'string' || pattern.length > MAX_PATTERN_LENGTH) {
+      return `pattern must be a regular expression of at most ${MAX_PATTERN_LENGTH} characters`;
+    }
+    try {
+      // Compiled (and cached) here, so nurse saves reuse it
+      compilePattern(pattern);
+    } catch {
+      return 'pattern must be a valid regular expression';
+    }
+  }
+  if ([min_value, max_value].some((value) => isSet(value) && !Number.isFinite(value))) {
+    return 'min_value and max_value must be numbers';
+  }
+  if (isSet(min_value) && isSet(max_value) && min_value > max_value) {
+    return 'min_value cannot be greater than max_value';
+  }
+  return null;
+};
+
+// A nurse's stored values, from the row's JSON column or an already parsed object
+const parseCustomFieldValues = (values) => (typeof values === 'string' ? JSON.parse(values) : values || {});
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Validate a nurse's custom field values against the definitions. Errors are
+// keyed like "custom_fields.badge_id"; values for unknown keys are refused.
+const validateCustomFieldValues = (fields, values) => {
+  if (!isPlainObject(values)) {
+    return { custom_fields: 'Custom fields must map field keys to values' };
+  }
+  const errors = {};
+  const keys = new Set(fields.map(({ key }) => key));
+  Object.keys(values)
+    .filter((key) => !keys.has(key))
+    .forEach((key) => {
+      errors[`custom_fields.${key}`] = `There is no custom field "${key}"`;
+    });
+  Object.entries(validateFields(customFieldSchema(fields), values) || {}).forEach(([key, message]) => {
+    errors[`custom_fields.${key}`] = message;
+  });
+  // The engine takes numbers as text, but text and select values are stored
+  // as sent, so they must be strings
+  fields
+    .filter(({ key, type }) => ['text', 'select'].includes(type) && isSet(values[key]))
+    .filter(({ key }) => typeof values[key] !== 'string')
+    .forEach(({ key, label }) => {
+      errors[`custom_fields.${key}`] = `${label} must be text`;
+    });
+  return errors;
+};
+
+// Values as they are stored: text trimmed, numbers as numbers, and blank
+// values left out. Call once the values have passed validation.
+const normalizeCustomFieldValues = (fields, values) =>
+  Object.fromEntries(
+    fields
+      .map(({ key, type }) => {
+        const value = typeof values[key] === 'string' ? values[key].trim() : values[key];
+        return [key, type === 'number' && isSet(value) && value !== '' ? Number(value) : value];
+      })
+      .filter(([, value]) => isSet(value) && value !== '')
+  );
+
+// A value as exports show it (booleans as Yes/No)
+const formatCustomFieldValue = (field, value) => {
+  if (value === undefined || value === null) return null;
+  if (field.type === 'boolean') return value ? 'Yes' : 'No';
+  return value;
+};
+
+module.exports = {
+  CUSTOM_FIELD_TYPES,
+  CUSTOM_FIELD_KEY_PATTERN,
+  findCustomFields,
+  findCustomField,
+  validateCustomFieldInput,
+  parseCustomFieldValues,
+  validateCustomFieldValues,
+  normalizeCustomFieldValues,
+  formatCustomFieldValue,
+};
@@ -0,0 +1,29 @@
+const Database = require('better-sqlite3');
+const { DB_PATH, migrateUp, getSchemaVersion } = require('./migrate');
+
+// Initialize SQLite database
+const db = new Database(DB_PATH);
+
+// SQLite leaves foreign key enforcement (and ON DELETE CASCADE) off by default
+db.pragma('foreign_keys = ON');
+
+// Bring the schema up to date before anything queries it (see migrations/)
+const applied = migrateUp(db);
+if (applied.length > 0) {
+  console.log(`Applied ${applied.length} database migration(s); schema version ${getSchemaVersion(db)}`);
+}
+
+// Helper function to simulate async operations with promises
+const asyncQuery = (queryFn) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const result = queryFn();
+      // Simulate async delay for demonstration
+      setTimeout(() => resolve(result), 100);
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+module.exports = { db, asyncQuery };
@@ -0,0 +1,51 @@
+// Server-Sent Events: pushes nurse changes to every open browser so rosters
+// stay current without reloading.
+
+// Comment lines keep idle connections from being closed by proxies
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// How long browsers wait before reconnecting after the stream drops
+const RECONNECT_DELAY_MS = 3000;
+
+// Open event stream responses
+const clients = new Set();
+
+const heartbeat = setInterval(() => {
+  clients.forEach((res) => res.write(': ping\n\n'));
+}, HEARTBEAT_INTERVAL_MS);
+// Don't keep the process alive just for the heartbeat timer
+heartbeat.unref();
+
+// Route handler: hold the response open as an event stream
+const openEventStream = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  clients.add(res);
+  req.on('close', () => clients.delete(res));
+};
+
+// Tell every browser that a nurse changed. action is created, updated,
+// deleted, restored or purged for one nurse, or bulk when many nurses changed
+// at once (e.g. an import) and rosters should simply reload. req identifies
+// who made the change, so a browser can skip its own; it is null for changes
+// made by the server itself.
+const broadcastNurseChange = (action, options = {}) => {
+  const { nurse = null, nurseId = nurse ? nurse.id : null, req = null } = options;
+  const event = {
+    action,
+    nurse_id: nurseId,
+    nurse,
+    username: req && req.user ? req.user.username : null,
+    client_id: req ? req.get('X-Client-Id') || null : null,
+  };
+  const message = `event: nurse\ndata: ${JSON.stringify(event)}\n\n`;
+  clients.forEach((res) => res.write(message));
+};
+
+module.exports = { openEventStream, broadcastNurseChange };
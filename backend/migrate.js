@@ -0,0 +1,162 @@
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+
+// The SQLite database file shared by the server and the migration CLI
+// (tests use ":memory:")
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'nurses.db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Migration files are named NNN_description.js and export up(db) and down(db)
+const MIGRATION_FILE_PATTERN = /^(\d+)_(\w+)\.js$/;
+
+// Whether a table already has a column; lets migrations adopt databases
+// created before the migration runner existed
+const hasColumn = (db, table, column) =>
+  db.prepare(`PRAGMA table_info(${table})`).all().some(({ name }) => name === column);
+
+const ensureSchemaVersionTable = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+// All migrations on disk, oldest first
+const loadMigrations = () =>
+  fs
+    .readdirSync(MIGRATIONS_DIR)
+    .map((file) => file.match(MIGRATION_FILE_PATTERN))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({
+      version: Number(version),
+      name,
+      ...require(path.join(MIGRATIONS_DIR, file)),
+    }))
+    .sort((a, b) => a.version - b.version);
+
+const getAppliedVersions = (db) => {
+  ensureSchemaVersionTable(db);
+  return db
+    .prepare('SELECT version FROM schema_version ORDER BY version')
+    .all()
+    .map(({ version }) => version);
+};
+
+// The highest applied migration version (0 for an empty database)
+const getSchemaVersion = (db) => {
+  const applied = getAppliedVersions(db);
+  return applied.length > 0 ? applied[applied.length - 1] : 0;
+};
+
+// Apply every pending migration up to targetVersion (default: the latest).
+// Each migration runs in its own transaction together with its
+// schema_version row, so a failure leaves the database at the previous version.
+const migrateUp = (db, targetVersion = Infinity) => {
+  const applied = new Set(getAppliedVersions(db));
+  const pending = loadMigrations().filter(
+    ({ version }) => !applied.has(version) && version <= targetVersion
+  );
+
+  pending.forEach((migration) => {
+    db.transaction(() => {
+      migration.up(db);
+      db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)').run(
+        migration.version,
+        migration.name
+      );
+    })();
+  });
+
+  return pending.map(({ version, name }) => ({ version, name }));
+};
+
+// Roll back applied migrations, newest first, until only those at or below
+// targetVersion remain (default: roll back the latest one)
+const migrateDown = (db, targetVersion) => {
+  const applied = getAppliedVersions(db);
+  const target = targetVersion ?? (applied.length > 1 ? applied[applied.length - 2] : 0);
+  const migrations = new Map(loadMigrations().map((migration) => [migration.version, migration]));
+
+  const toRollBack = applied.filter((version) => version > target).reverse();
+  const missing = toRollBack.find((version) => !migrations.has(version));
+  if (missing !== undefined) {
+    throw new Error(`Migration ${missing} is applied but its file is missing`);
+  }
+
+  return toRollBack.map((version) => {
+    const migration = migrations.get(version);
+    db.transaction(() => {
+      migration.down(db);
+      db.prepare('DELETE FROM schema_version WHERE version = ?').run(version);
+    })();
+    return { version, name: migration.name };
+  });
+};
+
+// Every migration on disk and whether it has been applied
+const getMigrationStatus = (db) => {
+  const applied = new Set(getAppliedVersions(db));
+  return loadMigrations().map(({ version, name }) => ({
+    version,
+    name,
+    applied: applied.has(version),
+  }));
+};
+
+const formatMigration = ({ version, name }) => `${String(version).padStart(3, '0')}_${name}`;
+
+// Command line: node migrate.js [up|down|status] [version]
+const runCli = ([command = 'up', versionArg]) => {
+  const targetVersion = versionArg === undefined ? undefined : Number(versionArg);
+  if (versionArg !== undefined && !Number.isInteger(targetVersion)) {
+    throw new Error(`Invalid version: ${versionArg}`);
+  }
+
+  const db = new Database(DB_PATH);
+  db.pragma('foreign_keys = ON');
+
+  try {
+    if (command === 'up') {
+      const migrated = migrateUp(db, targetVersion);
+      migrated.forEach((migration) => console.log(`Applied ${formatMigration(migration)}`));
+      if (migrated.length === 0) console.log('Database is up to date');
+    } else if (command === 'down') {
+      const rolledBack = migrateDown(db, targetVersion);
+      rolledBack.forEach((migration) => console.log(`Rolled back ${formatMigration(migration)}`));
+      if (rolledBack.length === 0) console.log('Nothing to roll back');
+    } else if (command === 'status') {
+      getMigrationStatus(db).forEach((migration) => {
+        console.log(`${migration.applied ? '[x]' : '[ ]'} ${formatMigration(migration)}`);
+      });
+    } else {
+      throw new Error(`Unknown command: ${command} (expected up, down or status)`);
+    }
+    console.log(`Schema version: ${getSchemaVersion(db)}`);
+  } finally {
+    db.close();
+  }
+};
+
+module.exports = {
+  DB_PATH,
+  hasColumn,
+  getSchemaVersion,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+};
+
+// Runs after module.exports is set, since migration files require this module
+if (require.main === module) {
+  try {
+    runCli(process.argv.slice(2));
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,26 @@
+// The original nurses table. IF NOT EXISTS lets databases created before
+// migrations existed adopt this as their starting point.
+module.exports = {
+  up: (db) => {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS nurses (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        license_number TEXT NOT NULL UNIQUE,
+        dob TEXT NOT NULL,
+        age INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Indexes for the columns the list endpoint filters and sorts on
+      CREATE INDEX IF NOT EXISTS idx_nurses_name ON nurses (name COLLATE NOCASE);
+      CREATE INDEX IF NOT EXISTS idx_nurses_dob ON nurses (dob);
+      CREATE INDEX IF NOT EXISTS idx_nurses_age ON nurses (age);
+    `);
+  },
+
+  down: (db) => {
+    db.exec('DROP TABLE IF EXISTS nurses');
+  },
+};
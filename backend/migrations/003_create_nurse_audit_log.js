@@ -0,0 +1,26 @@
+// Rows outlive the nurse they describe, so nurse_id and user_id are
+// deliberately not foreign keys.
+module.exports = {
+  up: (db) => {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS nurse_audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        nurse_id INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        changed_fields TEXT NOT NULL,
+        before_data TEXT,
+        after_data TEXT,
+        user_id INTEGER,
+        username TEXT,
+        reverted_from INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_nurse_audit_log_nurse ON nurse_audit_log (nurse_id, id);
+    `);
+  },
+
+  down: (db) => {
+    db.exec('DROP TABLE IF EXISTS nurse_audit_log');
+  },
+};
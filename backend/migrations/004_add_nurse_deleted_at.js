@@ -0,0 +1,18 @@
+const { hasColumn } = require('../migrate');
+
+// Set when a nurse is moved to the trash; NULL for active nurses
+module.exports = {
+  up: (db) => {
+    if (!hasColumn(db, 'nurses', 'deleted_at')) {
+      db.exec('ALTER TABLE nurses ADD COLUMN deleted_at DATETIME');
+    }
+    db.exec('CREATE INDEX IF NOT EXISTS idx_nurses_deleted_at ON nurses (deleted_at)');
+  },
+
+  down: (db) => {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_nurses_deleted_at;
+      ALTER TABLE nurses DROP COLUMN deleted_at;
+    `);
+  },
+};
@@ -0,0 +1,26 @@
+// A nurse can hold several licenses
+module.exports = {
+  up: (db) => {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS nurse_credentials (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        nurse_id INTEGER NOT NULL REFERENCES nurses (id) ON DELETE CASCADE,
+        license_type TEXT NOT NULL,
+        credential_number TEXT NOT NULL,
+        issuing_authority TEXT NOT NULL,
+        issue_date TEXT,
+        expiry_date TEXT NOT NULL,
+        verification_status TEXT NOT NULL DEFAULT 'unverified',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_nurse_credentials_nurse ON nurse_credentials (nurse_id);
+      CREATE INDEX IF NOT EXISTS idx_nurse_credentials_expiry ON nurse_credentials (expiry_date);
+    `);
+  },
+
+  down: (db) => {
+    db.exec('DROP TABLE IF EXISTS nurse_credentials');
+  },
+};
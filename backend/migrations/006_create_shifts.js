@@ -0,0 +1,36 @@
+// Times are local 'YYYY-MM-DDTHH:MM' strings, so they sort and compare as text
+module.exports = {
+  up: (db) => {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS shifts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ward TEXT NOT NULL,
+        start_time TEXT NOT NULL,
+        end_time TEXT NOT NULL,
+        required_headcount INTEGER NOT NULL DEFAULT 1,
+        notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        CHECK (end_time > start_time)
+      );
+
+      CREATE TABLE IF NOT EXISTS shift_assignments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        shift_id INTEGER NOT NULL REFERENCES shifts (id) ON DELETE CASCADE,
+        nurse_id INTEGER NOT NULL REFERENCES nurses (id) ON DELETE CASCADE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (shift_id, nurse_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_shifts_start_time ON shifts (start_time);
+      CREATE INDEX IF NOT EXISTS idx_shift_assignments_nurse ON shift_assignments (nurse_id);
+    `);
+  },
+
+  down: (db) => {
+    db.exec(`
+      DROP TABLE IF EXISTS shift_assignments;
+      DROP TABLE IF EXISTS shifts;
+    `);
+  },
+};
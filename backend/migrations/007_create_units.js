@@ -0,0 +1,41 @@
+const { hasColumn } = require('../migrate');
+
+// Units (departments/wards). Each nurse has a primary unit and may also
+// float to others (nurse_float_units).
+module.exports = {
+  up: (db) => {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS units (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        description TEXT,
+        charge_nurse_id INTEGER REFERENCES nurses (id) ON DELETE SET NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS nurse_float_units (
+        nurse_id INTEGER NOT NULL REFERENCES nurses (id) ON DELETE CASCADE,
+        unit_id INTEGER NOT NULL REFERENCES units (id) ON DELETE CASCADE,
+        PRIMARY KEY (nurse_id, unit_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_nurse_float_units_unit ON nurse_float_units (unit_id);
+    `);
+    if (!hasColumn(db, 'nurses', 'primary_unit_id')) {
+      db.exec(
+        'ALTER TABLE nurses ADD COLUMN primary_unit_id INTEGER REFERENCES units (id) ON DELETE SET NULL'
+      );
+    }
+    db.exec('CREATE INDEX IF NOT EXISTS idx_nurses_primary_unit ON nurses (primary_unit_id)');
+  },
+
+  down: (db) => {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_nurses_primary_unit;
+      ALTER TABLE nurses DROP COLUMN primary_unit_id;
+      DROP TABLE IF EXISTS nurse_float_units;
+      DROP TABLE IF EXISTS units;
+    `);
+  },
+};
@@ -0,0 +1,20 @@
+// Age is now derived from dob whenever a nurse is read (see nurses.js), so
+// the stored column, which went stale after every birthday, is dropped.
+module.exports = {
+  up: (db) => {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_nurses_age;
+      ALTER TABLE nurses DROP COLUMN age;
+    `);
+  },
+
+  down: (db) => {
+    db.exec(`
+      ALTER TABLE nurses ADD COLUMN age INTEGER;
+      UPDATE nurses SET age =
+        CAST(strftime('%Y', 'now', 'localtime') AS INTEGER) - CAST(substr(dob, 1, 4) AS INTEGER)
+        - (strftime('%m-%d', 'now', 'localtime') < substr(dob, 6, 5));
+      CREATE INDEX IF NOT EXISTS idx_nurses_age ON nurses (age);
+    `);
+  },
+};
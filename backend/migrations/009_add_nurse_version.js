@@ -0,0 +1,15 @@
+const { hasColumn } = require('../migrate');
+
+// Incremented on every write to a nurse, so edits based on an outdated copy
+// can be detected and rejected (optimistic concurrency)
+module.exports = {
+  up: (db) => {
+    if (!hasColumn(db, 'nurses', 'version')) {
+      db.exec('ALTER TABLE nurses ADD COLUMN version INTEGER NOT NULL DEFAULT 1');
+    }
+  },
+
+  down: (db) => {
+    db.exec('ALTER TABLE nurses DROP COLUMN version');
+  },
+};
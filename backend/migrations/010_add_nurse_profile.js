@@ -0,0 +1,45 @@
+const { hasColumn } = require('../migrate');
+
+// HR profile fields on nurses, a profile photo (a file under uploads/photos,
+// see uploads.js) and any number of emergency contacts per nurse
+const PROFILE_COLUMNS = [
+  ['email', 'TEXT'],
+  ['phone', 'TEXT'],
+  ['address', 'TEXT'],
+  ['hire_date', 'TEXT'],
+  ['employment_type', 'TEXT'],
+  ['employment_status', "TEXT NOT NULL DEFAULT 'active'"],
+  ['photo_filename', 'TEXT'],
+];
+
+module.exports = {
+  up: (db) => {
+    PROFILE_COLUMNS.forEach(([column, definition]) => {
+      if (!hasColumn(db, 'nurses', column)) {
+        db.exec(`ALTER TABLE nurses ADD COLUMN ${column} ${definition}`);
+      }
+    });
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS nurse_emergency_contacts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        nurse_id INTEGER NOT NULL REFERENCES nurses (id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        relationship TEXT,
+        phone TEXT NOT NULL,
+        email TEXT,
+        position INTEGER NOT NULL DEFAULT 0
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_nurse_emergency_contacts_nurse
+        ON nurse_emergency_contacts (nurse_id, position);
+    `);
+  },
+
+  down: (db) => {
+    db.exec('DROP TABLE IF EXISTS nurse_emergency_contacts');
+    PROFILE_COLUMNS.forEach(([column]) => {
+      db.exec(`ALTER TABLE nurses DROP COLUMN ${column}`);
+    });
+  },
+};
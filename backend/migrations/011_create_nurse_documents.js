@@ -0,0 +1,29 @@
+// Documents attached to a nurse (certificates, vaccination records, ID
+// scans). The files live under uploads/documents (see uploads.js); this table
+// holds what they are. The uploader is copied like in the audit log, so it
+// survives the user being deleted.
+module.exports = {
+  up: (db) => {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS nurse_documents (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        nurse_id INTEGER NOT NULL REFERENCES nurses (id) ON DELETE CASCADE,
+        document_type TEXT NOT NULL,
+        original_filename TEXT NOT NULL,
+        filename TEXT NOT NULL,
+        content_type TEXT NOT NULL,
+        size_bytes INTEGER NOT NULL,
+        expiry_date TEXT,
+        uploaded_by_user_id INTEGER,
+        uploaded_by_username TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_nurse_documents_nurse ON nurse_documents (nurse_id);
+    `);
+  },
+
+  down: (db) => {
+    db.exec('DROP TABLE IF EXISTS nurse_documents');
+  },
+};
@@ -0,0 +1,44 @@
+// Leave (vacation, sick, training) requested for nurses and approved or
+// rejected by HR, plus each nurse's yearly allowance per leave type. Dates
+// are inclusive YYYY-MM-DD strings, so they sort and compare as text.
+module.exports = {
+  up: (db) => {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS leave_requests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        nurse_id INTEGER NOT NULL REFERENCES nurses (id) ON DELETE CASCADE,
+        leave_type TEXT NOT NULL,
+        start_date TEXT NOT NULL,
+        end_date TEXT NOT NULL,
+        days INTEGER NOT NULL,
+        reason TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        requested_by_username TEXT,
+        reviewed_by_username TEXT,
+        reviewed_at DATETIME,
+        review_note TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        CHECK (end_date >= start_date)
+      );
+
+      CREATE TABLE IF NOT EXISTS leave_allowances (
+        nurse_id INTEGER NOT NULL REFERENCES nurses (id) ON DELETE CASCADE,
+        leave_type TEXT NOT NULL,
+        year INTEGER NOT NULL,
+        days INTEGER NOT NULL,
+        PRIMARY KEY (nurse_id, leave_type, year)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_leave_requests_nurse ON leave_requests (nurse_id, start_date);
+      CREATE INDEX IF NOT EXISTS idx_leave_requests_status ON leave_requests (status, start_date);
+    `);
+  },
+
+  down: (db) => {
+    db.exec(`
+      DROP TABLE IF EXISTS leave_allowances;
+      DROP TABLE IF EXISTS leave_requests;
+    `);
+  },
+};
@@ -0,0 +1,67 @@
+const { hasColumn } = require('../migrate');
+
+// Continuing education and competencies. Training records log the courses a
+// nurse completed; a record can certify a competency (BLS, ACLS, ...), and
+// role_competencies lists the competencies each job role requires.
+const SEEDED_COMPETENCIES = [
+  ['BLS', 'Basic Life Support'],
+  ['ACLS', 'Advanced Cardiovascular Life Support'],
+  ['PALS', 'Pediatric Advanced Life Support'],
+];
+
+module.exports = {
+  up: (db) => {
+    if (!hasColumn(db, 'nurses', 'job_role')) {
+      db.exec('ALTER TABLE nurses ADD COLUMN job_role TEXT');
+    }
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS competencies (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        description TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS role_competencies (
+        job_role TEXT NOT NULL,
+        competency_id INTEGER NOT NULL REFERENCES competencies (id) ON DELETE CASCADE,
+        PRIMARY KEY (job_role, competency_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS training_records (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        nurse_id INTEGER NOT NULL REFERENCES nurses (id) ON DELETE CASCADE,
+        course_name TEXT NOT NULL,
+        provider TEXT,
+        hours REAL NOT NULL DEFAULT 0,
+        completion_date TEXT NOT NULL,
+        expiry_date TEXT,
+        competency_id INTEGER REFERENCES competencies (id) ON DELETE SET NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_training_records_nurse ON training_records (nurse_id, completion_date);
+    `);
+
+    // Start with the common life support certifications, BLS required of everyone
+    const insertCompetency = db.prepare('INSERT OR IGNORE INTO competencies (name, description) VALUES (?, ?)');
+    SEEDED_COMPETENCIES.forEach(([name, description]) => insertCompetency.run(name, description));
+    db.exec(`
+      INSERT OR IGNORE INTO role_competencies (job_role, competency_id)
+      SELECT job_role, competencies.id
+      FROM (SELECT 'rn' AS job_role UNION ALL SELECT 'lpn' UNION ALL SELECT 'np' UNION ALL SELECT 'cna')
+      CROSS JOIN competencies WHERE competencies.name = 'BLS'
+    `);
+  },
+
+  down: (db) => {
+    db.exec(`
+      DROP TABLE IF EXISTS training_records;
+      DROP TABLE IF EXISTS role_competencies;
+      DROP TABLE IF EXISTS competencies;
+      ALTER TABLE nurses DROP COLUMN job_role;
+    `);
+  },
+};
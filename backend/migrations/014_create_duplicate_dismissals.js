@@ -0,0 +1,29 @@
+const { hasColumn } = require('../migrate');
+
+// Duplicate detection and merging. Pairs a reviewer marked as different
+// people are kept so the duplicate finder stops flagging them (nurse_id is
+// always the lower id of the pair). Merge entries in the audit log point at
+// the other nurse of the merge.
+module.exports = {
+  up: (db) => {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS nurse_duplicate_dismissals (
+        nurse_id INTEGER NOT NULL REFERENCES nurses (id) ON DELETE CASCADE,
+        other_nurse_id INTEGER NOT NULL REFERENCES nurses (id) ON DELETE CASCADE,
+        dismissed_by_username TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (nurse_id, other_nurse_id),
+        CHECK (nurse_id < other_nurse_id)
+      );
+    `);
+    if (!hasColumn(db, 'nurse_audit_log', 'merged_nurse_id')) {
+      db.exec('ALTER TABLE nurse_audit_log ADD COLUMN merged_nurse_id INTEGER');
+    }
+  },
+  down: (db) => {
+    db.exec(`
+      ALTER TABLE nurse_audit_log DROP COLUMN merged_nurse_id;
+      DROP TABLE IF EXISTS nurse_duplicate_dismissals;
+    `);
+  },
+};
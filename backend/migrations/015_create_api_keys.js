@@ -0,0 +1,25 @@
+// API keys for integrations (payroll, credentialing, ...). Like session
+// tokens, only a hash of each key is stored; key_prefix is its first few
+// characters, so admins can tell keys apart. scopes is a JSON array such as
+// ["nurses:read", "credentials:read"]. Revoked keys are kept for the record.
+module.exports = {
+  up: (db) => {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        key_prefix TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        scopes TEXT NOT NULL DEFAULT '[]',
+        rate_limit_per_minute INTEGER NOT NULL,
+        created_by_username TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME,
+        revoked_at DATETIME
+      );
+    `);
+  },
+  down: (db) => {
+    db.exec('DROP TABLE IF EXISTS api_keys;');
+  },
+};
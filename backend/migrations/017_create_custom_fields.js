@@ -0,0 +1,36 @@
+const { hasColumn } = require('../migrate');
+
+// Custom nurse fields that admins define per deployment (badge ID, union
+// membership, ...). Each definition has a type and optional validation;
+// options is a JSON array of the choices of a select field. A nurse's
+// values live in nurses.custom_fields, a JSON object keyed by field key.
+module.exports = {
+  up: (db) => {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS custom_fields (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        key TEXT NOT NULL UNIQUE,
+        label TEXT NOT NULL,
+        type TEXT NOT NULL CHECK (type IN ('text', 'number', 'date', 'select', 'boolean')),
+        required INTEGER NOT NULL DEFAULT 0,
+        options TEXT NOT NULL DEFAULT '[]',
+        min_length INTEGER,
+        max_length INTEGER,
+        pattern TEXT,
+        min_value REAL,
+        max_value REAL,
+        position INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    if (!hasColumn(db, 'nurses', 'custom_fields')) {
+      db.exec("ALTER TABLE nurses ADD COLUMN custom_fields TEXT NOT NULL DEFAULT '{}'");
+    }
+  },
+  down: (db) => {
+    db.exec('ALTER TABLE nurses DROP COLUMN custom_fields');
+    db.exec('DROP TABLE IF EXISTS custom_fields;');
+  },
+};
@@ -0,0 +1,335 @@
+const { db } = require('./db');
+const { validateFields } = require('./validation');
+const { PHOTOS_DIR, DOCUMENTS_DIR } = require('./uploads');
+const {
+  CUSTOM_FIELD_KEY_PATTERN,
+  parseCustomFieldValues,
+  validateCustomFieldValues,
+  normalizeCustomFieldValues,
+} = require('./customFields');
+const NURSE_SCHEMA = require('../shared/nurseSchema.json');
+const EMERGENCY_CONTACT_SCHEMA = require('../shared/emergencyContactSchema.json');
+
+// Keep in step with frontend/src/validation.js
+const MAX_EMERGENCY_CONTACTS = 5;
+
+// A nurse's age in whole years, computed from dob at query time so it never
+// goes stale. Usable in SELECT, WHERE and ORDER BY.
+const AGE_SQL =
+  "(CAST(strftime('%Y', 'now', 'localtime') AS INTEGER) - CAST(substr(dob, 1, 4) AS INTEGER)" +
+  " - (strftime('%m-%d', 'now', 'localtime') < substr(dob, 6, 5)))";
+
+// Columns to select for a nurse in API responses: the stored ones plus age
+const NURSE_COLUMNS_SQL = `*, ${AGE_SQL} AS age`;
+
+// Validate a nurse payload against the shared schema POST, PUT and import
+// enforce. Emergency contacts, when sent, are checked against their own
+// schema with errors keyed like "emergency_contacts.0.phone", and custom
+// field values against the given definitions (see customFields.js). Returns
+// a map of field name to error message, or null when valid.
+const validateNurseInput = (input, customFields = []) => {
+  const errors = { ...validateFields(NURSE_SCHEMA, input) };
+  const contacts = input.emergency_contacts;
+  if (contacts !== undefined && contacts !== null) {
+    if (!Array.isArray(contacts) || contacts.some((contact) => typeof contact !== 'object' || !contact)) {
+      errors.emergency_contacts = 'Emergency contacts must be a list of contacts';
+    } else if (contacts.length > MAX_EMERGENCY_CONTACTS) {
+      errors.emergency_contacts = `A nurse can have at most ${MAX_EMERGENCY_CONTACTS} emergency contacts`;
+    } else {
+      contacts.forEach((contact, index) => {
+        Object.entries(validateFields(EMERGENCY_CONTACT_SCHEMA, contact) || {}).forEach(([field, message]) => {
+          errors[`emergency_contacts.${index}.${field}`] = message;
+        });
+      });
+    }
+  }
+  if (input.custom_fields !== undefined && input.custom_fields !== null) {
+    Object.assign(errors, validateCustomFieldValues(customFields, input.custom_fields));
+  }
+  return Object.keys(errors).length > 0 ? errors : null;
+};
+
+// Trim text values so stored values match what was validated; blank optional
+// values are stored as NULL, or the schema's default
+const normalizeFields = (schema, input) =>
+  Object.fromEntries(
+    Object.entries(schema).map(([field, rules]) => {
+      const value = typeof input[field] === 'string' ? input[field].trim() : input[field];
+      const isBlank = value === undefined || value === null || value === '';
+      return [field, isBlank ? rules.default ?? null : value];
+    })
+  );
+
+// The nurse's own columns from a payload, normalized. emergency_contacts and
+// custom_fields are passed through (normalized) when present, and left
+// undefined otherwise so an update without them keeps the saved ones.
+const normalizeNurseInput = (input, customFields = []) => ({
+  ...normalizeFields(NURSE_SCHEMA, input),
+  emergency_contacts: Array.isArray(input.emergency_contacts)
+    ? input.emergency_contacts.map((contact) => normalizeFields(EMERGENCY_CONTACT_SCHEMA, contact))
+    : undefined,
+  custom_fields:
+    typeof input.custom_fields === 'object' && input.custom_fields !== null
+      ? normalizeCustomFieldValues(customFields, input.custom_fields)
+      : undefined,
+});
+
+// A nurse row as the API returns it, with its custom field values parsed
+// from their JSON column
+const toApiNurse = (nurse) => nurse && { ...nurse, custom_fields: parseCustomFieldValues(nurse.custom_fields) };
+
+// Display label of a field with fixed options (e.g. "full_time" -> "Full-time")
+const optionLabel = (field, value) => (value ? NURSE_SCHEMA[field].options[value] || value : null);
+
+// Stored value of a field with fixed options, given the value or its display
+// label in any case (e.g. "Full-time" -> "full_time"). Other text is returned
+// as it is, for validation to report.
+const optionValue = (field, text) => {
+  const match = Object.entries(NURSE_SCHEMA[field].options).find(
+    ([value, label]) => value === text || label.toLowerCase() === text.toLowerCase()
+  );
+  return match ? match[0] : text;
+};
+
+// Profile columns written by POST and PUT, in schema order
+const NURSE_FIELDS = Object.keys(NURSE_SCHEMA);
+
+// Profile fields with a fixed set of options (e.g. employment_status)
+const NURSE_OPTION_FIELDS = NURSE_FIELDS.filter((field) => NURSE_SCHEMA[field].options);
+
+// Validate only the profile fields a partial payload names (for batch
+// updates). Returns a map of field name to error message, or null when valid.
+const validateNurseFields = (input) =>
+  validateFields(
+    Object.fromEntries(Object.entries(NURSE_SCHEMA).filter(([field]) => field in input)),
+    input
+  );
+
+// A nurse's emergency contacts, in the order they were entered
+const findEmergencyContacts = (nurseId) =>
+  db
+    .prepare(
+      `SELECT id, name, relationship, phone, email FROM nurse_emergency_contacts
+      WHERE nurse_id = ? ORDER BY position, id`
+    )
+    .all(nurseId);
+
+// Replace a nurse's emergency contacts. Call inside the transaction that
+// saves the nurse.
+const saveEmergencyContacts = (nurseId, contacts) => {
+  db.prepare('DELETE FROM nurse_emergency_contacts WHERE nurse_id = ?').run(nurseId);
+  const insert = db.prepare(
+    `INSERT INTO nurse_emergency_contacts (nurse_id, name, relationship, phone, email, position)
+    VALUES (?, ?, ?, ?, ?, ?)`
+  );
+  contacts.forEach((contact, index) => {
+    insert.run(nurseId, contact.name, contact.relationship, contact.phone, contact.email, index);
+  });
+};
+
+// Files stored for a nurse (its photo and attached documents) as
+// [subdirectory, filename] pairs. Look them up before purging the nurse and
+// remove them with removeUpload once it is gone.
+const findNurseFiles = (nurse) =>
+  [
+    [PHOTOS_DIR, nurse.photo_filename],
+    ...db
+      .prepare('SELECT filename FROM nurse_documents WHERE nurse_id = ?')
+      .all(nurse.id)
+      .map(({ filename }) => [DOCUMENTS_DIR, filename]),
+  ].filter(([, filename]) => filename);
+
+// Columns the list endpoint can sort on, mapped to their SQL expressions
+const SORTABLE_COLUMNS = {
+  id: 'id',
+  name: 'name COLLATE NOCASE',
+  license_number: 'license_number COLLATE NOCASE',
+  dob: 'dob',
+  age: AGE_SQL,
+  created_at: 'created_at',
+  updated_at: 'updated_at',
+  deleted_at: 'deleted_at',
+};
+
+// Custom field values are sorted on as custom_fields.<key>
+const CUSTOM_FIELD_SORT_PREFIX = 'custom_fields.';
+
+// Matches a nurse with a text, number or date custom field value LIKE the
+// bound pattern (yes/no values aren't searched)
+const CUSTOM_FIELD_SEARCH_SQL =
+  "SELECT 1 FROM json_each(nurses.custom_fields) WHERE json_each.type NOT IN ('true', 'false') AND CAST(json_each.value AS TEXT) LIKE ? ESCAPE '\\'";
+
+// The SQL to sort on a column, or null when it can't be sorted on
+const sortExpression = (key) => {
+  if (key.startsWith(CUSTOM_FIELD_SORT_PREFIX)) {
+    const fieldKey = key.slice(CUSTOM_FIELD_SORT_PREFIX.length);
+    // The key pattern keeps the key safe to write into the JSON path
+    return CUSTOM_FIELD_KEY_PATTERN.test(fieldKey) ? `json_extract(custom_fields, '$.${fieldKey}')` : null;
+  }
+  return SORTABLE_COLUMNS[key] || null;
+};
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+// Most nurses a batch request (or an ids filter) can name at once
+const MAX_BATCH_SIZE = 1000;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Escape LIKE wildcards so user input is matched literally
+const escapeLike = (value) => value.replace(/[\\%_]/g, (char) => `\\${char}`);
+
+// Parse an optional non-negative integer query parameter (or JSON body
+// field). A repeated query parameter arrives as an array and is rejected.
+const parseIntParam = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  if (!['string', 'number'].includes(typeof value) || !/^\d+$/.test(value)) {
+    throw new Error(`${name} must be a non-negative integer`);
+  }
+  return parseInt(value, 10);
+};
+
+// Parse an optional YYYY-MM-DD query parameter
+const parseDateParam = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  if (!ISO_DATE_PATTERN.test(value)) {
+    throw new Error(`${name} must be a date in YYYY-MM-DD format`);
+  }
+  return value;
+};
+
+// Parse a list of nurse ids, given as an array or a comma-separated string.
+// Duplicates are dropped. Throws with a client-facing message on bad input.
+const parseIdList = (value, name) => {
+  const ids = (Array.isArray(value) ? value : String(value).split(',')).map((id) => String(id).trim());
+  if (ids.length === 0 || ids.some((id) => !/^[1-9]\d*$/.test(id))) {
+    throw new Error(`${name} must be a list of nurse ids`);
+  }
+  if (ids.length > MAX_BATCH_SIZE) {
+    throw new Error(`${name} cannot name more than ${MAX_BATCH_SIZE} nurses`);
+  }
+  return [...new Set(ids.map(Number))];
+};
+
+// Build the WHERE, ORDER BY and LIMIT parts of the list query from the
+// request's query string. Throws with a client-facing message on bad input.
+const buildNurseListQuery = (query) => {
+  // trash=true lists the nurses in the trash instead of the active ones
+  const conditions = [query.trash === 'true' ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL'];
+  const params = [];
+
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (q) {
+    const pattern = `%${escapeLike(q)}%`;
+    conditions.push(
+      `(name LIKE ? ESCAPE '\\' OR license_number LIKE ? ESCAPE '\\' OR dob LIKE ? ESCAPE '\\' OR CAST(${AGE_SQL} AS TEXT) LIKE ? ESCAPE '\\'
+        OR EXISTS (${CUSTOM_FIELD_SEARCH_SQL}))`
+    );
+    params.push(pattern, pattern, pattern, pattern, pattern);
+  }
+
+  const ageMin = parseIntParam(query.age_min, 'age_min');
+  if (ageMin !== undefined) {
+    conditions.push(`${AGE_SQL} >= ?`);
+    params.push(ageMin);
+  }
+
+  const ageMax = parseIntParam(query.age_max, 'age_max');
+  if (ageMax !== undefined) {
+    conditions.push(`${AGE_SQL} <= ?`);
+    params.push(ageMax);
+  }
+
+  const dobFrom = parseDateParam(query.dob_from, 'dob_from');
+  if (dobFrom) {
+    conditions.push('dob >= ?');
+    params.push(dobFrom);
+  }
+
+  const dobTo = parseDateParam(query.dob_to, 'dob_to');
+  if (dobTo) {
+    conditions.push('dob <= ?');
+    params.push(dobTo);
+  }
+
+  // unit_id=none lists nurses without a primary unit; otherwise a unit's
+  // nurses, including those floating to it
+  if (query.unit_id === 'none') {
+    conditions.push('primary_unit_id IS NULL');
+  } else {
+    const unitId = parseIntParam(query.unit_id, 'unit_id');
+    if (unitId !== undefined) {
+      conditions.push(
+        '(primary_unit_id = ? OR id IN (SELECT nurse_id FROM nurse_float_units WHERE unit_id = ?))'
+      );
+      params.push(unitId, unitId);
+    }
+  }
+
+  // ids=3,7,12 limits the list to those nurses (e.g. to export a selection)
+  if (query.ids !== undefined && query.ids !== '') {
+    const ids = parseIdList(query.ids, 'ids');
+    conditions.push(`id IN (${ids.map(() => '?').join(', ')})`);
+    params.push(...ids);
+  }
+
+  const licensePrefix = typeof query.license_prefix === 'string' ? query.license_prefix.trim() : '';
+  if (licensePrefix) {
+    conditions.push("license_number LIKE ? ESCAPE '\\'");
+    params.push(`${escapeLike(licensePrefix)}%`);
+  }
+
+  // sort=name,-age sorts by name ascending, then age descending;
+  // sort=custom_fields.badge_id sorts by a custom field
+  const orderBy = [];
+  const sort = typeof query.sort === 'string' ? query.sort : '';
+  sort
+    .split(',')
+    .map((field) => field.trim())
+    .filter(Boolean)
+    .forEach((field) => {
+      const descending = field.startsWith('-');
+      const key = descending ? field.slice(1) : field;
+      const expression = sortExpression(key);
+      if (!expression) {
+        throw new Error(`Cannot sort by "${key}"`);
+      }
+      orderBy.push(`${expression} ${descending ? 'DESC' : 'ASC'}`);
+    });
+  // Keep the order stable across pages
+  orderBy.push('id DESC');
+
+  const page = parseIntParam(query.page, 'page') || 1;
+  const limit = parseIntParam(query.limit, 'limit') || DEFAULT_PAGE_SIZE;
+  if (limit > MAX_PAGE_SIZE) {
+    throw new Error(`limit cannot exceed ${MAX_PAGE_SIZE}`);
+  }
+
+  return {
+    where: `WHERE ${conditions.join(' AND ')}`,
+    params,
+    orderBy: `ORDER BY ${orderBy.join(', ')}`,
+    page,
+    limit,
+    offset: (page - 1) * limit,
+  };
+};
+
+module.exports = {
+  AGE_SQL,
+  NURSE_COLUMNS_SQL,
+  NURSE_FIELDS,
+  NURSE_OPTION_FIELDS,
+  MAX_BATCH_SIZE,
+  validateNurseInput,
+  validateNurseFields,
+  normalizeNurseInput,
+  toApiNurse,
+  findEmergencyContacts,
+  saveEmergencyContacts,
+  findNurseFiles,
+  optionLabel,
+  optionValue,
+  buildNurseListQuery,
+  parseIntParam,
+  parseIdList,
+};
@@ -0,0 +1,465 @@
+const NURSE_SCHEMA = require('../shared/nurseSchema.json');
+const EMERGENCY_CONTACT_SCHEMA = require('../shared/emergencyContactSchema.json');
+const { API_KEY_SCOPES, scopeForPath } = require('./apiKeys');
+const { WEBHOOK_EVENTS } = require('./webhooks');
+const { CUSTOM_FIELD_TYPES } = require('./customFields');
+
+// The OpenAPI 3 document for /api/v1, built from the operations listed here,
+// the shared nurse schemas and the API key scopes. Add a route here when
+// adding it to the API; findSpecDrift (run by the tests and at startup)
+// reports any route left out.
+
+const API_VERSION = '1.0.0';
+
+// [method, path, summary, options]. Paths are as mounted under /api/v1.
+// Options: body (a schema name, or true for a free-form JSON object), query
+// ('list' for the nurse list parameters, 'filters' for its filters only),
+// response (a schema name), admin (for routes only admins may call) and
+// public (for routes that need no login).
+const OPERATIONS = [
+  ['post', '/auth/login', 'Log in, returns a bearer token', { body: true, public: true }],
+  ['post', '/auth/logout', 'End the current session', {}],
+  ['get', '/auth/me', 'Get the logged in user', {}],
+  ['get', '/users', 'List users', { admin: true }],
+  ['post', '/users', 'Create a user', { body: true, admin: true }],
+  ['put', '/users/:id', "Change a user's role or password", { body: true, admin: true }],
+  ['delete', '/users/:id', 'Delete a user', { admin: true }],
+  ['get', '/api-keys', 'List API keys and the scopes a key can hold', { admin: true }],
+  ['post', '/api-keys', 'Create an API key; the key is only returned here', {
+    body: 'ApiKeyInput',
+    admin: true,
+  }],
+  ['put', '/api-keys/:id', "Change a key's name, scopes or rate limit", { body: 'ApiKeyInput', admin: true }],
+  ['delete', '/api-keys/:id', 'Revoke an API key', { admin: true }],
+  ['get', '/webhooks', 'List webhooks and the events they can subscribe to', { admin: true }],
+  ['post', '/webhooks', 'Create a webhook', { body: 'WebhookInput', admin: true }],
+  ['put', '/webhooks/:id', 'Change a webhook, or rotate its secret', { body: 'WebhookInput', admin: true }],
+  ['delete', '/webhooks/:id', 'Delete a webhook and its delivery log', { admin: true }],
+  ['post', '/webhooks/:id/test', 'Send a ping event to a webhook', { admin: true }],
+  ['get', '/webhooks/:id/deliveries', "A webhook's delivery log, newest first", { admin: true }],
+  ['post', '/webhooks/:id/deliveries/:deliveryId/redeliver', 'Send a delivery again', { admin: true }],
+  ['get', '/custom-fields', 'List the custom nurse fields, in display order', {}],
+  ['post', '/custom-fields', 'Define a custom nurse field', { body: 'CustomFieldInput', admin: true }],
+  ['put', '/custom-fields/:id', "Change a custom field's label, order or validation", {
+    body: 'CustomFieldInput',
+    admin: true,
+  }],
+  ['delete', '/custom-fields/:id', 'Delete a custom field and every value saved for it', { admin: true }],
+
+  ['get', '/nurses', 'List nurses with search, filters, sorting and pagination', {
+    query: 'list',
+    response: 'NurseList',
+  }],
+  ['get', '/nurses/ids', 'Ids of every nurse matching the search and filters', { query: 'filters' }],
+  ['get', '/nurses/:id', 'Get a nurse, with emergency contacts; add trash=true for one in the trash', {
+    response: 'Nurse',
+  }],
+  ['post', '/nurses', 'Create a nurse', { body: 'NurseInput', response: 'Nurse' }],
+  ['post', '/nurses/import', 'Bulk import nurses (supports dry run)', { body: true }],
+  ['post', '/nurses/batch/delete', 'Move a list of nurses to the trash', { body: true }],
+  ['post', '/nurses/batch/update', 'Set the same fields on a list of nurses', { body: true }],
+  ['put', '/nurses/:id', 'Update a nurse; send If-Match to avoid overwriting changes', {
+    body: 'NurseInput',
+    response: 'Nurse',
+  }],
+  ['delete', '/nurses/:id', 'Move a nurse to the trash', {}],
+  ['post', '/nurses/:id/restore', 'Restore a nurse from the trash', { response: 'Nurse' }],
+  ['delete', '/nurses/:id/purge', 'Permanently delete a nurse in the trash', { admin: true }],
+  ['get', '/nurses/:id/history', "A nurse's audit trail, newest first", {}],
+  ['post', '/nurses/:id/revert', 'Revert a nurse to the version of a history entry', {
+    body: true,
+    response: 'Nurse',
+  }],
+  ['get', '/nurses/:id/photo', "A nurse's profile photo", {}],
+  ['put', '/nurses/:id/photo', 'Upload or replace the photo (raw JPEG, PNG or WebP body)', {}],
+  ['delete', '/nurses/:id/photo', 'Remove the photo', {}],
+  ['get', '/duplicates', 'Pairs of nurses that are likely the same person', {}],
+  ['post', '/duplicates/dismiss', 'Mark a flagged pair as different people', { body: true }],
+  ['post', '/nurses/:id/merge', 'Merge a duplicate into this nurse', { body: true, response: 'Nurse' }],
+  ['get', '/events', 'Server-Sent Events stream of nurse changes', {}],
+  ['get', '/exports/nurses.csv', 'Streamed CSV of the matching nurses', { query: 'filters' }],
+  ['post', '/exports/nurses.csv/link', 'A short-lived download link for the CSV export', { query: 'filters' }],
+
+  ['get', '/nurses/:id/documents', "List a nurse's documents", {}],
+  ['post', '/nurses/:id/documents', 'Attach a document (raw file body)', {}],
+  ['get', '/nurses/:id/documents/:documentId', 'Download a document', {}],
+  ['delete', '/nurses/:id/documents/:documentId', 'Delete a document', {}],
+
+  ['get', '/nurses/:id/credentials', "List a nurse's license credentials", {}],
+  ['post', '/nurses/:id/credentials', 'Add a credential', { body: true }],
+  ['put', '/nurses/:id/credentials/:credentialId', 'Update a credential', { body: true }],
+  ['delete', '/nurses/:id/credentials/:credentialId', 'Delete a credential', {}],
+  ['get', '/credentials/expiring', 'Credentials expired or expiring within `days`', {}],
+
+  ['get', '/shifts', 'Shifts in a date range (`from`, `to`), with assigned nurses', {}],
+  ['post', '/shifts', 'Create a shift', { body: true }],
+  ['put', '/shifts/:id', 'Update a shift', { body: true }],
+  ['delete', '/shifts/:id', 'Delete a shift', {}],
+  ['post', '/shifts/:id/assignments', 'Assign a nurse to a shift', { body: true }],
+  ['delete', '/shifts/:id/assignments/:nurseId', 'Unassign a nurse', {}],
+
+  ['get', '/units', 'List units with charge nurse and headcounts', {}],
+  ['get', '/units/summary', 'Headcount and age distribution per unit', {}],
+  ['post', '/units', 'Create a unit', { body: true }],
+  ['put', '/units/:id', 'Update a unit', { body: true }],
+  ['delete', '/units/:id', 'Delete a unit', {}],
+  ['get', '/nurses/:id/units', "A nurse's primary unit and float units", {}],
+  ['put', '/nurses/:id/units', 'Move a nurse to other units', { body: true }],
+
+  ['get', '/leave-requests', 'Leave requests, filtered by status, nurse and dates', {}],
+  ['post', '/nurses/:id/leave-requests', 'Request leave for a nurse', { body: true }],
+  ['post', '/leave-requests/:id/approve', 'Approve a pending request', { body: true }],
+  ['post', '/leave-requests/:id/reject', 'Reject a pending request', { body: true }],
+  ['delete', '/leave-requests/:id', 'Cancel a leave request', {}],
+  ['get', '/nurses/:id/leave-balances', 'Leave balances per leave type for a year', {}],
+  ['put', '/nurses/:id/leave-balances/:leaveType', "Set a nurse's leave allowance for a year", { body: true }],
+
+  ['get', '/nurses/:id/training', "A nurse's training records", {}],
+  ['post', '/nurses/:id/training', 'Log training for a nurse', { body: true }],
+  ['put', '/nurses/:id/training/:recordId', 'Update a training record', { body: true }],
+  ['delete', '/nurses/:id/training/:recordId', 'Delete a training record', {}],
+  ['get', '/competencies', 'Competencies with the job roles that require them', {}],
+  ['post', '/competencies', 'Create a competency', { body: true }],
+  ['put', '/competencies/:id', 'Update a competency', { body: true }],
+  ['delete', '/competencies/:id', 'Delete a competency', {}],
+  ['get', '/compliance', 'Competency status and CE hours per nurse', {}],
+
+  ['get', '/reports/roster.pdf', 'Roster PDF of the matching nurses', { query: 'filters' }],
+  ['get', '/reports/profiles.pdf', 'Profile PDF pages for the matching nurses', { query: 'filters' }],
+  ['get', '/nurses/:id/profile.pdf', "A nurse's profile PDF", {}],
+  ['get', '/analytics/summary', 'Headcount, average age, recent hires and trash count', {}],
+  ['get', '/analytics/age-distribution', 'Active nurses per age band', {}],
+  ['get', '/analytics/retirement', 'Active nurses reaching retirement age soon', {}],
+  ['get', '/analytics/hires', 'Nurses added per month', {}],
+  ['get', '/analytics/churn', 'Updates, deletes, restores and purges per month', {}],
+];
+
+// Query parameters of the nurse list; exports and reports take the filters
+const FILTER_PARAMETERS = {
+  q: 'Search name, license number, date of birth and age',
+  age_min: 'Minimum age',
+  age_max: 'Maximum age',
+  dob_from: 'Born on or after (YYYY-MM-DD)',
+  dob_to: 'Born on or before (YYYY-MM-DD)',
+  unit_id: 'Primary unit id, or "none" for unassigned nurses',
+  license_prefix: 'License numbers starting with this',
+  ids: 'Comma-separated nurse ids',
+  trash: '"true" for nurses in the trash',
+  sort:
+    'Comma-separated sort fields, each prefixed with "-" for descending (e.g. name,-age); ' +
+    'custom fields sort as custom_fields.<key>',
+};
+const TAG_LABELS = { 'api-keys': 'API keys' };
+
+const PAGE_PARAMETERS = { page: 'Page number, from 1', limit: 'Nurses per page (up to 100)' };
+
+// Turn a shared field schema (nurseSchema.json style) into a JSON Schema object
+const toJsonSchema = (fieldSchemas) => {
+  const properties = Object.fromEntries(
+    Object.entries(fieldSchemas).map(([field, rules]) => {
+      const property = { type: 'string', description: rules.label };
+      if (rules.type === 'date') property.format = 'date';
+      if (rules.minLength) property.minLength = rules.minLength;
+      if (rules.maxLength) property.maxLength = rules.maxLength;
+      if (rules.pattern) property.pattern = rules.pattern;
+      if (rules.options) property.enum = Object.keys(rules.options);
+      if (rules.default) property.default = rules.default;
+      if (!rules.required) property.nullable = true;
+      return [field, property];
+    })
+  );
+  const required = Object.keys(fieldSchemas).filter((field) => fieldSchemas[field].required);
+  return { type: 'object', properties, required };
+};
+
+const buildSchemas = () => {
+  const nurseInput = toJsonSchema(NURSE_SCHEMA);
+  nurseInput.properties.emergency_contacts = {
+    type: 'array',
+    maxItems: 5,
+    items: { $ref: '#/components/schemas/EmergencyContact' },
+  };
+  // Custom fields differ per deployment; see GET /custom-fields for their rules
+  nurseInput.properties.custom_fields = {
+    type: 'object',
+    description: 'Custom field values keyed by field key; on update, replaces all saved values',
+    additionalProperties: { oneOf: [{ type: 'string' }, { type: 'number' }, { type: 'boolean' }] },
+  };
+
+  return {
+    Error: {
+      type: 'object',
+      properties: {
+        error: { type: 'string' },
+        errors: { type: 'object', additionalProperties: { type: 'string' }, description: 'Messages keyed by field' },
+      },
+      required: ['error'],
+    },
+    EmergencyContact: toJsonSchema(EMERGENCY_CONTACT_SCHEMA),
+    NurseInput: nurseInput,
+    Nurse: {
+      allOf: [
+        { $ref: '#/components/schemas/NurseInput' },
+        {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', readOnly: true },
+            age: { type: 'integer', readOnly: true },
+            version: { type: 'integer', readOnly: true },
+            primary_unit_id: { type: 'integer', nullable: true },
+            photo_filename: { type: 'string', nullable: true, readOnly: true },
+            created_at: { type: 'string', readOnly: true },
+            updated_at: { type: 'string', readOnly: true },
+            deleted_at: { type: 'string', nullable: true, readOnly: true },
+          },
+        },
+      ],
+    },
+    NurseList: {
+      type: 'object',
+      properties: {
+        data: { type: 'array', items: { $ref: '#/components/schemas/Nurse' } },
+        total: { type: 'integer' },
+        page: { type: 'integer' },
+        limit: { type: 'integer' },
+        total_pages: { type: 'integer' },
+      },
+    },
+    WebhookInput: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', format: 'uri' },
+        description: { type: 'string', maxLength: 200, nullable: true },
+        events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS } },
+        active: { type: 'boolean' },
+        rotate_secret: { type: 'boolean', description: 'Replace the signing secret (updates only)' },
+      },
+    },
+    CustomFieldInput: {
+      type: 'object',
+      properties: {
+        key: { type: 'string', pattern: '^[a-z][a-z0-9_]{0,39}$', description: 'Cannot be changed' },
+        label: { type: 'string', maxLength: 60 },
+        type: { type: 'string', enum: CUSTOM_FIELD_TYPES, description: 'Cannot be changed' },
+        required: { type: 'boolean' },
+        options: { type: 'array', items: { type: 'string' }, description: 'Choices of a select field' },
+        min_length: { type: 'integer', nullable: true, description: 'Text fields' },
+        max_length: { type: 'integer', nullable: true, description: 'Text fields' },
+        pattern: { type: 'string', nullable: true, description: 'Text fields; a regular expression' },
+        min_value: { type: 'number', nullable: true, description: 'Number fields' },
+        max_value: { type: 'number', nullable: true, description: 'Number fields' },
+        position: { type: 'integer', minimum: 0 },
+      },
+    },
+    ApiKeyInput: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', maxLength: 100 },
+        scopes: { type: 'array', items: { type: 'string', enum: API_KEY_SCOPES } },
+        rate_limit_per_minute: { type: 'integer', minimum: 1 },
+      },
+    },
+  };
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+});
+
+const buildOperation = ([method, path, summary, options]) => {
+  const scope = scopeForPath(method.toUpperCase(), path);
+  // Group by API key resource, so each tag lists what one scope covers
+  const tag = scope ? scope.split(':')[0] : path.split('/')[1];
+  const operation = { summary, tags: [TAG_LABELS[tag] || tag.charAt(0).toUpperCase() + tag.slice(1)] };
+
+  const access = [];
+  if (options.admin) access.push('Admins only.');
+  access.push(scope ? `API keys need the \`${scope}\` scope.` : 'Not available to API keys.');
+  operation.description = access.join(' ');
+
+  const parameters = [...path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: name === 'leaveType' ? { type: 'string' } : { type: 'integer' },
+  }));
+  if (options.query) {
+    const query = options.query === 'list' ? { ...FILTER_PARAMETERS, ...PAGE_PARAMETERS } : FILTER_PARAMETERS;
+    Object.entries(query).forEach(([name, description]) => {
+      parameters.push({ name, in: 'query', description, schema: { type: 'string' } });
+    });
+  }
+  if (parameters.length > 0) operation.parameters = parameters;
+
+  if (options.body) {
+    const schema = options.body === true ? { type: 'object' } : { $ref: `#/components/schemas/${options.body}` };
+    operation.requestBody = { required: true, content: { 'application/json': { schema } } };
+  }
+
+  operation.responses = {
+    200: options.response
+      ? {
+          description: 'OK',
+          content: { 'application/json': { schema: { $ref: `#/components/schemas/${options.response}` } } },
+        }
+      : { description: 'OK' },
+    400: errorResponse('Invalid request'),
+  };
+  if (!options.public) {
+    operation.responses[401] = errorResponse('Not logged in, or an invalid API key');
+    operation.responses[403] = errorResponse('Not allowed for this user or API key');
+    operation.responses[429] = errorResponse("Over the API key's rate limit");
+  } else {
+    operation.security = [];
+  }
+  return operation;
+};
+
+// Build the OpenAPI document
+const buildOpenApiSpec = () => {
+  const paths = {};
+  OPERATIONS.forEach((entry) => {
+    const [method, path] = entry;
+    const openApiPath = path.replace(/:(\w+)/g, '{$1}');
+    paths[openApiPath] = { ...paths[openApiPath], [method]: buildOperation(entry) };
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Nurse Management API',
+      version: API_VERSION,
+      description:
+        'Call the API with a session token from POST /auth/login (`Authorization: Bearer <token>`) ' +
+        'or with an API key (`X-API-Key: <key>`). API keys are limited to their scopes and to a number ' +
+        'of requests per minute, reported in the X-RateLimit-Limit, X-RateLimit-Remaining and ' +
+        'X-RateLimit-Reset headers.',
+    },
+    servers: [{ url: '/api/v1' }],
+    security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer' },
+        apiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      },
+      schemas: buildSchemas(),
+    },
+    paths,
+  };
+};
+
+// Routes under /api/v1 that serve the spec itself rather than the API
+const DOCS_PATHS = ['/openapi.json', '/docs'];
+
+// The path a router layer is mounted at, from the pattern Express compiles
+// for it: ^\/auth\/?(?=\/|$) for '/auth', and fast_slash for '/'
+const mountPath = (layer) =>
+  layer.regexp.fast_slash
+    ? ''
+    : layer.regexp.source
+        .replace(/^\^/, '')
+        .replace('\\/?(?=\\/|$)', '')
+        .replace(/\\\//g, '/');
+
+// [method, path] of every route a router serves, nested routers included
+const listRoutes = (router, prefix = '') =>
+  router.stack.flatMap((layer) => {
+    if (layer.route) {
+      const path = `${prefix}${layer.route.path}`.replace(/(.)\/$/, '$1');
+      return Object.keys(layer.route.methods)
+        .filter((method) => method !== '_all')
+        .map((method) => [method, path]);
+    }
+    if (layer.name === 'router') {
+      return listRoutes(layer.handle, prefix + mountPath(layer));
+    }
+    return [];
+  });
+
+// Compare the routes an app serves under /api/v1 with OPERATIONS: one
+// message per route missing from the spec, or listed but not served
+const findSpecDrift = (app) => {
+  const served = listRoutes(app._router)
+    .filter(([, path]) => path.startsWith('/api/v1/'))
+    .map(([method, path]) => [method, path.slice('/api/v1'.length)])
+    .filter(([, path]) => !DOCS_PATHS.includes(path));
+  const toKey = ([method, path]) => `${method.toUpperCase()} ${path}`;
+  const servedKeys = new Set(served.map(toKey));
+  const documentedKeys = new Set(OPERATIONS.map(toKey));
+
+  return [
+    ...[...servedKeys]
+      .filter((key) => !documentedKeys.has(key))
+      .map((key) => `${key} is served but missing from the OpenAPI spec`),
+    ...[...documentedKeys]
+      .filter((key) => !servedKeys.has(key))
+      .map((key) => `${key} is in the OpenAPI spec but not served`),
+  ];
+};
+
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+// Inline code spans (`...`) in summaries and descriptions
+const formatText = (text) => escapeHtml(text).replace(/`([^`]+)`/g, '<code>$1</code>');
+
+// A self-contained HTML page listing every operation of the spec by tag,
+// so the docs work without loading anything from elsewhere
+const renderDocsPage = (spec) => {
+  const byTag = {};
+  Object.entries(spec.paths).forEach(([path, methods]) => {
+    Object.entries(methods).forEach(([method, operation]) => {
+      (byTag[operation.tags[0]] = byTag[operation.tags[0]] || []).push({ path, method, operation });
+    });
+  });
+
+  const sections = Object.entries(byTag)
+    .map(
+      ([tag, operations]) => `
+    <h2 id="${escapeHtml(tag)}">${escapeHtml(tag)}</h2>
+    ${operations
+      .map(
+        ({ path, method, operation }) => `
+    <div class="operation">
+      <span class="method method-${method}">${method.toUpperCase()}</span>
+      <code>${escapeHtml(spec.servers[0].url + path)}</code>
+      <p>${formatText(operation.summary)}</p>
+      <p class="note">${formatText(operation.description)}</p>
+    </div>`
+      )
+      .join('')}`
+    )
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(spec.info.title)} v${escapeHtml(spec.info.version)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #1f2937; }
+    h2 { border-bottom: 1px solid #e5e7eb; padding-bottom: 0.25rem; margin-top: 2rem; }
+    .operation { padding: 0.5rem 0; border-bottom: 1px solid #f3f4f6; }
+    .operation p { margin: 0.25rem 0 0; }
+    .note { color: #6b7280; font-size: 0.9rem; }
+    .method { display: inline-block; min-width: 4rem; font-weight: 600; font-size: 0.8rem; }
+    .method-get { color: #059669; }
+    .method-post { color: #2563eb; }
+    .method-put { color: #d97706; }
+    .method-delete { color: #dc2626; }
+    code { background: #f3f4f6; padding: 0.1rem 0.3rem; border-radius: 3px; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(spec.info.title)} <small>v${escapeHtml(spec.info.version)}</small></h1>
+  <p>${formatText(spec.info.description)}</p>
+  <p>Machine-readable spec: <a href="openapi.json">openapi.json</a>.
+    Scopes: ${API_KEY_SCOPES.map((scope) => `<code>${scope}</code>`).join(' ')}</p>
+  ${sections}
+</body>
+</html>
+`;
+};
+
+module.exports = { buildOpenApiSpec, findSpecDrift, renderDocsPage };
@@ -0,0 +1,180 @@
+const PDFDocument = require('pdfkit');
+
+// Shared layout for the PDF reports: A4 pages with a title header on every
+// page and "Page X of Y" footers.
+
+const PAGE_MARGIN = 50;
+const FOOTER_HEIGHT = 30;
+
+const COLORS = {
+  text: '#333333',
+  muted: '#777777',
+  rule: '#dddddd',
+  headerFill: '#f0f4f8',
+};
+
+// Format a timestamp for report headers, e.g. "18 Oct 2026, 14:05"
+const formatGeneratedAt = (date = new Date()) =>
+  date.toLocaleString('en-GB', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+// Start a PDF streamed to the response as a download. Pages are buffered so
+// page numbers can be written once the total is known (see finishReport).
+const createReport = (res, filename, { title, layout = 'portrait' } = {}) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    layout,
+    margins: { top: PAGE_MARGIN, bottom: PAGE_MARGIN + FOOTER_HEIGHT, left: PAGE_MARGIN, right: PAGE_MARGIN },
+    bufferPages: true,
+    info: { Title: title, Creator: 'Nurse Management' },
+  });
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+  });
+  doc.pipe(res);
+  doc.font('Helvetica').fillColor(COLORS.text);
+  return doc;
+};
+
+// Write the report title, generation date and an optional subtitle line
+const writeReportHeader = (doc, { title, subtitle, generatedBy }) => {
+  doc.font('Helvetica-Bold').fontSize(18).fillColor(COLORS.text).text(title);
+  doc
+    .font('Helvetica')
+    .fontSize(9)
+    .fillColor(COLORS.muted)
+    .text(`Generated ${formatGeneratedAt()}${generatedBy ? ` by ${generatedBy}` : ''}`);
+  if (subtitle) {
+    doc.text(subtitle);
+  }
+  const y = doc.y + 6;
+  doc
+    .moveTo(doc.page.margins.left, y)
+    .lineTo(doc.page.width - doc.page.margins.right, y)
+    .strokeColor(COLORS.rule)
+    .stroke();
+  doc.y = y + 10;
+  doc.fillColor(COLORS.text);
+};
+
+// Write "Page X of Y" on every page, then end the document
+const finishReport = (doc) => {
+  const { start, count } = doc.bufferedPageRange();
+  for (let index = start; index < start + count; index++) {
+    doc.switchToPage(index);
+    const { margins } = doc.page;
+    // Writing inside the bottom margin would otherwise add a new page
+    const bottomMargin = margins.bottom;
+    margins.bottom = 0;
+    doc
+      .font('Helvetica')
+      .fontSize(8)
+      .fillColor(COLORS.muted)
+      .text(`Page ${index + 1} of ${count}`, margins.left, doc.page.height - PAGE_MARGIN - 10, {
+        width: doc.page.width - margins.left - margins.right,
+        align: 'right',
+        lineBreak: false,
+      });
+    margins.bottom = bottomMargin;
+  }
+  doc.end();
+};
+
+// Draw a table with a header row repeated on every page. columns is a list of
+// { label, width, value(row) } with widths as fractions of the page width.
+const writeTable = (doc, columns, rows) => {
+  const left = doc.page.margins.left;
+  const tableWidth = doc.page.width - left - doc.page.margins.right;
+  const cellPadding = 4;
+  const widths = columns.map(({ width }) => width * tableWidth);
+
+  const rowHeight = (cells, font) => {
+    doc.font(font).fontSize(9);
+    return (
+      Math.max(
+        ...cells.map((cell, index) =>
+          doc.heightOfString(cell, { width: widths[index] - cellPadding * 2 })
+        )
+      ) +
+      cellPadding * 2
+    );
+  };
+
+  const drawRow = (cells, { font = 'Helvetica', fill = null } = {}) => {
+    const height = rowHeight(cells, font);
+    let y = doc.y;
+    if (y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      y = doc.y;
+      if (fill === null) drawHeader();
+      y = doc.y;
+    }
+    if (fill) {
+      doc.rect(left, y, tableWidth, height).fill(fill);
+    }
+    let x = left;
+    doc.font(font).fontSize(9).fillColor(COLORS.text);
+    cells.forEach((cell, index) => {
+      doc.text(cell, x + cellPadding, y + cellPadding, { width: widths[index] - cellPadding * 2 });
+      x += widths[index];
+    });
+    doc
+      .moveTo(left, y + height)
+      .lineTo(left + tableWidth, y + height)
+      .strokeColor(COLORS.rule)
+      .stroke();
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  const drawHeader = () =>
+    drawRow(
+      columns.map(({ label }) => label),
+      { font: 'Helvetica-Bold', fill: COLORS.headerFill }
+    );
+
+  drawHeader();
+  rows.forEach((row) => drawRow(columns.map(({ value }) => String(value(row) ?? ''))));
+};
+
+// Write label/value pairs as a two-column list
+const writeDetails = (doc, details) => {
+  const left = doc.page.margins.left;
+  const labelWidth = 140;
+  const valueWidth = doc.page.width - left - doc.page.margins.right - labelWidth;
+  details.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.muted).text(label, left, y, { width: labelWidth });
+    doc
+      .font('Helvetica')
+      .fillColor(COLORS.text)
+      .text(value === null || value === undefined || value === '' ? '—' : String(value), left + labelWidth, y, {
+        width: valueWidth,
+      });
+    doc.x = left;
+    doc.moveDown(0.4);
+  });
+};
+
+// Write a section heading
+const writeSectionHeading = (doc, heading) => {
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(12).fillColor(COLORS.text).text(heading, doc.page.margins.left);
+  doc.moveDown(0.3);
+};
+
+module.exports = {
+  createReport,
+  writeReportHeader,
+  writeTable,
+  writeDetails,
+  writeSectionHeading,
+  finishReport,
+};
@@ -0,0 +1,286 @@
+const express = require('express');
+const { db, asyncQuery } = require('../db');
+const { requireAuth } = require('../auth');
+const { AGE_SQL, NURSE_COLUMNS_SQL, parseIntParam } = require('../nurses');
+const { sendCsv } = require('../csv');
+
+const router = express.Router();
+
+// Analytics cover active nurses unless noted; trend endpoints also count
+// nurses that have since been deleted. Every endpoint returns CSV instead
+// of JSON with ?format=csv.
+
+const DEFAULT_BIN_SIZE = 5;
+const DEFAULT_RETIREMENT_AGE = 65;
+const DEFAULT_RETIREMENT_WITHIN_YEARS = 5;
+const DEFAULT_MONTHS = 12;
+const MAX_MONTHS = 60;
+
+// Local calendar month of a stored UTC timestamp, as YYYY-MM
+const MONTH_SQL = (column) => `strftime('%Y-%m', ${column}, 'localtime')`;
+
+// Audit actions counted as edits in the churn report. Imports only count
+// when they updated an existing nurse (new ones have no before_data).
+const EDIT_ACTIONS_SQL = "(action IN ('update', 'revert') OR (action = 'import' AND before_data IS NOT NULL))";
+
+// The last `count` calendar months, oldest first, as YYYY-MM
+const recentMonths = (count) => {
+  const now = new Date();
+  return Array.from({ length: count }, (_, index) => {
+    const date = new Date(now.getFullYear(), now.getMonth() - (count - 1 - index), 1);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  });
+};
+
+// Parse an integer query parameter, falling back to a default and enforcing
+// a range. Throws with a client-facing message.
+const parseBoundedInt = (value, name, { fallback, min, max }) => {
+  const parsed = parseIntParam(value, name);
+  if (parsed === undefined) return fallback;
+  if (parsed < min || parsed > max) {
+    throw new Error(`${name} must be between ${min} and ${max}`);
+  }
+  return parsed;
+};
+
+const findAges = () =>
+  db
+    .prepare(`SELECT ${AGE_SQL} AS age FROM nurses WHERE deleted_at IS NULL ORDER BY age`)
+    .all()
+    .map(({ age }) => age);
+
+// Ages grouped into bins of binSize years, from the youngest nurse's bin to
+// the oldest's, including empty bins in between
+const buildAgeHistogram = (ages, binSize) => {
+  if (ages.length === 0) return [];
+  const first = Math.floor(ages[0] / binSize) * binSize;
+  const last = Math.floor(ages[ages.length - 1] / binSize) * binSize;
+  const bins = [];
+  for (let min = first; min <= last; min += binSize) {
+    const max = min + binSize - 1;
+    bins.push({
+      label: binSize === 1 ? String(min) : `${min}–${max}`,
+      min_age: min,
+      max_age: max,
+      count: ages.filter((age) => age >= min && age <= max).length,
+    });
+  }
+  return bins;
+};
+
+// Send rows as JSON, or as a CSV download when ?format=csv
+const sendAnalytics = (req, res, name, columns, rows, extra = {}) => {
+  if (req.query.format === 'csv') {
+    return sendCsv(res, `${name}-${new Date().toISOString().slice(0, 10)}.csv`, columns, rows);
+  }
+  res.json({ ...extra, data: rows });
+};
+
+// GET headline numbers for the dashboard
+router.get('/analytics/summary', requireAuth, async (req, res) => {
+  try {
+    const summary = await asyncQuery(() =>
+      db
+        .prepare(
+          `SELECT
+            COUNT(*) FILTER (WHERE deleted_at IS NULL) AS headcount,
+            ROUND(AVG(${AGE_SQL}) FILTER (WHERE deleted_at IS NULL), 1) AS average_age,
+            COUNT(*) FILTER (WHERE deleted_at IS NOT NULL) AS in_trash,
+            COUNT(*) FILTER (WHERE ${MONTH_SQL('created_at')} >= ?) AS hired_last_12_months
+          FROM nurses`
+        )
+        .get(recentMonths(12)[0])
+    );
+    res.json(summary);
+  } catch (error) {
+    console.error('Error fetching analytics summary:', error);
+    res.status(500).json({ error: 'Failed to fetch analytics summary' });
+  }
+});
+
+// GET the age distribution of active nurses (?bin_size=5)
+router.get('/analytics/age-distribution', requireAuth, async (req, res) => {
+  let binSize;
+  try {
+    binSize = parseBoundedInt(req.query.bin_size, 'bin_size', { fallback: DEFAULT_BIN_SIZE, min: 1, max: 20 });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const bins = buildAgeHistogram(await asyncQuery(findAges), binSize);
+    sendAnalytics(
+      req,
+      res,
+      'age-distribution',
+      [
+        { label: 'Age Range', value: (bin) => bin.label },
+        { label: 'Nurses', value: (bin) => bin.count },
+      ],
+      bins,
+      { bin_size: binSize }
+    );
+  } catch (error) {
+    console.error('Error fetching age distribution:', error);
+    res.status(500).json({ error: 'Failed to fetch age distribution' });
+  }
+});
+
+// GET active nurses reaching retirement age within the next few years
+// (?retirement_age=65&within_years=5), soonest first. Nurses already past
+// retirement age are included with negative years_remaining.
+router.get('/analytics/retirement', requireAuth, async (req, res) => {
+  let retirementAge;
+  let withinYears;
+  try {
+    retirementAge = parseBoundedInt(req.query.retirement_age, 'retirement_age', {
+      fallback: DEFAULT_RETIREMENT_AGE,
+      min: 50,
+      max: 80,
+    });
+    withinYears = parseBoundedInt(req.query.within_years, 'within_years', {
+      fallback: DEFAULT_RETIREMENT_WITHIN_YEARS,
+      min: 1,
+      max: 20,
+    });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const nurses = await asyncQuery(() =>
+      db
+        .prepare(
+          `SELECT * FROM (
+            SELECT ${NURSE_COLUMNS_SQL},
+              date(dob, '+' || ? || ' years') AS retirement_date,
+              (SELECT name FROM units WHERE units.id = nurses.primary_unit_id) AS unit_name
+            FROM nurses WHERE deleted_at IS NULL
+          )
+          WHERE age >= ?
+          ORDER BY dob, name COLLATE NOCASE`
+        )
+        .all(retirementAge, retirementAge - withinYears)
+    );
+
+    sendAnalytics(
+      req,
+      res,
+      'retirement-outlook',
+      [
+        { label: 'Name', value: (nurse) => nurse.name },
+        { label: 'License Number', value: (nurse) => nurse.license_number },
+        { label: 'Date of Birth', value: (nurse) => nurse.dob },
+        { label: 'Age', value: (nurse) => nurse.age },
+        { label: 'Unit', value: (nurse) => nurse.unit_name },
+        { label: 'Retirement Date', value: (nurse) => nurse.retirement_date },
+      ],
+      nurses.map(({ id, name, license_number, dob, age, unit_name, retirement_date }) => ({
+        id,
+        name,
+        license_number,
+        dob,
+        age,
+        unit_name,
+        retirement_date,
+        years_remaining: retirementAge - age,
+      })),
+      { retirement_age: retirementAge, within_years: withinYears }
+    );
+  } catch (error) {
+    console.error('Error fetching retirement outlook:', error);
+    res.status(500).json({ error: 'Failed to fetch retirement outlook' });
+  }
+});
+
+// GET nurses added per month over the last ?months=12 months, by created_at.
+// Nurses since moved to the trash still count.
+router.get('/analytics/hires', requireAuth, async (req, res) => {
+  let months;
+  try {
+    months = recentMonths(
+      parseBoundedInt(req.query.months, 'months', { fallback: DEFAULT_MONTHS, min: 1, max: MAX_MONTHS })
+    );
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const counts = await asyncQuery(() =>
+      db
+        .prepare(
+          `SELECT ${MONTH_SQL('created_at')} AS month, COUNT(*) AS count
+          FROM nurses WHERE ${MONTH_SQL('created_at')} >= ?
+          GROUP BY month`
+        )
+        .all(months[0])
+    );
+    const countsByMonth = Object.fromEntries(counts.map(({ month, count }) => [month, count]));
+
+    sendAnalytics(
+      req,
+      res,
+      'hires-per-month',
+      [
+        { label: 'Month', value: (row) => row.month },
+        { label: 'Hires', value: (row) => row.hires },
+      ],
+      months.map((month) => ({ month, hires: countsByMonth[month] || 0 }))
+    );
+  } catch (error) {
+    console.error('Error fetching hires per month:', error);
+    res.status(500).json({ error: 'Failed to fetch hires per month' });
+  }
+});
+
+// GET record churn per month over the last ?months=12 months, from the
+// audit log: edits, deletions (to the trash), restores and purges
+router.get('/analytics/churn', requireAuth, async (req, res) => {
+  let months;
+  try {
+    months = recentMonths(
+      parseBoundedInt(req.query.months, 'months', { fallback: DEFAULT_MONTHS, min: 1, max: MAX_MONTHS })
+    );
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const counts = await asyncQuery(() =>
+      db
+        .prepare(
+          `SELECT ${MONTH_SQL('created_at')} AS month,
+            COUNT(*) FILTER (WHERE ${EDIT_ACTIONS_SQL}) AS updates,
+            COUNT(*) FILTER (WHERE action = 'delete') AS deletes,
+            COUNT(*) FILTER (WHERE action = 'restore') AS restores,
+            COUNT(*) FILTER (WHERE action = 'purge') AS purges
+          FROM nurse_audit_log WHERE ${MONTH_SQL('created_at')} >= ?
+          GROUP BY month`
+        )
+        .all(months[0])
+    );
+    const countsByMonth = Object.fromEntries(counts.map((row) => [row.month, row]));
+
+    sendAnalytics(
+      req,
+      res,
+      'record-churn',
+      [
+        { label: 'Month', value: (row) => row.month },
+        { label: 'Updates', value: (row) => row.updates },
+        { label: 'Deletes', value: (row) => row.deletes },
+        { label: 'Restores', value: (row) => row.restores },
+        { label: 'Purges', value: (row) => row.purges },
+      ],
+      months.map((month) => {
+        const { updates = 0, deletes = 0, restores = 0, purges = 0 } = countsByMonth[month] || {};
+        return { month, updates, deletes, restores, purges };
+      })
+    );
+  } catch (error) {
+    console.error('Error fetching record churn:', error);
+    res.status(500).json({ error: 'Failed to fetch record churn' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+const express = require('express');
+const { db, asyncQuery } = require('../db');
+const { requireRole, createApiKey } = require('../auth');
+const { API_KEY_SCOPES, DEFAULT_RATE_LIMIT_PER_MINUTE, validateApiKeyInput, toPublicApiKey } = require('../apiKeys');
+
+const router = express.Router();
+
+// Managing API keys is admin-only
+router.use(requireRole('admin'));
+
+const findApiKey = (id) => db.prepare('SELECT * FROM api_keys WHERE id = ?').get(id);
+
+// GET all API keys, live ones first, plus the scopes a key can hold
+router.get('/', async (req, res) => {
+  try {
+    const apiKeys = await asyncQuery(() => {
+      const stmt = db.prepare('SELECT * FROM api_keys ORDER BY revoked_at IS NOT NULL, name COLLATE NOCASE');
+      return stmt.all();
+    });
+    res.json({ api_keys: apiKeys.map(toPublicApiKey), scopes: API_KEY_SCOPES });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+// POST create an API key, e.g. { "name": "Payroll", "scopes": ["nurses:read"],
+// "rate_limit_per_minute": 120 }. The response carries the key itself in
+// `key`; it can't be shown again.
+router.post('/', async (req, res) => {
+  const { name, scopes, rate_limit_per_minute: rateLimit = DEFAULT_RATE_LIMIT_PER_MINUTE } = req.body;
+
+  if (!name || !scopes) {
+    return res.status(400).json({ error: 'Name and scopes are required' });
+  }
+
+  const validationError = validateApiKeyInput({ name, scopes, rate_limit_per_minute: rateLimit });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const { apiKey, key } = await asyncQuery(() => {
+      const created = createApiKey({
+        name: name.trim(),
+        scopes: [...new Set(scopes)],
+        rateLimitPerMinute: rateLimit,
+        username: req.user.username,
+      });
+      return { apiKey: findApiKey(created.id), key: created.key };
+    });
+
+    res.status(201).json({ ...toPublicApiKey(apiKey), key });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// PUT rename a key or change its scopes or rate limit
+router.put('/:id', async (req, res) => {
+  const { name, scopes, rate_limit_per_minute: rateLimit } = req.body;
+  const id = parseInt(req.params.id, 10);
+
+  if (name === undefined && scopes === undefined && rateLimit === undefined) {
+    return res.status(400).json({ error: 'Nothing to update' });
+  }
+
+  const validationError = validateApiKeyInput(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const existingKey = await asyncQuery(() => findApiKey(id));
+    if (!existingKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    if (existingKey.revoked_at) {
+      return res.status(400).json({ error: 'A revoked API key cannot be changed' });
+    }
+
+    const updatedKey = await asyncQuery(() => {
+      db.prepare('UPDATE api_keys SET name = ?, scopes = ?, rate_limit_per_minute = ? WHERE id = ?').run(
+        name !== undefined ? name.trim() : existingKey.name,
+        scopes !== undefined ? JSON.stringify([...new Set(scopes)]) : existingKey.scopes,
+        rateLimit !== undefined ? rateLimit : existingKey.rate_limit_per_minute,
+        id
+      );
+      return findApiKey(id);
+    });
+
+    res.json(toPublicApiKey(updatedKey));
+  } catch (error) {
+    console.error('Error updating API key:', error);
+    res.status(500).json({ error: 'Failed to update API key' });
+  }
+});
+
+// DELETE revoke an API key. It stops working at once but stays listed.
+router.delete('/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+
+  try {
+    const existingKey = await asyncQuery(() => findApiKey(id));
+    if (!existingKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    const revokedKey = await asyncQuery(() => {
+      db.prepare('UPDATE api_keys SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP) WHERE id = ?').run(id);
+      return findApiKey(id);
+    });
+
+    res.json(toPublicApiKey(revokedKey));
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+module.exports = router;
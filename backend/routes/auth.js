@@ -0,0 +1,63 @@
+const express = require('express');
+const { db, asyncQuery } = require('../db');
+const {
+  verifyPassword,
+  toPublicUser,
+  createSession,
+  destroySession,
+  requireAuth,
+} = require('../auth');
+
+const router = express.Router();
+
+// POST log in and receive a bearer token
+router.post('/login', async (req, res) => {
+  const { username, password } = req.body;
+
+  if (!username || !password) {
+    return res.status(400).json({ error: 'Username and password are required' });
+  }
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: 'Username and password must be text' });
+  }
+
+  try {
+    const user = await asyncQuery(() => {
+      const stmt = db.prepare('SELECT * FROM users WHERE username = ?');
+      return stmt.get(username);
+    });
+
+    if (!user || !verifyPassword(password, user.password_hash)) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    const token = await asyncQuery(() => createSession(user.id));
+    res.json({ token, user: toPublicUser(user) });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+// POST log out (ends the current session). Only requests made with a session
+// token have a session to end.
+router.post('/logout', requireAuth, async (req, res) => {
+  if (!req.token) {
+    return res.status(400).json({ error: 'Only a session can be logged out' });
+  }
+
+  try {
+    await asyncQuery(() => destroySession(req.token));
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// GET the currently logged in user
+router.get('/me', requireAuth, (req, res) => {
+  res.json(req.user);
+});
+
+module.exports = router;
@@ -0,0 +1,233 @@
+const express = require('express');
+const { db, asyncQuery } = require('../db');
+const { NURSE_EDITOR_ROLES, requireAuth, requireRole } = require('../auth');
+const { isValidDate } = require('../validation');
+
+const router = express.Router();
+
+const LICENSE_TYPES = ['RN', 'LPN', 'LVN', 'NP', 'APRN', 'CNS', 'CRNA', 'CNM', 'CNA', 'Other'];
+const VERIFICATION_STATUSES = ['unverified', 'pending', 'verified', 'rejected'];
+
+// How far ahead the expiry dashboard looks by default, and at most
+const DEFAULT_EXPIRY_WINDOW_DAYS = 90;
+const MAX_EXPIRY_WINDOW_DAYS = 365;
+
+// Validate a credential payload. Returns an error message, or null when valid.
+const validateCredentialInput = ({
+  license_type,
+  credential_number,
+  issuing_authority,
+  issue_date,
+  expiry_date,
+  verification_status,
+}) => {
+  if (!license_type || !credential_number || !issuing_authority || !expiry_date) {
+    return 'License type, number, issuing authority and expiry date are required';
+  }
+  if (!LICENSE_TYPES.includes(license_type)) {
+    return `License type must be one of: ${LICENSE_TYPES.join(', ')}`;
+  }
+  if ([credential_number, issuing_authority].some((value) => typeof value !== 'string' || !value.trim())) {
+    return 'License number and issuing authority must be text';
+  }
+  if (!isValidDate(expiry_date) || (issue_date && !isValidDate(issue_date))) {
+    return 'Dates must be real dates in YYYY-MM-DD format';
+  }
+  if (issue_date && issue_date > expiry_date) {
+    return 'Issue date must be before the expiry date';
+  }
+  if (verification_status !== undefined && !VERIFICATION_STATUSES.includes(verification_status)) {
+    return `Verification status must be one of: ${VERIFICATION_STATUSES.join(', ')}`;
+  }
+  return null;
+};
+
+// Find an active (not trashed) nurse
+const findActiveNurse = (id) =>
+  db.prepare('SELECT * FROM nurses WHERE id = ? AND deleted_at IS NULL').get(id);
+
+const findCredential = (nurseId, credentialId) =>
+  db
+    .prepare('SELECT * FROM nurse_credentials WHERE id = ? AND nurse_id = ?')
+    .get(credentialId, nurseId);
+
+// GET credentials expiring within ?days= days (default 90), including ones
+// already expired, soonest first
+router.get('/credentials/expiring', requireAuth, async (req, res) => {
+  const days = req.query.days === undefined ? DEFAULT_EXPIRY_WINDOW_DAYS : Number(req.query.days);
+
+  if (!Number.isInteger(days) || days < 0 || days > MAX_EXPIRY_WINDOW_DAYS) {
+    return res
+      .status(400)
+      .json({ error: `days must be a whole number between 0 and ${MAX_EXPIRY_WINDOW_DAYS}` });
+  }
+
+  try {
+    const credentials = await asyncQuery(() => {
+      const stmt = db.prepare(`
+        SELECT nurse_credentials.*,
+          nurses.name AS nurse_name,
+          CAST(julianday(expiry_date) - julianday(date('now')) AS INTEGER) AS days_until_expiry
+        FROM nurse_credentials
+        JOIN nurses ON nurses.id = nurse_credentials.nurse_id
+        WHERE nurses.deleted_at IS NULL AND expiry_date <= date('now', ?)
+        ORDER BY expiry_date, nurses.name COLLATE NOCASE
+      `);
+      return stmt.all(`+${days} days`);
+    });
+    res.json(credentials);
+  } catch (error) {
+    console.error('Error fetching expiring credentials:', error);
+    res.status(500).json({ error: 'Failed to fetch expiring credentials' });
+  }
+});
+
+// GET all credentials of a nurse
+router.get('/nurses/:id/credentials', requireAuth, async (req, res) => {
+  try {
+    const credentials = await asyncQuery(() => {
+      const stmt = db.prepare(
+        'SELECT * FROM nurse_credentials WHERE nurse_id = ? ORDER BY expiry_date DESC'
+      );
+      return stmt.all(req.params.id);
+    });
+    res.json(credentials);
+  } catch (error) {
+    console.error('Error fetching credentials:', error);
+    res.status(500).json({ error: 'Failed to fetch credentials' });
+  }
+});
+
+// POST add a credential to a nurse
+router.post('/nurses/:id/credentials', requireRole(...NURSE_EDITOR_ROLES), async (req, res) => {
+  const validationError = validateCredentialInput(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const {
+    license_type,
+    credential_number,
+    issuing_authority,
+    issue_date,
+    expiry_date,
+    verification_status = 'unverified',
+  } = req.body;
+
+  try {
+    const nurse = await asyncQuery(() => findActiveNurse(req.params.id));
+    if (!nurse) {
+      return res.status(404).json({ error: 'Nurse not found' });
+    }
+
+    const newCredential = await asyncQuery(() => {
+      const result = db
+        .prepare(
+          `INSERT INTO nurse_credentials
+            (nurse_id, license_type, credential_number, issuing_authority, issue_date, expiry_date, verification_status)
+          VALUES (?, ?, ?, ?, ?, ?, ?)`
+        )
+        .run(
+          nurse.id,
+          license_type,
+          credential_number.trim(),
+          issuing_authority.trim(),
+          issue_date || null,
+          expiry_date,
+          verification_status
+        );
+      return db.prepare('SELECT * FROM nurse_credentials WHERE id = ?').get(result.lastInsertRowid);
+    });
+
+    res.status(201).json(newCredential);
+  } catch (error) {
+    console.error('Error creating credential:', error);
+    res.status(500).json({ error: 'Failed to create credential' });
+  }
+});
+
+// PUT update a credential
+router.put(
+  '/nurses/:id/credentials/:credentialId',
+  requireRole(...NURSE_EDITOR_ROLES),
+  async (req, res) => {
+    const validationError = validateCredentialInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const {
+      license_type,
+      credential_number,
+      issuing_authority,
+      issue_date,
+      expiry_date,
+      verification_status = 'unverified',
+    } = req.body;
+    const { id, credentialId } = req.params;
+
+    try {
+      const existingCredential = await asyncQuery(() =>
+        findActiveNurse(id) ? findCredential(id, credentialId) : null
+      );
+
+      if (!existingCredential) {
+        return res.status(404).json({ error: 'Credential not found' });
+      }
+
+      const updatedCredential = await asyncQuery(() => {
+        db.prepare(
+          `UPDATE nurse_credentials SET
+            license_type = ?, credential_number = ?, issuing_authority = ?, issue_date = ?,
+            expiry_date = ?, verification_status = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?`
+        ).run(
+          license_type,
+          credential_number.trim(),
+          issuing_authority.trim(),
+          issue_date || null,
+          expiry_date,
+          verification_status,
+          existingCredential.id
+        );
+        return db.prepare('SELECT * FROM nurse_credentials WHERE id = ?').get(existingCredential.id);
+      });
+
+      res.json(updatedCredential);
+    } catch (error) {
+      console.error('Error updating credential:', error);
+      res.status(500).json({ error: 'Failed to update credential' });
+    }
+  }
+);
+
+// DELETE a credential
+router.delete(
+  '/nurses/:id/credentials/:credentialId',
+  requireRole(...NURSE_EDITOR_ROLES),
+  async (req, res) => {
+    const { id, credentialId } = req.params;
+
+    try {
+      const existingCredential = await asyncQuery(() =>
+        findActiveNurse(id) ? findCredential(id, credentialId) : null
+      );
+
+      if (!existingCredential) {
+        return res.status(404).json({ error: 'Credential not found' });
+      }
+
+      await asyncQuery(() => {
+        const stmt = db.prepare('DELETE FROM nurse_credentials WHERE id = ?');
+        return stmt.run(existingCredential.id);
+      });
+
+      res.json({ message: 'Credential deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting credential:', error);
+      res.status(500).json({ error: 'Failed to delete credential' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,182 @@
+const express = require('express');
+const { db, asyncQuery } = require('../db');
+const { requireAuth, requireRole } = require('../auth');
+const { NURSE_COLUMNS_SQL } = require('../nurses');
+const { findCustomFields, findCustomField, validateCustomFieldInput } = require('../customFields');
+const { recordAudit } = require('../audit');
+const { broadcastNurseChange } = require('../events');
+
+const router = express.Router();
+
+// Settings a custom field stores besides its key and type, with the value
+// each defaults to
+const FIELD_SETTINGS = {
+  label: null,
+  required: false,
+  options: [],
+  min_length: null,
+  max_length: null,
+  pattern: null,
+  min_value: null,
+  max_value: null,
+  position: 0,
+};
+
+// A setting as it is stored: trimmed text, booleans as 0/1, options as JSON
+const toColumnValue = (setting, value) => {
+  if (setting === 'label') return value.trim();
+  if (setting === 'required') return value ? 1 : 0;
+  if (setting === 'options') return JSON.stringify(value.map((option) => option.trim()));
+  if (setting === 'pattern') return value || null;
+  return value;
+};
+
+// GET every custom field, in display order. Nurse forms, the roster and
+// exports are built from this list.
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const fields = await asyncQuery(findCustomFields);
+    res.json(fields);
+  } catch (error) {
+    console.error('Error fetching custom fields:', error);
+    res.status(500).json({ error: 'Failed to fetch custom fields' });
+  }
+});
+
+// POST define a custom field, e.g. { "key": "badge_id", "label": "Badge ID",
+// "type": "text", "required": true, "pattern": "^B\\d{5}$" }
+router.post('/', requireRole('admin'), async (req, res) => {
+  const { key, label, type } = req.body;
+
+  if (!key || !label || !type) {
+    return res.status(400).json({ error: 'key, label and type are required' });
+  }
+  if (type === 'select' && req.body.options === undefined) {
+    return res.status(400).json({ error: 'A select field needs options' });
+  }
+
+  const validationError = validateCustomFieldInput(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const settings = Object.keys(FIELD_SETTINGS);
+  try {
+    const field = await asyncQuery(() => {
+      // New fields go last unless given a position
+      const { nextPosition } = db
+        .prepare('SELECT COALESCE(MAX(position) + 1, 0) AS nextPosition FROM custom_fields')
+        .get();
+      const values = { ...FIELD_SETTINGS, position: nextPosition, ...req.body };
+      const result = db
+        .prepare(
+          `INSERT INTO custom_fields (key, type, ${settings.join(', ')})
+          VALUES (?, ?, ${settings.map(() => '?').join(', ')})`
+        )
+        .run(
+          key,
+          type,
+          ...settings.map((setting) => toColumnValue(setting, values[setting] ?? FIELD_SETTINGS[setting]))
+        );
+      return findCustomField(result.lastInsertRowid);
+    });
+    res.status(201).json(field);
+  } catch (error) {
+    console.error('Error creating custom field:', error);
+    if (error.message.includes('UNIQUE constraint failed')) {
+      return res.status(400).json({ error: `There is already a custom field with the key "${key}"` });
+    }
+    res.status(500).json({ error: 'Failed to create custom field' });
+  }
+});
+
+// PUT change a custom field's label, order or validation. The key and type
+// are fixed, since saved values are stored under the key in that type.
+// Stricter rules apply to saved values the next time each nurse is saved.
+router.put('/:id', requireRole('admin'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+
+  try {
+    const existingField = await asyncQuery(() => findCustomField(id));
+    if (!existingField) {
+      return res.status(404).json({ error: 'Custom field not found' });
+    }
+    if (req.body.key !== undefined && req.body.key !== existingField.key) {
+      return res.status(400).json({ error: 'The key of a custom field cannot be changed' });
+    }
+    if (req.body.type !== undefined && req.body.type !== existingField.type) {
+      return res.status(400).json({ error: 'The type of a custom field cannot be changed' });
+    }
+
+    const validationError = validateCustomFieldInput(req.body, existingField.type);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const settings = Object.keys(FIELD_SETTINGS).filter((setting) => req.body[setting] !== undefined);
+    const updatedField = await asyncQuery(() => {
+      if (settings.length > 0) {
+        db.prepare(
+          `UPDATE custom_fields SET ${settings.map((setting) => `${setting} = ?`).join(', ')},
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?`
+        ).run(
+          ...settings.map((setting) => toColumnValue(setting, req.body[setting] ?? FIELD_SETTINGS[setting])),
+          id
+        );
+      }
+      return findCustomField(id);
+    });
+    res.json(updatedField);
+  } catch (error) {
+    console.error('Error updating custom field:', error);
+    res.status(500).json({ error: 'Failed to update custom field' });
+  }
+});
+
+// DELETE a custom field, and the value every nurse has saved for it. Each
+// nurse that loses a value is updated (and audited) like any other edit.
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+
+  try {
+    const field = await asyncQuery(() => findCustomField(id));
+    if (!field) {
+      return res.status(404).json({ error: 'Custom field not found' });
+    }
+
+    const clearedCount = await asyncQuery(() => {
+      const deleteField = db.transaction(() => {
+        const path = `$.${field.key}`;
+        const nurseIds = db
+          .prepare('SELECT id FROM nurses WHERE json_extract(custom_fields, ?) IS NOT NULL')
+          .pluck()
+          .all(path);
+        const findById = db.prepare(`SELECT ${NURSE_COLUMNS_SQL} FROM nurses WHERE id = ?`);
+        const clearValue = db.prepare(
+          `UPDATE nurses SET custom_fields = json_remove(custom_fields, ?), updated_at = CURRENT_TIMESTAMP,
+            version = version + 1
+          WHERE id = ?`
+        );
+        nurseIds.forEach((nurseId) => {
+          const before = findById.get(nurseId);
+          clearValue.run(path, nurseId);
+          recordAudit({ nurseId, action: 'update', user: req.user, before, after: findById.get(nurseId) });
+        });
+        db.prepare('DELETE FROM custom_fields WHERE id = ?').run(id);
+        return nurseIds.length;
+      });
+      return deleteField();
+    });
+
+    if (clearedCount > 0) {
+      broadcastNurseChange('bulk', { req });
+    }
+    res.json({ message: 'Custom field deleted successfully', cleared_count: clearedCount });
+  } catch (error) {
+    console.error('Error deleting custom field:', error);
+    res.status(500).json({ error: 'Failed to delete custom field' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,194 @@
+const express = require('express');
+const path = require('path');
+const { db, asyncQuery } = require('../db');
+const { NURSE_EDITOR_ROLES, requireAuth, requireRole } = require('../auth');
+const { DOCUMENTS_DIR, DOCUMENT_TYPES, saveUpload, uploadPath, removeUpload } = require('../uploads');
+const { isValidDate } = require('../validation');
+
+const router = express.Router();
+
+// Keep in step with DOCUMENT_TYPE_LABELS in frontend/src/components/NurseDocuments.jsx
+const DOCUMENT_CATEGORIES = ['certificate', 'vaccination', 'id', 'contract', 'other'];
+
+const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+const MAX_FILENAME_LENGTH = 255;
+
+const parseDocument = express.raw({ type: Object.keys(DOCUMENT_TYPES), limit: MAX_DOCUMENT_BYTES });
+
+// Read the document, sent as the raw request body with its file type as the
+// Content-Type, like profile photos. Oversized files get a 413 with a
+// readable message.
+const readDocument = (req, res, next) => {
+  parseDocument(req, res, (error) => {
+    if (error && error.type === 'entity.too.large') {
+      return res.status(413).json({ error: `Document must be at most ${MAX_DOCUMENT_BYTES / 1024 / 1024} MB` });
+    }
+    next(error);
+  });
+};
+
+// Validate the document's details, sent as query parameters next to the raw
+// file. A parameter given twice arrives as an array, so each must be a
+// string. Returns an error message, or null when valid.
+const validateDocumentInput = ({ document_type, expiry_date, filename }) => {
+  if (!DOCUMENT_CATEGORIES.includes(document_type)) {
+    return `Document type must be one of: ${DOCUMENT_CATEGORIES.join(', ')}`;
+  }
+  if (expiry_date !== undefined && (typeof expiry_date !== 'string' || (expiry_date && !isValidDate(expiry_date)))) {
+    return 'Expiry date must be a valid date in YYYY-MM-DD format';
+  }
+  if (filename !== undefined && typeof filename !== 'string') {
+    return 'File name must be given once, as text';
+  }
+  if (filename && filename.length > MAX_FILENAME_LENGTH) {
+    return `File name must be at most ${MAX_FILENAME_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Columns to select for a document in API responses. The stored file name
+// stays internal; clients download through the API.
+const DOCUMENT_COLUMNS_SQL = `id, nurse_id, document_type, original_filename, content_type, size_bytes,
+  expiry_date, uploaded_by_user_id, uploaded_by_username, created_at,
+  CAST(julianday(expiry_date) - julianday(date('now')) AS INTEGER) AS days_until_expiry`;
+
+// Find an active (not trashed) nurse
+const findActiveNurse = (id) =>
+  db.prepare('SELECT * FROM nurses WHERE id = ? AND deleted_at IS NULL').get(id);
+
+const findDocument = (nurseId, documentId) =>
+  db.prepare('SELECT * FROM nurse_documents WHERE id = ? AND nurse_id = ?').get(documentId, nurseId);
+
+// GET all documents attached to a nurse, newest first
+router.get('/nurses/:id/documents', requireAuth, async (req, res) => {
+  try {
+    const documents = await asyncQuery(() => {
+      const stmt = db.prepare(
+        `SELECT ${DOCUMENT_COLUMNS_SQL} FROM nurse_documents WHERE nurse_id = ? ORDER BY created_at DESC, id DESC`
+      );
+      return stmt.all(req.params.id);
+    });
+    res.json(documents);
+  } catch (error) {
+    console.error('Error fetching documents:', error);
+    res.status(500).json({ error: 'Failed to fetch documents' });
+  }
+});
+
+// GET download a document under its original file name
+router.get('/nurses/:id/documents/:documentId', requireAuth, async (req, res) => {
+  try {
+    const document = await asyncQuery(() => findDocument(req.params.id, req.params.documentId));
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.set({
+      'Content-Type': document.content_type,
+      'Cache-Control': 'private, no-cache',
+      'X-Content-Type-Options': 'nosniff',
+    });
+    res.download(uploadPath(DOCUMENTS_DIR, document.filename), document.original_filename, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Error sending document:', error);
+        res.status(404).json({ error: 'Document not found' });
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching document:', error);
+    res.status(500).json({ error: 'Failed to fetch document' });
+  }
+});
+
+// POST attach a document to a nurse: the file is the raw request body (PDF,
+// JPEG, PNG or WebP, up to 10 MB) and its details are query parameters
+// (?document_type=certificate&expiry_date=2027-01-31&filename=bls.pdf)
+router.post('/nurses/:id/documents', requireRole(...NURSE_EDITOR_ROLES), readDocument, async (req, res) => {
+  const type = req.get('Content-Type')?.split(';')[0].trim().toLowerCase();
+  if (!DOCUMENT_TYPES[type] || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(415).json({ error: 'Document must be a PDF, JPEG, PNG or WebP file' });
+  }
+  if (!DOCUMENT_TYPES[type].matches(req.body)) {
+    return res.status(415).json({ error: `File is not a valid ${type.split('/')[1].toUpperCase()} file` });
+  }
+
+  try {
+    const validationError = validateDocumentInput(req.query);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { extension } = DOCUMENT_TYPES[type];
+    const { document_type, expiry_date } = req.query;
+    const originalFilename = path.basename(req.query.filename?.trim() || `${document_type}.${extension}`);
+
+    const nurse = await asyncQuery(() => findActiveNurse(req.params.id));
+    if (!nurse) {
+      return res.status(404).json({ error: 'Nurse not found' });
+    }
+
+    const filename = saveUpload(DOCUMENTS_DIR, req.body, extension);
+    let newDocument;
+    try {
+      newDocument = await asyncQuery(() => {
+        const result = db
+          .prepare(
+            `INSERT INTO nurse_documents
+              (nurse_id, document_type, original_filename, filename, content_type, size_bytes, expiry_date,
+                uploaded_by_user_id, uploaded_by_username)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+          )
+          .run(
+            nurse.id,
+            document_type,
+            originalFilename,
+            filename,
+            type,
+            req.body.length,
+            expiry_date || null,
+            req.user.id,
+            req.user.username
+          );
+        return db
+          .prepare(`SELECT ${DOCUMENT_COLUMNS_SQL} FROM nurse_documents WHERE id = ?`)
+          .get(result.lastInsertRowid);
+      });
+    } catch (error) {
+      removeUpload(DOCUMENTS_DIR, filename);
+      throw error;
+    }
+
+    res.status(201).json(newDocument);
+  } catch (error) {
+    console.error('Error uploading document:', error);
+    res.status(500).json({ error: 'Failed to upload document' });
+  }
+});
+
+// DELETE a document and its file
+router.delete('/nurses/:id/documents/:documentId', requireRole(...NURSE_EDITOR_ROLES), async (req, res) => {
+  const { id, documentId } = req.params;
+
+  try {
+    const existingDocument = await asyncQuery(() =>
+      findActiveNurse(id) ? findDocument(id, documentId) : null
+    );
+
+    if (!existingDocument) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    await asyncQuery(() => {
+      const stmt = db.prepare('DELETE FROM nurse_documents WHERE id = ?');
+      return stmt.run(existingDocument.id);
+    });
+    removeUpload(DOCUMENTS_DIR, existingDocument.filename);
+
+    res.json({ message: 'Document deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting document:', error);
+    res.status(500).json({ error: 'Failed to delete document' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,400 @@
+const express = require('express');
+const { db, asyncQuery } = require('../db');
+const { NURSE_EDITOR_ROLES, requireAuth, requireRole } = require('../auth');
+const { recordAudit } = require('../audit');
+const { NURSE_COLUMNS_SQL, NURSE_FIELDS, findEmergencyContacts, toApiNurse } = require('../nurses');
+const { PHOTOS_DIR, removeUpload } = require('../uploads');
+const { broadcastNurseChange } = require('../events');
+
+const router = express.Router();
+
+// How alike two names must be (0 to 1) for nurses with the same date of birth
+// to be flagged as likely duplicates
+const NAME_MATCH_THRESHOLD = 0.8;
+
+// Fields a merge can take from either record: the profile fields, the unit,
+// the photo, the emergency contacts and the custom field values (as a whole)
+const MERGE_FIELDS = [...NURSE_FIELDS, 'primary_unit_id', 'photo_filename', 'emergency_contacts', 'custom_fields'];
+
+// Tables whose rows belong to a nurse and move to the kept nurse on a merge.
+// Float units the kept nurse already has are dropped with the duplicate;
+// shifts, leave and allowances that would clash stop the merge instead (see
+// findMergeConflicts).
+const MERGED_NURSE_TABLES = [
+  'nurse_credentials',
+  'shift_assignments',
+  'nurse_float_units',
+  'nurse_documents',
+  'leave_requests',
+  'leave_allowances',
+  'training_records',
+];
+
+// Raised when the duplicate's shifts, leave or allowances clash with the kept
+// nurse's; the handler turns it into a 409 listing each conflict
+class MergeConflictError extends Error {
+  constructor(conflicts) {
+    super('These records have clashing shifts or leave; resolve them before merging');
+    this.conflicts = conflicts;
+  }
+}
+
+// Lowercase a name and strip accents and punctuation, so "José O'Neil" and
+// "jose oneil" compare equal
+const normalizeName = (name) =>
+  name
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Levenshtein distance: the fewest single-character edits turning a into b
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const textSimilarity = (a, b) => {
+  const length = Math.max(a.length, b.length);
+  return length === 0 ? 1 : 1 - editDistance(a, b) / length;
+};
+
+// How alike two names are, from 0 to 1, ignoring case, accents, punctuation
+// and word order ("Lee, Ann" matches "Ann Lee")
+const nameSimilarity = (a, b) => {
+  const [first, second] = [normalizeName(a), normalizeName(b)];
+  const sortWords = (name) => name.split(' ').sort().join(' ');
+  return Math.max(textSimilarity(first, second), textSimilarity(sortWords(first), sortWords(second)));
+};
+
+// Pairs of active nurses with the same date of birth and alike names, most
+// alike first. Pairs a reviewer dismissed are left out.
+const findDuplicatePairs = () => {
+  const nurses = db
+    .prepare(
+      `SELECT ${NURSE_COLUMNS_SQL} FROM nurses
+      WHERE deleted_at IS NULL AND dob IN (
+        SELECT dob FROM nurses WHERE deleted_at IS NULL GROUP BY dob HAVING COUNT(*) > 1
+      )
+      ORDER BY dob, id`
+    )
+    .all();
+  const dismissed = new Set(
+    db
+      .prepare('SELECT nurse_id, other_nurse_id FROM nurse_duplicate_dismissals')
+      .all()
+      .map(({ nurse_id, other_nurse_id }) => `${nurse_id}-${other_nurse_id}`)
+  );
+
+  const pairs = [];
+  nurses.forEach((nurse, index) => {
+    // Nurses are ordered by dob, then id, so the lower id comes first
+    for (let j = index + 1; j < nurses.length && nurses[j].dob === nurse.dob; j++) {
+      const other = nurses[j];
+      const score = nameSimilarity(nurse.name, other.name);
+      if (score >= NAME_MATCH_THRESHOLD && !dismissed.has(`${nurse.id}-${other.id}`)) {
+        pairs.push({ score: Math.round(score * 100) / 100, nurses: [nurse, other].map(toApiNurse) });
+      }
+    }
+  });
+  return pairs.sort((a, b) => b.score - a.score);
+};
+
+const findActiveNurse = (id) =>
+  db.prepare(`SELECT ${NURSE_COLUMNS_SQL} FROM nurses WHERE id = ? AND deleted_at IS NULL`).get(id);
+
+const describeShift = (shift) =>
+  `${shift.ward} ${shift.start_time.replace('T', ' ')}–${shift.end_time.slice(11)}`;
+
+const describeLeave = (leave) => `${leave.status} ${leave.leave_type} leave ${leave.start_date} – ${leave.end_date}`;
+
+// Shifts of nurseId overlapping shifts of otherNurseId, the same shift included
+const findOverlappingShifts = (nurseId, otherNurseId) =>
+  db
+    .prepare(
+      `SELECT shift.id, shift.ward, shift.start_time, shift.end_time,
+        other.id AS other_id, other.ward AS other_ward, other.start_time AS other_start_time,
+        other.end_time AS other_end_time
+      FROM shift_assignments JOIN shifts shift ON shift.id = shift_assignments.shift_id
+      JOIN shift_assignments other_assignment ON other_assignment.nurse_id = ?
+      JOIN shifts other ON other.id = other_assignment.shift_id
+      WHERE shift_assignments.nurse_id = ?
+        AND other.start_time < shift.end_time AND other.end_time > shift.start_time
+      ORDER BY shift.start_time`
+    )
+    .all(otherNurseId, nurseId);
+
+// Pending or approved leave of nurseId overlapping that of otherNurseId
+const findOverlappingLeave = (nurseId, otherNurseId) =>
+  db
+    .prepare(
+      `SELECT request.*, other.leave_type AS other_leave_type, other.status AS other_status,
+        other.start_date AS other_start_date, other.end_date AS other_end_date
+      FROM leave_requests request
+      JOIN leave_requests other ON other.nurse_id = ? AND other.status IN ('pending', 'approved')
+      WHERE request.nurse_id = ? AND request.status IN ('pending', 'approved')
+        AND other.start_date <= request.end_date AND other.end_date >= request.start_date
+      ORDER BY request.start_date`
+    )
+    .all(otherNurseId, nurseId);
+
+// Shifts of nurseId during approved leave of otherNurseId. Leave dates are
+// inclusive, as in the shift routes' findLeaveDuring.
+const findShiftsDuringLeave = (nurseId, otherNurseId) =>
+  db
+    .prepare(
+      `SELECT shifts.*, leave_requests.leave_type, leave_requests.status,
+        leave_requests.start_date, leave_requests.end_date
+      FROM shift_assignments JOIN shifts ON shifts.id = shift_assignments.shift_id
+      JOIN leave_requests ON leave_requests.nurse_id = ? AND leave_requests.status = 'approved'
+      WHERE shift_assignments.nurse_id = ?
+        AND leave_requests.start_date || 'T00:00' < shifts.end_time
+        AND date(leave_requests.end_date, '+1 day') || 'T00:00' > shifts.start_time
+      ORDER BY shifts.start_time`
+    )
+    .all(otherNurseId, nurseId);
+
+// Allowances both nurses have for the same leave type and year, with different days
+const findDifferingAllowances = (nurseId, otherNurseId) =>
+  db
+    .prepare(
+      `SELECT allowance.leave_type, allowance.year, allowance.days, other.days AS other_days
+      FROM leave_allowances allowance
+      JOIN leave_allowances other ON other.nurse_id = ? AND other.leave_type = allowance.leave_type
+        AND other.year = allowance.year
+      WHERE allowance.nurse_id = ? AND allowance.days != other.days
+      ORDER BY allowance.year, allowance.leave_type`
+    )
+    .all(otherNurseId, nurseId);
+
+// What moving the duplicate's rows to the kept nurse would double-book or
+// overwrite, as { type, message } entries; empty when the merge is safe
+const findMergeConflicts = (kept, duplicate) => [
+  ...findOverlappingShifts(duplicate.id, kept.id).map((shift) => ({
+    type: 'shift',
+    message:
+      shift.id === shift.other_id
+        ? `Both records are scheduled for ${describeShift(shift)}`
+        : `${duplicate.name}'s shift ${describeShift(shift)} overlaps ${kept.name}'s shift ${describeShift({
+            ward: shift.other_ward,
+            start_time: shift.other_start_time,
+            end_time: shift.other_end_time,
+          })}`,
+  })),
+  ...findOverlappingLeave(duplicate.id, kept.id).map((leave) => ({
+    type: 'leave',
+    message: `${duplicate.name}'s ${describeLeave(leave)} overlaps ${kept.name}'s ${describeLeave({
+      leave_type: leave.other_leave_type,
+      status: leave.other_status,
+      start_date: leave.other_start_date,
+      end_date: leave.other_end_date,
+    })}`,
+  })),
+  ...findShiftsDuringLeave(duplicate.id, kept.id).map((shift) => ({
+    type: 'shift',
+    message: `${duplicate.name}'s shift ${describeShift(shift)} falls in ${kept.name}'s ${describeLeave(shift)}`,
+  })),
+  ...findShiftsDuringLeave(kept.id, duplicate.id).map((shift) => ({
+    type: 'leave',
+    message: `${duplicate.name}'s ${describeLeave(shift)} covers ${kept.name}'s shift ${describeShift(shift)}`,
+  })),
+  ...findDifferingAllowances(duplicate.id, kept.id).map((allowance) => ({
+    type: 'allowance',
+    message:
+      `${allowance.year} ${allowance.leave_type} allowance is ${allowance.days} days for ${duplicate.name} ` +
+      `but ${allowance.other_days} for ${kept.name}`,
+  })),
+];
+
+const isId = (value) => /^[1-9]\d*$/.test(String(value));
+
+// Validate a merge payload: the duplicate to merge in, and for each field
+// the id of the nurse whose value to keep. Returns an error message, or null
+// when valid.
+const validateMergeInput = (keptId, { duplicate_id, fields = {} }) => {
+  if (!isId(duplicate_id)) {
+    return 'duplicate_id must be a nurse id';
+  }
+  if (Number(duplicate_id) === Number(keptId)) {
+    return 'A nurse cannot be merged with itself';
+  }
+  if (typeof fields !== 'object' || fields === null || Array.isArray(fields)) {
+    return 'fields must map field names to the id of the nurse whose value to keep';
+  }
+  const unknownFields = Object.keys(fields).filter((field) => !MERGE_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    return `Cannot merge ${unknownFields.join(', ')}; fields can be: ${MERGE_FIELDS.join(', ')}`;
+  }
+  const badChoice = Object.keys(fields).find(
+    (field) => ![Number(keptId), Number(duplicate_id)].includes(Number(fields[field]))
+  );
+  if (badChoice) {
+    return `${badChoice} must name one of the two nurses being merged`;
+  }
+  return null;
+};
+
+// GET likely duplicate nurses: the same date of birth and alike names
+router.get('/duplicates', requireAuth, async (req, res) => {
+  try {
+    const pairs = await asyncQuery(findDuplicatePairs);
+    res.json(pairs);
+  } catch (error) {
+    console.error('Error finding duplicates:', error);
+    res.status(500).json({ error: 'Failed to find duplicates' });
+  }
+});
+
+// POST mark a flagged pair as two different people, e.g. { "nurse_ids": [3, 9] }
+router.post('/duplicates/dismiss', requireRole(...NURSE_EDITOR_ROLES), async (req, res) => {
+  const { nurse_ids: nurseIds } = req.body;
+
+  if (!Array.isArray(nurseIds) || nurseIds.length !== 2 || !nurseIds.every(isId)) {
+    return res.status(400).json({ error: 'nurse_ids must be the ids of two nurses' });
+  }
+  const [nurseId, otherNurseId] = nurseIds.map(Number).sort((a, b) => a - b);
+  if (nurseId === otherNurseId) {
+    return res.status(400).json({ error: 'nurse_ids must name two different nurses' });
+  }
+
+  try {
+    const nurses = await asyncQuery(() => [findActiveNurse(nurseId), findActiveNurse(otherNurseId)]);
+    if (!nurses.every(Boolean)) {
+      return res.status(404).json({ error: 'Nurse not found' });
+    }
+
+    await asyncQuery(() =>
+      db
+        .prepare(
+          `INSERT OR IGNORE INTO nurse_duplicate_dismissals (nurse_id, other_nurse_id, dismissed_by_username)
+          VALUES (?, ?, ?)`
+        )
+        .run(nurseId, otherNurseId, req.user.username)
+    );
+    res.status(201).json({ nurse_ids: [nurseId, otherNurseId] });
+  } catch (error) {
+    console.error('Error dismissing duplicate:', error);
+    res.status(500).json({ error: 'Failed to dismiss duplicate' });
+  }
+});
+
+// POST merge a duplicate into this nurse. Each field keeps this nurse's
+// value unless `fields` names the duplicate for it, e.g.
+// { "duplicate_id": 9, "fields": { "license_number": 9, "email": 9 } }.
+// The duplicate's credentials, shifts, documents, leave and training move to
+// this nurse, and the duplicate is then deleted for good. A merge whose
+// shifts or leave clash is refused with a 409 listing the conflicts.
+router.post('/nurses/:id/merge', requireRole(...NURSE_EDITOR_ROLES), async (req, res) => {
+  const { id } = req.params;
+
+  const validationError = validateMergeInput(id, req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  const duplicateId = Number(req.body.duplicate_id);
+  const fields = req.body.fields || {};
+
+  try {
+    const [existingNurse, existingDuplicate] = await asyncQuery(() => [
+      findActiveNurse(id),
+      findActiveNurse(duplicateId),
+    ]);
+    if (!existingNurse) {
+      return res.status(404).json({ error: 'Nurse not found' });
+    }
+    if (!existingDuplicate) {
+      return res.status(404).json({ error: 'Duplicate nurse not found' });
+    }
+
+    const { nurse: mergedNurse, discardedPhoto } = await asyncQuery(() => {
+      const mergeNurses = db.transaction(() => {
+        // Re-read inside the transaction so the merge sees current values
+        const kept = findActiveNurse(id);
+        const duplicate = findActiveNurse(duplicateId);
+        const source = (field) => (Number(fields[field]) === duplicate.id ? duplicate : kept);
+        const photo = source('photo_filename').photo_filename;
+        const otherPhoto = source('photo_filename') === kept ? duplicate.photo_filename : kept.photo_filename;
+
+        const conflicts = findMergeConflicts(kept, duplicate);
+        if (conflicts.length > 0) {
+          throw new MergeConflictError(conflicts);
+        }
+
+        MERGED_NURSE_TABLES.forEach((table) => {
+          db.prepare(`UPDATE OR IGNORE ${table} SET nurse_id = ? WHERE nurse_id = ?`).run(kept.id, duplicate.id);
+        });
+        db.prepare('UPDATE units SET charge_nurse_id = ? WHERE charge_nurse_id = ?').run(kept.id, duplicate.id);
+        if (source('emergency_contacts') === duplicate) {
+          db.prepare('DELETE FROM nurse_emergency_contacts WHERE nurse_id = ?').run(kept.id);
+          db.prepare('UPDATE nurse_emergency_contacts SET nurse_id = ? WHERE nurse_id = ?').run(
+            kept.id,
+            duplicate.id
+          );
+        }
+
+        // Delete the duplicate first, so the kept nurse can take its license number
+        db.prepare('DELETE FROM nurses WHERE id = ?').run(duplicate.id);
+        db.prepare(
+          `UPDATE nurses SET ${NURSE_FIELDS.map((field) => `${field} = ?`).join(', ')},
+            primary_unit_id = ?, photo_filename = ?, custom_fields = ?,
+            updated_at = CURRENT_TIMESTAMP, version = version + 1
+          WHERE id = ?`
+        ).run(
+          ...NURSE_FIELDS.map((field) => source(field)[field]),
+          source('primary_unit_id').primary_unit_id,
+          photo,
+          source('custom_fields').custom_fields,
+          kept.id
+        );
+        // A nurse doesn't float to their own primary unit
+        db.prepare(
+          'DELETE FROM nurse_float_units WHERE nurse_id = ? AND unit_id = (SELECT primary_unit_id FROM nurses WHERE id = ?)'
+        ).run(kept.id, kept.id);
+
+        const nurse = { ...toApiNurse(findActiveNurse(kept.id)), emergency_contacts: findEmergencyContacts(kept.id) };
+        recordAudit({
+          nurseId: kept.id,
+          action: 'merge',
+          user: req.user,
+          before: kept,
+          after: nurse,
+          mergedNurseId: duplicate.id,
+        });
+        recordAudit({
+          nurseId: duplicate.id,
+          action: 'merge',
+          user: req.user,
+          before: duplicate,
+          mergedNurseId: kept.id,
+        });
+        return { nurse, discardedPhoto: otherPhoto !== photo ? otherPhoto : null };
+      });
+      return mergeNurses();
+    });
+
+    if (discardedPhoto) {
+      removeUpload(PHOTOS_DIR, discardedPhoto);
+    }
+    broadcastNurseChange('purged', { nurseId: duplicateId, req });
+    broadcastNurseChange('updated', { nurse: mergedNurse, req });
+    res.json(mergedNurse);
+  } catch (error) {
+    if (error instanceof MergeConflictError) {
+      return res.status(409).json({ error: error.message, conflicts: error.conflicts });
+    }
+    console.error('Error merging nurses:', error);
+    res.status(500).json({ error: 'Failed to merge nurses' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,191 @@
+const express = require('express');
+const { db } = require('../db');
+const { requireAuth, createDownloadToken } = require('../auth');
+const { NURSE_COLUMNS_SQL, buildNurseListQuery, optionLabel } = require('../nurses');
+const { CSV_DELIMITERS, UTF8_BOM, formatCsvRow } = require('../csv');
+const { findCustomFields, parseCustomFieldValues, formatCustomFieldValue } = require('../customFields');
+
+const router = express.Router();
+
+// Columns a CSV export can include, in the order they are written
+const EXPORT_COLUMNS = {
+  id: { label: 'ID', value: (nurse) => nurse.id },
+  name: { label: 'Name', value: (nurse) => nurse.name },
+  license_number: { label: 'License Number', value: (nurse) => nurse.license_number },
+  dob: { label: 'Date of Birth', value: (nurse) => nurse.dob },
+  age: { label: 'Age', value: (nurse) => nurse.age },
+  email: { label: 'Email', value: (nurse) => nurse.email },
+  phone: { label: 'Phone', value: (nurse) => nurse.phone },
+  address: { label: 'Address', value: (nurse) => nurse.address },
+  hire_date: { label: 'Hire Date', value: (nurse) => nurse.hire_date },
+  employment_type: {
+    label: 'Employment Type',
+    value: (nurse) => optionLabel('employment_type', nurse.employment_type),
+  },
+  employment_status: {
+    label: 'Employment Status',
+    value: (nurse) => optionLabel('employment_status', nurse.employment_status),
+  },
+  job_role: { label: 'Job Role', value: (nurse) => optionLabel('job_role', nurse.job_role) },
+  unit: { label: 'Unit', value: (nurse) => nurse.unit_name },
+  status: { label: 'Record Status', value: (nurse) => (nurse.deleted_at ? 'In trash' : 'Active') },
+  created_at: { label: 'Created At', value: (nurse) => nurse.created_at },
+  updated_at: { label: 'Updated At', value: (nurse) => nurse.updated_at },
+};
+
+const DEFAULT_EXPORT_COLUMNS = ['name', 'license_number', 'dob', 'age'];
+
+// Rows read per query while streaming, so large rosters never sit in memory
+const EXPORT_BATCH_SIZE = 500;
+
+// Resolve once a response that returned false from write() can take more
+// data, or the client has gone away
+const waitForDrain = (res) =>
+  new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+
+// Export columns for the custom fields, named custom_fields.<key>
+const customFieldColumns = (customFields) =>
+  Object.fromEntries(
+    customFields.map((field) => [
+      `custom_fields.${field.key}`,
+      {
+        label: field.label,
+        value: (nurse) => formatCustomFieldValue(field, parseCustomFieldValues(nurse.custom_fields)[field.key]),
+      },
+    ])
+  );
+
+// Parse the export options (columns, delimiter, bom) from the query string.
+// Throws with a client-facing message on unknown or repeated values.
+const parseExportOptions = (query, customFields) => {
+  for (const name of ['columns', 'delimiter', 'bom']) {
+    if (query[name] !== undefined && typeof query[name] !== 'string') {
+      throw new Error(`${name} can only be given once`);
+    }
+  }
+
+  const exportColumns = { ...EXPORT_COLUMNS, ...customFieldColumns(customFields) };
+  const columns = query.columns
+    ? query.columns.split(',').map((key) => key.trim()).filter(Boolean)
+    : DEFAULT_EXPORT_COLUMNS;
+  const unknown = columns.filter((key) => !exportColumns[key]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown export column(s): ${unknown.join(', ')}`);
+  }
+  if (columns.length === 0) {
+    throw new Error('Choose at least one column to export');
+  }
+
+  const delimiterName = query.delimiter || 'comma';
+  if (!CSV_DELIMITERS[delimiterName]) {
+    throw new Error(`delimiter must be one of: ${Object.keys(CSV_DELIMITERS).join(', ')}`);
+  }
+
+  return {
+    columns: columns.map((key) => exportColumns[key]),
+    delimiter: CSV_DELIMITERS[delimiterName],
+    bom: query.bom === 'true',
+  };
+};
+
+// The list query an export runs: the search, filters and sort of
+// GET /api/nurses, without its page and limit (an export has every match)
+const exportListQuery = ({ page, limit, ...query }) => query;
+
+// POST get a download link for an export: checks the same query string as
+// GET /exports/nurses.csv and returns its URL with a short-lived
+// download_token, so a browser can stream the file straight to disk
+router.post('/exports/nurses.csv/link', requireAuth, (req, res) => {
+  if (req.user.api_key_id) {
+    return res.status(400).json({ error: 'API keys can download the export directly' });
+  }
+  const exportQuery = exportListQuery(req.query);
+  try {
+    buildNurseListQuery(exportQuery);
+    parseExportOptions(exportQuery, findCustomFields());
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const path = req.originalUrl.split('?')[0].replace(/\/link$/, '');
+  const { token, expiresAt } = createDownloadToken(req.user.id, path);
+  const query = new URLSearchParams({ ...exportQuery, download_token: token });
+  res.json({ url: `${path}?${query}`, expires_at: expiresAt.toISOString() });
+});
+
+// GET the nurses matching the list query (search, filters and sort as for
+// GET /api/nurses; page and limit are ignored) as a streamed CSV download
+router.get('/exports/nurses.csv', requireAuth, async (req, res) => {
+  const exportQuery = exportListQuery(req.query);
+  let listQuery;
+  let options;
+  try {
+    listQuery = buildNurseListQuery(exportQuery);
+    options = parseExportOptions(exportQuery, findCustomFields());
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const { where, params, orderBy } = listQuery;
+  const { columns, delimiter, bom } = options;
+
+  // Read the ids of the matching nurses, in order, in one query up front and
+  // then their rows in batches of those ids: nurses added, edited or removed
+  // while the export streams can't shift the batches after them, so no nurse
+  // is skipped or written twice
+  let ids;
+  try {
+    ids = db.prepare(`SELECT id FROM nurses ${where} ${orderBy}`).pluck().all(...params);
+  } catch (error) {
+    console.error('Error exporting nurses:', error);
+    return res.status(500).json({ error: 'Failed to export nurses' });
+  }
+  const selectBatch = (batchIds) =>
+    db
+      .prepare(
+        `SELECT ${NURSE_COLUMNS_SQL},
+          (SELECT name FROM units WHERE units.id = nurses.primary_unit_id) AS unit_name
+        FROM nurses WHERE id IN (${batchIds.map(() => '?').join(', ')})`
+      )
+      .all(...batchIds);
+
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="nurses-${new Date().toISOString().slice(0, 10)}.csv"`,
+  });
+  res.write(`${bom ? UTF8_BOM : ''}${formatCsvRow(columns.map(({ label }) => label), delimiter)}`);
+
+  try {
+    for (let start = 0; start < ids.length && !res.destroyed; start += EXPORT_BATCH_SIZE) {
+      const batchIds = ids.slice(start, start + EXPORT_BATCH_SIZE);
+      const nursesById = new Map(selectBatch(batchIds).map((nurse) => [nurse.id, nurse]));
+      // Nurses purged since the ids were read are left out
+      const chunk = batchIds
+        .filter((id) => nursesById.has(id))
+        .map((id) => formatCsvRow(columns.map(({ value }) => value(nursesById.get(id))), delimiter))
+        .join('');
+      // Wait for slow clients to catch up, and let other requests run,
+      // before reading the next batch
+      if (!res.write(chunk)) {
+        await waitForDrain(res);
+      } else {
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+    }
+    res.end();
+  } catch (error) {
+    // Headers are already sent, so the client can only see a cut-off download
+    console.error('Error exporting nurses:', error);
+    res.destroy(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,392 @@
+const express = require('express');
+const { db, asyncQuery } = require('../db');
+const { NURSE_EDITOR_ROLES, requireAuth, requireRole } = require('../auth');
+const { isValidDate } = require('../validation');
+const { parseIntParam } = require('../nurses');
+
+const router = express.Router();
+
+// Keep in step with LEAVE_TYPE_LABELS in frontend/src/components/LeavePanel.jsx
+const LEAVE_TYPES = ['vacation', 'sick', 'training'];
+const LEAVE_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Days per year a nurse gets of each leave type unless HR sets an allowance
+const DEFAULT_ALLOWANCE_DAYS = { vacation: 20, sick: 10, training: 5 };
+const MAX_ALLOWANCE_DAYS = 366;
+
+const MAX_NOTE_LENGTH = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Raised when leave would overlap other leave or shifts, exceed the nurse's
+// balance, or a request is reviewed twice; handlers turn it into a 409
+class LeaveConflictError extends Error {}
+
+// Days of leave from start to end, both included
+const countDays = (startDate, endDate) => Math.round((Date.parse(endDate) - Date.parse(startDate)) / DAY_MS) + 1;
+
+const isSet = (value) => value !== undefined && value !== null;
+
+// Notes and reasons are optional text; anything else sent for them (a number,
+// false, ...) is refused
+const isValidNote = (value) => !isSet(value) || (typeof value === 'string' && value.length <= MAX_NOTE_LENGTH);
+
+// Validate a leave request payload. Returns an error message, or null when valid.
+const validateLeaveInput = ({ leave_type, start_date, end_date, reason }) => {
+  if (!leave_type || !start_date || !end_date) {
+    return 'Leave type, start date and end date are required';
+  }
+  if (!LEAVE_TYPES.includes(leave_type)) {
+    return `Leave type must be one of: ${LEAVE_TYPES.join(', ')}`;
+  }
+  if (!isValidDate(start_date) || !isValidDate(end_date)) {
+    return 'Dates must be valid dates in YYYY-MM-DD format';
+  }
+  if (end_date < start_date) {
+    return 'End date must be on or after the start date';
+  }
+  // Balances are per calendar year
+  if (start_date.slice(0, 4) !== end_date.slice(0, 4)) {
+    return 'Leave cannot span two years; split it into two requests';
+  }
+  if (!isValidNote(reason)) {
+    return `Reason must be text of at most ${MAX_NOTE_LENGTH} characters`;
+  }
+  return null;
+};
+
+const validateReviewNote = (note) =>
+  isValidNote(note) ? null : `Note must be text of at most ${MAX_NOTE_LENGTH} characters`;
+
+const LEAVE_REQUEST_SELECT = `SELECT leave_requests.*, nurses.name AS nurse_name
+  FROM leave_requests JOIN nurses ON nurses.id = leave_requests.nurse_id`;
+
+const findLeaveRequest = (id) => db.prepare(`${LEAVE_REQUEST_SELECT} WHERE leave_requests.id = ?`).get(id);
+
+// Find an active (not trashed) nurse
+const findActiveNurse = (id) =>
+  db.prepare('SELECT * FROM nurses WHERE id = ? AND deleted_at IS NULL').get(id);
+
+// Find other pending or approved leave of the nurse overlapping the dates
+const findOverlappingLeave = (nurseId, startDate, endDate, excludeRequestId) =>
+  db
+    .prepare(
+      `SELECT * FROM leave_requests
+      WHERE nurse_id = ? AND id != ? AND status IN ('pending', 'approved')
+        AND start_date <= ? AND end_date >= ?
+      LIMIT 1`
+    )
+    .get(nurseId, excludeRequestId, endDate, startDate);
+
+// Find a shift the nurse is assigned to during the dates
+const findShiftDuring = (nurseId, startDate, endDate) =>
+  db
+    .prepare(
+      `SELECT shifts.* FROM shifts
+      JOIN shift_assignments ON shift_assignments.shift_id = shifts.id
+      WHERE shift_assignments.nurse_id = ?
+        AND shifts.start_time < date(?, '+1 day') || 'T00:00' AND shifts.end_time > ? || 'T00:00'
+      ORDER BY shifts.start_time
+      LIMIT 1`
+    )
+    .get(nurseId, endDate, startDate);
+
+// A nurse's allowance and the days approved and pending of each leave type
+// in a year. excludeRequestId leaves one request out of the totals.
+const getLeaveBalances = (nurseId, year, excludeRequestId = 0) => {
+  const allowances = Object.fromEntries(
+    db
+      .prepare('SELECT leave_type, days FROM leave_allowances WHERE nurse_id = ? AND year = ?')
+      .all(nurseId, year)
+      .map(({ leave_type, days }) => [leave_type, days])
+  );
+  const used = Object.fromEntries(
+    db
+      .prepare(
+        `SELECT leave_type,
+          COALESCE(SUM(days) FILTER (WHERE status = 'approved'), 0) AS approved_days,
+          COALESCE(SUM(days) FILTER (WHERE status = 'pending'), 0) AS pending_days
+        FROM leave_requests
+        WHERE nurse_id = ? AND substr(start_date, 1, 4) = ? AND id != ?
+        GROUP BY leave_type`
+      )
+      .all(nurseId, String(year), excludeRequestId)
+      .map((row) => [row.leave_type, row])
+  );
+
+  return LEAVE_TYPES.map((leaveType) => {
+    const allowanceDays = allowances[leaveType] ?? DEFAULT_ALLOWANCE_DAYS[leaveType];
+    const { approved_days = 0, pending_days = 0 } = used[leaveType] || {};
+    return {
+      leave_type: leaveType,
+      allowance_days: allowanceDays,
+      approved_days,
+      pending_days,
+      remaining_days: allowanceDays - approved_days - pending_days,
+    };
+  });
+};
+
+// Throw a LeaveConflictError if the nurse can't take this leave: it overlaps
+// their other leave or exceeds what is left of their balance. Pass the
+// request's id to check an existing request.
+const checkLeave = (nurse, { id = 0, leave_type, start_date, end_date, days }) => {
+  const overlap = findOverlappingLeave(nurse.id, start_date, end_date, id);
+  if (overlap) {
+    throw new LeaveConflictError(
+      `${nurse.name} already has ${overlap.status} ${overlap.leave_type} leave ${overlap.start_date} – ${overlap.end_date}`
+    );
+  }
+
+  const year = Number(start_date.slice(0, 4));
+  const balance = getLeaveBalances(nurse.id, year, id).find((b) => b.leave_type === leave_type);
+  if (days > balance.remaining_days) {
+    throw new LeaveConflictError(
+      `Not enough ${leave_type} leave: ${Math.max(balance.remaining_days, 0)} of ${balance.allowance_days} days left in ${year}`
+    );
+  }
+};
+
+// GET leave requests, filtered by ?status=, ?nurse_id= and the dates
+// ?from= to ?to= they overlap; ordered by start date. ?status=pending is the
+// approval queue, ?status=approved with dates feeds the calendar.
+router.get('/leave-requests', requireAuth, async (req, res) => {
+  const { status, nurse_id, from, to } = req.query;
+
+  if (status !== undefined && !LEAVE_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${LEAVE_STATUSES.join(', ')}` });
+  }
+  if ((from !== undefined && !isValidDate(from)) || (to !== undefined && !isValidDate(to))) {
+    return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' });
+  }
+  let nurseId;
+  try {
+    nurseId = parseIntParam(nurse_id, 'nurse_id');
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const conditions = ['nurses.deleted_at IS NULL'];
+  const params = [];
+  if (status) {
+    conditions.push('leave_requests.status = ?');
+    params.push(status);
+  }
+  if (nurseId !== undefined) {
+    conditions.push('leave_requests.nurse_id = ?');
+    params.push(nurseId);
+  }
+  if (from) {
+    conditions.push('leave_requests.end_date >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('leave_requests.start_date <= ?');
+    params.push(to);
+  }
+
+  try {
+    const requests = await asyncQuery(() => {
+      const stmt = db.prepare(
+        `${LEAVE_REQUEST_SELECT} WHERE ${conditions.join(' AND ')}
+        ORDER BY leave_requests.start_date, nurses.name COLLATE NOCASE`
+      );
+      return stmt.all(...params);
+    });
+    res.json(requests);
+  } catch (error) {
+    console.error('Error fetching leave requests:', error);
+    res.status(500).json({ error: 'Failed to fetch leave requests' });
+  }
+});
+
+// POST request leave for a nurse (starts out pending)
+router.post('/nurses/:id/leave-requests', requireRole(...NURSE_EDITOR_ROLES), async (req, res) => {
+  try {
+    const validationError = validateLeaveInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { leave_type, start_date, end_date } = req.body;
+    const reason = req.body.reason?.trim() || null;
+    const days = countDays(start_date, end_date);
+
+    const nurse = await asyncQuery(() => findActiveNurse(req.params.id));
+    if (!nurse) {
+      return res.status(404).json({ error: 'Nurse not found' });
+    }
+
+    const newRequest = await asyncQuery(() => {
+      const requestLeave = db.transaction(() => {
+        checkLeave(nurse, { leave_type, start_date, end_date, days });
+        const result = db
+          .prepare(
+            `INSERT INTO leave_requests
+              (nurse_id, leave_type, start_date, end_date, days, reason, requested_by_username)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`
+          )
+          .run(nurse.id, leave_type, start_date, end_date, days, reason, req.user.username);
+        return findLeaveRequest(result.lastInsertRowid);
+      });
+      return requestLeave();
+    });
+
+    res.status(201).json(newRequest);
+  } catch (error) {
+    if (error instanceof LeaveConflictError) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Error creating leave request:', error);
+    res.status(500).json({ error: 'Failed to create leave request' });
+  }
+});
+
+// Approve or reject a pending request, with an optional { note }. Approval
+// re-checks the balance and refuses leave during shifts the nurse is
+// assigned to.
+const reviewLeaveRequest = (status) => async (req, res) => {
+  try {
+    const noteError = validateReviewNote(req.body.note);
+    if (noteError) {
+      return res.status(400).json({ error: noteError });
+    }
+    const note = req.body.note?.trim() || null;
+
+    const existingRequest = await asyncQuery(() => findLeaveRequest(req.params.id));
+    if (!existingRequest) {
+      return res.status(404).json({ error: 'Leave request not found' });
+    }
+
+    const reviewedRequest = await asyncQuery(() => {
+      const review = db.transaction(() => {
+        // Read again inside the transaction so two reviewers can't both act
+        const request = findLeaveRequest(existingRequest.id);
+        if (request.status !== 'pending') {
+          throw new LeaveConflictError(`This request has already been ${request.status}`);
+        }
+
+        if (status === 'approved') {
+          const nurse = findActiveNurse(request.nurse_id);
+          if (!nurse) {
+            throw new LeaveConflictError('This nurse is in the trash');
+          }
+          checkLeave(nurse, request);
+          const shift = findShiftDuring(nurse.id, request.start_date, request.end_date);
+          if (shift) {
+            throw new LeaveConflictError(
+              `${nurse.name} is scheduled for ${shift.ward} on ${shift.start_time.slice(0, 10)}; unassign them first`
+            );
+          }
+        }
+
+        db.prepare(
+          `UPDATE leave_requests SET status = ?, review_note = ?, reviewed_by_username = ?,
+            reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?`
+        ).run(status, note, req.user.username, request.id);
+        return findLeaveRequest(request.id);
+      });
+      return review();
+    });
+
+    res.json(reviewedRequest);
+  } catch (error) {
+    if (error instanceof LeaveConflictError) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Error reviewing leave request:', error);
+    res.status(500).json({ error: 'Failed to review leave request' });
+  }
+};
+
+// POST approve a pending leave request
+router.post('/leave-requests/:id/approve', requireRole(...NURSE_EDITOR_ROLES), reviewLeaveRequest('approved'));
+
+// POST reject a pending leave request
+router.post('/leave-requests/:id/reject', requireRole(...NURSE_EDITOR_ROLES), reviewLeaveRequest('rejected'));
+
+// DELETE cancel a leave request, whatever its status
+router.delete('/leave-requests/:id', requireRole(...NURSE_EDITOR_ROLES), async (req, res) => {
+  try {
+    const result = await asyncQuery(() => {
+      const stmt = db.prepare('DELETE FROM leave_requests WHERE id = ?');
+      return stmt.run(req.params.id);
+    });
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Leave request not found' });
+    }
+
+    res.json({ message: 'Leave request cancelled' });
+  } catch (error) {
+    console.error('Error cancelling leave request:', error);
+    res.status(500).json({ error: 'Failed to cancel leave request' });
+  }
+});
+
+// GET a nurse's leave balances for ?year= (default this year)
+router.get('/nurses/:id/leave-balances', requireAuth, async (req, res) => {
+  const year = req.query.year === undefined ? new Date().getFullYear() : Number(req.query.year);
+  if (!Number.isInteger(year) || year < 1900 || year > 9999) {
+    return res.status(400).json({ error: 'year must be a four-digit year' });
+  }
+
+  try {
+    const nurse = await asyncQuery(() => db.prepare('SELECT id FROM nurses WHERE id = ?').get(req.params.id));
+    if (!nurse) {
+      return res.status(404).json({ error: 'Nurse not found' });
+    }
+
+    const balances = await asyncQuery(() => getLeaveBalances(nurse.id, year));
+    res.json({ year, balances });
+  } catch (error) {
+    console.error('Error fetching leave balances:', error);
+    res.status(500).json({ error: 'Failed to fetch leave balances' });
+  }
+});
+
+// PUT set a nurse's allowance of a leave type for a year
+// ({ "year": 2026, "allowance_days": 25 })
+router.put(
+  '/nurses/:id/leave-balances/:leaveType',
+  requireRole(...NURSE_EDITOR_ROLES),
+  async (req, res) => {
+    const { leaveType } = req.params;
+    const year = Number(req.body.year);
+    const allowanceDays = Number(req.body.allowance_days);
+
+    if (!LEAVE_TYPES.includes(leaveType)) {
+      return res.status(400).json({ error: `Leave type must be one of: ${LEAVE_TYPES.join(', ')}` });
+    }
+    if (!Number.isInteger(year) || year < 1900 || year > 9999) {
+      return res.status(400).json({ error: 'year must be a four-digit year' });
+    }
+    if (!Number.isInteger(allowanceDays) || allowanceDays < 0 || allowanceDays > MAX_ALLOWANCE_DAYS) {
+      return res
+        .status(400)
+        .json({ error: `allowance_days must be a whole number between 0 and ${MAX_ALLOWANCE_DAYS}` });
+    }
+
+    try {
+      const nurse = await asyncQuery(() => findActiveNurse(req.params.id));
+      if (!nurse) {
+        return res.status(404).json({ error: 'Nurse not found' });
+      }
+
+      const balances = await asyncQuery(() => {
+        db.prepare(
+          `INSERT INTO leave_allowances (nurse_id, leave_type, year, days) VALUES (?, ?, ?, ?)
+          ON CONFLICT (nurse_id, leave_type, year) DO UPDATE SET days = excluded.days`
+        ).run(nurse.id, leaveType, year, allowanceDays);
+        return getLeaveBalances(nurse.id, year);
+      });
+
+      res.json({ year, balances });
+    } catch (error) {
+      console.error('Error updating leave allowance:', error);
+      res.status(500).json({ error: 'Failed to update leave allowance' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,124 @@
+const express = require('express');
+const { db, asyncQuery } = require('../db');
+const { requireAuth, requireRole, NURSE_EDITOR_ROLES } = require('../auth');
+const { NURSE_COLUMNS_SQL, toApiNurse } = require('../nurses');
+const { PHOTOS_DIR, IMAGE_TYPES, CONTENT_TYPES, saveUpload, uploadPath, removeUpload } = require('../uploads');
+const { broadcastNurseChange } = require('../events');
+
+const router = express.Router();
+
+const MAX_PHOTO_BYTES = 2 * 1024 * 1024;
+
+const parsePhoto = express.raw({ type: Object.keys(IMAGE_TYPES), limit: MAX_PHOTO_BYTES });
+
+// Read the photo, sent as the raw request body with its image type as the
+// Content-Type (e.g. fetch(url, { method: 'PUT', body: file })). Oversized
+// files get a 413 with a readable message.
+const readPhoto = (req, res, next) => {
+  parsePhoto(req, res, (error) => {
+    if (error && error.type === 'entity.too.large') {
+      return res.status(413).json({ error: `Photo must be at most ${MAX_PHOTO_BYTES / 1024 / 1024} MB` });
+    }
+    next(error);
+  });
+};
+
+const findNurse = (id) => toApiNurse(db.prepare(`SELECT ${NURSE_COLUMNS_SQL} FROM nurses WHERE id = ?`).get(id));
+
+// Point a nurse at a new photo file (or none). The photo is not part of the
+// edit form, so this doesn't bump the nurse's version.
+const setPhoto = (id, filename) => {
+  db.prepare('UPDATE nurses SET photo_filename = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(
+    filename,
+    id
+  );
+  return findNurse(id);
+};
+
+// GET a nurse's profile photo
+router.get('/nurses/:id/photo', requireAuth, async (req, res) => {
+  try {
+    const nurse = await asyncQuery(() => findNurse(req.params.id));
+    if (!nurse || !nurse.photo_filename) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    const extension = nurse.photo_filename.split('.').pop();
+    res.set({
+      'Content-Type': CONTENT_TYPES[extension],
+      'Cache-Control': 'private, no-cache',
+      'X-Content-Type-Options': 'nosniff',
+    });
+    res.sendFile(uploadPath(PHOTOS_DIR, nurse.photo_filename), (error) => {
+      if (error && !res.headersSent) {
+        console.error('Error sending nurse photo:', error);
+        res.status(404).json({ error: 'Photo not found' });
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching nurse photo:', error);
+    res.status(500).json({ error: 'Failed to fetch photo' });
+  }
+});
+
+// PUT upload or replace a nurse's profile photo (JPEG, PNG or WebP, up to 2 MB)
+router.put('/nurses/:id/photo', requireRole(...NURSE_EDITOR_ROLES), readPhoto, async (req, res) => {
+  const type = req.get('Content-Type')?.split(';')[0].trim().toLowerCase();
+  if (!IMAGE_TYPES[type] || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(415).json({ error: 'Photo must be a JPEG, PNG or WebP image' });
+  }
+  if (!IMAGE_TYPES[type].matches(req.body)) {
+    return res.status(415).json({ error: `File is not a valid ${type.split('/')[1].toUpperCase()} image` });
+  }
+
+  try {
+    const existing = await asyncQuery(() =>
+      db.prepare('SELECT * FROM nurses WHERE id = ? AND deleted_at IS NULL').get(req.params.id)
+    );
+    if (!existing) {
+      return res.status(404).json({ error: 'Nurse not found' });
+    }
+
+    const filename = saveUpload(PHOTOS_DIR, req.body, IMAGE_TYPES[type].extension);
+    let nurse;
+    try {
+      nurse = await asyncQuery(() => setPhoto(existing.id, filename));
+    } catch (error) {
+      removeUpload(PHOTOS_DIR, filename);
+      throw error;
+    }
+    removeUpload(PHOTOS_DIR, existing.photo_filename);
+
+    broadcastNurseChange('updated', { nurse, req });
+    res.json(nurse);
+  } catch (error) {
+    console.error('Error uploading nurse photo:', error);
+    res.status(500).json({ error: 'Failed to upload photo' });
+  }
+});
+
+// DELETE a nurse's profile photo
+router.delete('/nurses/:id/photo', requireRole(...NURSE_EDITOR_ROLES), async (req, res) => {
+  try {
+    const existing = await asyncQuery(() =>
+      db.prepare('SELECT * FROM nurses WHERE id = ? AND deleted_at IS NULL').get(req.params.id)
+    );
+    if (!existing) {
+      return res.status(404).json({ error: 'Nurse not found' });
+    }
+    if (!existing.photo_filename) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    const nurse = await asyncQuery(() => setPhoto(existing.id, null));
+    removeUpload(PHOTOS_DIR, existing.photo_filename);
+
+    broadcastNurseChange('updated', { nurse, req });
+    res.json(nurse);
+  } catch (error) {
+    console.error('Error removing nurse photo:', error);
+    res.status(500).json({ error: 'Failed to remove photo' });
+  }
+});
+
+module.exports = router;
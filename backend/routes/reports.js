@@ -0,0 +1,276 @@
+const express = require('express');
+const { db, asyncQuery } = require('../db');
+const { requireAuth } = require('../auth');
+const {
+  NURSE_COLUMNS_SQL,
+  buildNurseListQuery,
+  parseIntParam,
+  findEmergencyContacts,
+  optionLabel,
+} = require('../nurses');
+const {
+  createReport,
+  writeReportHeader,
+  writeTable,
+  writeDetails,
+  writeSectionHeading,
+  finishReport,
+} = require('../reports');
+
+const router = express.Router();
+
+// Profile reports get one page per nurse, so keep them to a printable size
+const MAX_PROFILES = 200;
+
+// Upcoming shifts listed on a profile
+const PROFILE_SHIFT_LIMIT = 10;
+
+const ROSTER_COLUMNS = [
+  { label: 'Name', width: 0.28, value: (nurse) => nurse.name },
+  { label: 'License Number', width: 0.2, value: (nurse) => nurse.license_number },
+  { label: 'Date of Birth', width: 0.16, value: (nurse) => nurse.dob },
+  { label: 'Age', width: 0.08, value: (nurse) => nurse.age },
+  { label: 'Unit', width: 0.28, value: (nurse) => nurse.unit_name || '—' },
+];
+
+// Today's date as YYYY-MM-DD, for report file names
+const today = () => new Date().toISOString().slice(0, 10);
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+// Nurses matching a list query (from buildNurseListQuery), in its sort order,
+// with unit names
+const findReportNurses = ({ where, params, orderBy }) =>
+  db
+    .prepare(
+      `SELECT ${NURSE_COLUMNS_SQL},
+        (SELECT name FROM units WHERE units.id = nurses.primary_unit_id) AS unit_name
+      FROM nurses ${where} ${orderBy}`
+    )
+    .all(...params);
+
+// A query value as trimmed text; repeated parameters (arrays) and nested
+// objects are ignored, as buildNurseListQuery ignores them
+const textParam = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// One line describing the search, filters and sort a report was run with.
+// Call after buildNurseListQuery has accepted the query.
+const describeListQuery = (query) => {
+  const param = (name) => textParam(query[name]);
+  const parts = [];
+  if (param('q')) parts.push(`Search "${param('q')}"`);
+  if (param('age_min') || param('age_max')) parts.push(`Age ${param('age_min') || '0'}–${param('age_max') || 'any'}`);
+  if (param('dob_from') || param('dob_to')) {
+    parts.push(`DOB ${param('dob_from') || '…'} to ${param('dob_to') || '…'}`);
+  }
+  if (param('license_prefix')) parts.push(`License starts with "${param('license_prefix')}"`);
+  if (param('unit_id') === 'none') {
+    parts.push('Unassigned nurses');
+  } else if (param('unit_id')) {
+    const unit = db.prepare('SELECT name FROM units WHERE id = ?').get(parseIntParam(param('unit_id'), 'unit_id'));
+    if (unit) parts.push(`Unit ${unit.name}`);
+  }
+  const sort = param('sort')
+    .split(',')
+    .map((field) => field.trim())
+    .filter(Boolean);
+  if (sort.length > 0) parts.push(`Sorted by ${sort.join(', ')}`);
+  if (query.trash === 'true') parts.push('Trash');
+  return parts.length > 0 ? parts.join(' · ') : 'All active nurses';
+};
+
+// Everything on a nurse's profile page besides the nurse row itself
+const findProfileDetails = (nurse) => ({
+  emergencyContacts: findEmergencyContacts(nurse.id),
+  floatUnits: db
+    .prepare(
+      `SELECT units.name FROM nurse_float_units
+      JOIN units ON units.id = nurse_float_units.unit_id
+      WHERE nurse_float_units.nurse_id = ?
+      ORDER BY units.name COLLATE NOCASE`
+    )
+    .all(nurse.id)
+    .map(({ name }) => name),
+  credentials: db
+    .prepare('SELECT * FROM nurse_credentials WHERE nurse_id = ? ORDER BY expiry_date')
+    .all(nurse.id),
+  shifts: db
+    .prepare(
+      `SELECT shifts.* FROM shift_assignments
+      JOIN shifts ON shifts.id = shift_assignments.shift_id
+      WHERE shift_assignments.nurse_id = ? AND shifts.end_time >= strftime('%Y-%m-%dT%H:%M', 'now', 'localtime')
+      ORDER BY shifts.start_time
+      LIMIT ?`
+    )
+    .all(nurse.id, PROFILE_SHIFT_LIMIT),
+});
+
+// Write one nurse's profile on the current page
+const writeProfile = (doc, nurse, { emergencyContacts, floatUnits, credentials, shifts }, generatedBy) => {
+  writeReportHeader(doc, { title: nurse.name, subtitle: 'Nurse Profile', generatedBy });
+
+  writeDetails(doc, [
+    ['License Number', nurse.license_number],
+    ['Date of Birth', nurse.dob],
+    ['Age', nurse.age],
+    ['Email', nurse.email],
+    ['Phone', nurse.phone],
+    ['Address', nurse.address],
+    ['Hire Date', nurse.hire_date],
+    ['Employment Type', optionLabel('employment_type', nurse.employment_type)],
+    ['Employment Status', optionLabel('employment_status', nurse.employment_status)],
+    ['Job Role', optionLabel('job_role', nurse.job_role)],
+    ['Primary Unit', nurse.unit_name],
+    ['Floats To', floatUnits.join(', ')],
+    ['Record Status', nurse.deleted_at ? `In trash since ${nurse.deleted_at}` : 'Active'],
+    ['Record Created', nurse.created_at],
+    ['Last Updated', nurse.updated_at],
+  ]);
+
+  writeSectionHeading(doc, 'Emergency Contacts');
+  if (emergencyContacts.length === 0) {
+    doc.font('Helvetica').fontSize(10).text('No emergency contacts recorded.');
+  } else {
+    writeTable(
+      doc,
+      [
+        { label: 'Name', width: 0.3, value: (contact) => contact.name },
+        { label: 'Relationship', width: 0.2, value: (contact) => contact.relationship || '—' },
+        { label: 'Phone', width: 0.2, value: (contact) => contact.phone },
+        { label: 'Email', width: 0.3, value: (contact) => contact.email || '—' },
+      ],
+      emergencyContacts
+    );
+  }
+
+  writeSectionHeading(doc, 'Licenses');
+  if (credentials.length === 0) {
+    doc.font('Helvetica').fontSize(10).text('No licenses recorded.');
+  } else {
+    writeTable(
+      doc,
+      [
+        { label: 'Type', width: 0.12, value: (c) => c.license_type },
+        { label: 'Number', width: 0.22, value: (c) => c.credential_number },
+        { label: 'Issued By', width: 0.28, value: (c) => c.issuing_authority },
+        { label: 'Expires', width: 0.18, value: (c) => c.expiry_date },
+        { label: 'Verification', width: 0.2, value: (c) => capitalize(c.verification_status) },
+      ],
+      credentials
+    );
+  }
+
+  writeSectionHeading(doc, 'Upcoming Shifts');
+  if (shifts.length === 0) {
+    doc.font('Helvetica').fontSize(10).text('No upcoming shifts.');
+  } else {
+    writeTable(
+      doc,
+      [
+        { label: 'Ward', width: 0.4, value: (shift) => shift.ward },
+        { label: 'Start', width: 0.3, value: (shift) => shift.start_time.replace('T', ' ') },
+        { label: 'End', width: 0.3, value: (shift) => shift.end_time.replace('T', ' ') },
+      ],
+      shifts
+    );
+  }
+};
+
+// GET roster PDF for the nurses matching the list query (search, filters
+// and sort as for GET /api/nurses; page and limit are ignored)
+router.get('/reports/roster.pdf', requireAuth, async (req, res) => {
+  let listQuery;
+  try {
+    listQuery = buildNurseListQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  // Everything that can fail happens before the PDF starts streaming, while
+  // an error can still be sent as JSON
+  let nurses;
+  let subtitle;
+  try {
+    ({ nurses, subtitle } = await asyncQuery(() => {
+      const found = findReportNurses(listQuery);
+      const count = `${found.length} nurse${found.length !== 1 ? 's' : ''}`;
+      return { nurses: found, subtitle: `${describeListQuery(req.query)} · ${count}` };
+    }));
+  } catch (error) {
+    console.error('Error building roster report:', error);
+    return res.status(500).json({ error: 'Failed to build roster report' });
+  }
+
+  const doc = createReport(res, `nurse-roster-${today()}.pdf`, { title: 'Nurse Roster' });
+  writeReportHeader(doc, { title: 'Nurse Roster', subtitle, generatedBy: req.user.username });
+  writeTable(doc, ROSTER_COLUMNS, nurses);
+  finishReport(doc);
+});
+
+// GET one profile page per nurse matching the list query
+router.get('/reports/profiles.pdf', requireAuth, async (req, res) => {
+  let listQuery;
+  try {
+    listQuery = buildNurseListQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  let profiles;
+  try {
+    profiles = await asyncQuery(() => {
+      const nurses = findReportNurses(listQuery);
+      if (nurses.length > MAX_PROFILES) return null;
+      return nurses.map((nurse) => ({ nurse, details: findProfileDetails(nurse) }));
+    });
+  } catch (error) {
+    console.error('Error building profile report:', error);
+    return res.status(500).json({ error: 'Failed to build profile report' });
+  }
+
+  if (!profiles) {
+    return res.status(400).json({
+      error: `Too many nurses for a profile report (maximum ${MAX_PROFILES}); narrow the search or filters`,
+    });
+  }
+  if (profiles.length === 0) {
+    return res.status(404).json({ error: 'No nurses match the current search' });
+  }
+
+  const doc = createReport(res, `nurse-profiles-${today()}.pdf`, { title: 'Nurse Profiles' });
+  profiles.forEach(({ nurse, details }, index) => {
+    if (index > 0) doc.addPage();
+    writeProfile(doc, nurse, details, req.user.username);
+  });
+  finishReport(doc);
+});
+
+// GET a single nurse's profile PDF
+router.get('/nurses/:id/profile.pdf', requireAuth, async (req, res) => {
+  try {
+    const profile = await asyncQuery(() => {
+      const nurse = db
+        .prepare(
+          `SELECT ${NURSE_COLUMNS_SQL},
+            (SELECT name FROM units WHERE units.id = nurses.primary_unit_id) AS unit_name
+          FROM nurses WHERE id = ?`
+        )
+        .get(req.params.id);
+      return nurse ? { nurse, details: findProfileDetails(nurse) } : null;
+    });
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Nurse not found' });
+    }
+
+    const filename = `nurse-profile-${profile.nurse.license_number.replace(/[^\w-]/g, '')}.pdf`;
+    const doc = createReport(res, filename, { title: `Nurse Profile: ${profile.nurse.name}` });
+    writeProfile(doc, profile.nurse, profile.details, req.user.username);
+    finishReport(doc);
+  } catch (error) {
+    console.error('Error building nurse profile:', error);
+    res.status(500).json({ error: 'Failed to build nurse profile' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,320 @@
+const express = require('express');
+const { db, asyncQuery } = require('../db');
+const { NURSE_EDITOR_ROLES, requireAuth, requireRole } = require('../auth');
+const { parseIntParam } = require('../nurses');
+const { isValidDate } = require('../validation');
+
+const router = express.Router();
+
+const DATETIME_PATTERN = /^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})$/;
+
+// Longest shift we accept, to catch typos in the end date
+const MAX_SHIFT_HOURS = 24;
+
+// Raised when a write would double-book a nurse; handlers turn it into a 409
+class SchedulingConflictError extends Error {}
+
+// Whether a YYYY-MM-DDTHH:MM string names a real date and time of day
+// (rejects 2026-02-30T08:00 and 2026-01-05T24:30)
+const isValidDateTime = (value) => {
+  const match = typeof value === 'string' && DATETIME_PATTERN.exec(value);
+  return Boolean(match) && isValidDate(match[1]) && Number(match[2]) < 24 && Number(match[3]) < 60;
+};
+
+// Validate a shift payload. Returns an error message, or null when valid.
+const validateShiftInput = ({ ward, start_time, end_time, required_headcount, notes }) => {
+  if (typeof ward !== 'string' || !ward.trim() || !start_time || !end_time) {
+    return 'Ward, start time and end time are required';
+  }
+  if (!isValidDateTime(start_time) || !isValidDateTime(end_time)) {
+    return 'Times must be real dates and times in YYYY-MM-DDTHH:MM format';
+  }
+  if (end_time <= start_time) {
+    return 'End time must be after the start time';
+  }
+  if (new Date(end_time) - new Date(start_time) > MAX_SHIFT_HOURS * 60 * 60 * 1000) {
+    return `Shifts cannot be longer than ${MAX_SHIFT_HOURS} hours`;
+  }
+  if (
+    required_headcount !== undefined &&
+    (!Number.isInteger(Number(required_headcount)) || Number(required_headcount) < 1)
+  ) {
+    return 'Required headcount must be a whole number of at least 1';
+  }
+  if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+    return 'Notes must be text';
+  }
+  return null;
+};
+
+// Find another shift of the nurse that overlaps the given time range
+const findOverlappingShift = (nurseId, startTime, endTime, excludeShiftId) =>
+  db
+    .prepare(
+      `SELECT shifts.* FROM shifts
+      JOIN shift_assignments ON shift_assignments.shift_id = shifts.id
+      WHERE shift_assignments.nurse_id = ? AND shifts.id != ?
+        AND shifts.start_time < ? AND shifts.end_time > ?
+      LIMIT 1`
+    )
+    .get(nurseId, excludeShiftId, endTime, startTime);
+
+// Find approved leave of the nurse during the given time range. Leave dates
+// are inclusive, so leave on a day covers it from 00:00 until the next day.
+const findLeaveDuring = (nurseId, startTime, endTime) =>
+  db
+    .prepare(
+      `SELECT * FROM leave_requests
+      WHERE nurse_id = ? AND status = 'approved'
+        AND start_date || 'T00:00' < ? AND date(end_date, '+1 day') || 'T00:00' > ?
+      LIMIT 1`
+    )
+    .get(nurseId, endTime, startTime);
+
+const describeLeave = (leave) => `on ${leave.leave_type} leave ${leave.start_date} – ${leave.end_date}`;
+
+const describeShift = (shift) =>
+  `${shift.ward} ${shift.start_time.replace('T', ' ')}–${shift.end_time.slice(11)}`;
+
+// Load a shift with its assigned (active) nurses
+const getShiftWithAssignments = (id) => {
+  const shift = db.prepare('SELECT * FROM shifts WHERE id = ?').get(id);
+  if (!shift) return null;
+
+  shift.assignments = db
+    .prepare(
+      `SELECT nurses.id AS nurse_id, nurses.name AS nurse_name
+      FROM shift_assignments
+      JOIN nurses ON nurses.id = shift_assignments.nurse_id
+      WHERE shift_assignments.shift_id = ? AND nurses.deleted_at IS NULL
+      ORDER BY nurses.name COLLATE NOCASE`
+    )
+    .all(id);
+  return shift;
+};
+
+// GET shifts overlapping ?from= to ?to= (dates, inclusive), with assignments
+router.get('/', requireAuth, async (req, res) => {
+  const { from, to } = req.query;
+
+  if (!isValidDate(from) || !isValidDate(to)) {
+    return res.status(400).json({ error: 'from and to dates (YYYY-MM-DD) are required' });
+  }
+
+  try {
+    const shifts = await asyncQuery(() => {
+      const ids = db
+        .prepare(
+          `SELECT id FROM shifts
+          WHERE start_time < date(?, '+1 day') AND end_time > ?
+          ORDER BY start_time, ward COLLATE NOCASE`
+        )
+        .all(to, from);
+      return ids.map(({ id }) => getShiftWithAssignments(id));
+    });
+    res.json(shifts);
+  } catch (error) {
+    console.error('Error fetching shifts:', error);
+    res.status(500).json({ error: 'Failed to fetch shifts' });
+  }
+});
+
+// POST create new shift
+router.post('/', requireRole(...NURSE_EDITOR_ROLES), async (req, res) => {
+  const validationError = validateShiftInput(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const { ward, start_time, end_time, required_headcount = 1, notes } = req.body;
+
+  try {
+    const newShift = await asyncQuery(() => {
+      const result = db
+        .prepare(
+          'INSERT INTO shifts (ward, start_time, end_time, required_headcount, notes) VALUES (?, ?, ?, ?, ?)'
+        )
+        .run(ward.trim(), start_time, end_time, Number(required_headcount), notes || null);
+      return getShiftWithAssignments(result.lastInsertRowid);
+    });
+
+    res.status(201).json(newShift);
+  } catch (error) {
+    console.error('Error creating shift:', error);
+    res.status(500).json({ error: 'Failed to create shift' });
+  }
+});
+
+// PUT update shift (rejected if new times would double-book an assigned nurse
+// or fall in their approved leave)
+router.put('/:id', requireRole(...NURSE_EDITOR_ROLES), async (req, res) => {
+  const validationError = validateShiftInput(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const { ward, start_time, end_time, required_headcount = 1, notes } = req.body;
+  const id = Number(req.params.id);
+
+  try {
+    const existingShift = await asyncQuery(() => getShiftWithAssignments(id));
+    if (!existingShift) {
+      return res.status(404).json({ error: 'Shift not found' });
+    }
+
+    const updatedShift = await asyncQuery(() => {
+      const updateShift = db.transaction(() => {
+        existingShift.assignments.forEach(({ nurse_id, nurse_name }) => {
+          const overlap = findOverlappingShift(nurse_id, start_time, end_time, id);
+          if (overlap) {
+            throw new SchedulingConflictError(
+              `${nurse_name} is already working ${describeShift(overlap)}`
+            );
+          }
+          const leave = findLeaveDuring(nurse_id, start_time, end_time);
+          if (leave) {
+            throw new SchedulingConflictError(`${nurse_name} is ${describeLeave(leave)}`);
+          }
+        });
+
+        db.prepare(
+          `UPDATE shifts SET ward = ?, start_time = ?, end_time = ?, required_headcount = ?,
+            notes = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?`
+        ).run(ward.trim(), start_time, end_time, Number(required_headcount), notes || null, id);
+        return getShiftWithAssignments(id);
+      });
+      return updateShift();
+    });
+
+    res.json(updatedShift);
+  } catch (error) {
+    if (error instanceof SchedulingConflictError) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Error updating shift:', error);
+    res.status(500).json({ error: 'Failed to update shift' });
+  }
+});
+
+// DELETE shift (and its assignments)
+router.delete('/:id', requireRole(...NURSE_EDITOR_ROLES), async (req, res) => {
+  try {
+    const existingShift = await asyncQuery(() => {
+      const stmt = db.prepare('SELECT * FROM shifts WHERE id = ?');
+      return stmt.get(req.params.id);
+    });
+
+    if (!existingShift) {
+      return res.status(404).json({ error: 'Shift not found' });
+    }
+
+    await asyncQuery(() => {
+      const stmt = db.prepare('DELETE FROM shifts WHERE id = ?');
+      return stmt.run(req.params.id);
+    });
+
+    res.json({ message: 'Shift deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting shift:', error);
+    res.status(500).json({ error: 'Failed to delete shift' });
+  }
+});
+
+// POST assign a nurse to a shift
+router.post('/:id/assignments', requireRole(...NURSE_EDITOR_ROLES), async (req, res) => {
+  const shiftId = Number(req.params.id);
+
+  let nurseId;
+  try {
+    nurseId = parseIntParam(req.body.nurse_id, 'nurse_id');
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (nurseId === undefined) {
+    return res.status(400).json({ error: 'nurse_id is required' });
+  }
+  if (nurseId === 0) {
+    return res.status(400).json({ error: 'nurse_id must be a positive integer' });
+  }
+
+  try {
+    const [shift, nurse] = await asyncQuery(() => [
+      db.prepare('SELECT * FROM shifts WHERE id = ?').get(shiftId),
+      db.prepare('SELECT * FROM nurses WHERE id = ? AND deleted_at IS NULL').get(nurseId),
+    ]);
+
+    if (!shift) {
+      return res.status(404).json({ error: 'Shift not found' });
+    }
+    if (!nurse) {
+      return res.status(404).json({ error: 'Nurse not found' });
+    }
+
+    const updatedShift = await asyncQuery(() => {
+      const assignNurse = db.transaction(() => {
+        const alreadyAssigned = db
+          .prepare('SELECT id FROM shift_assignments WHERE shift_id = ? AND nurse_id = ?')
+          .get(shiftId, nurse.id);
+        if (alreadyAssigned) {
+          throw new SchedulingConflictError(`${nurse.name} is already assigned to this shift`);
+        }
+
+        const overlap = findOverlappingShift(nurse.id, shift.start_time, shift.end_time, shiftId);
+        if (overlap) {
+          throw new SchedulingConflictError(
+            `${nurse.name} is already working ${describeShift(overlap)}`
+          );
+        }
+
+        const leave = findLeaveDuring(nurse.id, shift.start_time, shift.end_time);
+        if (leave) {
+          throw new SchedulingConflictError(`${nurse.name} is ${describeLeave(leave)}`);
+        }
+
+        db.prepare('INSERT INTO shift_assignments (shift_id, nurse_id) VALUES (?, ?)').run(
+          shiftId,
+          nurse.id
+        );
+        return getShiftWithAssignments(shiftId);
+      });
+      return assignNurse();
+    });
+
+    res.status(201).json(updatedShift);
+  } catch (error) {
+    if (error instanceof SchedulingConflictError) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Error assigning nurse:', error);
+    res.status(500).json({ error: 'Failed to assign nurse' });
+  }
+});
+
+// DELETE unassign a nurse from a shift
+router.delete(
+  '/:id/assignments/:nurseId',
+  requireRole(...NURSE_EDITOR_ROLES),
+  async (req, res) => {
+    const { id, nurseId } = req.params;
+
+    try {
+      const result = await asyncQuery(() => {
+        const stmt = db.prepare('DELETE FROM shift_assignments WHERE shift_id = ? AND nurse_id = ?');
+        return stmt.run(id, nurseId);
+      });
+
+      if (result.changes === 0) {
+        return res.status(404).json({ error: 'Assignment not found' });
+      }
+
+      const updatedShift = await asyncQuery(() => getShiftWithAssignments(id));
+      res.json(updatedShift);
+    } catch (error) {
+      console.error('Error unassigning nurse:', error);
+      res.status(500).json({ error: 'Failed to unassign nurse' });
+    }
+  }
+);
+
+module.exports = router;
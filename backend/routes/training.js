@@ -0,0 +1,465 @@
+const express = require('express');
+const { db, asyncQuery } = require('../db');
+const { NURSE_EDITOR_ROLES, requireAuth, requireRole } = require('../auth');
+const { parseIntParam } = require('../nurses');
+const { today, isValidDate } = require('../validation');
+const NURSE_SCHEMA = require('../../shared/nurseSchema.json');
+
+const router = express.Router();
+
+const JOB_ROLES = Object.keys(NURSE_SCHEMA.job_role.options);
+
+// CE hours each nurse must log per cycle (24 unless set to a number; 0 turns
+// the CE requirement off). Cycles are CE_CYCLE_YEARS calendar years long and
+// start in years divisible by it (2026–2027, 2028–2029, ...).
+const configuredCeHours = parseFloat(process.env.CE_REQUIRED_HOURS);
+const CE_REQUIRED_HOURS = Number.isNaN(configuredCeHours) || configuredCeHours < 0 ? 24 : configuredCeHours;
+const CE_CYCLE_YEARS = parseInt(process.env.CE_CYCLE_YEARS ?? '2', 10) || 1;
+
+// Competencies expiring this soon are flagged, though still current
+const EXPIRING_SOON_DAYS = 60;
+
+const MAX_TEXT_LENGTH = 200;
+const MAX_COURSE_HOURS = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The CE cycle containing today
+const currentCycle = () => {
+  const year = new Date().getFullYear();
+  const startYear = year - (year % CE_CYCLE_YEARS);
+  return {
+    start_date: `${startYear}-01-01`,
+    end_date: `${startYear + CE_CYCLE_YEARS - 1}-12-31`,
+    required_hours: CE_REQUIRED_HOURS,
+  };
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Optional text fields may be left out or null, but are text when sent
+const isOptionalText = (value) => value === undefined || value === null || typeof value === 'string';
+
+// Numbers may arrive as numbers or, from form inputs, as numeric text
+const isNumeric = (value) => typeof value === 'number' || typeof value === 'string';
+
+// Validate a training record payload. Checks the competency exists, so call
+// it through asyncQuery. Returns an error message, or null when valid.
+const validateTrainingInput = ({ course_name, provider, hours, completion_date, expiry_date, competency_id }) => {
+  if (isBlank(course_name) || isBlank(completion_date)) {
+    return 'Course and completion date are required';
+  }
+  if (typeof course_name !== 'string' || !isOptionalText(provider)) {
+    return 'Course and provider must be text';
+  }
+  if (course_name.length > MAX_TEXT_LENGTH || (provider ?? '').length > MAX_TEXT_LENGTH) {
+    return `Course and provider must be at most ${MAX_TEXT_LENGTH} characters`;
+  }
+  const hoursValue = isBlank(hours) ? 0 : Number(hours);
+  if (
+    (!isBlank(hours) && !isNumeric(hours)) ||
+    !Number.isFinite(hoursValue) ||
+    hoursValue < 0 ||
+    hoursValue > MAX_COURSE_HOURS
+  ) {
+    return `Hours must be a number between 0 and ${MAX_COURSE_HOURS}`;
+  }
+  if (!isValidDate(completion_date) || (!isBlank(expiry_date) && !isValidDate(expiry_date))) {
+    return 'Dates must be valid dates in YYYY-MM-DD format';
+  }
+  if (completion_date > today()) {
+    return 'Completion date cannot be in the future';
+  }
+  if (!isBlank(expiry_date) && expiry_date < completion_date) {
+    return 'Expiry date must be after the completion date';
+  }
+  if (
+    !isBlank(competency_id) &&
+    (!isNumeric(competency_id) || !db.prepare('SELECT id FROM competencies WHERE id = ?').get(competency_id))
+  ) {
+    return 'Competency not found';
+  }
+  return null;
+};
+
+// Validate a competency payload. Returns an error message, or null when valid.
+const validateCompetencyInput = ({ name, description, job_roles }) => {
+  if (isBlank(name)) {
+    return 'Competency name is required';
+  }
+  if (typeof name !== 'string' || !isOptionalText(description)) {
+    return 'Name and description must be text';
+  }
+  if (name.length > MAX_TEXT_LENGTH || (description ?? '').length > MAX_TEXT_LENGTH) {
+    return `Name and description must be at most ${MAX_TEXT_LENGTH} characters`;
+  }
+  if (
+    job_roles !== undefined &&
+    (!Array.isArray(job_roles) || job_roles.some((jobRole) => !JOB_ROLES.includes(jobRole)))
+  ) {
+    return `job_roles must be a list of: ${JOB_ROLES.join(', ')}`;
+  }
+  return null;
+};
+
+// Competencies with the job roles that require them
+const getCompetencies = () => {
+  const requiredBy = db.prepare('SELECT job_role, competency_id FROM role_competencies').all();
+  return db
+    .prepare('SELECT * FROM competencies ORDER BY name COLLATE NOCASE')
+    .all()
+    .map((competency) => ({
+      ...competency,
+      job_roles: requiredBy.filter((row) => row.competency_id === competency.id).map((row) => row.job_role),
+    }));
+};
+
+const getCompetency = (id) => getCompetencies().find((competency) => competency.id === Number(id));
+
+// Replace the job roles that require a competency
+const saveCompetencyRoles = (competencyId, jobRoles) => {
+  db.prepare('DELETE FROM role_competencies WHERE competency_id = ?').run(competencyId);
+  const insert = db.prepare('INSERT INTO role_competencies (job_role, competency_id) VALUES (?, ?)');
+  jobRoles.forEach((jobRole) => insert.run(jobRole, competencyId));
+};
+
+const TRAINING_SELECT = `SELECT training_records.*, competencies.name AS competency_name
+  FROM training_records LEFT JOIN competencies ON competencies.id = training_records.competency_id`;
+
+const findTrainingRecord = (nurseId, recordId) =>
+  db.prepare(`${TRAINING_SELECT} WHERE training_records.id = ? AND nurse_id = ?`).get(recordId, nurseId);
+
+// Find an active (not trashed) nurse
+const findActiveNurse = (id) =>
+  db.prepare('SELECT * FROM nurses WHERE id = ? AND deleted_at IS NULL').get(id);
+
+// Status of a required competency, from the latest expiry of the records
+// certifying it (null when one never expires)
+const competencyStatus = (hasRecord, expiryDate, todayDate) => {
+  if (!hasRecord) return 'missing';
+  if (expiryDate === null) return 'current';
+  if (expiryDate < todayDate) return 'expired';
+  const daysLeft = (Date.parse(expiryDate) - Date.parse(todayDate)) / DAY_MS;
+  return daysLeft <= EXPIRING_SOON_DAYS ? 'expiring' : 'current';
+};
+
+// Compliance of active nurses (or one): each required competency's status
+// and the CE hours logged in the current cycle. A nurse is compliant when
+// no required competency is missing or expired and they have enough hours.
+const getCompliance = (nurseId) => {
+  const cycle = currentCycle();
+  const todayDate = today();
+
+  const nurses = db
+    .prepare(
+      `SELECT id, name, license_number, job_role FROM nurses
+      WHERE deleted_at IS NULL ${nurseId !== undefined ? 'AND id = ?' : ''}
+      ORDER BY name COLLATE NOCASE`
+    )
+    .all(...(nurseId !== undefined ? [nurseId] : []));
+
+  const requirements = db
+    .prepare(
+      `SELECT role_competencies.job_role, competencies.id, competencies.name
+      FROM role_competencies JOIN competencies ON competencies.id = role_competencies.competency_id
+      ORDER BY competencies.name COLLATE NOCASE`
+    )
+    .all();
+
+  // Latest expiry per nurse and competency; '9999-12-31' stands for never
+  const certified = new Map(
+    db
+      .prepare(
+        `SELECT nurse_id, competency_id, MAX(COALESCE(expiry_date, '9999-12-31')) AS expiry_date
+        FROM training_records WHERE competency_id IS NOT NULL
+        GROUP BY nurse_id, competency_id`
+      )
+      .all()
+      .map((row) => [`${row.nurse_id}:${row.competency_id}`, row.expiry_date])
+  );
+
+  const ceHours = new Map(
+    db
+      .prepare(
+        `SELECT nurse_id, SUM(hours) AS hours FROM training_records
+        WHERE completion_date BETWEEN ? AND ? GROUP BY nurse_id`
+      )
+      .all(cycle.start_date, cycle.end_date)
+      .map((row) => [row.nurse_id, row.hours])
+  );
+
+  return {
+    cycle,
+    nurses: nurses.map((nurse) => {
+      const competencies = requirements
+        .filter((requirement) => requirement.job_role === nurse.job_role)
+        .map(({ id, name }) => {
+          const key = `${nurse.id}:${id}`;
+          const expiry = certified.has(key) && certified.get(key) !== '9999-12-31' ? certified.get(key) : null;
+          return {
+            competency_id: id,
+            name,
+            status: competencyStatus(certified.has(key), expiry, todayDate),
+            expiry_date: expiry,
+          };
+        });
+      const hours = Math.round((ceHours.get(nurse.id) || 0) * 10) / 10;
+      return {
+        nurse_id: nurse.id,
+        nurse_name: nurse.name,
+        license_number: nurse.license_number,
+        job_role: nurse.job_role,
+        competencies,
+        ce_hours: hours,
+        ce_hours_required: cycle.required_hours,
+        compliant:
+          hours >= cycle.required_hours &&
+          competencies.every(({ status }) => status === 'current' || status === 'expiring'),
+      };
+    }),
+  };
+};
+
+// GET competencies with the job roles that require them
+router.get('/competencies', requireAuth, async (req, res) => {
+  try {
+    const competencies = await asyncQuery(() => getCompetencies());
+    res.json(competencies);
+  } catch (error) {
+    console.error('Error fetching competencies:', error);
+    res.status(500).json({ error: 'Failed to fetch competencies' });
+  }
+});
+
+// POST create a competency ({ "name": "NRP", "description": "...", "job_roles": ["rn"] })
+router.post('/competencies', requireRole(...NURSE_EDITOR_ROLES), async (req, res) => {
+  const { name, description, job_roles = [] } = req.body;
+
+  try {
+    const validationError = validateCompetencyInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const newCompetency = await asyncQuery(() => {
+      const createCompetency = db.transaction(() => {
+        const result = db
+          .prepare('INSERT INTO competencies (name, description) VALUES (?, ?)')
+          .run(name.trim(), description?.trim() || null);
+        saveCompetencyRoles(result.lastInsertRowid, job_roles);
+        return getCompetency(result.lastInsertRowid);
+      });
+      return createCompetency();
+    });
+
+    res.status(201).json(newCompetency);
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint failed')) {
+      return res.status(400).json({ error: 'A competency with that name already exists' });
+    }
+    console.error('Error creating competency:', error);
+    res.status(500).json({ error: 'Failed to create competency' });
+  }
+});
+
+// PUT update a competency and the job roles that require it
+router.put('/competencies/:id', requireRole(...NURSE_EDITOR_ROLES), async (req, res) => {
+  const { name, description, job_roles } = req.body;
+
+  try {
+    const validationError = validateCompetencyInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const existingCompetency = await asyncQuery(() => getCompetency(req.params.id));
+    if (!existingCompetency) {
+      return res.status(404).json({ error: 'Competency not found' });
+    }
+
+    const updatedCompetency = await asyncQuery(() => {
+      const updateCompetency = db.transaction(() => {
+        db.prepare('UPDATE competencies SET name = ?, description = ? WHERE id = ?').run(
+          name.trim(),
+          description?.trim() || null,
+          existingCompetency.id
+        );
+        if (job_roles !== undefined) {
+          saveCompetencyRoles(existingCompetency.id, job_roles);
+        }
+        return getCompetency(existingCompetency.id);
+      });
+      return updateCompetency();
+    });
+
+    res.json(updatedCompetency);
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint failed')) {
+      return res.status(400).json({ error: 'A competency with that name already exists' });
+    }
+    console.error('Error updating competency:', error);
+    res.status(500).json({ error: 'Failed to update competency' });
+  }
+});
+
+// DELETE a competency; training records that certified it are kept
+router.delete('/competencies/:id', requireRole(...NURSE_EDITOR_ROLES), async (req, res) => {
+  try {
+    const result = await asyncQuery(() => {
+      const stmt = db.prepare('DELETE FROM competencies WHERE id = ?');
+      return stmt.run(req.params.id);
+    });
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Competency not found' });
+    }
+
+    res.json({ message: 'Competency deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting competency:', error);
+    res.status(500).json({ error: 'Failed to delete competency' });
+  }
+});
+
+// GET compliance of active nurses for the current CE cycle. ?nurse_id= for
+// one nurse, ?status=noncompliant for only the nurses that need attention.
+router.get('/compliance', requireAuth, async (req, res) => {
+  const { nurse_id, status } = req.query;
+
+  if (status !== undefined && status !== 'noncompliant') {
+    return res.status(400).json({ error: 'status must be noncompliant' });
+  }
+  let nurseId;
+  try {
+    nurseId = parseIntParam(nurse_id, 'nurse_id');
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const compliance = await asyncQuery(() => getCompliance(nurseId));
+    if (status === 'noncompliant') {
+      compliance.nurses = compliance.nurses.filter((nurse) => !nurse.compliant);
+    }
+    res.json(compliance);
+  } catch (error) {
+    console.error('Error fetching compliance:', error);
+    res.status(500).json({ error: 'Failed to fetch compliance' });
+  }
+});
+
+// GET a nurse's training records, most recent first
+router.get('/nurses/:id/training', requireAuth, async (req, res) => {
+  try {
+    const records = await asyncQuery(() => {
+      const stmt = db.prepare(
+        `${TRAINING_SELECT} WHERE nurse_id = ? ORDER BY completion_date DESC, training_records.id DESC`
+      );
+      return stmt.all(req.params.id);
+    });
+    res.json(records);
+  } catch (error) {
+    console.error('Error fetching training records:', error);
+    res.status(500).json({ error: 'Failed to fetch training records' });
+  }
+});
+
+// Column values of a training record payload, in INSERT/UPDATE order
+const trainingValues = ({ course_name, provider, hours, completion_date, expiry_date, competency_id }) => [
+  course_name.trim(),
+  isBlank(provider) ? null : provider.trim(),
+  isBlank(hours) ? 0 : Number(hours),
+  completion_date,
+  isBlank(expiry_date) ? null : expiry_date,
+  isBlank(competency_id) ? null : Number(competency_id),
+];
+
+// POST log a training record for a nurse
+router.post('/nurses/:id/training', requireRole(...NURSE_EDITOR_ROLES), async (req, res) => {
+  try {
+    const validationError = await asyncQuery(() => validateTrainingInput(req.body));
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const nurse = await asyncQuery(() => findActiveNurse(req.params.id));
+    if (!nurse) {
+      return res.status(404).json({ error: 'Nurse not found' });
+    }
+
+    const newRecord = await asyncQuery(() => {
+      const result = db
+        .prepare(
+          `INSERT INTO training_records
+            (nurse_id, course_name, provider, hours, completion_date, expiry_date, competency_id)
+          VALUES (?, ?, ?, ?, ?, ?, ?)`
+        )
+        .run(nurse.id, ...trainingValues(req.body));
+      return findTrainingRecord(nurse.id, result.lastInsertRowid);
+    });
+
+    res.status(201).json(newRecord);
+  } catch (error) {
+    console.error('Error creating training record:', error);
+    res.status(500).json({ error: 'Failed to create training record' });
+  }
+});
+
+// PUT update a training record
+router.put('/nurses/:id/training/:recordId', requireRole(...NURSE_EDITOR_ROLES), async (req, res) => {
+  const { id, recordId } = req.params;
+
+  try {
+    const validationError = await asyncQuery(() => validateTrainingInput(req.body));
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const existingRecord = await asyncQuery(() =>
+      findActiveNurse(id) ? findTrainingRecord(id, recordId) : null
+    );
+    if (!existingRecord) {
+      return res.status(404).json({ error: 'Training record not found' });
+    }
+
+    const updatedRecord = await asyncQuery(() => {
+      db.prepare(
+        `UPDATE training_records SET
+          course_name = ?, provider = ?, hours = ?, completion_date = ?, expiry_date = ?,
+          competency_id = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?`
+      ).run(...trainingValues(req.body), existingRecord.id);
+      return findTrainingRecord(id, existingRecord.id);
+    });
+
+    res.json(updatedRecord);
+  } catch (error) {
+    console.error('Error updating training record:', error);
+    res.status(500).json({ error: 'Failed to update training record' });
+  }
+});
+
+// DELETE a training record
+router.delete('/nurses/:id/training/:recordId', requireRole(...NURSE_EDITOR_ROLES), async (req, res) => {
+  const { id, recordId } = req.params;
+
+  try {
+    const existingRecord = await asyncQuery(() =>
+      findActiveNurse(id) ? findTrainingRecord(id, recordId) : null
+    );
+    if (!existingRecord) {
+      return res.status(404).json({ error: 'Training record not found' });
+    }
+
+    await asyncQuery(() => {
+      const stmt = db.prepare('DELETE FROM training_records WHERE id = ?');
+      return stmt.run(existingRecord.id);
+    });
+
+    res.json({ message: 'Training record deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting training record:', error);
+    res.status(500).json({ error: 'Failed to delete training record' });
+  }
+});
+
+module.exports = router;
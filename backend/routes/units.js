@@ -0,0 +1,296 @@
+const express = require('express');
+const { db, asyncQuery } = require('../db');
+const { NURSE_EDITOR_ROLES, requireAuth, requireRole } = require('../auth');
+const { AGE_SQL, NURSE_COLUMNS_SQL, toApiNurse } = require('../nurses');
+const { recordAudit } = require('../audit');
+const { broadcastNurseChange } = require('../events');
+const { sendValidationErrors } = require('../validation');
+
+const router = express.Router();
+
+// Age bands for the per-unit age distribution
+const AGE_BANDS = [
+  { label: 'Under 30', min: 0, max: 29 },
+  { label: '30–39', min: 30, max: 39 },
+  { label: '40–49', min: 40, max: 49 },
+  { label: '50–59', min: 50, max: 59 },
+  { label: '60+', min: 60, max: Infinity },
+];
+
+const UNIT_SELECT = `
+  SELECT units.*, charge.name AS charge_nurse_name,
+    (SELECT COUNT(*) FROM nurses
+      WHERE nurses.primary_unit_id = units.id AND nurses.deleted_at IS NULL) AS headcount,
+    (SELECT COUNT(*) FROM nurse_float_units
+      JOIN nurses ON nurses.id = nurse_float_units.nurse_id
+      WHERE nurse_float_units.unit_id = units.id AND nurses.deleted_at IS NULL) AS float_count
+  FROM units
+  LEFT JOIN nurses AS charge ON charge.id = units.charge_nurse_id AND charge.deleted_at IS NULL
+`;
+
+const getUnit = (id) => db.prepare(`${UNIT_SELECT} WHERE units.id = ?`).get(id);
+
+const findActiveNurse = (id) =>
+  db.prepare('SELECT * FROM nurses WHERE id = ? AND deleted_at IS NULL').get(id);
+
+// Whether a value is a row id: a positive integer
+const isId = (value) => Number.isInteger(value) && value > 0;
+
+// Validate a unit payload. Returns the error messages keyed by field, or null
+// when valid.
+const validateUnitInput = ({ name, description, charge_nurse_id }) => {
+  const errors = {};
+  if (typeof name !== 'string' || !name.trim()) {
+    errors.name = 'Unit name is required';
+  }
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    errors.description = 'Description must be text';
+  }
+  if (charge_nurse_id !== undefined && charge_nurse_id !== null) {
+    if (!isId(charge_nurse_id)) {
+      errors.charge_nurse_id = 'charge_nurse_id must be a nurse id, or null for none';
+    } else if (!findActiveNurse(charge_nurse_id)) {
+      errors.charge_nurse_id = 'Charge nurse not found';
+    }
+  }
+  return Object.keys(errors).length > 0 ? errors : null;
+};
+
+// Summarize headcount and age distribution for a group of nurses
+const summarizeNurses = (nurses) => {
+  const ages = nurses.map((nurse) => nurse.age);
+  return {
+    headcount: nurses.length,
+    average_age: ages.length
+      ? Math.round((ages.reduce((sum, age) => sum + age, 0) / ages.length) * 10) / 10
+      : null,
+    age_distribution: AGE_BANDS.map(({ label, min, max }) => ({
+      label,
+      count: ages.filter((age) => age >= min && age <= max).length,
+    })),
+  };
+};
+
+// GET all units with charge nurse and headcounts
+router.get('/units', requireAuth, async (req, res) => {
+  try {
+    const units = await asyncQuery(() => {
+      const stmt = db.prepare(`${UNIT_SELECT} ORDER BY units.name COLLATE NOCASE`);
+      return stmt.all();
+    });
+    res.json(units);
+  } catch (error) {
+    console.error('Error fetching units:', error);
+    res.status(500).json({ error: 'Failed to fetch units' });
+  }
+});
+
+// GET per-unit headcount and age distribution (by primary unit), plus the
+// nurses not assigned to any unit
+router.get('/units/summary', requireAuth, async (req, res) => {
+  try {
+    const [units, nurses] = await asyncQuery(() => [
+      db.prepare(`${UNIT_SELECT} ORDER BY units.name COLLATE NOCASE`).all(),
+      db
+        .prepare(`SELECT id, ${AGE_SQL} AS age, primary_unit_id FROM nurses WHERE deleted_at IS NULL`)
+        .all(),
+    ]);
+
+    const summary = units.map((unit) => ({
+      unit_id: unit.id,
+      name: unit.name,
+      charge_nurse_name: unit.charge_nurse_name,
+      float_count: unit.float_count,
+      ...summarizeNurses(nurses.filter((nurse) => nurse.primary_unit_id === unit.id)),
+    }));
+
+    const unassigned = nurses.filter((nurse) => nurse.primary_unit_id === null);
+    if (unassigned.length > 0) {
+      summary.push({
+        unit_id: null,
+        name: 'Unassigned',
+        charge_nurse_name: null,
+        float_count: 0,
+        ...summarizeNurses(unassigned),
+      });
+    }
+
+    res.json(summary);
+  } catch (error) {
+    console.error('Error fetching unit summary:', error);
+    res.status(500).json({ error: 'Failed to fetch unit summary' });
+  }
+});
+
+// POST create new unit
+router.post('/units', requireRole(...NURSE_EDITOR_ROLES), async (req, res) => {
+  const { name, description, charge_nurse_id } = req.body;
+
+  try {
+    const validationErrors = await asyncQuery(() => validateUnitInput(req.body));
+    if (validationErrors) {
+      return sendValidationErrors(res, validationErrors);
+    }
+
+    const newUnit = await asyncQuery(() => {
+      const result = db
+        .prepare('INSERT INTO units (name, description, charge_nurse_id) VALUES (?, ?, ?)')
+        .run(name.trim(), description || null, charge_nurse_id ?? null);
+      return getUnit(result.lastInsertRowid);
+    });
+
+    res.status(201).json(newUnit);
+  } catch (error) {
+    console.error('Error creating unit:', error);
+    if (error.message.includes('UNIQUE constraint failed')) {
+      return res.status(400).json({ error: 'A unit with that name already exists' });
+    }
+    res.status(500).json({ error: 'Failed to create unit' });
+  }
+});
+
+// PUT update unit
+router.put('/units/:id', requireRole(...NURSE_EDITOR_ROLES), async (req, res) => {
+  const { name, description, charge_nurse_id } = req.body;
+  const { id } = req.params;
+
+  try {
+    const validationErrors = await asyncQuery(() => validateUnitInput(req.body));
+    if (validationErrors) {
+      return sendValidationErrors(res, validationErrors);
+    }
+
+    const existingUnit = await asyncQuery(() => {
+      const stmt = db.prepare('SELECT * FROM units WHERE id = ?');
+      return stmt.get(id);
+    });
+
+    if (!existingUnit) {
+      return res.status(404).json({ error: 'Unit not found' });
+    }
+
+    const updatedUnit = await asyncQuery(() => {
+      db.prepare(
+        'UPDATE units SET name = ?, description = ?, charge_nurse_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
+      ).run(name.trim(), description || null, charge_nurse_id ?? null, id);
+      return getUnit(id);
+    });
+
+    res.json(updatedUnit);
+  } catch (error) {
+    console.error('Error updating unit:', error);
+    if (error.message.includes('UNIQUE constraint failed')) {
+      return res.status(400).json({ error: 'A unit with that name already exists' });
+    }
+    res.status(500).json({ error: 'Failed to update unit' });
+  }
+});
+
+// DELETE unit (its nurses become unassigned)
+router.delete('/units/:id', requireRole(...NURSE_EDITOR_ROLES), async (req, res) => {
+  try {
+    const existingUnit = await asyncQuery(() => {
+      const stmt = db.prepare('SELECT * FROM units WHERE id = ?');
+      return stmt.get(req.params.id);
+    });
+
+    if (!existingUnit) {
+      return res.status(404).json({ error: 'Unit not found' });
+    }
+
+    await asyncQuery(() => {
+      const stmt = db.prepare('DELETE FROM units WHERE id = ?');
+      return stmt.run(req.params.id);
+    });
+
+    // The unit's nurses are now unassigned
+    broadcastNurseChange('bulk', { req });
+    res.json({ message: 'Unit deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting unit:', error);
+    res.status(500).json({ error: 'Failed to delete unit' });
+  }
+});
+
+// GET a nurse's primary unit and the units they float to
+router.get('/nurses/:id/units', requireAuth, async (req, res) => {
+  try {
+    const result = await asyncQuery(() => {
+      const nurse = findActiveNurse(req.params.id);
+      if (!nurse) return null;
+      const floatUnitIds = db
+        .prepare('SELECT unit_id FROM nurse_float_units WHERE nurse_id = ? ORDER BY unit_id')
+        .all(nurse.id)
+        .map(({ unit_id }) => unit_id);
+      return { primary_unit_id: nurse.primary_unit_id, float_unit_ids: floatUnitIds };
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Nurse not found' });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching nurse units:', error);
+    res.status(500).json({ error: 'Failed to fetch nurse units' });
+  }
+});
+
+// PUT move a nurse: set their primary unit and the units they float to
+router.put('/nurses/:id/units', requireRole(...NURSE_EDITOR_ROLES), async (req, res) => {
+  const { primary_unit_id = null, float_unit_ids = [] } = req.body;
+
+  const errors = {};
+  if (primary_unit_id !== null && !isId(primary_unit_id)) {
+    errors.primary_unit_id = 'primary_unit_id must be a unit id, or null to unassign';
+  }
+  if (!Array.isArray(float_unit_ids) || !float_unit_ids.every(isId)) {
+    errors.float_unit_ids = 'float_unit_ids must be a list of unit ids';
+  }
+  if (Object.keys(errors).length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  // A nurse doesn't float to their own primary unit
+  const floatUnitIds = [...new Set(float_unit_ids)].filter((unitId) => unitId !== primary_unit_id);
+
+  try {
+    const nurse = await asyncQuery(() => findActiveNurse(req.params.id));
+    if (!nurse) {
+      return res.status(404).json({ error: 'Nurse not found' });
+    }
+
+    const unitIds = [primary_unit_id, ...floatUnitIds].filter((unitId) => unitId !== null);
+    const missingUnit = await asyncQuery(() =>
+      unitIds.find((unitId) => !db.prepare('SELECT id FROM units WHERE id = ?').get(unitId))
+    );
+    if (missingUnit !== undefined) {
+      const field = missingUnit === primary_unit_id ? 'primary_unit_id' : 'float_unit_ids';
+      return sendValidationErrors(res, { [field]: `Unit ${missingUnit} not found` });
+    }
+
+    const updatedNurse = await asyncQuery(() => {
+      const findById = db.prepare(`SELECT ${NURSE_COLUMNS_SQL} FROM nurses WHERE id = ?`);
+      const moveNurse = db.transaction(() => {
+        const before = findById.get(nurse.id);
+        db.prepare(
+          'UPDATE nurses SET primary_unit_id = ?, updated_at = CURRENT_TIMESTAMP, version = version + 1 WHERE id = ?'
+        ).run(primary_unit_id, nurse.id);
+        db.prepare('DELETE FROM nurse_float_units WHERE nurse_id = ?').run(nurse.id);
+        const addFloat = db.prepare('INSERT INTO nurse_float_units (nurse_id, unit_id) VALUES (?, ?)');
+        floatUnitIds.forEach((unitId) => addFloat.run(nurse.id, unitId));
+        const after = findById.get(nurse.id);
+        recordAudit({ nurseId: nurse.id, action: 'update', user: req.user, before, after });
+        return toApiNurse(after);
+      });
+      return moveNurse();
+    });
+
+    broadcastNurseChange('updated', { nurse: updatedNurse, req });
+    res.json({ ...updatedNurse, float_unit_ids: floatUnitIds });
+  } catch (error) {
+    console.error('Error moving nurse:', error);
+    res.status(500).json({ error: 'Failed to move nurse' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,160 @@
+const express = require('express');
+const { db, asyncQuery } = require('../db');
+const { ROLES, hashPassword, toPublicUser, requireRole } = require('../auth');
+
+const router = express.Router();
+
+// Managing user accounts is admin-only
+router.use(requireRole('admin'));
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Validate the username, role and password of a user payload; any may be
+// omitted on update. Returns an error message, or null when the payload is valid.
+const validateUserInput = ({ username, role, password }) => {
+  if (username !== undefined && (typeof username !== 'string' || !username.trim())) {
+    return 'Username must be text and cannot be blank';
+  }
+  if (role !== undefined && !ROLES.includes(role)) {
+    return `Role must be one of: ${ROLES.join(', ')}`;
+  }
+  if (password !== undefined && typeof password !== 'string') {
+    return 'Password must be text';
+  }
+  if (password !== undefined && password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Count the admins other than the given user, so the last one can't be removed
+const countOtherAdmins = (userId) =>
+  db.prepare("SELECT COUNT(*) AS count FROM users WHERE role = 'admin' AND id != ?").get(userId)
+    .count;
+
+// GET all users
+router.get('/', async (req, res) => {
+  try {
+    const users = await asyncQuery(() => {
+      const stmt = db.prepare('SELECT * FROM users ORDER BY username COLLATE NOCASE');
+      return stmt.all();
+    });
+    res.json(users.map(toPublicUser));
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+// POST create new user
+router.post('/', async (req, res) => {
+  const { username, password, role } = req.body;
+
+  if (!username || !password || !role) {
+    return res.status(400).json({ error: 'Username, password and role are required' });
+  }
+
+  const validationError = validateUserInput(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const newUser = await asyncQuery(() => {
+      const result = db
+        .prepare('INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)')
+        .run(username.trim(), hashPassword(password), role);
+      return db.prepare('SELECT * FROM users WHERE id = ?').get(result.lastInsertRowid);
+    });
+
+    res.status(201).json(toPublicUser(newUser));
+  } catch (error) {
+    console.error('Error creating user:', error);
+    if (error.message.includes('UNIQUE constraint failed')) {
+      return res.status(400).json({ error: 'Username already exists' });
+    }
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+// PUT update a user's role and/or password
+router.put('/:id', async (req, res) => {
+  const { role, password } = req.body;
+  const id = parseInt(req.params.id, 10);
+
+  if (role === undefined && password === undefined) {
+    return res.status(400).json({ error: 'Nothing to update' });
+  }
+
+  const validationError = validateUserInput(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const existingUser = await asyncQuery(() => {
+      const stmt = db.prepare('SELECT * FROM users WHERE id = ?');
+      return stmt.get(id);
+    });
+
+    if (!existingUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (existingUser.role === 'admin' && role && role !== 'admin' && countOtherAdmins(id) === 0) {
+      return res.status(400).json({ error: 'Cannot remove the last admin' });
+    }
+
+    const updatedUser = await asyncQuery(() => {
+      db.prepare(
+        'UPDATE users SET role = ?, password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
+      ).run(
+        role || existingUser.role,
+        password ? hashPassword(password) : existingUser.password_hash,
+        id
+      );
+      // A password reset signs the user out everywhere
+      if (password) {
+        db.prepare('DELETE FROM sessions WHERE user_id = ?').run(id);
+      }
+      return db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+    });
+
+    res.json(toPublicUser(updatedUser));
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+// DELETE user
+router.delete('/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+
+  if (id === req.user.id) {
+    return res.status(400).json({ error: 'You cannot delete your own account' });
+  }
+
+  try {
+    const existingUser = await asyncQuery(() => {
+      const stmt = db.prepare('SELECT * FROM users WHERE id = ?');
+      return stmt.get(id);
+    });
+
+    if (!existingUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await asyncQuery(() => {
+      const stmt = db.prepare('DELETE FROM users WHERE id = ?');
+      return stmt.run(id);
+    });
+
+    res.json({ message: 'User deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({ error: 'Failed to delete user' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,264 @@
+const express = require('express');
+const { db, asyncQuery } = require('../db');
+const { requireRole } = require('../auth');
+const {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  generateWebhookSecret,
+  queueTestDelivery,
+  queueRedelivery,
+} = require('../webhooks');
+
+const router = express.Router();
+
+// Managing webhooks is admin-only
+router.use(requireRole('admin'));
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+const DEFAULT_DELIVERY_LIMIT = 50;
+const MAX_DELIVERY_LIMIT = 200;
+
+// Validate a webhook payload; every field may be omitted on update.
+// Returns an error message, or null when valid.
+const validateWebhookInput = ({ url, description, events, active }) => {
+  if (url !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return 'url must be a full http:// or https:// URL';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return 'url must be a full http:// or https:// URL';
+    }
+  }
+  if (description !== undefined && description !== null && String(description).length > 200) {
+    return 'Description cannot be longer than 200 characters';
+  }
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return 'events must be a non-empty list';
+    }
+    const unknownEvents = events.filter((event) => !WEBHOOK_EVENTS.includes(event));
+    if (unknownEvents.length > 0) {
+      return `Unknown events: ${unknownEvents.join(', ')}; events can be: ${WEBHOOK_EVENTS.join(', ')}`;
+    }
+  }
+  if (active !== undefined && typeof active !== 'boolean') {
+    return 'active must be true or false';
+  }
+  return null;
+};
+
+// A webhook with its events parsed and counts of its queued and failed
+// deliveries
+const findWebhook = (id) =>
+  db
+    .prepare(
+      `SELECT webhooks.*,
+        (SELECT COUNT(*) FROM webhook_deliveries WHERE webhook_id = webhooks.id AND status = 'pending') AS pending_count,
+        (SELECT COUNT(*) FROM webhook_deliveries WHERE webhook_id = webhooks.id AND status = 'failed') AS failed_count
+      FROM webhooks WHERE id = ?`
+    )
+    .get(id);
+
+const toApiWebhook = (webhook) => ({ ...webhook, events: JSON.parse(webhook.events), active: Boolean(webhook.active) });
+
+// The payload is stored as the exact JSON that was signed; parse it for display
+const toApiDelivery = (delivery) => ({ ...delivery, payload: JSON.parse(delivery.payload) });
+
+// GET all webhooks, plus the events they can subscribe to
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await asyncQuery(() =>
+      db
+        .prepare('SELECT id FROM webhooks ORDER BY id')
+        .all()
+        .map(({ id }) => findWebhook(id))
+    );
+    res.json({ webhooks: webhooks.map(toApiWebhook), events: WEBHOOK_EVENTS, max_attempts: MAX_ATTEMPTS });
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
+  }
+});
+
+// POST create a webhook, e.g. { "url": "https://payroll.example.com/hooks",
+// "events": ["nurse.created", "nurse.updated"] }. Its signing secret is
+// generated here.
+router.post('/', async (req, res) => {
+  const { url, description = null, events, active = true } = req.body;
+
+  if (!url || !events) {
+    return res.status(400).json({ error: 'url and events are required' });
+  }
+
+  const validationError = validateWebhookInput({ url, description, events, active });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const webhook = await asyncQuery(() => {
+      const result = db
+        .prepare(
+          `INSERT INTO webhooks (url, description, secret, events, active, created_by_username)
+          VALUES (?, ?, ?, ?, ?, ?)`
+        )
+        .run(
+          url.trim(),
+          description ? String(description).trim() : null,
+          generateWebhookSecret(),
+          JSON.stringify([...new Set(events)]),
+          active ? 1 : 0,
+          req.user.username
+        );
+      return findWebhook(result.lastInsertRowid);
+    });
+    res.status(201).json(toApiWebhook(webhook));
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+// PUT update a webhook's URL, description, events or active flag. Send
+// { "rotate_secret": true } to replace its signing secret.
+router.put('/:id', async (req, res) => {
+  const { url, description, events, active, rotate_secret: rotateSecret } = req.body;
+  const id = parseInt(req.params.id, 10);
+
+  const validationError = validateWebhookInput(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const existingWebhook = await asyncQuery(() => findWebhook(id));
+    if (!existingWebhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const updatedWebhook = await asyncQuery(() => {
+      db.prepare(
+        `UPDATE webhooks SET url = ?, description = ?, events = ?, active = ?, secret = ?,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?`
+      ).run(
+        url !== undefined ? url.trim() : existingWebhook.url,
+        description !== undefined ? (description ? String(description).trim() : null) : existingWebhook.description,
+        events !== undefined ? JSON.stringify([...new Set(events)]) : existingWebhook.events,
+        active !== undefined ? (active ? 1 : 0) : existingWebhook.active,
+        rotateSecret === true ? generateWebhookSecret() : existingWebhook.secret,
+        id
+      );
+      return findWebhook(id);
+    });
+
+    res.json(toApiWebhook(updatedWebhook));
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+// DELETE a webhook, with its delivery log and anything still queued
+router.delete('/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+
+  try {
+    const result = await asyncQuery(() => db.prepare('DELETE FROM webhooks WHERE id = ?').run(id));
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// POST send a "ping" event to a webhook, to check its receiver
+router.post('/:id/test', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+
+  try {
+    const webhook = await asyncQuery(() => findWebhook(id));
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    if (!webhook.active) {
+      return res.status(400).json({ error: 'Turn the webhook on to send it a test' });
+    }
+
+    const deliveryId = await asyncQuery(() => queueTestDelivery(webhook));
+    res.status(202).json({ delivery_id: deliveryId });
+  } catch (error) {
+    console.error('Error sending test webhook:', error);
+    res.status(500).json({ error: 'Failed to send test webhook' });
+  }
+});
+
+// GET a webhook's delivery log, newest first (?status=failed, ?limit=50)
+router.get('/:id/deliveries', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const { status } = req.query;
+  const limit = req.query.limit === undefined ? DEFAULT_DELIVERY_LIMIT : Number(req.query.limit);
+
+  if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DELIVERY_LIMIT) {
+    return res.status(400).json({ error: `limit must be a whole number from 1 to ${MAX_DELIVERY_LIMIT}` });
+  }
+
+  try {
+    const deliveries = await asyncQuery(() => {
+      if (!findWebhook(id)) return null;
+      return db
+        .prepare(
+          `SELECT * FROM webhook_deliveries WHERE webhook_id = ? ${status ? 'AND status = ?' : ''}
+          ORDER BY id DESC LIMIT ?`
+        )
+        .all(...[id, status, limit].filter((param) => param !== undefined));
+    });
+    if (!deliveries) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(deliveries.map(toApiDelivery));
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+// POST send a delivery again, as a new entry in the log. Any delivery can
+// be resent, e.g. one that failed for good or that the receiver lost.
+router.post('/:id/deliveries/:deliveryId/redeliver', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const deliveryId = parseInt(req.params.deliveryId, 10);
+
+  try {
+    const [webhook, delivery] = await asyncQuery(() => [
+      findWebhook(id),
+      db.prepare('SELECT * FROM webhook_deliveries WHERE id = ? AND webhook_id = ?').get(deliveryId, id),
+    ]);
+    if (!webhook || !delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    if (!webhook.active) {
+      return res.status(400).json({ error: 'Turn the webhook on to redeliver' });
+    }
+
+    const redelivery = await asyncQuery(() => {
+      const newId = queueRedelivery(delivery);
+      return db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(newId);
+    });
+    res.status(202).json(toApiDelivery(redelivery));
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).json({ error: 'Failed to redeliver webhook' });
+  }
+});
+
+module.exports = router;
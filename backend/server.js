@@ -1,69 +1,246 @@
 const express = require('express');
 const cors = require('cors');
-const Database = require('better-sqlite3');
-const path = require('path');
+const { db, asyncQuery } = require('./db');
+const { NURSE_EDITOR_ROLES, requireAuth, requireRole, ensureAdminUser } = require('./auth');
+const { AUDITED_FIELDS, recordAudit, getNurseHistory, getAuditEntry } = require('./audit');
+const {
+  NURSE_COLUMNS_SQL,
+  NURSE_FIELDS,
+  NURSE_OPTION_FIELDS,
+  validateNurseInput,
+  validateNurseFields,
+  normalizeNurseInput,
+  toApiNurse,
+  buildNurseListQuery,
+  parseIntParam,
+  parseIdList,
+  findEmergencyContacts,
+  saveEmergencyContacts,
+  findNurseFiles,
+  optionValue,
+} = require('./nurses');
+const { removeUpload } = require('./uploads');
+const { unsanitizeFormula } = require('./csv');
+const { sendValidationErrors } = require('./validation');
+const { findCustomFields, parseCustomFieldValues } = require('./customFields');
+const { startTrashRetention } = require('./trash');
+const { startWebhookDelivery } = require('./webhooks');
+const { openEventStream, broadcastNurseChange } = require('./events');
+const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
+const credentialRoutes = require('./routes/credentials');
+const shiftRoutes = require('./routes/shifts');
+const unitRoutes = require('./routes/units');
+const reportRoutes = require('./routes/reports');
+const exportRoutes = require('./routes/exports');
+const analyticsRoutes = require('./routes/analytics');
+const photoRoutes = require('./routes/photos');
+const documentRoutes = require('./routes/documents');
+const leaveRoutes = require('./routes/leave');
+const trainingRoutes = require('./routes/training');
+const duplicateRoutes = require('./routes/duplicates');
+const apiKeyRoutes = require('./routes/apiKeys');
+const webhookRoutes = require('./routes/webhooks');
+const customFieldRoutes = require('./routes/customFields');
+const { buildOpenApiSpec, findSpecDrift, renderDocsPage } = require('./openapi');
 
 const app = express();
 const PORT = 5000;
 
+// Only the configured frontend origins may call the API from a browser
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:3000')
+  .split(',')
+  .map((origin) => origin.trim());
+
 // Middleware
-app.use(cors());
-app.use(express.json());
-
-// Initialize SQLite database
-const db = new Database(path.join(__dirname, 'nurses.db'));
-
-// Create nurses table if not exists
-db.exec(`
-  CREATE TABLE IF NOT EXISTS nurses (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    name TEXT NOT NULL,
-    license_number TEXT NOT NULL UNIQUE,
-    dob TEXT NOT NULL,
-    age INTEGER NOT NULL,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  )
-`);
-
-// Helper function to simulate async operations with promises
-const asyncQuery = (queryFn) => {
-  return new Promise((resolve, reject) => {
-    try {
-      const result = queryFn();
-      // Simulate async delay for demonstration
-      setTimeout(() => resolve(result), 100);
-    } catch (error) {
-      reject(error);
-    }
+app.use(cors({ origin: CORS_ORIGINS }));
+// Spreadsheet imports send the whole file as JSON, so allow larger bodies
+app.use(express.json({ limit: '5mb' }));
+
+// The unversioned /api routes predate /api/v1. They keep working until this
+// date, with headers telling clients where to go instead.
+const LEGACY_API_SUNSET = new Date(process.env.LEGACY_API_SUNSET || '2027-06-30');
+
+const deprecateLegacyApi = (req, res, next) => {
+  res.set({
+    Deprecation: 'true',
+    Sunset: LEGACY_API_SUNSET.toUTCString(),
+    Link: `</api/v1${req.url}>; rel="successor-version"`,
   });
+  next();
+};
+
+// Every route below is served under /api/v1, and for now under /api too
+const api = express.Router();
+
+// OpenAPI document and a docs page for it; both open to anyone
+const openApiSpec = buildOpenApiSpec();
+app.get('/api/v1/openapi.json', (req, res) => res.json(openApiSpec));
+app.get('/api/v1/docs', (req, res) => res.type('html').send(renderDocsPage(openApiSpec)));
+
+app.use('/api/v1', api);
+app.use('/api', deprecateLegacyApi, api);
+
+// Login/logout and user management
+api.use('/auth', authRoutes);
+api.use('/users', userRoutes);
+
+// API keys for integrations (admin)
+api.use('/api-keys', apiKeyRoutes);
+
+// Outbound webhooks and their delivery logs (admin)
+api.use('/webhooks', webhookRoutes);
+
+// Custom nurse fields (anyone signed in can read them; admins define them)
+api.use('/custom-fields', customFieldRoutes);
+
+// License credentials (/nurses/:id/credentials and /credentials/expiring)
+api.use(credentialRoutes);
+
+// Shift scheduling
+api.use('/shifts', shiftRoutes);
+
+// Units/wards (/units and /nurses/:id/units)
+api.use(unitRoutes);
+
+// PDF reports (/reports/... and /nurses/:id/profile.pdf)
+api.use(reportRoutes);
+
+// Streamed CSV exports (/exports/...)
+api.use(exportRoutes);
+
+// Workforce analytics (/analytics/...)
+api.use(analyticsRoutes);
+
+// Profile photos (/nurses/:id/photo)
+api.use(photoRoutes);
+
+// Attached documents (/nurses/:id/documents)
+api.use(documentRoutes);
+
+// Leave requests, approvals and balances (/leave-requests/..., /nurses/:id/leave-...)
+api.use(leaveRoutes);
+
+// Training records, competencies and compliance (/nurses/:id/training, /competencies, /compliance)
+api.use(trainingRoutes);
+
+// Duplicate detection and merging (/duplicates, /nurses/:id/merge)
+api.use(duplicateRoutes);
+
+// Live nurse changes as Server-Sent Events
+api.get('/events', requireAuth, openEventStream);
+
+// Raised when an edit is based on an outdated version of a nurse; handlers
+// turn it into a 409 that includes the current version
+class VersionConflictError extends Error {
+  constructor(current) {
+    super('This nurse was changed by someone else after you opened it');
+    this.current = current;
+  }
+}
+
+// ETag for a nurse: its version number
+const nurseETag = (nurse) => `"${nurse.version}"`;
+
+// The version an edit is based on, from an If-Match ETag or the body's
+// version field. Undefined when the client sent neither (unconditional
+// write). Throws with a client-facing message on a malformed value.
+const getExpectedVersion = (req) => {
+  const ifMatch = req.get('If-Match');
+  const raw = ifMatch ? ifMatch.replace(/^W\//, '').replace(/"/g, '') : req.body.version;
+  if (raw === undefined || raw === null || raw === '') return undefined;
+  if (!/^[1-9]\d*$/.test(String(raw))) {
+    throw new Error('version must be a positive integer');
+  }
+  return parseInt(raw, 10);
 };
 
-// GET all nurses
-app.get('/api/nurses', async (req, res) => {
+// A license number collision, reported against the field it concerns
+const DUPLICATE_LICENSE_ERROR = {
+  error: 'License number already exists',
+  errors: { license_number: 'License number already exists' },
+};
+
+// GET nurses with search, filtering, sorting and pagination
+api.get('/nurses', requireAuth, async (req, res) => {
+  let listQuery;
   try {
-    const nurses = await asyncQuery(() => {
-      const stmt = db.prepare('SELECT * FROM nurses ORDER BY id DESC');
-      return stmt.all();
+    listQuery = buildNurseListQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const { where, params, orderBy, page, limit, offset } = listQuery;
+    const result = await asyncQuery(() => {
+      const { total } = db
+        .prepare(`SELECT COUNT(*) AS total FROM nurses ${where}`)
+        .get(...params);
+      const rows = db
+        .prepare(`SELECT ${NURSE_COLUMNS_SQL} FROM nurses ${where} ${orderBy} LIMIT ? OFFSET ?`)
+        .all(...params, limit, offset);
+      return { total, rows };
+    });
+
+    res.json({
+      data: result.rows.map(toApiNurse),
+      total: result.total,
+      page,
+      limit,
+      total_pages: Math.ceil(result.total / limit),
     });
-    res.json(nurses);
   } catch (error) {
     console.error('Error fetching nurses:', error);
     res.status(500).json({ error: 'Failed to fetch nurses' });
   }
 });
 
-// GET single nurse by ID
-app.get('/api/nurses/:id', async (req, res) => {
+// GET the ids of every nurse matching the list query (page and limit are
+// ignored), so the roster can select the whole filtered set
+api.get('/nurses/ids', requireAuth, async (req, res) => {
+  let listQuery;
   try {
-    const nurse = await asyncQuery(() => {
-      const stmt = db.prepare('SELECT * FROM nurses WHERE id = ?');
-      return stmt.get(req.params.id);
-    });
-    
-    if (!nurse) {
+    listQuery = buildNurseListQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const { where, params, orderBy } = listQuery;
+    const ids = await asyncQuery(() =>
+      db
+        .prepare(`SELECT id FROM nurses ${where} ${orderBy}`)
+        .all(...params)
+        .map(({ id }) => id)
+    );
+    res.json({ ids, total: ids.length });
+  } catch (error) {
+    console.error('Error fetching nurse ids:', error);
+    res.status(500).json({ error: 'Failed to fetch nurse ids' });
+  }
+});
+
+// A nurse with its emergency contacts, as GET, POST and PUT return it
+const findNurseWithContacts = (id) => {
+  const nurse = db.prepare(`SELECT ${NURSE_COLUMNS_SQL} FROM nurses WHERE id = ?`).get(id);
+  return nurse && { ...toApiNurse(nurse), emergency_contacts: findEmergencyContacts(nurse.id) };
+};
+
+// Column list and placeholders for writing the profile fields
+const NURSE_FIELDS_SQL = NURSE_FIELDS.join(', ');
+const NURSE_FIELD_PLACEHOLDERS = NURSE_FIELDS.map(() => '?').join(', ');
+const NURSE_FIELD_ASSIGNMENTS = NURSE_FIELDS.map((field) => `${field} = ?`).join(', ');
+
+// GET single nurse by ID. Like the list, it leaves out nurses in the trash
+// unless asked for them with trash=true
+api.get('/nurses/:id', requireAuth, async (req, res) => {
+  try {
+    const nurse = await asyncQuery(() => findNurseWithContacts(req.params.id));
+
+    if (!nurse || (nurse.deleted_at && req.query.trash !== 'true')) {
       return res.status(404).json({ error: 'Nurse not found' });
     }
+    res.set('ETag', nurseETag(nurse));
     res.json(nurse);
   } catch (error) {
     console.error('Error fetching nurse:', error);
@@ -72,49 +249,389 @@ app.get('/api/nurses/:id', async (req, res) => {
 });
 
 // POST create new nurse
-app.post('/api/nurses', async (req, res) => {
-  const { name, license_number, dob, age } = req.body;
-  
-  if (!name || !license_number || !dob || age === undefined) {
-    return res.status(400).json({ error: 'All fields are required' });
-  }
+api.post('/nurses', requireRole(...NURSE_EDITOR_ROLES), async (req, res) => {
+  // A new nurse that sends no custom field values must still fill the
+  // required ones
+  const body = { ...req.body, custom_fields: req.body.custom_fields ?? {} };
 
   try {
-    const result = await asyncQuery(() => {
-      const stmt = db.prepare(
-        'INSERT INTO nurses (name, license_number, dob, age) VALUES (?, ?, ?, ?)'
-      );
-      return stmt.run(name, license_number, dob, parseInt(age));
-    });
+    // Custom field values are checked against the fields defined now
+    const customFields = await asyncQuery(findCustomFields);
+    const validationErrors = validateNurseInput(body, customFields);
+    if (validationErrors) {
+      return sendValidationErrors(res, validationErrors);
+    }
+    const input = normalizeNurseInput(body, customFields);
 
     const newNurse = await asyncQuery(() => {
-      const stmt = db.prepare('SELECT * FROM nurses WHERE id = ?');
-      return stmt.get(result.lastInsertRowid);
+      const createNurse = db.transaction(() => {
+        const result = db
+          .prepare(
+            `INSERT INTO nurses (${NURSE_FIELDS_SQL}, custom_fields) VALUES (${NURSE_FIELD_PLACEHOLDERS}, ?)`
+          )
+          .run(...NURSE_FIELDS.map((field) => input[field]), JSON.stringify(input.custom_fields));
+        if (input.emergency_contacts) {
+          saveEmergencyContacts(result.lastInsertRowid, input.emergency_contacts);
+        }
+        const nurse = findNurseWithContacts(result.lastInsertRowid);
+        recordAudit({ nurseId: nurse.id, action: 'create', user: req.user, after: nurse });
+        return nurse;
+      });
+      return createNurse();
     });
 
+    broadcastNurseChange('created', { nurse: newNurse, req });
     res.status(201).json(newNurse);
   } catch (error) {
     console.error('Error creating nurse:', error);
     if (error.message.includes('UNIQUE constraint failed')) {
-      return res.status(400).json({ error: 'License number already exists' });
+      return res.status(400).json(DUPLICATE_LICENSE_ERROR);
     }
     res.status(500).json({ error: 'Failed to create nurse' });
   }
 });
 
+// How rows whose license number already exists are handled on import
+const IMPORT_MODES = ['skip', 'upsert'];
+
+// Spreadsheets show yes/no fields as Yes/No (as the exports write them)
+const IMPORT_BOOLEANS = { yes: true, true: true, no: false, false: false };
+
+// Trim spreadsheet cell values, dropping the apostrophe exports put before
+// formula-like text; blank cells become empty strings. Export columns that
+// aren't nurse fields (ID, Age, Unit, ...) are ignored; age is derived from
+// the date of birth. Optional profile columns the row leaves out stay
+// undefined, so an update keeps their saved values, and option fields also
+// take the labels the exports write ("Full-time"). Custom field cells come as
+// a custom_fields object keyed by field key, with Yes/No read as true/false;
+// anything else there is left for validation to report. Returns null for an
+// entry that isn't an object of column values.
+const normalizeImportRow = (row, customFields) => {
+  if (typeof row !== 'object' || row === null || Array.isArray(row)) return null;
+
+  const clean = (value) => (value === undefined || value === null ? '' : unsanitizeFormula(String(value).trim()));
+  const nurse = { name: clean(row.name), license_number: clean(row.license_number), dob: clean(row.dob) };
+  NURSE_FIELDS.filter((field) => !(field in nurse) && row[field] !== undefined).forEach((field) => {
+    nurse[field] = NURSE_OPTION_FIELDS.includes(field) ? optionValue(field, clean(row[field])) : clean(row[field]);
+  });
+
+  const cells = row.custom_fields ?? {};
+  const customValues =
+    typeof cells === 'object' && !Array.isArray(cells)
+      ? Object.fromEntries(
+          Object.entries(cells).map(([key, value]) => {
+            const field = customFields.find((customField) => customField.key === key);
+            const text = typeof value === 'string' ? value.trim() : value;
+            if (field?.type === 'boolean' && typeof text === 'string' && text !== '') {
+              return [key, IMPORT_BOOLEANS[text.toLowerCase()] ?? text];
+            }
+            return [key, text];
+          })
+        )
+      : cells;
+  return { ...nurse, custom_fields: customValues };
+};
+
+// POST bulk import nurses (from CSV/XLSX rows parsed by the client).
+// With dry_run the rows are validated and a report returned, nothing is written.
+api.post('/nurses/import', requireRole(...NURSE_EDITOR_ROLES), async (req, res) => {
+  const { rows, mode = 'skip', dry_run = false } = req.body;
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return res.status(400).json({ error: 'rows must be a non-empty array' });
+  }
+  if (!IMPORT_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${IMPORT_MODES.join(', ')}` });
+  }
+  if (typeof dry_run !== 'boolean') {
+    return res.status(400).json({ error: 'dry_run must be true or false' });
+  }
+
+  try {
+    // Custom field cells are checked against the fields defined now
+    const customFields = await asyncQuery(findCustomFields);
+
+    const results = await asyncQuery(() => {
+      const findByLicense = db.prepare(`SELECT ${NURSE_COLUMNS_SQL} FROM nurses WHERE license_number = ?`);
+      const findById = db.prepare(`SELECT ${NURSE_COLUMNS_SQL} FROM nurses WHERE id = ?`);
+      const insertNurse = db.prepare(
+        `INSERT INTO nurses (${NURSE_FIELDS_SQL}, custom_fields) VALUES (${NURSE_FIELD_PLACEHOLDERS}, ?)`
+      );
+      const updateNurse = db.prepare(
+        `UPDATE nurses SET ${NURSE_FIELD_ASSIGNMENTS}, custom_fields = ?, updated_at = CURRENT_TIMESTAMP,
+          version = version + 1
+        WHERE id = ?`
+      );
+
+      // Validation and writes share one transaction, so a failure part-way
+      // through rolls back every row of the import
+      const importRows = db.transaction(() => {
+        const seenLicenses = new Map();
+
+        return rows.map((input, index) => {
+          // Row numbers match the spreadsheet, where row 1 is the header
+          const row = index + 2;
+          const nurse = normalizeImportRow(input, customFields);
+          if (!nurse) {
+            return {
+              row,
+              name: '',
+              license_number: '',
+              status: 'error',
+              message: 'Row must be an object of column values',
+            };
+          }
+          const result = { row, name: nurse.name, license_number: nurse.license_number };
+
+          // An update keeps the saved profile and custom field values the
+          // file has no column for; a blank cell clears its value
+          const existing = findByLicense.get(nurse.license_number);
+          if (existing && mode === 'upsert') {
+            NURSE_FIELDS.filter((field) => nurse[field] === undefined).forEach((field) => {
+              nurse[field] = existing[field];
+            });
+            if (typeof nurse.custom_fields === 'object') {
+              nurse.custom_fields = { ...parseCustomFieldValues(existing.custom_fields), ...nurse.custom_fields };
+            }
+          }
+
+          const validationErrors = validateNurseInput(nurse, customFields);
+          if (validationErrors) {
+            const message = Object.values(validationErrors).join('; ');
+            return { ...result, status: 'error', message };
+          }
+
+          if (seenLicenses.has(nurse.license_number)) {
+            return {
+              ...result,
+              status: 'error',
+              message: `Duplicate of row ${seenLicenses.get(nurse.license_number)} in this file`,
+            };
+          }
+          seenLicenses.set(nurse.license_number, row);
+          const values = normalizeNurseInput(nurse, customFields);
+
+          if (existing && existing.deleted_at) {
+            return {
+              ...result,
+              id: existing.id,
+              status: 'skip',
+              message: 'License number belongs to a nurse in the trash',
+            };
+          }
+          if (existing && mode === 'skip') {
+            return { ...result, id: existing.id, status: 'skip', message: 'License number already exists' };
+          }
+
+          if (existing) {
+            if (!dry_run) {
+              updateNurse.run(
+                ...NURSE_FIELDS.map((field) => values[field]),
+                JSON.stringify(values.custom_fields),
+                existing.id
+              );
+              recordAudit({
+                nurseId: existing.id,
+                action: 'import',
+                user: req.user,
+                before: existing,
+                after: findById.get(existing.id),
+              });
+            }
+            return { ...result, id: existing.id, status: 'update' };
+          }
+
+          if (!dry_run) {
+            const { lastInsertRowid } = insertNurse.run(
+              ...NURSE_FIELDS.map((field) => values[field]),
+              JSON.stringify(values.custom_fields)
+            );
+            recordAudit({
+              nurseId: Number(lastInsertRowid),
+              action: 'import',
+              user: req.user,
+              after: findById.get(lastInsertRowid),
+            });
+            return { ...result, id: Number(lastInsertRowid), status: 'create' };
+          }
+          return { ...result, status: 'create' };
+        });
+      });
+
+      return importRows();
+    });
+
+    const summary = { total: results.length, create: 0, update: 0, skip: 0, error: 0 };
+    results.forEach((result) => {
+      summary[result.status]++;
+    });
+
+    if (!dry_run && summary.create + summary.update > 0) {
+      broadcastNurseChange('bulk', { req });
+    }
+    res.json({ dry_run, mode, summary, rows: results });
+  } catch (error) {
+    console.error('Error importing nurses:', error);
+    res.status(500).json({ error: 'Failed to import nurses' });
+  }
+});
+
+// Apply a change to each of a list of active nurses in one transaction, so
+// an unexpected failure rolls back the whole batch. applyChange gets the nurse
+// as it was; ids that don't name an active nurse are reported as errors.
+// Returns a summary and a result per id, with `status` as the count key.
+const runNurseBatch = (ids, status, applyChange) => {
+  const findActive = db.prepare(`SELECT ${NURSE_COLUMNS_SQL} FROM nurses WHERE id = ? AND deleted_at IS NULL`);
+  const rows = db.transaction(() =>
+    ids.map((id) => {
+      const nurse = findActive.get(id);
+      if (!nurse) {
+        return { id, status: 'error', message: 'Nurse not found' };
+      }
+      applyChange(nurse);
+      return { id, name: nurse.name, status };
+    })
+  )();
+
+  const summary = { total: rows.length, [status]: 0, error: 0 };
+  rows.forEach((row) => {
+    summary[row.status]++;
+  });
+  return { summary, rows };
+};
+
+// Fields a batch update can set: the primary unit and the profile fields
+// with fixed options
+const BATCH_UPDATE_FIELDS = ['primary_unit_id', ...NURSE_OPTION_FIELDS];
+
+// POST move a list of nurses to the trash
+api.post('/nurses/batch/delete', requireRole(...NURSE_EDITOR_ROLES), async (req, res) => {
+  let ids;
+  try {
+    ids = parseIdList(req.body.ids ?? [], 'ids');
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const result = await asyncQuery(() => {
+      const trashNurse = db.prepare(
+        'UPDATE nurses SET deleted_at = CURRENT_TIMESTAMP, version = version + 1 WHERE id = ?'
+      );
+      return runNurseBatch(ids, 'delete', (nurse) => {
+        trashNurse.run(nurse.id);
+        recordAudit({ nurseId: nurse.id, action: 'delete', user: req.user, before: nurse });
+      });
+    });
+
+    if (result.summary.delete > 0) {
+      broadcastNurseChange('bulk', { req });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Error deleting nurses:', error);
+    res.status(500).json({ error: 'Failed to delete nurses' });
+  }
+});
+
+// POST set the same field values on a list of nurses, e.g.
+// { "ids": [3, 7], "fields": { "employment_status": "on_leave" } }
+api.post('/nurses/batch/update', requireRole(...NURSE_EDITOR_ROLES), async (req, res) => {
+  const { fields } = req.body;
+
+  let ids;
+  try {
+    ids = parseIdList(req.body.ids ?? [], 'ids');
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+    return res.status(400).json({ error: 'fields must name at least one field to update' });
+  }
+  const unknownFields = Object.keys(fields).filter((field) => !BATCH_UPDATE_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    return res.status(400).json({
+      error: `Cannot batch update ${unknownFields.join(', ')}; fields can be: ${BATCH_UPDATE_FIELDS.join(', ')}`,
+    });
+  }
+
+  const { primary_unit_id: unitId, ...profileFields } = fields;
+  const validationErrors = validateNurseFields(profileFields);
+  if (validationErrors) {
+    return sendValidationErrors(res, validationErrors);
+  }
+  const movesUnit = 'primary_unit_id' in fields;
+  if (movesUnit && unitId !== null && !/^[1-9]\d*$/.test(String(unitId))) {
+    return res.status(400).json({ error: 'primary_unit_id must be a unit id, or null to unassign' });
+  }
+
+  const input = normalizeNurseInput(profileFields);
+  const updates = Object.keys(fields).map((field) =>
+    field === 'primary_unit_id' ? [field, unitId === null ? null : Number(unitId)] : [field, input[field]]
+  );
+
+  try {
+    if (movesUnit && unitId !== null) {
+      const unit = await asyncQuery(() => db.prepare('SELECT id FROM units WHERE id = ?').get(unitId));
+      if (!unit) {
+        return res.status(400).json({ error: `Unit ${unitId} not found` });
+      }
+    }
+
+    const result = await asyncQuery(() => {
+      const updateNurse = db.prepare(
+        `UPDATE nurses SET ${updates.map(([field]) => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP, version = version + 1 WHERE id = ?`
+      );
+      // A nurse doesn't float to their own primary unit
+      const dropFloat = db.prepare('DELETE FROM nurse_float_units WHERE nurse_id = ? AND unit_id = ?');
+      const findById = db.prepare(`SELECT ${NURSE_COLUMNS_SQL} FROM nurses WHERE id = ?`);
+      return runNurseBatch(ids, 'update', (nurse) => {
+        updateNurse.run(...updates.map(([, value]) => value), nurse.id);
+        if (movesUnit && unitId !== null) {
+          dropFloat.run(nurse.id, unitId);
+        }
+        recordAudit({
+          nurseId: nurse.id,
+          action: 'update',
+          user: req.user,
+          before: nurse,
+          after: findById.get(nurse.id),
+        });
+      });
+    });
+
+    if (result.summary.update > 0) {
+      broadcastNurseChange('bulk', { req });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Error updating nurses:', error);
+    res.status(500).json({ error: 'Failed to update nurses' });
+  }
+});
+
 // PUT update nurse
-app.put('/api/nurses/:id', async (req, res) => {
-  const { name, license_number, dob, age } = req.body;
+api.put('/nurses/:id', requireRole(...NURSE_EDITOR_ROLES), async (req, res) => {
   const { id } = req.params;
 
-  if (!name || !license_number || !dob || age === undefined) {
-    return res.status(400).json({ error: 'All fields are required' });
+  let expectedVersion;
+  try {
+    expectedVersion = getExpectedVersion(req);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
 
   try {
-    // Check if nurse exists
+    const customFields = await asyncQuery(findCustomFields);
+    const validationErrors = validateNurseInput(req.body, customFields);
+    if (validationErrors) {
+      return sendValidationErrors(res, validationErrors);
+    }
+    const input = normalizeNurseInput(req.body, customFields);
+
+    // Check if nurse exists (nurses in the trash must be restored first)
     const existingNurse = await asyncQuery(() => {
-      const stmt = db.prepare('SELECT * FROM nurses WHERE id = ?');
+      const stmt = db.prepare(`SELECT ${NURSE_COLUMNS_SQL} FROM nurses WHERE id = ? AND deleted_at IS NULL`);
       return stmt.get(id);
     });
 
@@ -122,33 +639,60 @@ app.put('/api/nurses/:id', async (req, res) => {
       return res.status(404).json({ error: 'Nurse not found' });
     }
 
-    await asyncQuery(() => {
-      const stmt = db.prepare(
-        'UPDATE nurses SET name = ?, license_number = ?, dob = ?, age = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
-      );
-      return stmt.run(name, license_number, dob, parseInt(age), id);
-    });
-
     const updatedNurse = await asyncQuery(() => {
-      const stmt = db.prepare('SELECT * FROM nurses WHERE id = ?');
-      return stmt.get(id);
+      const updateNurse = db.transaction(() => {
+        // Re-read inside the transaction so the version check and the write
+        // see the same row
+        const before = findNurseWithContacts(id);
+        if (expectedVersion !== undefined && before.version !== expectedVersion) {
+          throw new VersionConflictError(before);
+        }
+        db.prepare(
+          `UPDATE nurses SET ${NURSE_FIELD_ASSIGNMENTS}, custom_fields = ?, updated_at = CURRENT_TIMESTAMP, version = version + 1 WHERE id = ?`
+        ).run(
+          // Fields left out of the body keep their saved values, so clients
+          // that predate a field don't clear it; the same goes for contacts
+          // and custom field values (which, when sent, replace them all)
+          ...NURSE_FIELDS.map((field) => (field in req.body ? input[field] : before[field])),
+          JSON.stringify(input.custom_fields || before.custom_fields),
+          id
+        );
+        if (input.emergency_contacts) {
+          saveEmergencyContacts(id, input.emergency_contacts);
+        }
+        const nurse = findNurseWithContacts(id);
+        recordAudit({
+          nurseId: nurse.id,
+          action: 'update',
+          user: req.user,
+          before,
+          after: nurse,
+        });
+        return nurse;
+      });
+      return updateNurse();
     });
 
+    broadcastNurseChange('updated', { nurse: updatedNurse, req });
+    res.set('ETag', nurseETag(updatedNurse));
     res.json(updatedNurse);
   } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return res.status(409).json({ error: error.message, current: error.current });
+    }
     console.error('Error updating nurse:', error);
     if (error.message.includes('UNIQUE constraint failed')) {
-      return res.status(400).json({ error: 'License number already exists' });
+      return res.status(400).json(DUPLICATE_LICENSE_ERROR);
     }
     res.status(500).json({ error: 'Failed to update nurse' });
   }
 });
 
-// DELETE nurse
-app.delete('/api/nurses/:id', async (req, res) => {
+// DELETE nurse (moves it to the trash; it can be restored until purged)
+api.delete('/nurses/:id', requireRole(...NURSE_EDITOR_ROLES), async (req, res) => {
   try {
     const existingNurse = await asyncQuery(() => {
-      const stmt = db.prepare('SELECT * FROM nurses WHERE id = ?');
+      const stmt = db.prepare(`SELECT ${NURSE_COLUMNS_SQL} FROM nurses WHERE id = ? AND deleted_at IS NULL`);
       return stmt.get(req.params.id);
     });
 
@@ -157,25 +701,206 @@ app.delete('/api/nurses/:id', async (req, res) => {
     }
 
     await asyncQuery(() => {
-      const stmt = db.prepare('DELETE FROM nurses WHERE id = ?');
-      return stmt.run(req.params.id);
+      const deleteNurse = db.transaction(() => {
+        db.prepare('UPDATE nurses SET deleted_at = CURRENT_TIMESTAMP, version = version + 1 WHERE id = ?').run(
+          req.params.id
+        );
+        recordAudit({
+          nurseId: existingNurse.id,
+          action: 'delete',
+          user: req.user,
+          before: existingNurse,
+        });
+      });
+      return deleteNurse();
     });
 
-    res.json({ message: 'Nurse deleted successfully' });
+    broadcastNurseChange('deleted', { nurseId: existingNurse.id, req });
+    res.json({ message: 'Nurse moved to trash' });
   } catch (error) {
     console.error('Error deleting nurse:', error);
     res.status(500).json({ error: 'Failed to delete nurse' });
   }
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
+// POST restore a nurse from the trash
+api.post('/nurses/:id/restore', requireRole(...NURSE_EDITOR_ROLES), async (req, res) => {
+  try {
+    const trashedNurse = await asyncQuery(() => {
+      const stmt = db.prepare(`SELECT ${NURSE_COLUMNS_SQL} FROM nurses WHERE id = ? AND deleted_at IS NOT NULL`);
+      return stmt.get(req.params.id);
+    });
+
+    if (!trashedNurse) {
+      return res.status(404).json({ error: 'Nurse not found in trash' });
+    }
+
+    const restoredNurse = await asyncQuery(() => {
+      const restoreNurse = db.transaction(() => {
+        db.prepare(
+          'UPDATE nurses SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP, version = version + 1 WHERE id = ?'
+        ).run(trashedNurse.id);
+        const nurse = toApiNurse(
+          db.prepare(`SELECT ${NURSE_COLUMNS_SQL} FROM nurses WHERE id = ?`).get(trashedNurse.id)
+        );
+        recordAudit({ nurseId: nurse.id, action: 'restore', user: req.user, after: nurse });
+        return nurse;
+      });
+      return restoreNurse();
+    });
+
+    broadcastNurseChange('restored', { nurse: restoredNurse, req });
+    res.json(restoredNurse);
+  } catch (error) {
+    console.error('Error restoring nurse:', error);
+    res.status(500).json({ error: 'Failed to restore nurse' });
+  }
+});
+
+// DELETE permanently purge a nurse from the trash (admin only)
+api.delete('/nurses/:id/purge', requireRole('admin'), async (req, res) => {
+  try {
+    const trashedNurse = await asyncQuery(() => {
+      const stmt = db.prepare(`SELECT ${NURSE_COLUMNS_SQL} FROM nurses WHERE id = ? AND deleted_at IS NOT NULL`);
+      return stmt.get(req.params.id);
+    });
+
+    if (!trashedNurse) {
+      return res.status(404).json({ error: 'Nurse not found in trash' });
+    }
+
+    const files = await asyncQuery(() => {
+      const purgeNurse = db.transaction(() => {
+        const nurseFiles = findNurseFiles(trashedNurse);
+        db.prepare('DELETE FROM nurses WHERE id = ?').run(trashedNurse.id);
+        recordAudit({
+          nurseId: trashedNurse.id,
+          action: 'purge',
+          user: req.user,
+          before: trashedNurse,
+        });
+        return nurseFiles;
+      });
+      return purgeNurse();
+    });
+
+    files.forEach(([subdir, filename]) => removeUpload(subdir, filename));
+    broadcastNurseChange('purged', { nurseId: trashedNurse.id, req });
+    res.json({ message: 'Nurse permanently deleted' });
+  } catch (error) {
+    console.error('Error purging nurse:', error);
+    res.status(500).json({ error: 'Failed to purge nurse' });
+  }
 });
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-  db.close();
-  process.exit();
+// GET a nurse's change history (newest first). Kept after the nurse is deleted.
+api.get('/nurses/:id/history', requireAuth, async (req, res) => {
+  try {
+    const history = await asyncQuery(() => getNurseHistory(req.params.id));
+    res.json(history);
+  } catch (error) {
+    console.error('Error fetching nurse history:', error);
+    res.status(500).json({ error: 'Failed to fetch nurse history' });
+  }
 });
 
+// POST revert a nurse to the version recorded by one of its history entries
+api.post('/nurses/:id/revert', requireRole(...NURSE_EDITOR_ROLES), async (req, res) => {
+  const { id } = req.params;
+
+  let auditId;
+  try {
+    auditId = parseIntParam(req.body.audit_id, 'audit_id');
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (auditId === undefined) {
+    return res.status(400).json({ error: 'audit_id is required' });
+  }
+
+  try {
+    const [existingNurse, entry] = await asyncQuery(() => [
+      db.prepare(`SELECT ${NURSE_COLUMNS_SQL} FROM nurses WHERE id = ? AND deleted_at IS NULL`).get(id),
+      getAuditEntry(id, auditId),
+    ]);
+
+    if (!existingNurse) {
+      return res.status(404).json({ error: 'Nurse not found' });
+    }
+    if (!entry) {
+      return res.status(404).json({ error: 'History entry not found' });
+    }
+    if (!entry.after) {
+      return res.status(400).json({ error: 'That history entry has no version to revert to' });
+    }
+
+    const version = entry.after;
+    const revertedNurse = await asyncQuery(() => {
+      const revertNurse = db.transaction(() => {
+        db.prepare(
+          `UPDATE nurses SET ${AUDITED_FIELDS.map((field) => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP, version = version + 1 WHERE id = ?`
+        ).run(
+          // Entries written before a field was audited leave it as it is, and
+          // a unit deleted since leaves the nurse unassigned
+          ...AUDITED_FIELDS.map((field) => {
+            if (!(field in version)) return existingNurse[field];
+            if (field === 'primary_unit_id' && version[field] !== null) {
+              return db.prepare('SELECT id FROM units WHERE id = ?').get(version[field]) ? version[field] : null;
+            }
+            return field === 'custom_fields' ? JSON.stringify(version[field]) : version[field];
+          }),
+          id
+        );
+        const nurse = toApiNurse(db.prepare(`SELECT ${NURSE_COLUMNS_SQL} FROM nurses WHERE id = ?`).get(id));
+        recordAudit({
+          nurseId: nurse.id,
+          action: 'revert',
+          user: req.user,
+          before: existingNurse,
+          after: nurse,
+          revertedFrom: entry.id,
+        });
+        return nurse;
+      });
+      return revertNurse();
+    });
+
+    broadcastNurseChange('updated', { nurse: revertedNurse, req });
+    res.json(revertedNurse);
+  } catch (error) {
+    console.error('Error reverting nurse:', error);
+    if (error.message.includes('UNIQUE constraint failed')) {
+      return res.status(400).json({ error: 'License number already exists' });
+    }
+    res.status(500).json({ error: 'Failed to revert nurse' });
+  }
+});
+
+// Make sure there is an admin who can log in and create other users
+ensureAdminUser();
+
+// Start the server when run directly; tests require the app and listen on
+// a port of their own
+if (require.main === module) {
+  // A route added without its OpenAPI entry is missing from the docs
+  findSpecDrift(app).forEach((message) => console.warn(`OpenAPI spec out of date: ${message}`));
+
+  // Purge nurses that have been in the trash longer than the retention period
+  startTrashRetention();
+
+  // Send queued webhook deliveries, including retries left from before a restart
+  startWebhookDelivery();
+
+  app.listen(PORT, () => {
+    console.log(`Server running on http://localhost:${PORT}`);
+  });
+
+  // Graceful shutdown
+  process.on('SIGINT', () => {
+    db.close();
+    process.exit();
+  });
+}
+
+module.exports = app;
+
@@ -0,0 +1,59 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+// The local YYYY-MM-DD date the given number of years and days before today
+const dateBefore = (years, days = 0) => {
+  const date = new Date();
+  date.setFullYear(date.getFullYear() - years);
+  date.setDate(date.getDate() - days);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+describe('age derived from the date of birth', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  it('counts a birthday only once it has come', async () => {
+    const birthdayToday = await api.createNurse({ dob: dateBefore(30) });
+    const birthdayTomorrow = await api.createNurse({ dob: dateBefore(30, -1) });
+
+    assert.equal(birthdayToday.age, 30);
+    assert.equal(birthdayTomorrow.age, 29);
+  });
+
+  it('ignores an age sent by the client', async () => {
+    const nurse = await api.createNurse({ dob: dateBefore(40, 10), age: 99 });
+    assert.equal(nurse.age, 40);
+
+    const { body } = await api.request('GET', `/api/v1/nurses/${nurse.id}`);
+    assert.equal(body.age, 40);
+  });
+
+  it('filters on the derived age', async () => {
+    const older = await api.createNurse({ dob: dateBefore(61, 3) });
+
+    const filtered = await api.request('GET', '/api/v1/nurses?age_min=60&age_max=70');
+    assert.deepEqual(
+      filtered.body.data.map(({ id }) => id),
+      [older.id]
+    );
+    assert.equal((await api.request('GET', '/api/v1/nurses?age_min=sixty')).status, 400);
+  });
+
+  it('refuses a date of birth under the minimum age', async () => {
+    const { status, body } = await api.request('POST', '/api/v1/nurses', {
+      name: 'Too Young',
+      license_number: 'RN-YOUNG',
+      dob: dateBefore(17),
+    });
+    assert.equal(status, 422);
+    assert.equal(body.errors.dob, 'Nurse must be at least 18 years old');
+  });
+});
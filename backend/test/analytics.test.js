@@ -0,0 +1,79 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+// The local YYYY-MM-DD date `years` years and a month before today, so the
+// age is `years` whatever today's date
+const dobForAge = (years) => {
+  const date = new Date();
+  date.setFullYear(date.getFullYear() - years, date.getMonth() - 1);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+describe('workforce analytics', () => {
+  let api;
+  let nearRetirement;
+
+  before(async () => {
+    api = await startServer();
+    await api.createNurse({ dob: dobForAge(27) });
+    await api.createNurse({ dob: dobForAge(33) });
+    nearRetirement = await api.createNurse({ dob: dobForAge(62) });
+    const trashed = await api.createNurse({ dob: dobForAge(45) });
+    await api.request('DELETE', `/api/v1/nurses/${trashed.id}`);
+  });
+
+  after(() => api.close());
+
+  it('summarises the active headcount', async () => {
+    const { status, body } = await api.request('GET', '/api/v1/analytics/summary');
+    assert.equal(status, 200);
+    assert.equal(body.headcount, 3);
+    assert.equal(body.in_trash, 1);
+    assert.equal(body.average_age, 40.7);
+    assert.equal(body.hired_last_12_months, 4);
+  });
+
+  it('bins active ages, keeping empty bins in between', async () => {
+    const { body } = await api.request('GET', '/api/v1/analytics/age-distribution?bin_size=10');
+    assert.equal(body.bin_size, 10);
+    assert.deepEqual(
+      body.data.map(({ label, count }) => [label, count]),
+      [
+        ['20–29', 1],
+        ['30–39', 1],
+        ['40–49', 0],
+        ['50–59', 0],
+        ['60–69', 1],
+      ]
+    );
+    assert.equal((await api.request('GET', '/api/v1/analytics/age-distribution?bin_size=0')).status, 400);
+  });
+
+  it('lists nurses reaching retirement age', async () => {
+    const { body } = await api.request('GET', '/api/v1/analytics/retirement?retirement_age=65&within_years=5');
+    assert.deepEqual(
+      body.data.map(({ id, years_remaining }) => [id, years_remaining]),
+      [[nearRetirement.id, 3]]
+    );
+    assert.equal((await api.request('GET', '/api/v1/analytics/retirement?retirement_age=90')).status, 400);
+  });
+
+  it('counts hires and record churn per month, trashed nurses included', async () => {
+    const hires = await api.request('GET', '/api/v1/analytics/hires?months=3');
+    assert.equal(hires.body.data.length, 3);
+    assert.equal(hires.body.data[2].hires, 4);
+
+    const churn = await api.request('GET', '/api/v1/analytics/churn?months=1');
+    assert.equal(churn.body.data[0].deletes, 1);
+    assert.equal((await api.request('GET', '/api/v1/analytics/churn?months=61')).status, 400);
+  });
+
+  it('sends any report as CSV on request', async () => {
+    const { status, headers, body } = await api.request('GET', '/api/v1/analytics/age-distribution?format=csv');
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /^text\/csv/);
+    assert.match(body, /Age Range,Nurses/);
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('API keys', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  const createKey = async (fields) => {
+    const response = await api.request('POST', '/api/v1/api-keys', { name: 'Payroll', ...fields });
+    assert.equal(response.status, 201);
+    return response.body;
+  };
+
+  const withKey = (key, method, url, body) =>
+    api.request(method, url, body, { token: null, headers: { 'X-API-Key': key } });
+
+  it('shows the key once and never lists it', async () => {
+    const created = await createKey({ scopes: ['nurses:read'] });
+    assert.match(created.key, /^nmk_/);
+
+    const { body } = await api.request('GET', '/api/v1/api-keys');
+    const listed = body.api_keys.find(({ id }) => id === created.id);
+    assert.ok(listed);
+    assert.equal(listed.key, undefined);
+    assert.equal(listed.key_hash, undefined);
+    assert.ok(body.scopes.includes('shifts:write'));
+  });
+
+  it('limits a key to its scopes and keeps it away from people-only routes', async () => {
+    const { key } = await createKey({ scopes: ['nurses:read'] });
+
+    assert.equal((await withKey(key, 'GET', '/api/v1/nurses')).status, 200);
+    assert.equal((await withKey(key, 'GET', '/api/nurses')).status, 200);
+
+    const write = await withKey(key, 'POST', '/api/v1/nurses', { name: 'Key Nurse' });
+    assert.equal(write.status, 403);
+    assert.equal(write.body.error, 'This API key lacks the nurses:write scope');
+
+    assert.equal((await withKey(key, 'GET', '/api/v1/shifts?from=2026-01-01&to=2026-01-07')).status, 403);
+    assert.equal((await withKey(key, 'GET', '/api/v1/users')).status, 403);
+  });
+
+  it('checks the scope of mixed-case paths like their lowercase form', async () => {
+    const nurse = await api.createNurse();
+    const { key } = await createKey({ scopes: ['nurses:read', 'nurses:write'] });
+
+    const credential = await withKey(key, 'POST', `/api/v1/nurses/${nurse.id}/Credentials`, {
+      credential_type: 'RN',
+      license_number: 'RN-1',
+    });
+    assert.equal(credential.status, 403);
+    assert.equal(credential.body.error, 'This API key lacks the credentials:write scope');
+
+    assert.equal((await withKey(key, 'GET', `/api/v1/nurses/${nurse.id}/Credentials`)).status, 403);
+    assert.equal((await withKey(key, 'GET', `/API/V1/Nurses/${nurse.id}/TRAINING`)).status, 403);
+    assert.equal((await withKey(key, 'GET', `/api/v1/Nurses/${nurse.id}`)).status, 200);
+  });
+
+  it('cannot log out, having no session', async () => {
+    const { key } = await createKey({ scopes: ['nurses:read'] });
+    assert.equal((await withKey(key, 'POST', '/api/v1/auth/logout')).status, 403);
+    assert.equal((await withKey(key, 'GET', '/api/v1/nurses')).status, 200);
+  });
+
+  it('refuses requests over the per-minute limit', async () => {
+    const { key } = await createKey({ scopes: ['nurses:read'], rate_limit_per_minute: 2 });
+
+    const first = await withKey(key, 'GET', '/api/v1/nurses');
+    assert.equal(first.headers.get('x-ratelimit-limit'), '2');
+    assert.equal(first.headers.get('x-ratelimit-remaining'), '1');
+    assert.equal((await withKey(key, 'GET', '/api/v1/nurses')).status, 200);
+
+    const limited = await withKey(key, 'GET', '/api/v1/nurses');
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  });
+
+  it('stops accepting a revoked key', async () => {
+    const { id, key } = await createKey({ scopes: ['nurses:read'] });
+    assert.equal((await api.request('DELETE', `/api/v1/api-keys/${id}`)).status, 200);
+
+    const { status } = await withKey(key, 'GET', '/api/v1/nurses');
+    assert.equal(status, 401);
+    assert.equal((await api.request('PUT', `/api/v1/api-keys/${id}`, { name: 'Renamed' })).status, 400);
+  });
+
+  it('rejects unknown scopes', async () => {
+    const { status } = await api.request('POST', '/api/v1/api-keys', { name: 'Bad', scopes: ['nurses:delete'] });
+    assert.equal(status, 400);
+  });
+});
@@ -0,0 +1,82 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('logins and roles', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  it('refuses a wrong password', async () => {
+    const { status } = await api.request(
+      'POST',
+      '/api/v1/auth/login',
+      { username: 'admin', password: 'wrong-password' },
+      { token: null }
+    );
+    assert.equal(status, 401);
+  });
+
+  it('rejects login details that are not text', async () => {
+    for (const credentials of [
+      { username: 'admin', password: 12345678 },
+      { username: { $ne: '' }, password: 'test-password' },
+      { username: ['admin'], password: 'test-password' },
+    ]) {
+      const { status } = await api.request('POST', '/api/v1/auth/login', credentials, { token: null });
+      assert.equal(status, 400, JSON.stringify(credentials));
+    }
+  });
+
+  it('ends the session on logout', async () => {
+    const token = await api.loginAs('viewer');
+    assert.equal((await api.request('GET', '/api/v1/auth/me', undefined, { token })).status, 200);
+
+    await api.request('POST', '/api/v1/auth/logout', undefined, { token });
+    assert.equal((await api.request('GET', '/api/v1/auth/me', undefined, { token })).status, 401);
+  });
+
+  it('validates usernames and passwords of new users', async () => {
+    for (const fields of [
+      { username: '   ', password: 'password123' },
+      { username: 123, password: 'password123' },
+      { username: 'numeric-password', password: 123456789 },
+    ]) {
+      const { status } = await api.request('POST', '/api/v1/users', { role: 'viewer', ...fields });
+      assert.equal(status, 400, JSON.stringify(fields));
+    }
+    const created = await api.request('POST', '/api/v1/users', {
+      username: ' spaced ',
+      password: 'password123',
+      role: 'viewer',
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.username, 'spaced');
+
+    const { status } = await api.request('PUT', `/api/v1/users/${created.body.id}`, { password: 123456789 });
+    assert.equal(status, 400);
+  });
+
+  it('lets viewers read but not change nurses', async () => {
+    const token = await api.loginAs('viewer');
+    assert.equal((await api.request('GET', '/api/v1/nurses', undefined, { token })).status, 200);
+
+    const { status } = await api.request(
+      'POST',
+      '/api/v1/nurses',
+      { name: 'Viewer Nurse', license_number: 'RN-VIEW', dob: '1990-01-01' },
+      { token }
+    );
+    assert.equal(status, 403);
+  });
+
+  it('keeps user management to admins', async () => {
+    const token = await api.loginAs('editor');
+    assert.equal((await api.request('GET', '/api/v1/users', undefined, { token })).status, 403);
+    assert.equal((await api.request('GET', '/api/v1/users')).status, 200);
+  });
+});
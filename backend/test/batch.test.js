@@ -0,0 +1,44 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('batch changes', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  it('sets a field on every listed nurse and reports unknown ids', async () => {
+    const first = await api.createNurse();
+    const second = await api.createNurse();
+
+    const { status, body } = await api.request('POST', '/api/v1/nurses/batch/update', {
+      ids: [first.id, second.id, 9999],
+      fields: { employment_status: 'on_leave' },
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(body.summary, { total: 3, update: 2, error: 1 });
+
+    const nurse = await api.request('GET', `/api/v1/nurses/${first.id}`);
+    assert.equal(nurse.body.employment_status, 'on_leave');
+  });
+
+  it('refuses fields a batch cannot set', async () => {
+    const nurse = await api.createNurse();
+    const { status } = await api.request('POST', '/api/v1/nurses/batch/update', {
+      ids: [nurse.id],
+      fields: { name: 'Everyone' },
+    });
+    assert.equal(status, 400);
+  });
+
+  it('moves every listed nurse to the trash', async () => {
+    const nurse = await api.createNurse();
+    const { body } = await api.request('POST', '/api/v1/nurses/batch/delete', { ids: [nurse.id] });
+    assert.equal(body.summary.delete, 1);
+    assert.equal((await api.request('GET', `/api/v1/nurses?q=${nurse.license_number}`)).body.total, 0);
+  });
+});
@@ -0,0 +1,54 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('edit conflicts', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  it('refuses to save over a newer version', async () => {
+    const nurse = await api.createNurse();
+    await api.request('PUT', `/api/v1/nurses/${nurse.id}`, { ...nurse, name: 'Newer Name' });
+
+    const stale = await api.request('PUT', `/api/v1/nurses/${nurse.id}`, { ...nurse, name: 'Stale Name' });
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.current.name, 'Newer Name');
+    assert.equal(stale.body.current.version, nurse.version + 1);
+  });
+
+  it('checks an If-Match ETag and rejects malformed versions', async () => {
+    const nurse = await api.createNurse();
+    const saved = await api.request('PUT', `/api/v1/nurses/${nurse.id}`, { ...nurse, name: 'Tagged Name' });
+    const etag = saved.headers.get('etag');
+    assert.equal(etag, `"${nurse.version + 1}"`);
+
+    const { version, ...fields } = nurse;
+    const stale = await api.request('PUT', `/api/v1/nurses/${nurse.id}`, fields, {
+      headers: { 'If-Match': `"${version}"` },
+    });
+    assert.equal(stale.status, 409);
+
+    for (const badVersion of ['abc', 0, -1, 1.5]) {
+      const { status } = await api.request('PUT', `/api/v1/nurses/${nurse.id}`, { ...fields, version: badVersion });
+      assert.equal(status, 400, String(badVersion));
+    }
+
+    const current = await api.request('PUT', `/api/v1/nurses/${nurse.id}`, fields, { headers: { 'If-Match': etag } });
+    assert.equal(current.status, 200);
+  });
+
+  it('saves unconditionally when no version is sent', async () => {
+    const nurse = await api.createNurse();
+    await api.request('PUT', `/api/v1/nurses/${nurse.id}`, { ...nurse, name: 'Newer Name' });
+
+    const { version, ...fields } = nurse;
+    const overwrite = await api.request('PUT', `/api/v1/nurses/${nurse.id}`, { ...fields, name: 'Overwrite Name' });
+    assert.equal(overwrite.status, 200);
+    assert.equal(overwrite.body.name, 'Overwrite Name');
+  });
+});
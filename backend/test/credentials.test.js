@@ -0,0 +1,99 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+// A YYYY-MM-DD date the given number of days from today (UTC)
+const daysFromToday = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+describe('license credentials', () => {
+  let api;
+  let nurse;
+
+  before(async () => {
+    api = await startServer();
+    nurse = await api.createNurse();
+  });
+
+  after(() => api.close());
+
+  const addCredential = (fields) =>
+    api.request('POST', `/api/v1/nurses/${nurse.id}/credentials`, {
+      license_type: 'RN',
+      credential_number: 'RN-445566',
+      issuing_authority: 'State Board of Nursing',
+      expiry_date: daysFromToday(400),
+      ...fields,
+    });
+
+  it('rejects dates that are not real and numbers that are not text', async () => {
+    for (const fields of [
+      { expiry_date: '2027-02-30' },
+      { expiry_date: ['2027-01-01'] },
+      { issue_date: '2020-13-01' },
+      { issue_date: ['2020-01-01'] },
+      { credential_number: 445566 },
+      { issuing_authority: '   ' },
+    ]) {
+      const { status } = await addCredential(fields);
+      assert.equal(status, 400, JSON.stringify(fields));
+    }
+  });
+
+  it('lists credentials expiring within the window, soonest first', async () => {
+    const later = await addCredential({ credential_number: ' RN-LATER ', expiry_date: daysFromToday(60) });
+    const sooner = await addCredential({ credential_number: 'RN-SOONER', expiry_date: daysFromToday(10) });
+    assert.equal(later.status, 201);
+    assert.equal(later.body.credential_number, 'RN-LATER');
+    assert.equal(later.body.verification_status, 'unverified');
+
+    const { status, body } = await api.request('GET', '/api/v1/credentials/expiring?days=90');
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.map(({ id }) => id),
+      [sooner.body.id, later.body.id]
+    );
+    assert.equal(body[0].days_until_expiry, 10);
+
+    const narrow = await api.request('GET', '/api/v1/credentials/expiring?days=30');
+    assert.deepEqual(
+      narrow.body.map(({ id }) => id),
+      [sooner.body.id]
+    );
+    assert.equal((await api.request('GET', '/api/v1/credentials/expiring?days=400')).status, 400);
+  });
+
+  it('updates and deletes a credential', async () => {
+    const { body: credential } = await addCredential({ credential_number: 'RN-EDIT' });
+    const url = `/api/v1/nurses/${nurse.id}/credentials/${credential.id}`;
+
+    const updated = await api.request('PUT', url, {
+      license_type: 'NP',
+      credential_number: 'NP-EDIT',
+      issuing_authority: 'State Board of Nursing',
+      expiry_date: daysFromToday(500),
+      verification_status: 'verified',
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.license_type, 'NP');
+    assert.equal(updated.body.verification_status, 'verified');
+
+    assert.equal((await api.request('DELETE', url)).status, 200);
+    assert.equal((await api.request('DELETE', url)).status, 404);
+  });
+
+  it('does not let viewers add credentials', async () => {
+    const token = await api.loginAs('viewer');
+    const { status } = await api.request(
+      'POST',
+      `/api/v1/nurses/${nurse.id}/credentials`,
+      {
+        license_type: 'RN',
+        credential_number: 'RN-VIEWER',
+        issuing_authority: 'State Board of Nursing',
+        expiry_date: daysFromToday(400),
+      },
+      { token }
+    );
+    assert.equal(status, 403);
+  });
+});
@@ -0,0 +1,121 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('custom fields', () => {
+  let api;
+  let shoeSize;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  const defineField = async (fields) => {
+    const response = await api.request('POST', '/api/v1/custom-fields', fields);
+    assert.equal(response.status, 201, JSON.stringify(response.body));
+    return response.body;
+  };
+
+  it('checks definitions and keeps each to the settings of its type', async () => {
+    const define = (fields) => api.request('POST', '/api/v1/custom-fields', fields);
+    assert.equal((await define({ key: 'Badge', label: 'Badge', type: 'text' })).status, 400);
+    assert.equal((await define({ key: 'shift_pref', label: 'Shift', type: 'select' })).status, 400);
+    assert.equal((await define({ key: 'age_band', label: 'Band', type: 'number', pattern: '^\\d+$' })).status, 400);
+    assert.equal((await define({ key: 'badge_id', label: 'Badge', type: 'text', pattern: '(' })).status, 400);
+    assert.equal((await define({ key: 'badge_id', label: 'Badge', type: 'text', pattern: 'a'.repeat(201) })).status, 400);
+    assert.equal((await define({ key: 'badge_id', label: 'Badge', type: 'text', pattern: ['^B$'] })).status, 400);
+
+    const token = await api.loginAs('editor');
+    const field = { key: 'badge_id', label: 'Badge ID', type: 'text' };
+    const asEditor = await api.request('POST', '/api/v1/custom-fields', field, { token });
+    assert.equal(asEditor.status, 403);
+  });
+
+  it('validates and stores nurse values by type', async () => {
+    shoeSize = await defineField({ key: 'shoe_size', label: 'Shoe Size', type: 'number', min_value: 1, max_value: 20 });
+    await defineField({ key: 'shift_pref', label: 'Shift Preference', type: 'select', options: ['Days', 'Nights'] });
+
+    const invalid = await api.request('POST', '/api/v1/nurses', {
+      name: 'Custom Nurse',
+      license_number: 'RN-CUSTOM',
+      dob: '1987-07-07',
+      custom_fields: { shoe_size: '42', shift_pref: 'Weekends', unknown: 'x' },
+    });
+    assert.equal(invalid.status, 422);
+    assert.equal(invalid.body.errors['custom_fields.shoe_size'], 'Shoe Size must be at most 20');
+    assert.equal(invalid.body.errors['custom_fields.shift_pref'], 'Shift Preference must be one of: Days, Nights');
+    assert.equal(invalid.body.errors['custom_fields.unknown'], 'There is no custom field "unknown"');
+
+    const nurse = await api.createNurse({ custom_fields: { shoe_size: ' 9 ', shift_pref: 'Nights' } });
+    assert.deepEqual(nurse.custom_fields, { shoe_size: 9, shift_pref: 'Nights' });
+  });
+
+  it('takes only text for text and select fields, checked against the pattern', async () => {
+    await defineField({ key: 'badge_id', label: 'Badge ID', type: 'text', pattern: '^B\\d{5}$' });
+
+    const invalid = await api.request('POST', '/api/v1/nurses', {
+      name: 'Badge Nurse',
+      license_number: 'RN-BADGE',
+      dob: '1986-06-06',
+      custom_fields: { badge_id: 12345, shift_pref: 1 },
+    });
+    assert.equal(invalid.status, 422);
+    assert.equal(invalid.body.errors['custom_fields.badge_id'], 'Badge ID must be text');
+    assert.equal(invalid.body.errors['custom_fields.shift_pref'], 'Shift Preference must be text');
+
+    const mismatch = await api.request('POST', '/api/v1/nurses', {
+      name: 'Badge Nurse',
+      license_number: 'RN-BADGE',
+      dob: '1986-06-06',
+      custom_fields: { badge_id: 'B123' },
+    });
+    assert.equal(mismatch.body.errors['custom_fields.badge_id'], 'Badge ID is not in the expected format');
+
+    const nurse = await api.createNurse({ custom_fields: { badge_id: 'B12345' } });
+    assert.equal(nurse.custom_fields.badge_id, 'B12345');
+  });
+
+  it('sorts and searches the nurse list on custom values', async () => {
+    const small = await api.createNurse({ custom_fields: { shoe_size: 5 } });
+
+    const sorted = await api.request('GET', '/api/v1/nurses?sort=custom_fields.shoe_size&order=asc');
+    assert.equal(sorted.body.data.find(({ custom_fields }) => custom_fields.shoe_size !== undefined).id, small.id);
+
+    const search = await api.request('GET', '/api/v1/nurses?q=nights');
+    assert.equal(search.body.total, 1);
+  });
+
+  it('fixes the key and type once created', async () => {
+    const url = `/api/v1/custom-fields/${shoeSize.id}`;
+    assert.equal((await api.request('PUT', url, { type: 'text' })).status, 400);
+    assert.equal((await api.request('PUT', url, { key: 'foot_size' })).status, 400);
+
+    const renamed = await api.request('PUT', url, { label: 'Shoe size (EU)' });
+    assert.equal(renamed.status, 200);
+    assert.equal(renamed.body.label, 'Shoe size (EU)');
+  });
+
+  it("clears every nurse's value when a field is deleted, as an audited edit", async () => {
+    const before = await api.request('GET', '/api/v1/nurses?sort=custom_fields.shoe_size');
+    const sized = before.body.data.filter(({ custom_fields }) => custom_fields.shoe_size !== undefined);
+
+    const { status, body } = await api.request('DELETE', `/api/v1/custom-fields/${shoeSize.id}`);
+    assert.equal(status, 200);
+    assert.equal(body.cleared_count, 2);
+
+    const list = await api.request('GET', '/api/v1/nurses');
+    assert.ok(list.body.data.every(({ custom_fields }) => custom_fields.shoe_size === undefined));
+
+    for (const nurse of sized) {
+      const after = list.body.data.find(({ id }) => id === nurse.id);
+      assert.equal(after.version, nurse.version + 1);
+      const history = await api.request('GET', `/api/v1/nurses/${nurse.id}/history`);
+      assert.equal(history.body[0].action, 'update');
+      assert.deepEqual(history.body[0].changes, [
+        { field: 'custom_fields.shoe_size', before: nurse.custom_fields.shoe_size, after: null },
+      ]);
+    }
+  });
+});
@@ -0,0 +1,55 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const PDF = Buffer.from('%PDF-1.4\n%%EOF\n');
+
+describe('nurse documents', () => {
+  let api;
+  let nurse;
+
+  before(async () => {
+    api = await startServer();
+    nurse = await api.createNurse();
+  });
+
+  after(() => api.close());
+
+  const upload = (query) =>
+    api.request('POST', `/api/v1/nurses/${nurse.id}/documents?${query}`, PDF, {
+      headers: { 'Content-Type': 'application/pdf' },
+    });
+
+  it('attaches a document with its details', async () => {
+    const { status, body } = await upload('document_type=certificate&expiry_date=2027-01-31&filename=bls.pdf');
+    assert.equal(status, 201);
+    assert.equal(body.original_filename, 'bls.pdf');
+    assert.equal(body.expiry_date, '2027-01-31');
+
+    const documents = await api.request('GET', `/api/v1/nurses/${nurse.id}/documents`);
+    assert.equal(documents.body.length, 1);
+  });
+
+  it('rejects repeated query parameters instead of crashing', async () => {
+    assert.equal((await upload('document_type=id&filename=a.pdf&filename=b.pdf')).status, 400);
+    assert.equal((await upload('document_type=id&expiry_date=2027-01-31&expiry_date=2028-01-31')).status, 400);
+    assert.equal((await upload('document_type=id&document_type=other')).status, 400);
+
+    // The server is still answering
+    assert.equal((await api.request('GET', `/api/v1/nurses/${nurse.id}/documents`)).status, 200);
+  });
+
+  it('rejects expiry dates that are not real dates', async () => {
+    assert.equal((await upload('document_type=id&expiry_date=2027-02-30')).status, 400);
+  });
+
+  it('rejects files that are not what their type claims', async () => {
+    const { status } = await api.request(
+      'POST',
+      `/api/v1/nurses/${nurse.id}/documents?document_type=id`,
+      Buffer.from('not a pdf'),
+      { headers: { 'Content-Type': 'application/pdf' } }
+    );
+    assert.equal(status, 415);
+  });
+});
@@ -0,0 +1,117 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('duplicate merges', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  const createShift = async (start_time, end_time) => {
+    const { body } = await api.request('POST', '/api/v1/shifts', { ward: 'ICU', start_time, end_time });
+    return body;
+  };
+
+  const assign = (shift, nurse) =>
+    api.request('POST', `/api/v1/shifts/${shift.id}/assignments`, { nurse_id: nurse.id });
+
+  const requestLeave = (nurse, start_date, end_date) =>
+    api.request('POST', `/api/v1/nurses/${nurse.id}/leave-requests`, { leave_type: 'vacation', start_date, end_date });
+
+  const merge = (kept, duplicate) =>
+    api.request('POST', `/api/v1/nurses/${kept.id}/merge`, { duplicate_id: duplicate.id });
+
+  it('flags nurses with the same date of birth and alike names', async () => {
+    const first = await api.createNurse({ name: 'José Ortiz' });
+    const second = await api.createNurse({ name: 'Ortiz Jose' });
+
+    const { status, body } = await api.request('GET', '/api/v1/duplicates');
+    assert.equal(status, 200);
+    const pair = body.find(({ nurses }) => nurses.some(({ id }) => id === first.id));
+    assert.ok(pair);
+    assert.ok(pair.nurses.some(({ id }) => id === second.id));
+  });
+
+  it('refuses to merge records on overlapping shifts and keeps both', async () => {
+    const kept = await api.createNurse();
+    const duplicate = await api.createNurse();
+    const day = await createShift('2026-04-06T07:00', '2026-04-06T15:00');
+    const evening = await createShift('2026-04-06T13:00', '2026-04-06T21:00');
+    const nextDay = await createShift('2026-04-07T07:00', '2026-04-07T15:00');
+    assert.equal((await assign(day, kept)).status, 201);
+    assert.equal((await assign(evening, duplicate)).status, 201);
+    assert.equal((await assign(nextDay, kept)).status, 201);
+    assert.equal((await assign(nextDay, duplicate)).status, 201);
+
+    const { status, body } = await merge(kept, duplicate);
+    assert.equal(status, 409);
+    assert.deepEqual(
+      body.conflicts.map(({ type }) => type),
+      ['shift', 'shift']
+    );
+    assert.match(body.conflicts[0].message, /shift ICU 2026-04-06 13:00–21:00 overlaps .* ICU 2026-04-06 07:00/);
+    assert.match(body.conflicts[1].message, /Both records are scheduled for ICU 2026-04-07 07:00/);
+
+    assert.equal((await api.request('GET', `/api/v1/nurses/${duplicate.id}`)).status, 200);
+  });
+
+  it('refuses to merge records with overlapping leave, or leave over a shift', async () => {
+    const kept = await api.createNurse();
+    const duplicate = await api.createNurse();
+    assert.equal((await requestLeave(kept, '2026-08-03', '2026-08-07')).status, 201);
+    const leave = await requestLeave(duplicate, '2026-08-06', '2026-08-10');
+    assert.equal((await api.request('POST', `/api/v1/leave-requests/${leave.body.id}/approve`)).status, 200);
+    const shift = await createShift('2026-08-10T07:00', '2026-08-10T15:00');
+    assert.equal((await assign(shift, kept)).status, 201);
+
+    const { status, body } = await merge(kept, duplicate);
+    assert.equal(status, 409);
+    assert.deepEqual(
+      body.conflicts.map(({ type }) => type),
+      ['leave', 'leave']
+    );
+    assert.match(body.conflicts[1].message, /vacation leave 2026-08-06 – 2026-08-10 covers .* ICU 2026-08-10/);
+  });
+
+  it('refuses to merge records with different allowances for the same year', async () => {
+    const kept = await api.createNurse();
+    const duplicate = await api.createNurse();
+    const setAllowance = (nurse, allowance_days) =>
+      api.request('PUT', `/api/v1/nurses/${nurse.id}/leave-balances/vacation`, { year: 2026, allowance_days });
+    assert.equal((await setAllowance(kept, 25)).status, 200);
+    assert.equal((await setAllowance(duplicate, 20)).status, 200);
+
+    const { status, body } = await merge(kept, duplicate);
+    assert.equal(status, 409);
+    assert.deepEqual(
+      body.conflicts.map(({ type }) => type),
+      ['allowance']
+    );
+  });
+
+  it('moves the shifts and leave of records that do not clash', async () => {
+    const kept = await api.createNurse();
+    const duplicate = await api.createNurse();
+    const shift = await createShift('2026-05-04T07:00', '2026-05-04T15:00');
+    assert.equal((await assign(shift, duplicate)).status, 201);
+    assert.equal((await requestLeave(duplicate, '2026-09-07', '2026-09-08')).status, 201);
+
+    const { status, body } = await merge(kept, duplicate);
+    assert.equal(status, 200);
+    assert.equal(body.id, kept.id);
+    assert.equal((await api.request('GET', `/api/v1/nurses/${duplicate.id}`)).status, 404);
+
+    const shifts = await api.request('GET', '/api/v1/shifts?from=2026-05-04&to=2026-05-04');
+    const moved = shifts.body.find(({ id }) => id === shift.id);
+    assert.deepEqual(
+      moved.assignments.map(({ nurse_id }) => nurse_id),
+      [kept.id]
+    );
+    const leave = await api.request('GET', `/api/v1/leave-requests?nurse_id=${kept.id}`);
+    assert.equal(leave.body.length, 1);
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('GET /events', () => {
+  let api;
+  let token;
+
+  before(async () => {
+    api = await startServer();
+    token = await api.loginAs('viewer');
+  });
+
+  after(() => api.close());
+
+  // Open the event stream as an EventSource would (the token in the query
+  // string) and return a function that reads the next nurse event
+  const openStream = async (controller) => {
+    const response = await fetch(`${api.baseUrl}/api/v1/events?access_token=${token}`, {
+      headers: { Accept: 'text/event-stream' },
+      signal: controller.signal,
+    });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    const nextEvent = async (buffer = '') => {
+      const match = buffer.match(/event: nurse\ndata: (.*)\n\n/);
+      if (match) return JSON.parse(match[1]);
+      const { value } = await reader.read();
+      return nextEvent(buffer + value);
+    };
+    return nextEvent;
+  };
+
+  it('refuses a stream without a session token', async () => {
+    const { status } = await api.request('GET', '/api/v1/events', undefined, { token: null });
+    assert.equal(status, 401);
+  });
+
+  it('only takes the token from the query string for event streams', async () => {
+    const { status } = await api.request('GET', `/api/v1/nurses?access_token=${token}`, undefined, { token: null });
+    assert.equal(status, 401);
+  });
+
+  it('pushes nurse changes with the client id of the tab that made them', async () => {
+    const controller = new AbortController();
+    try {
+      const nextEvent = await openStream(controller);
+      const { body: nurse } = await api.request(
+        'POST',
+        '/api/v1/nurses',
+        { name: 'Streamed Nurse', license_number: 'RN-STREAM', dob: '1988-08-08' },
+        { headers: { 'X-Client-Id': 'tab-1' } }
+      );
+
+      const event = await nextEvent();
+      assert.equal(event.action, 'created');
+      assert.equal(event.nurse_id, nurse.id);
+      assert.equal(event.nurse.name, 'Streamed Nurse');
+      assert.equal(event.username, 'admin');
+      assert.equal(event.client_id, 'tab-1');
+    } finally {
+      controller.abort();
+    }
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, startServer } = require('./helpers');
+
+describe('CSV exports', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+    await api.createNurse({ name: 'Alice Brown', license_number: 'RN-100', dob: '1990-01-01' });
+    await api.createNurse({ name: 'Bob Evans', license_number: 'RN-200', dob: '1980-03-20' });
+  });
+
+  after(() => api.close());
+
+  it('streams the chosen columns with a header row', async () => {
+    const { status, headers, body } = await api.request(
+      'GET',
+      '/api/v1/exports/nurses.csv?columns=name,license_number&sort=name'
+    );
+    assert.equal(status, 200);
+    assert.match(headers.get('content-disposition'), /attachment; filename="nurses-.*\.csv"/);
+    assert.equal(body, 'Name,License Number\r\nAlice Brown,RN-100\r\nBob Evans,RN-200\r\n');
+  });
+
+  it('rejects a repeated option with a validation message', async () => {
+    for (const query of ['columns=name&columns=dob', 'delimiter=comma&delimiter=tab']) {
+      const { status, body } = await api.request('GET', `/api/v1/exports/nurses.csv?${query}`);
+      assert.equal(status, 400, query);
+      assert.match(body.error, /can only be given once/);
+    }
+  });
+
+  it('exports every match in order across batches, ignoring page and limit', async () => {
+    const insert = db.prepare('INSERT INTO nurses (name, license_number, dob) VALUES (?, ?, ?)');
+    db.transaction(() => {
+      for (let n = 1; n <= 1200; n += 1) {
+        insert.run(`Batch Nurse ${String(n).padStart(4, '0')}`, `BATCH-${n}`, '1985-05-05');
+      }
+    })();
+
+    const { status, body } = await api.request(
+      'GET',
+      '/api/v1/exports/nurses.csv?columns=name&license_prefix=BATCH-&sort=-name&page=3&limit=500'
+    );
+    assert.equal(status, 200);
+    const names = body.trim().split('\r\n').slice(1);
+    assert.equal(names.length, 1200);
+    assert.equal(names[0], 'Batch Nurse 1200');
+    assert.equal(names[1199], 'Batch Nurse 0001');
+    assert.deepEqual(names, [...names].sort().reverse());
+
+    const link = await api.request('POST', '/api/v1/exports/nurses.csv/link?columns=name&limit=500');
+    assert.equal(link.status, 200);
+    assert.doesNotMatch(link.body.url, /limit=/);
+  });
+
+  it('downloads through a signed link without an Authorization header', async () => {
+    const link = await api.request('POST', '/api/v1/exports/nurses.csv/link?columns=name&q=alice');
+    assert.equal(link.status, 200);
+    assert.match(link.body.url, /^\/api\/v1\/exports\/nurses\.csv\?.*download_token=/);
+
+    const download = await api.request('GET', link.body.url, undefined, { token: null });
+    assert.equal(download.status, 200);
+    assert.equal(download.body, 'Name\r\nAlice Brown\r\n');
+  });
+
+  it('checks the export options before giving out a link', async () => {
+    const link = await api.request('POST', '/api/v1/exports/nurses.csv/link?columns=password');
+    assert.equal(link.status, 400);
+  });
+
+  it('refuses tampered links and links for other paths', async () => {
+    const link = await api.request('POST', '/api/v1/exports/nurses.csv/link?columns=name');
+    const token = new URL(link.body.url, api.baseUrl).searchParams.get('download_token');
+
+    const tampered = await api.request('GET', `/api/v1/exports/nurses.csv?download_token=${token}x`, undefined, {
+      token: null,
+    });
+    assert.equal(tampered.status, 401);
+
+    const otherPath = await api.request('GET', `/api/v1/nurses?download_token=${token}`, undefined, { token: null });
+    assert.equal(otherPath.status, 401);
+  });
+});
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Each test file runs in its own process with a fresh in-memory database and
+// uploads directory, so these must be set before the server is required
+process.env.DB_PATH = ':memory:';
+process.env.ADMIN_USERNAME = 'admin';
+process.env.ADMIN_PASSWORD = 'test-password';
+process.env.UPLOADS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'nurse-uploads-'));
+
+const app = require('../server');
+const { db } = require('../db');
+
+// 1 -> "A", 27 -> "AA": distinct names that pass the name pattern
+const toLetters = (n) => (n > 26 ? toLetters(Math.floor((n - 1) / 26)) : '') + String.fromCharCode(65 + ((n - 1) % 26));
+
+// Start the app on a free port and log in as the admin. Returns request
+// helpers and a close() for after().
+const startServer = async () => {
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Send a request and parse the JSON response; options.token overrides the
+  // admin's token (null for none) and options.headers adds headers
+  const request = async (method, url, body, options = {}) => {
+    const token = options.token === undefined ? adminToken : options.token;
+    const headers = { ...options.headers };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (body !== undefined) headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers,
+      body: body === undefined || Buffer.isBuffer(body) ? body : JSON.stringify(body),
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+  };
+
+  let adminToken = null;
+  const login = await request('POST', '/api/v1/auth/login', {
+    username: process.env.ADMIN_USERNAME,
+    password: process.env.ADMIN_PASSWORD,
+  });
+  adminToken = login.body.token;
+
+  let userCounter = 0;
+  // Log in as a new user with the given role and return their token
+  const loginAs = async (role) => {
+    userCounter += 1;
+    const username = `${role}-${userCounter}`;
+    await request('POST', '/api/v1/users', { username, password: 'password123', role });
+    const credentials = { username, password: 'password123' };
+    const response = await request('POST', '/api/v1/auth/login', credentials, { token: null });
+    return response.body.token;
+  };
+
+  let nurseCounter = 0;
+  // Create a nurse, filling in required fields the test doesn't care about
+  const createNurse = async (fields = {}) => {
+    nurseCounter += 1;
+    const response = await request('POST', '/api/v1/nurses', {
+      name: `Nurse ${toLetters(nurseCounter)}`,
+      license_number: `RN${String(nurseCounter).padStart(6, '0')}`,
+      dob: '1985-04-12',
+      ...fields,
+    });
+    if (response.status !== 201) {
+      throw new Error(`Creating a nurse failed with ${response.status}: ${JSON.stringify(response.body)}`);
+    }
+    return response.body;
+  };
+
+  const close = async () => {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(process.env.UPLOADS_DIR, { recursive: true, force: true });
+  };
+
+  return { baseUrl, request, loginAs, createNurse, close };
+};
+
+module.exports = { db, startServer };
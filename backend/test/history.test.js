@@ -0,0 +1,45 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('nurse history', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  it('records each change and reverts to an earlier version', async () => {
+    const nurse = await api.createNurse({ name: 'First Name' });
+    await api.request('PUT', `/api/v1/nurses/${nurse.id}`, { ...nurse, name: 'Second Name' });
+
+    const history = await api.request('GET', `/api/v1/nurses/${nurse.id}/history`);
+    assert.deepEqual(
+      history.body.map((entry) => entry.action),
+      ['update', 'create']
+    );
+    assert.deepEqual(
+      history.body[0].changes.map((change) => change.field),
+      ['name']
+    );
+
+    const created = history.body[1];
+    const reverted = await api.request('POST', `/api/v1/nurses/${nurse.id}/revert`, { audit_id: created.id });
+    assert.equal(reverted.status, 200);
+    assert.equal(reverted.body.name, 'First Name');
+  });
+
+  it('rejects an audit_id that is not a whole number', async () => {
+    const nurse = await api.createNurse();
+    for (const audit_id of ['abc', 1.5, true, { id: 1 }, '1; DROP TABLE nurses']) {
+      const { status } = await api.request('POST', `/api/v1/nurses/${nurse.id}/revert`, { audit_id });
+      assert.equal(status, 400, JSON.stringify(audit_id));
+    }
+    const missing = await api.request('POST', `/api/v1/nurses/${nurse.id}/revert`, {});
+    assert.equal(missing.status, 400);
+    const unknown = await api.request('POST', `/api/v1/nurses/${nurse.id}/revert`, { audit_id: 999999 });
+    assert.equal(unknown.status, 404);
+  });
+});
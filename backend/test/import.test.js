@@ -0,0 +1,192 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('POST /nurses/import', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+    await api.createNurse({ name: 'Existing Nurse', license_number: 'RN-EXIST', dob: '1980-01-01' });
+  });
+
+  after(() => api.close());
+
+  it('reports a row for each entry without writing on a dry run', async () => {
+    const { status, body } = await api.request('POST', '/api/v1/nurses/import', {
+      rows: [
+        { name: 'New Nurse', license_number: 'RN-NEW', dob: '1991-02-03' },
+        { name: 'Existing Nurse', license_number: 'RN-EXIST', dob: '1980-01-01' },
+        { name: '', license_number: 'RN-BAD', dob: '1991-02-03' },
+      ],
+      dry_run: true,
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.rows.map((row) => row.status),
+      ['create', 'skip', 'error']
+    );
+    const list = await api.request('GET', '/api/v1/nurses?q=RN-NEW');
+    assert.equal(list.body.total, 0);
+  });
+
+  it('reports entries that are not objects as row errors', async () => {
+    const { status, body } = await api.request('POST', '/api/v1/nurses/import', {
+      rows: [null, 'RN-1', { name: 'Row Nurse', license_number: 'RN-ROW', dob: '1991-02-03' }],
+      dry_run: false,
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.rows.map((row) => [row.row, row.status]),
+      [
+        [2, 'error'],
+        [3, 'error'],
+        [4, 'create'],
+      ]
+    );
+    assert.equal(body.summary.create, 1);
+  });
+
+  it('only accepts a boolean dry_run', async () => {
+    const { status } = await api.request('POST', '/api/v1/nurses/import', {
+      rows: [{ name: 'String Flag', license_number: 'RN-FLAG', dob: '1991-02-03' }],
+      dry_run: 'false',
+    });
+    assert.equal(status, 400);
+
+    const list = await api.request('GET', '/api/v1/nurses?q=RN-FLAG');
+    assert.equal(list.body.total, 0);
+  });
+
+  it('updates existing nurses in upsert mode', async () => {
+    const { body } = await api.request('POST', '/api/v1/nurses/import', {
+      rows: [{ name: 'Renamed Nurse', license_number: 'RN-EXIST', dob: '1980-01-01' }],
+      mode: 'upsert',
+    });
+    assert.equal(body.rows[0].status, 'update');
+
+    const list = await api.request('GET', '/api/v1/nurses?q=RN-EXIST');
+    assert.equal(list.body.data[0].name, 'Renamed Nurse');
+  });
+
+  it('imports the profile columns of a CSV export', async () => {
+    const profile = {
+      email: 'round.trip@example.com',
+      phone: '+1 555 0100',
+      address: '12 Harbour Road',
+      hire_date: '2015-06-01',
+      employment_type: 'part_time',
+      employment_status: 'on_leave',
+      job_role: 'np',
+    };
+    await api.createNurse({ name: 'Round Trip', license_number: 'RN-TRIP', dob: '1984-05-06', ...profile });
+
+    // Read the export back as the import dialog does, by column label
+    const labels = {
+      Name: 'name',
+      'License Number': 'license_number',
+      'Date of Birth': 'dob',
+      Email: 'email',
+      Phone: 'phone',
+      Address: 'address',
+      'Hire Date': 'hire_date',
+      'Employment Type': 'employment_type',
+      'Employment Status': 'employment_status',
+      'Job Role': 'job_role',
+    };
+    const columns = ['name', 'license_number', 'dob', 'age', ...Object.keys(profile)].join(',');
+    const csv = await api.request('GET', `/api/v1/exports/nurses.csv?columns=${columns}&q=RN-TRIP`);
+    const [header, values] = csv.body.trim().split('\r\n').map((line) => line.split(','));
+    const row = Object.fromEntries(
+      header.filter((label) => labels[label]).map((label) => [labels[label], values[header.indexOf(label)]])
+    );
+    assert.equal(row.employment_type, 'Part-time');
+
+    const { body } = await api.request('POST', '/api/v1/nurses/import', {
+      rows: [{ ...row, name: 'Round Trip Copy', license_number: 'RN-TRIP2' }],
+    });
+    assert.equal(body.rows[0].status, 'create', body.rows[0].message);
+
+    const copy = await api.request('GET', `/api/v1/nurses/${body.rows[0].id}`);
+    assert.equal(copy.body.dob, '1984-05-06');
+    Object.entries(profile).forEach(([field, value]) => assert.equal(copy.body[field], value));
+  });
+
+  it('keeps profile fields an upsert row leaves out, and checks the ones it has', async () => {
+    const nurse = await api.createNurse({ email: 'kept@example.com', job_role: 'rn' });
+    const row = { name: nurse.name, license_number: nurse.license_number, dob: nurse.dob };
+
+    const invalid = await api.request('POST', '/api/v1/nurses/import', {
+      rows: [{ ...row, job_role: 'Surgeon' }],
+      mode: 'upsert',
+    });
+    assert.equal(invalid.body.rows[0].status, 'error');
+    assert.match(invalid.body.rows[0].message, /Job role must be one of/);
+
+    await api.request('POST', '/api/v1/nurses/import', { rows: [{ ...row, phone: '555 0199' }], mode: 'upsert' });
+    const updated = await api.request('GET', `/api/v1/nurses/${nurse.id}`);
+    assert.equal(updated.body.phone, '555 0199');
+    assert.equal(updated.body.email, 'kept@example.com');
+    assert.equal(updated.body.job_role, 'rn');
+  });
+
+  describe('with custom fields', () => {
+    before(async () => {
+      await api.request('POST', '/api/v1/custom-fields', {
+        key: 'badge_id',
+        label: 'Badge ID',
+        type: 'text',
+        required: true,
+        pattern: '^B\\d{5}$',
+      });
+      await api.request('POST', '/api/v1/custom-fields', {
+        key: 'union_member',
+        label: 'Union Member',
+        type: 'boolean',
+      });
+    });
+
+    it('checks rows against the custom fields and stores their values', async () => {
+      const row = (name, license_number, custom_fields) => ({ name, license_number, dob: '1991-02-03', custom_fields });
+      const { status, body } = await api.request('POST', '/api/v1/nurses/import', {
+        rows: [
+          row('Badged Nurse', 'RN-BADGE', { badge_id: 'B12345', union_member: 'Yes' }),
+          row('Unbadged Nurse', 'RN-NOBADGE'),
+          row('Wrong Badge', 'RN-WRONG', { badge_id: 'X1' }),
+          row('Unknown Field', 'RN-UNKNOWN', { badge_id: 'B00001', shoe_size: '9' }),
+        ],
+      });
+
+      assert.equal(status, 200);
+      assert.deepEqual(
+        body.rows.map((row) => row.status),
+        ['create', 'error', 'error', 'error']
+      );
+      assert.match(body.rows[1].message, /Badge ID is required/);
+      assert.match(body.rows[3].message, /no custom field "shoe_size"/);
+
+      const list = await api.request('GET', '/api/v1/nurses?q=RN-BADGE');
+      assert.deepEqual(list.body.data[0].custom_fields, { badge_id: 'B12345', union_member: true });
+    });
+
+    it('keeps saved values the file has no column for when updating', async () => {
+      const { body } = await api.request('POST', '/api/v1/nurses/import', {
+        rows: [
+          {
+            name: 'Badged Nurse',
+            license_number: 'RN-BADGE',
+            dob: '1991-02-03',
+            custom_fields: { union_member: 'no' },
+          },
+        ],
+        mode: 'upsert',
+      });
+      assert.equal(body.rows[0].status, 'update');
+
+      const list = await api.request('GET', '/api/v1/nurses?q=RN-BADGE');
+      assert.deepEqual(list.body.data[0].custom_fields, { badge_id: 'B12345', union_member: false });
+    });
+  });
+});
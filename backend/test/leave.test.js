@@ -0,0 +1,64 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('leave requests', () => {
+  let api;
+  let nurse;
+
+  before(async () => {
+    api = await startServer();
+    nurse = await api.createNurse();
+  });
+
+  after(() => api.close());
+
+  const requestLeave = (fields) =>
+    api.request('POST', `/api/v1/nurses/${nurse.id}/leave-requests`, {
+      leave_type: 'vacation',
+      start_date: '2026-07-06',
+      end_date: '2026-07-10',
+      ...fields,
+    });
+
+  it('rejects a reason that is not text instead of crashing', async () => {
+    for (const reason of [0, false, 12, ['away']]) {
+      const { status } = await requestLeave({ reason });
+      assert.equal(status, 400, JSON.stringify(reason));
+    }
+    assert.equal((await api.request('GET', '/api/v1/leave-requests')).status, 200);
+  });
+
+  it('rejects a nurse_id filter that is not a single id', async () => {
+    for (const query of ['nurse_id=abc', `nurse_id=${nurse.id}&nurse_id=${nurse.id}`]) {
+      const { status } = await api.request('GET', `/api/v1/leave-requests?${query}`);
+      assert.equal(status, 400, query);
+    }
+    const { status, body } = await api.request('GET', `/api/v1/leave-requests?nurse_id=${nurse.id}`);
+    assert.equal(status, 200);
+    assert.ok(body.every((leave) => leave.nurse_id === nurse.id));
+  });
+
+  it('refuses overlapping leave', async () => {
+    const first = await requestLeave({ reason: ' Family trip ' });
+    assert.equal(first.status, 201);
+    assert.equal(first.body.reason, 'Family trip');
+    assert.equal(first.body.days, 5);
+
+    const overlapping = await requestLeave({ start_date: '2026-07-10', end_date: '2026-07-12' });
+    assert.equal(overlapping.status, 409);
+  });
+
+  it('rejects a review note that is not text', async () => {
+    const { body: leave } = await requestLeave({ start_date: '2026-08-03', end_date: '2026-08-04' });
+
+    for (const note of [false, 0, { text: 'ok' }]) {
+      const { status } = await api.request('POST', `/api/v1/leave-requests/${leave.id}/approve`, { note });
+      assert.equal(status, 400, JSON.stringify(note));
+    }
+
+    const approved = await api.request('POST', `/api/v1/leave-requests/${leave.id}/approve`, { note: 'Enjoy' });
+    assert.equal(approved.status, 200);
+    assert.equal(approved.body.status, 'approved');
+  });
+});
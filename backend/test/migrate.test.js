@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const { getMigrationStatus, getSchemaVersion, migrateUp, migrateDown } = require('../migrate');
+
+const openDatabase = () => {
+  const db = new Database(':memory:');
+  db.pragma('foreign_keys = ON');
+  return db;
+};
+
+const listTables = (db) =>
+  db
+    .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name")
+    .all()
+    .map(({ name }) => name);
+
+describe('migrations', () => {
+  it('applies every migration to an empty database', () => {
+    const db = openDatabase();
+    const applied = migrateUp(db);
+    const latest = applied[applied.length - 1].version;
+
+    assert.equal(getSchemaVersion(db), latest);
+    assert.ok(getMigrationStatus(db).every((migration) => migration.applied));
+    assert.deepEqual(migrateUp(db), []);
+  });
+
+  it('migrates up to a target version and rolls back one at a time', () => {
+    const db = openDatabase();
+    migrateUp(db, 2);
+    assert.equal(getSchemaVersion(db), 2);
+
+    assert.deepEqual(
+      migrateDown(db).map(({ version }) => version),
+      [2]
+    );
+    assert.equal(getSchemaVersion(db), 1);
+  });
+
+  it('rolls every migration back and applies them again', () => {
+    const db = openDatabase();
+    migrateUp(db);
+    const tables = listTables(db);
+
+    migrateDown(db, 0);
+    assert.equal(getSchemaVersion(db), 0);
+    assert.deepEqual(listTables(db), ['schema_version']);
+
+    migrateUp(db);
+    assert.deepEqual(listTables(db), tables);
+  });
+});
@@ -0,0 +1,51 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('GET /nurses', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+    await api.createNurse({ name: 'Alice Brown', license_number: 'RN-100', dob: '1990-01-01' });
+    await api.createNurse({ name: 'Carol Davis', license_number: 'LPN-200', dob: '1970-06-15' });
+    await api.createNurse({ name: 'Bob Evans', license_number: 'RN-300', dob: '1980-03-20' });
+  });
+
+  after(() => api.close());
+
+  it('pages results with the total count', async () => {
+    const { status, body } = await api.request('GET', '/api/v1/nurses?limit=2&sort=name');
+    assert.equal(status, 200);
+    assert.equal(body.total, 3);
+    assert.equal(body.total_pages, 2);
+    assert.deepEqual(
+      body.data.map((nurse) => nurse.name),
+      ['Alice Brown', 'Bob Evans']
+    );
+  });
+
+  it('searches and filters on the server', async () => {
+    const search = await api.request('GET', '/api/v1/nurses?q=carol');
+    assert.deepEqual(
+      search.body.data.map((nurse) => nurse.name),
+      ['Carol Davis']
+    );
+
+    const prefix = await api.request('GET', '/api/v1/nurses?license_prefix=RN&sort=-dob');
+    assert.deepEqual(
+      prefix.body.data.map((nurse) => nurse.license_number),
+      ['RN-100', 'RN-300']
+    );
+  });
+
+  it('rejects unknown sort columns', async () => {
+    const { status } = await api.request('GET', '/api/v1/nurses?sort=password');
+    assert.equal(status, 400);
+  });
+
+  it('requires a login', async () => {
+    const { status } = await api.request('GET', '/api/v1/nurses', undefined, { token: null });
+    assert.equal(status, 401);
+  });
+});
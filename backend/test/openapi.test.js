@@ -0,0 +1,42 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { startServer } = require('./helpers');
+const app = require('../server');
+const { findSpecDrift } = require('../openapi');
+
+describe('OpenAPI spec', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  it('documents every route mounted under /api/v1', () => {
+    assert.deepEqual(findSpecDrift(app), []);
+  });
+
+  it('reports routes missing from the spec and operations no longer served', () => {
+    const adminRoutes = express.Router();
+    adminRoutes.get('/nurses/:id/payslips', (req, res) => res.end());
+    const routes = express.Router();
+    routes.use('/admin', adminRoutes);
+    routes.get('/auth/me', (req, res) => res.end());
+    const drifted = express();
+    drifted.use('/api/v1', routes);
+
+    const messages = findSpecDrift(drifted);
+    assert.ok(messages.includes('GET /admin/nurses/:id/payslips is served but missing from the OpenAPI spec'));
+    assert.ok(messages.includes('POST /auth/login is in the OpenAPI spec but not served'));
+    assert.ok(!messages.some((message) => message.startsWith('GET /auth/me ')));
+  });
+
+  it('serves the spec with a path for each nurse route', async () => {
+    const { status, body } = await api.request('GET', '/api/v1/openapi.json');
+    assert.equal(status, 200);
+    assert.ok(body.paths['/nurses/{id}'].get);
+    assert.ok(body.paths['/nurses/{id}/merge'].post);
+  });
+});
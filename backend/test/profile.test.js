@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+// The first bytes of a PNG file, enough for the upload's type check
+const PNG_BYTES = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CONTACT = { name: 'Sam Rivera', relationship: 'Partner', phone: '+1 555 010 2030' };
+
+describe('nurse profiles', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  it('keys emergency contact errors by position', async () => {
+    const { status, body } = await api.request('POST', '/api/v1/nurses', {
+      name: 'Contact Nurse',
+      license_number: 'RN-CONTACT',
+      dob: '1986-05-06',
+      email: 'not-an-email',
+      emergency_contacts: [CONTACT, { name: 'No Phone' }],
+    });
+    assert.equal(status, 422);
+    assert.equal(body.errors.email, 'Email must be a valid address (e.g. name@example.com)');
+    assert.equal(body.errors['emergency_contacts.1.phone'], 'Contact phone is required');
+    assert.equal(body.errors['emergency_contacts.0.phone'], undefined);
+  });
+
+  it('keeps emergency contacts an update leaves out, and replaces them when sent', async () => {
+    const nurse = await api.createNurse({ phone: '555 010-9999', emergency_contacts: [CONTACT] });
+    assert.equal(nurse.phone, '555 010-9999');
+    assert.deepEqual(
+      nurse.emergency_contacts.map(({ name }) => name),
+      ['Sam Rivera']
+    );
+
+    const { emergency_contacts: contacts, ...fields } = nurse;
+    assert.equal(contacts.length, 1);
+    const kept = await api.request('PUT', `/api/v1/nurses/${nurse.id}`, { ...fields, address: '1 Main St' });
+    assert.equal(kept.status, 200);
+    assert.equal(kept.body.emergency_contacts.length, 1);
+
+    const cleared = await api.request('PUT', `/api/v1/nurses/${nurse.id}`, { ...kept.body, emergency_contacts: [] });
+    assert.equal(cleared.status, 200);
+    assert.deepEqual(cleared.body.emergency_contacts, []);
+  });
+
+  it('stores a photo only when its bytes match its type', async () => {
+    const nurse = await api.createNurse();
+    const url = `/api/v1/nurses/${nurse.id}/photo`;
+
+    const mismatched = await api.request('PUT', url, PNG_BYTES, { headers: { 'Content-Type': 'image/jpeg' } });
+    assert.equal(mismatched.status, 415);
+    const text = await api.request('PUT', url, Buffer.from('hello'), { headers: { 'Content-Type': 'text/plain' } });
+    assert.equal(text.status, 415);
+
+    const uploaded = await api.request('PUT', url, PNG_BYTES, { headers: { 'Content-Type': 'image/png' } });
+    assert.equal(uploaded.status, 200);
+    assert.match(uploaded.body.photo_filename, /\.png$/);
+    const stored = path.join(process.env.UPLOADS_DIR, 'photos', uploaded.body.photo_filename);
+    assert.ok(fs.existsSync(stored));
+
+    const photo = await api.request('GET', url);
+    assert.equal(photo.status, 200);
+    assert.equal(photo.headers.get('content-type'), 'image/png');
+
+    assert.equal((await api.request('DELETE', url)).status, 200);
+    assert.ok(!fs.existsSync(stored));
+    assert.equal((await api.request('GET', url)).status, 404);
+  });
+});
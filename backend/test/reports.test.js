@@ -0,0 +1,54 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('PDF reports', () => {
+  let api;
+  let nurse;
+
+  before(async () => {
+    api = await startServer();
+    nurse = await api.createNurse({ name: 'Report Nurse', license_number: 'RN-7701' });
+  });
+
+  after(() => api.close());
+
+  const assertPdf = (response, filenamePattern) => {
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/pdf');
+    assert.match(response.headers.get('content-disposition'), filenamePattern);
+    assert.ok(response.body.startsWith('%PDF-'));
+  };
+
+  it('renders the roster for the current search', async () => {
+    const roster = await api.request('GET', '/api/v1/reports/roster.pdf?q=report');
+    assertPdf(roster, /filename="nurse-roster-\d{4}-\d{2}-\d{2}\.pdf"/);
+    assert.equal((await api.request('GET', '/api/v1/reports/roster.pdf?age_min=old')).status, 400);
+  });
+
+  it('ignores repeated query parameters instead of failing mid-stream', async () => {
+    const repeated = await api.request('GET', '/api/v1/reports/roster.pdf?sort=name&sort=dob&q=a&q=b&unit_id=none');
+    assertPdf(repeated, /nurse-roster-/);
+    assert.equal((await api.request('GET', '/api/v1/reports/roster.pdf?unit_id=1&unit_id=2')).status, 400);
+    assert.equal((await api.request('GET', '/api/v1/nurses')).status, 200);
+  });
+
+  it('renders profile pages only when some nurse matches', async () => {
+    assertPdf(await api.request('GET', '/api/v1/reports/profiles.pdf?q=report'), /nurse-profiles-/);
+
+    const { status, body } = await api.request('GET', '/api/v1/reports/profiles.pdf?q=nobody');
+    assert.equal(status, 404);
+    assert.equal(body.error, 'No nurses match the current search');
+  });
+
+  it("names a nurse's profile sheet after the license number", async () => {
+    const profile = await api.request('GET', `/api/v1/nurses/${nurse.id}/profile.pdf`);
+    assertPdf(profile, /filename="nurse-profile-RN-7701\.pdf"/);
+    assert.equal((await api.request('GET', '/api/v1/nurses/9999/profile.pdf')).status, 404);
+  });
+
+  it('requires a login', async () => {
+    const { status } = await api.request('GET', '/api/v1/reports/roster.pdf', undefined, { token: null });
+    assert.equal(status, 401);
+  });
+});
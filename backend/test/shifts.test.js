@@ -0,0 +1,80 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('shifts', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  const createShift = (fields) =>
+    api.request('POST', '/api/v1/shifts', {
+      ward: 'ICU',
+      start_time: '2026-03-02T07:00',
+      end_time: '2026-03-02T15:00',
+      ...fields,
+    });
+
+  it('rejects times that are not real dates and times', async () => {
+    for (const start_time of ['2026-13-45T99:99', '2026-02-30T07:00', '2026-03-02T24:00', '2026-03-02T07:60']) {
+      const { status } = await createShift({ start_time });
+      assert.equal(status, 400, start_time);
+    }
+  });
+
+  it('rejects a non-text ward', async () => {
+    const { status } = await createShift({ ward: 42 });
+    assert.equal(status, 400);
+  });
+
+  it('rejects notes that are not text, on create and update', async () => {
+    for (const notes of [42, true, { text: 'Bring badge' }]) {
+      const { status } = await createShift({ notes });
+      assert.equal(status, 400, JSON.stringify(notes));
+    }
+
+    const { body: shift } = await createShift({ ward: 'Ward 3', notes: 'Bring badge' });
+    assert.equal(shift.notes, 'Bring badge');
+    const { status } = await api.request('PUT', `/api/v1/shifts/${shift.id}`, {
+      ward: 'Ward 3',
+      start_time: shift.start_time,
+      end_time: shift.end_time,
+      notes: ['Bring badge'],
+    });
+    assert.equal(status, 400);
+  });
+
+  it('rejects an assignment whose nurse_id is not a nurse id', async () => {
+    const { body: shift } = await createShift({ ward: 'Ward 5' });
+    for (const nurse_id of [undefined, 0, -1, 1.5, 'abc', [1], { id: 1 }, true]) {
+      const { status } = await api.request('POST', `/api/v1/shifts/${shift.id}/assignments`, { nurse_id });
+      assert.equal(status, 400, JSON.stringify(nurse_id));
+    }
+  });
+
+  it('refuses to double-book a nurse', async () => {
+    const nurse = await api.createNurse();
+    const morning = await createShift({});
+    const overlapping = await createShift({ start_time: '2026-03-02T13:00', end_time: '2026-03-02T21:00' });
+    assert.equal(morning.status, 201);
+
+    const first = await api.request('POST', `/api/v1/shifts/${morning.body.id}/assignments`, { nurse_id: nurse.id });
+    assert.equal(first.status, 201);
+    const second = await api.request('POST', `/api/v1/shifts/${overlapping.body.id}/assignments`, {
+      nurse_id: nurse.id,
+    });
+    assert.equal(second.status, 409);
+  });
+
+  it('lists shifts in a date range', async () => {
+    const { status, body } = await api.request('GET', '/api/v1/shifts?from=2026-03-02&to=2026-03-08');
+    assert.equal(status, 200);
+    assert.ok(body.length >= 2);
+
+    assert.equal((await api.request('GET', '/api/v1/shifts?from=2026-02-30&to=2026-03-08')).status, 400);
+  });
+});
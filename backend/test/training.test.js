@@ -0,0 +1,67 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// A bad setting falls back to the default of 24 hours
+process.env.CE_REQUIRED_HOURS = 'twenty';
+const { startServer } = require('./helpers');
+
+describe('training and compliance', () => {
+  let api;
+  let nurse;
+
+  before(async () => {
+    api = await startServer();
+    nurse = await api.createNurse({ job_role: 'rn' });
+  });
+
+  after(() => api.close());
+
+  const logTraining = (fields) =>
+    api.request('POST', `/api/v1/nurses/${nurse.id}/training`, {
+      course_name: 'Wound Care',
+      hours: 4,
+      completion_date: `${new Date().getFullYear()}-01-01`,
+      ...fields,
+    });
+
+  it('rejects course, provider and competency values that are not text or ids', async () => {
+    assert.equal((await logTraining({ course_name: 42 })).status, 400);
+    assert.equal((await logTraining({ course_name: ['Wound Care'] })).status, 400);
+    assert.equal((await logTraining({ provider: { name: 'Red Cross' } })).status, 400);
+    assert.equal((await logTraining({ hours: [4] })).status, 400);
+    assert.equal((await logTraining({ competency_id: { id: 1 } })).status, 400);
+    assert.equal((await logTraining({ competency_id: 9999 })).status, 400);
+  });
+
+  it('logs training with trimmed text', async () => {
+    const { status, body } = await logTraining({ course_name: ' Wound Care ', provider: ' Red Cross ' });
+    assert.equal(status, 201);
+    assert.equal(body.course_name, 'Wound Care');
+    assert.equal(body.provider, 'Red Cross');
+  });
+
+  it('rejects competency names that are not text', async () => {
+    assert.equal((await api.request('POST', '/api/v1/competencies', { name: 123 })).status, 400);
+    assert.equal((await api.request('POST', '/api/v1/competencies', { name: 'NRP', description: 5 })).status, 400);
+
+    const created = await api.request('POST', '/api/v1/competencies', { name: 'NRP', job_roles: ['rn'] });
+    assert.equal(created.status, 201);
+    const updated = await api.request('PUT', `/api/v1/competencies/${created.body.id}`, { name: { en: 'NRP' } });
+    assert.equal(updated.status, 400);
+  });
+
+  it('reports compliance against the default CE hours when the setting is not a number', async () => {
+    const { status, body } = await api.request('GET', `/api/v1/compliance?nurse_id=${nurse.id}`);
+    assert.equal(status, 200);
+    assert.equal(body.cycle.required_hours, 24);
+    assert.equal(body.nurses[0].ce_hours, 4);
+    assert.equal(body.nurses[0].compliant, false);
+  });
+
+  it('rejects a compliance nurse_id that is not a single id', async () => {
+    for (const query of ['nurse_id=abc', 'nurse_id=-1', `nurse_id=${nurse.id}&nurse_id=${nurse.id}`]) {
+      const { status } = await api.request('GET', `/api/v1/compliance?${query}`);
+      assert.equal(status, 400, query);
+    }
+  });
+});
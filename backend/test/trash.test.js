@@ -0,0 +1,77 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, startServer } = require('./helpers');
+const { TRASH_RETENTION_DAYS, purgeExpiredNurses } = require('../trash');
+
+describe('trash', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  it('moves deleted nurses to the trash until restored', async () => {
+    const nurse = await api.createNurse();
+    await api.request('DELETE', `/api/v1/nurses/${nurse.id}`);
+
+    assert.equal((await api.request('GET', `/api/v1/nurses?q=${nurse.license_number}`)).body.total, 0);
+    const trash = await api.request('GET', `/api/v1/nurses?trash=true&q=${nurse.license_number}`);
+    assert.equal(trash.body.total, 1);
+
+    const restored = await api.request('POST', `/api/v1/nurses/${nurse.id}/restore`);
+    assert.equal(restored.status, 200);
+    assert.equal((await api.request('GET', `/api/v1/nurses?q=${nurse.license_number}`)).body.total, 1);
+  });
+
+  it('only shows a nurse in the trash when asked for trashed nurses', async () => {
+    const nurse = await api.createNurse();
+    await api.request('DELETE', `/api/v1/nurses/${nurse.id}`);
+
+    assert.equal((await api.request('GET', `/api/v1/nurses/${nurse.id}`)).status, 404);
+    const trashed = await api.request('GET', `/api/v1/nurses/${nurse.id}?trash=true`);
+    assert.equal(trashed.status, 200);
+    assert.ok(trashed.body.deleted_at);
+  });
+
+  it('only restores nurses that are in the trash', async () => {
+    const nurse = await api.createNurse();
+    const { status } = await api.request('POST', `/api/v1/nurses/${nurse.id}/restore`);
+    assert.equal(status, 404);
+    assert.equal((await api.request('POST', '/api/v1/nurses/999999/restore')).status, 404);
+  });
+
+  it('lets only admins purge, and only from the trash', async () => {
+    const nurse = await api.createNurse();
+    assert.equal((await api.request('DELETE', `/api/v1/nurses/${nurse.id}/purge`)).status, 404);
+
+    await api.request('DELETE', `/api/v1/nurses/${nurse.id}`);
+    const token = await api.loginAs('editor');
+    const asEditor = await api.request('DELETE', `/api/v1/nurses/${nurse.id}/purge`, undefined, { token });
+    assert.equal(asEditor.status, 403);
+
+    assert.equal((await api.request('DELETE', `/api/v1/nurses/${nurse.id}/purge`)).status, 200);
+    const trash = await api.request('GET', `/api/v1/nurses?trash=true&q=${nurse.license_number}`);
+    assert.equal(trash.body.total, 0);
+    assert.equal((await api.request('POST', `/api/v1/nurses/${nurse.id}/restore`)).status, 404);
+
+    const history = await api.request('GET', `/api/v1/nurses/${nurse.id}/history`);
+    assert.equal(history.body[0].action, 'purge');
+  });
+
+  it('purges nurses trashed longer than the retention period', async () => {
+    const expired = await api.createNurse();
+    const recent = await api.createNurse();
+    await api.request('DELETE', `/api/v1/nurses/${expired.id}`);
+    await api.request('DELETE', `/api/v1/nurses/${recent.id}`);
+
+    const setDeletedAt = db.prepare("UPDATE nurses SET deleted_at = datetime('now', ?) WHERE id = ?");
+    setDeletedAt.run(`-${TRASH_RETENTION_DAYS} days`, expired.id);
+    setDeletedAt.run(`-${TRASH_RETENTION_DAYS - 1} days`, recent.id);
+
+    assert.equal(purgeExpiredNurses(), 1);
+    assert.equal(db.prepare('SELECT id FROM nurses WHERE id = ?').get(expired.id), undefined);
+    assert.equal((await api.request('POST', `/api/v1/nurses/${recent.id}/restore`)).status, 200);
+  });
+});
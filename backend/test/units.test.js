@@ -0,0 +1,95 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('units', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  it('rejects unit names that are not text', async () => {
+    const created = await api.request('POST', '/api/v1/units', { name: 123 });
+    assert.equal(created.status, 422);
+    assert.deepEqual(Object.keys(created.body.errors), ['name']);
+
+    const unit = await api.request('POST', '/api/v1/units', { name: 'Cardiology' });
+    assert.equal(unit.status, 201);
+    const updated = await api.request('PUT', `/api/v1/units/${unit.body.id}`, { name: ['Cardiology'] });
+    assert.equal(updated.status, 422);
+  });
+
+  it('rejects a description that is not text and a charge nurse that is not a nurse id', async () => {
+    for (const [field, value] of [
+      ['description', 42],
+      ['description', ['Heart care']],
+      ['charge_nurse_id', 'abc'],
+      ['charge_nurse_id', 0],
+      ['charge_nurse_id', 1.5],
+      ['charge_nurse_id', [1]],
+      ['charge_nurse_id', 999999],
+    ]) {
+      const { status, body } = await api.request('POST', '/api/v1/units', { name: 'Oncology', [field]: value });
+      assert.equal(status, 422, JSON.stringify(value));
+      assert.deepEqual(Object.keys(body.errors), [field]);
+    }
+
+    const nurse = await api.createNurse();
+    const unit = await api.request('POST', '/api/v1/units', {
+      name: 'Oncology',
+      description: null,
+      charge_nurse_id: nurse.id,
+    });
+    assert.equal(unit.status, 201);
+    assert.equal(unit.body.charge_nurse_id, nurse.id);
+  });
+
+  it('rejects a move whose unit ids are not unit ids', async () => {
+    const nurse = await api.createNurse();
+    const { body: unit } = await api.request('POST', '/api/v1/units', { name: 'Neonatal' });
+    for (const [field, value] of [
+      ['primary_unit_id', 'abc'],
+      ['primary_unit_id', -1],
+      ['primary_unit_id', 999999],
+      ['float_unit_ids', 'abc'],
+      ['float_unit_ids', ['abc']],
+      ['float_unit_ids', [unit.id, 0]],
+      ['float_unit_ids', [999999]],
+    ]) {
+      const { status, body } = await api.request('PUT', `/api/v1/nurses/${nurse.id}/units`, { [field]: value });
+      assert.equal(status, 422, JSON.stringify(value));
+      assert.deepEqual(Object.keys(body.errors), [field]);
+    }
+
+    const moved = await api.request('PUT', `/api/v1/nurses/${nurse.id}/units`, {
+      primary_unit_id: null,
+      float_unit_ids: [unit.id],
+    });
+    assert.equal(moved.status, 200);
+    assert.deepEqual(moved.body.float_unit_ids, [unit.id]);
+  });
+
+  it('records unit moves in the nurse history and reverts them', async () => {
+    const nurse = await api.createNurse();
+    const icu = await api.request('POST', '/api/v1/units', { name: 'ICU' });
+    const ward = await api.request('POST', '/api/v1/units', { name: 'Ward 3' });
+
+    const moved = await api.request('PUT', `/api/v1/nurses/${nurse.id}/units`, {
+      primary_unit_id: icu.body.id,
+      float_unit_ids: [ward.body.id],
+    });
+    assert.equal(moved.status, 200);
+    assert.equal(moved.body.version, nurse.version + 1);
+
+    const history = await api.request('GET', `/api/v1/nurses/${nurse.id}/history`);
+    assert.equal(history.body[0].action, 'update');
+    assert.deepEqual(history.body[0].changes, [{ field: 'primary_unit_id', before: null, after: icu.body.id }]);
+
+    await api.request('POST', `/api/v1/nurses/${nurse.id}/revert`, { audit_id: history.body[1].id });
+    const units = await api.request('GET', `/api/v1/nurses/${nurse.id}/units`);
+    assert.equal(units.body.primary_unit_id, null);
+  });
+});
@@ -0,0 +1,38 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateAge, isValidDate, validateFields } = require('../validation');
+const NURSE_SCHEMA = require('../../shared/nurseSchema.json');
+
+describe('validation', () => {
+  it('accepts only real calendar dates', () => {
+    assert.equal(isValidDate('2024-02-29'), true);
+    assert.equal(isValidDate('2023-02-29'), false);
+    assert.equal(isValidDate('2023-13-01'), false);
+    assert.equal(isValidDate('01/02/2023'), false);
+    assert.equal(isValidDate(undefined), false);
+    assert.equal(isValidDate(['2024-02-29']), false);
+  });
+
+  it('counts age in whole years, birthday included', () => {
+    assert.equal(calculateAge('1990-06-15', '2020-06-14'), 29);
+    assert.equal(calculateAge('1990-06-15', '2020-06-15'), 30);
+  });
+
+  it('reports an error per invalid nurse field', () => {
+    const errors = validateFields(NURSE_SCHEMA, {
+      name: 'Jane 2',
+      license_number: '',
+      dob: '2999-01-01',
+      email: 'not-an-email',
+    });
+
+    assert.deepEqual(Object.keys(errors).sort(), ['dob', 'email', 'license_number', 'name']);
+  });
+
+  it('accepts a valid nurse', () => {
+    assert.equal(
+      validateFields(NURSE_SCHEMA, { name: "Mary O'Neil", license_number: 'RN-123456', dob: '1985-04-12' }),
+      null
+    );
+  });
+});
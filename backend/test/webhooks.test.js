@@ -0,0 +1,109 @@
+const http = require('http');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { signPayload } = require('../webhooks');
+
+describe('webhooks', () => {
+  let api;
+  let receiver;
+  let receiverUrl;
+  // Resolves waitForRequest() with the receiver's next request; the receiver
+  // answers with responseStatus
+  let nextRequest;
+  let responseStatus = 200;
+
+  const waitForRequest = () =>
+    new Promise((resolve) => {
+      nextRequest = resolve;
+    });
+
+  before(async () => {
+    api = await startServer();
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        res.writeHead(responseStatus).end('thanks');
+        nextRequest?.({ headers: req.headers, body });
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => receiver.close(resolve));
+    await api.close();
+  });
+
+  const createWebhook = async (fields) => {
+    const response = await api.request('POST', '/api/v1/webhooks', { url: receiverUrl, ...fields });
+    assert.equal(response.status, 201);
+    return response.body;
+  };
+
+  // The delivery log once no delivery is waiting for its first attempt
+  const findDeliveries = async (webhook) => {
+    const { body } = await api.request('GET', `/api/v1/webhooks/${webhook.id}/deliveries`);
+    if (body.some((delivery) => delivery.attempts === 0)) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      return findDeliveries(webhook);
+    }
+    return body;
+  };
+
+  it('refuses URLs that are not http(s) and unknown events', async () => {
+    const create = (fields) => api.request('POST', '/api/v1/webhooks', fields);
+    assert.equal((await create({ url: 'ftp://example.com', events: ['nurse.created'] })).status, 400);
+    assert.equal((await create({ url: receiverUrl, events: ['nurse.hired'] })).status, 400);
+  });
+
+  it('posts signed nurse events to subscribed webhooks', async () => {
+    const webhook = await createWebhook({ events: ['nurse.created'] });
+    const received = waitForRequest();
+    const nurse = await api.createNurse({ name: 'Hooked Nurse' });
+
+    const { headers, body } = await received;
+    const payload = JSON.parse(body);
+    assert.equal(headers['x-webhook-event'], 'nurse.created');
+    assert.equal(payload.event, 'nurse.created');
+    assert.equal(payload.data.nurse_id, nurse.id);
+    assert.equal(payload.data.nurse.name, 'Hooked Nurse');
+    assert.equal(
+      headers['x-webhook-signature'],
+      `sha256=${signPayload(webhook.secret, headers['x-webhook-timestamp'], body)}`
+    );
+
+    const [delivery] = await findDeliveries(webhook);
+    assert.equal(delivery.status, 'succeeded');
+    assert.equal(delivery.response_status, 200);
+    await api.request('DELETE', `/api/v1/webhooks/${webhook.id}`);
+  });
+
+  it('keeps a failed delivery queued for a retry and can send it again', async () => {
+    const webhook = await createWebhook({ events: ['nurse.deleted'] });
+    const nurse = await api.createNurse();
+    responseStatus = 503;
+    const received = waitForRequest();
+    await api.request('DELETE', `/api/v1/nurses/${nurse.id}`);
+    await received;
+
+    const [delivery] = await findDeliveries(webhook);
+    assert.equal(delivery.status, 'pending');
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.error, 'Receiver responded with HTTP 503');
+    assert.ok(delivery.next_attempt_at);
+
+    responseStatus = 200;
+    const resent = waitForRequest();
+    const redeliver = await api.request('POST', `/api/v1/webhooks/${webhook.id}/deliveries/${delivery.id}/redeliver`);
+    assert.equal(redeliver.status, 202);
+    assert.equal(redeliver.body.redelivery_of, delivery.id);
+    const { headers } = await resent;
+    assert.equal(headers['x-webhook-id'], delivery.event_id);
+    await api.request('DELETE', `/api/v1/webhooks/${webhook.id}`);
+  });
+});
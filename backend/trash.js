@@ -0,0 +1,58 @@
+const { db } = require('./db');
+const { recordAudit } = require('./audit');
+const { broadcastNurseChange } = require('./events');
+const { findNurseFiles } = require('./nurses');
+const { removeUpload } = require('./uploads');
+
+// Days a nurse stays in the trash before it is purged automatically (0 keeps them forever)
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS ?? '30', 10);
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Permanently delete trashed nurses older than the retention period.
+// Returns the number of nurses purged.
+const purgeExpiredNurses = () => {
+  if (!(TRASH_RETENTION_DAYS > 0)) return 0;
+
+  const purge = db.transaction(() => {
+    const expired = db
+      .prepare("SELECT * FROM nurses WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)")
+      .all(`-${TRASH_RETENTION_DAYS} days`);
+
+    const deleteNurse = db.prepare('DELETE FROM nurses WHERE id = ?');
+    return expired.map((nurse) => {
+      const files = findNurseFiles(nurse);
+      deleteNurse.run(nurse.id);
+      // No user: the purge was done by the retention policy
+      recordAudit({ nurseId: nurse.id, action: 'purge', user: null, before: nurse });
+      return { nurse, files };
+    });
+  });
+
+  const purged = purge();
+  purged.forEach(({ nurse, files }) => {
+    files.forEach(([subdir, filename]) => removeUpload(subdir, filename));
+    broadcastNurseChange('purged', { nurseId: nurse.id });
+  });
+  return purged.length;
+};
+
+// Purge expired nurses now and then hourly
+const startTrashRetention = () => {
+  const runPurge = () => {
+    try {
+      const purged = purgeExpiredNurses();
+      if (purged > 0) {
+        console.log(`Purged ${purged} nurse(s) from the trash`);
+      }
+    } catch (error) {
+      console.error('Error purging trash:', error);
+    }
+  };
+
+  runPurge();
+  // Don't keep the process alive just for the purge timer
+  setInterval(runPurge, PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = { TRASH_RETENTION_DAYS, purgeExpiredNurses, startTrashRetention };
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Uploaded files live on local disk under UPLOADS_DIR, one subdirectory per
+// kind of upload (photos/, documents/). The database only stores their file names.
+const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, 'uploads');
+
+// Subdirectory for nurse profile photos
+const PHOTOS_DIR = 'photos';
+
+// Subdirectory for documents attached to nurses (certificates, ID scans, ...)
+const DOCUMENTS_DIR = 'documents';
+
+// Whether a buffer holds the given bytes at an offset
+const hasBytes = (buffer, offset, bytes) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+
+// Image types accepted for profile photos, with a check of the bytes their
+// files start with
+const IMAGE_TYPES = {
+  'image/jpeg': { extension: 'jpg', matches: (buffer) => hasBytes(buffer, 0, [0xff, 0xd8, 0xff]) },
+  'image/png': { extension: 'png', matches: (buffer) => hasBytes(buffer, 0, [0x89, 0x50, 0x4e, 0x47]) },
+  'image/webp': {
+    extension: 'webp',
+    matches: (buffer) => hasBytes(buffer, 0, Buffer.from('RIFF')) && hasBytes(buffer, 8, Buffer.from('WEBP')),
+  },
+};
+
+// File types accepted for documents: scans as images, everything else as PDF
+const DOCUMENT_TYPES = {
+  ...IMAGE_TYPES,
+  'application/pdf': { extension: 'pdf', matches: (buffer) => hasBytes(buffer, 0, Buffer.from('%PDF-')) },
+};
+
+// MIME type for a stored file's extension
+const CONTENT_TYPES = Object.fromEntries(
+  Object.entries(DOCUMENT_TYPES).map(([type, { extension }]) => [extension, type])
+);
+
+// Write a file under a subdirectory with a random name. Returns the name.
+const saveUpload = (subdir, buffer, extension) => {
+  const dir = path.join(UPLOADS_DIR, subdir);
+  fs.mkdirSync(dir, { recursive: true });
+  const filename = `${crypto.randomUUID()}.${extension}`;
+  fs.writeFileSync(path.join(dir, filename), buffer);
+  return filename;
+};
+
+// Absolute path of a stored file. path.basename keeps names from escaping
+// the uploads directory.
+const uploadPath = (subdir, filename) => path.join(UPLOADS_DIR, subdir, path.basename(filename));
+
+// Delete a stored file; a file that is already gone is not an error
+const removeUpload = (subdir, filename) => {
+  if (!filename) return;
+  try {
+    fs.unlinkSync(uploadPath(subdir, filename));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Error removing upload ${subdir}/${filename}:`, error);
+    }
+  }
+};
+
+module.exports = {
+  PHOTOS_DIR,
+  DOCUMENTS_DIR,
+  IMAGE_TYPES,
+  DOCUMENT_TYPES,
+  CONTENT_TYPES,
+  saveUpload,
+  uploadPath,
+  removeUpload,
+};
@@ -0,0 +1,53 @@
+const http = require('http');
+const crypto = require('crypto');
+
+// A local webhook receiver for trying out webhooks: prints each delivery and
+// whether its signature checks out. Usage:
+//
+//   WEBHOOK_SECRET=whsec_... node webhookReceiver.js [port]
+//
+// Set WEBHOOK_RECEIVER_STATUS=500 to answer with an error and watch the
+// server retry.
+
+const PORT = parseInt(process.argv[2], 10) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET || '';
+const RESPONSE_STATUS = parseInt(process.env.WEBHOOK_RECEIVER_STATUS, 10) || 200;
+
+// Deliveries signed more than this long ago are treated as replays
+const MAX_SIGNATURE_AGE_SECONDS = 5 * 60;
+
+// Check X-Webhook-Signature, "sha256=" + HMAC-SHA256 of "<timestamp>.<body>"
+// (see signPayload in webhooks.js). Returns a problem, or null when valid.
+const checkSignature = (req, body) => {
+  if (!SECRET) return 'not checked (set WEBHOOK_SECRET)';
+  const timestamp = Number(req.headers['x-webhook-timestamp']);
+  const expected = `sha256=${crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex')}`;
+  const actual = req.headers['x-webhook-signature'] || '';
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(actual), Buffer.from(expected))) {
+    return 'INVALID';
+  }
+  if (Math.abs(Date.now() / 1000 - timestamp) > MAX_SIGNATURE_AGE_SECONDS) {
+    return 'too old';
+  }
+  return null;
+};
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const problem = checkSignature(req, body);
+    console.log(
+      `${new Date().toISOString()} ${req.headers['x-webhook-event']} delivery #${req.headers['x-webhook-delivery']}` +
+        ` (signature ${problem || 'valid'})`
+    );
+    console.log(body);
+    res.writeHead(RESPONSE_STATUS, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: true }));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Webhook receiver listening on http://localhost:${PORT}, answering ${RESPONSE_STATUS}`);
+});
@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const { db } = require('./db');
+const { toApiNurse } = require('./nurses');
+
+// Outbound webhooks: nurse changes are POSTed as signed JSON to the URLs
+// admins subscribe. Deliveries are queued in webhook_deliveries and sent by
+// a background loop, which retries failures with exponential backoff. The
+// queue lives in the database, so deliveries survive a restart.
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = ['nurse.created', 'nurse.updated', 'nurse.deleted', 'nurse.restored', 'nurse.purged'];
+
+// Sent by "Send test"; needs no subscription
+const PING_EVENT = 'ping';
+
+// Attempts before a delivery is given up as failed. Retry n waits
+// WEBHOOK_RETRY_BASE_SECONDS * 2^(n-1): 30s, 1m, 2m, 4m, ... by default.
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30;
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const POLL_INTERVAL_MS = 5 * 1000;
+// Deliveries sent at once
+const BATCH_SIZE = 20;
+// How much of a receiver's response is kept in the delivery log
+const MAX_RESPONSE_BODY_LENGTH = 1000;
+
+// The event for each audited change. Imports create or update; a merge
+// updates the kept nurse and deletes the other for good.
+const AUDIT_ACTION_EVENTS = {
+  create: 'nurse.created',
+  update: 'nurse.updated',
+  revert: 'nurse.updated',
+  delete: 'nurse.deleted',
+  restore: 'nurse.restored',
+  purge: 'nurse.purged',
+};
+
+const eventForAuditAction = (action, before, after) => {
+  if (action === 'import') return before ? 'nurse.updated' : 'nurse.created';
+  if (action === 'merge') return after ? 'nurse.updated' : 'nurse.purged';
+  return AUDIT_ACTION_EVENTS[action];
+};
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// HMAC-SHA256 of "<timestamp>.<body>" keyed with the webhook's secret, hex
+// encoded. Receivers recompute it to check a delivery is genuine and recent.
+const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const insertDelivery = (webhookId, eventId, event, payload, redeliveryOf = null) =>
+  db
+    .prepare(
+      'INSERT INTO webhook_deliveries (webhook_id, event_id, event, payload, redelivery_of) VALUES (?, ?, ?, ?, ?)'
+    )
+    .run(webhookId, eventId, event, payload, redeliveryOf).lastInsertRowid;
+
+const buildPayload = (event, data) => {
+  const id = crypto.randomUUID();
+  return { id, body: JSON.stringify({ id, event, created_at: new Date().toISOString(), data }) };
+};
+
+// Queue an event for every active webhook subscribed to it. Returns the
+// number of deliveries queued.
+const queueWebhookEvent = (event, data) => {
+  const webhooks = db
+    .prepare('SELECT id, events FROM webhooks WHERE active = 1')
+    .all()
+    .filter((webhook) => JSON.parse(webhook.events).includes(event));
+  if (webhooks.length === 0) return 0;
+
+  const { id, body } = buildPayload(event, data);
+  webhooks.forEach((webhook) => insertDelivery(webhook.id, id, event, body));
+  scheduleDeliveries();
+  return webhooks.length;
+};
+
+// Queue the webhook event for an audited nurse change. recordAudit calls
+// this inside the transaction making the change, so an event is queued if
+// and only if the change is saved.
+const queueNurseWebhook = ({ nurseId, action, user, before, after, auditId, changedFields }) => {
+  const event = eventForAuditAction(action, before, after);
+  if (!event) return;
+  queueWebhookEvent(event, {
+    nurse_id: nurseId,
+    nurse: toApiNurse(after || before),
+    changed_fields: changedFields,
+    audit_id: auditId,
+    username: user ? user.username : null,
+  });
+};
+
+// Queue a ping to one webhook, to check the receiver is reachable
+const queueTestDelivery = (webhook) => {
+  const { id, body } = buildPayload(PING_EVENT, { webhook_id: webhook.id, message: 'Test delivery' });
+  const deliveryId = insertDelivery(webhook.id, id, PING_EVENT, body);
+  scheduleDeliveries();
+  return deliveryId;
+};
+
+// Queue a delivery again with the same payload, as a new log entry
+const queueRedelivery = (delivery) => {
+  const { webhook_id: webhookId, event_id: eventId, event, payload } = delivery;
+  const deliveryId = insertDelivery(webhookId, eventId, event, payload, delivery.id);
+  scheduleDeliveries();
+  return deliveryId;
+};
+
+// Record the outcome of an attempt. Failures are retried later until
+// MAX_ATTEMPTS is reached.
+const recordAttempt = (delivery, { responseStatus, responseBody, error, durationMs }) => {
+  const attempts = delivery.attempts + 1;
+  const status = !error ? 'succeeded' : attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+  const retryDelaySeconds = RETRY_BASE_SECONDS * 2 ** (attempts - 1);
+  db.prepare(
+    `UPDATE webhook_deliveries SET
+      status = ?, attempts = ?, last_attempt_at = CURRENT_TIMESTAMP,
+      next_attempt_at = CASE WHEN ? = 'pending' THEN datetime('now', ?) END,
+      response_status = ?, response_body = ?, error = ?, duration_ms = ?
+    WHERE id = ?`
+  ).run(
+    status,
+    attempts,
+    status,
+    `+${retryDelaySeconds} seconds`,
+    responseStatus,
+    responseBody,
+    error,
+    durationMs,
+    delivery.id
+  );
+};
+
+// POST a delivery to its webhook's URL. Any 2xx response counts as
+// delivered; redirects are not followed.
+const attemptDelivery = async (delivery) => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  const outcome = { responseStatus: null, responseBody: null, error: null };
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'NurseManagement-Webhooks/1.0',
+        'X-Webhook-Id': delivery.event_id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signPayload(delivery.secret, timestamp, delivery.payload)}`,
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    });
+    outcome.responseStatus = response.status;
+    outcome.responseBody = (await response.text()).slice(0, MAX_RESPONSE_BODY_LENGTH);
+    if (!response.ok) {
+      outcome.error = `Receiver responded with HTTP ${response.status}`;
+    }
+  } catch (error) {
+    outcome.error =
+      error.name === 'TimeoutError'
+        ? `No response within ${DELIVERY_TIMEOUT_MS / 1000} seconds`
+        : (error.cause && error.cause.message) || error.message;
+  }
+
+  recordAttempt(delivery, { ...outcome, durationMs: Date.now() - startedAt });
+};
+
+let isDelivering = false;
+let isRunScheduled = false;
+
+// Send every delivery that is due, a batch at a time. Deliveries of paused
+// webhooks wait until the webhook is active again.
+const deliverDueWebhooks = async () => {
+  if (isDelivering) return;
+  isDelivering = true;
+  try {
+    let due;
+    do {
+      due = db
+        .prepare(
+          `SELECT webhook_deliveries.*, webhooks.url, webhooks.secret FROM webhook_deliveries
+          JOIN webhooks ON webhooks.id = webhook_deliveries.webhook_id
+          WHERE webhook_deliveries.status = 'pending' AND webhooks.active = 1
+            AND webhook_deliveries.next_attempt_at <= datetime('now')
+          ORDER BY webhook_deliveries.next_attempt_at, webhook_deliveries.id
+          LIMIT ?`
+        )
+        .all(BATCH_SIZE);
+      await Promise.all(due.map(attemptDelivery));
+    } while (due.length === BATCH_SIZE);
+  } catch (error) {
+    console.error('Error delivering webhooks:', error);
+  } finally {
+    isDelivering = false;
+  }
+};
+
+// Send newly queued deliveries once the current transaction has committed,
+// rather than waiting for the next poll
+const scheduleDeliveries = () => {
+  if (isRunScheduled) return;
+  isRunScheduled = true;
+  setImmediate(() => {
+    isRunScheduled = false;
+    deliverDueWebhooks();
+  });
+};
+
+// Send due deliveries now (e.g. left over from before a restart) and then
+// every few seconds
+const startWebhookDelivery = () => {
+  deliverDueWebhooks();
+  // Don't keep the process alive just for the delivery timer
+  setInterval(deliverDueWebhooks, POLL_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  generateWebhookSecret,
+  signPayload,
+  queueNurseWebhook,
+  queueTestDelivery,
+  queueRedelivery,
+  startWebhookDelivery,
+};
@@ -1,56 +1,189 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import * as XLSX from 'xlsx';
+import ImportModal from './components/ImportModal';
+import ExportModal from './components/ExportModal';
+import BulkActionsBar from './components/BulkActionsBar';
+import HistoryModal from './components/HistoryModal';
+import CredentialsModal from './components/CredentialsModal';
+import ExpiringLicenses from './components/ExpiringLicenses';
+import ShiftSchedule from './components/ShiftSchedule';
+import UnitsPanel from './components/UnitsPanel';
+import AnalyticsDashboard from './components/AnalyticsDashboard';
+import LeavePanel from './components/LeavePanel';
+import CompliancePanel from './components/CompliancePanel';
+import DuplicatesPanel from './components/DuplicatesPanel';
+import NurseUnitsModal from './components/NurseUnitsModal';
+import EditConflictPanel from './components/EditConflictPanel';
+import EmergencyContactsFields from './components/EmergencyContactsFields';
+import CustomFieldsInputs, { customFieldsToForm } from './components/CustomFieldsInputs';
+import NurseDetailDrawer from './components/NurseDetailDrawer';
+import LoginScreen from './components/LoginScreen';
+import UsersModal from './components/UsersModal';
+import ApiKeysModal from './components/ApiKeysModal';
+import WebhooksModal from './components/WebhooksModal';
+import CustomFieldsModal from './components/CustomFieldsModal';
+import { NURSE_COLUMNS, customFieldColumns, customFieldValue } from './columns';
+import {
+  apiFetch,
+  ensureOk,
+  toApiError,
+  buildQueryString,
+  downloadFile,
+  downloadFromLink,
+  getToken,
+  CLIENT_ID,
+} from './api';
+import { NURSE_SCHEMA, calculateAge, optionLabel, validateNurseInput } from './validation';
+import useDebounce from './useDebounce';
+import useAuth, { ROLE_LABELS, canEditNurses, isAdmin } from './useAuth';
 
 // API base URL
-const API_URL = '/api/nurses';
+const API_URL = '/api/v1/nurses';
 
-// Custom hook for debouncing - delays execution until user stops typing
-const useDebounce = (value, delay = 300) => {
-  const [debouncedValue, setDebouncedValue] = useState(value);
+// Server-Sent Events stream of nurse changes
+const EVENTS_URL = '/api/v1/events';
 
-  useEffect(() => {
-    // Set up a timer to update the debounced value after the delay
-    const timer = setTimeout(() => {
-      setDebouncedValue(value);
-    }, delay);
+// How long a row changed by another user stays highlighted
+const REMOTE_CHANGE_HIGHLIGHT_MS = 5000;
 
-    // Cleanup: clear the timer if value changes before delay completes
-    return () => {
-      clearTimeout(timer);
-    };
-  }, [value, delay]);
+// Pagination settings (the API caps limit at 100)
+const PAGE_SIZE_OPTIONS = [10, 25, 50, 100];
+const MAX_PAGE_SIZE = 100;
 
-  return debouncedValue;
+// Empty values for the filter panel
+const EMPTY_FILTERS = {
+  age_min: '',
+  age_max: '',
+  dob_from: '',
+  dob_to: '',
+  license_prefix: '',
+  unit_id: '',
 };
 
 // Custom hook for API calls with async/await and promises
 const useNursesApi = () => {
   const [nurses, setNurses] = useState([]);
+  const [pagination, setPagination] = useState({
+    total: 0,
+    page: 1,
+    limit: PAGE_SIZE_OPTIONS[1],
+    total_pages: 0,
+  });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  // Remember the last query so mutations can reload the same page
+  const lastQueryRef = useRef({});
+  // Ignore responses to requests that have since been superseded
+  const requestIdRef = useRef(0);
+  // Rows recently changed by another user: nurse id -> their username
+  const [remoteChanges, setRemoteChanges] = useState({});
+  // The current page, for merging live updates without re-subscribing
+  const nursesRef = useRef(nurses);
+  nursesRef.current = nurses;
 
-  // Fetch all nurses using async/await
-  const fetchNurses = useCallback(async () => {
+  // Fetch one page of nurses matching the query using async/await
+  const fetchNurses = useCallback(async (query = lastQueryRef.current) => {
+    lastQueryRef.current = query;
+    const requestId = ++requestIdRef.current;
     setLoading(true);
     setError(null);
     try {
-      const response = await fetch(API_URL);
+      const response = await apiFetch(`${API_URL}?${buildQueryString(query)}`);
       if (!response.ok) {
-        throw new Error('Failed to fetch nurses');
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to fetch nurses');
       }
-      const data = await response.json();
+      const { data, ...pageInfo } = await response.json();
+      if (requestId !== requestIdRef.current) return;
       setNurses(data);
+      setPagination(pageInfo);
     } catch (err) {
+      if (requestId !== requestIdRef.current) return;
       setError(err.message);
     } finally {
-      setLoading(false);
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+      }
     }
   }, []);
 
+  // Merge changes made in other browsers into the current page as they happen
+  useEffect(() => {
+    const source = new EventSource(`${EVENTS_URL}?${buildQueryString({ access_token: getToken() })}`);
+    const timers = new Set();
+
+    const highlight = (nurseId, username) => {
+      setRemoteChanges((prev) => ({ ...prev, [nurseId]: username || 'another user' }));
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        setRemoteChanges(({ [nurseId]: _removed, ...rest }) => rest);
+      }, REMOTE_CHANGE_HIGHLIGHT_MS);
+      timers.add(timer);
+    };
+
+    source.addEventListener('nurse', (event) => {
+      const change = JSON.parse(event.data);
+      // This tab has already applied its own changes
+      if (change.client_id === CLIENT_ID) return;
+
+      // An edit to a row on this page is patched in place; anything else can
+      // change which nurses belong on the page, so reload it
+      if (change.action === 'updated' && nursesRef.current.some((nurse) => nurse.id === change.nurse_id)) {
+        setNurses((prev) => prev.map((nurse) => (nurse.id === change.nurse_id ? change.nurse : nurse)));
+      } else {
+        fetchNurses();
+      }
+
+      if (change.nurse) {
+        highlight(change.nurse_id, change.username);
+      }
+    });
+
+    return () => {
+      source.close();
+      timers.forEach(clearTimeout);
+    };
+  }, [fetchNurses]);
+
+  // Fetch every nurse matching the query, page by page (used for exports)
+  const fetchAllNurses = async (query = lastQueryRef.current) => {
+    const allNurses = [];
+    let page = 1;
+    let totalPages = 1;
+    do {
+      const response = await apiFetch(
+        `${API_URL}?${buildQueryString({ ...query, page, limit: MAX_PAGE_SIZE })}`
+      );
+      if (!response.ok) {
+        throw new Error('Failed to fetch nurses');
+      }
+      const { data, total_pages } = await response.json();
+      allNurses.push(...data);
+      totalPages = total_pages;
+      page++;
+    } while (page <= totalPages);
+    return allNurses;
+  };
+
+  // Fetch the ids of every nurse matching the query (for selecting them all)
+  const fetchNurseIds = async (query = lastQueryRef.current) => {
+    const response = await ensureOk(
+      await apiFetch(`${API_URL}/ids?${buildQueryString(query)}`),
+      'Failed to select nurses'
+    );
+    return (await response.json()).ids;
+  };
+
+  // Fetch one nurse with its full profile (emergency contacts included)
+  const fetchNurse = async (id) => {
+    const response = await ensureOk(await apiFetch(`${API_URL}/${id}`), 'Failed to fetch nurse');
+    return response.json();
+  };
+
   // Create nurse using promises
   const createNurse = (nurseData) => {
     return new Promise((resolve, reject) => {
-      fetch(API_URL, {
+      apiFetch(API_URL, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(nurseData),
@@ -58,14 +191,14 @@ const useNursesApi = () => {
         .then((response) => {
           if (!response.ok) {
             return response.json().then((data) => {
-              throw new Error(data.error || 'Failed to create nurse');
+              throw toApiError(data, 'Failed to create nurse');
             });
           }
           return response.json();
         })
         .then((newNurse) => {
-          setNurses((prev) => [newNurse, ...prev]);
-          resolve(newNurse);
+          // Reload the current page so the new nurse lands in its sorted position
+          return fetchNurses().then(() => resolve(newNurse));
         })
         .catch(reject);
     });
@@ -73,7 +206,7 @@ const useNursesApi = () => {
 
   // Update nurse using async/await
   const updateNurse = async (id, nurseData) => {
-    const response = await fetch(`${API_URL}/${id}`, {
+    const response = await apiFetch(`${API_URL}/${id}`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(nurseData),
@@ -81,7 +214,7 @@ const useNursesApi = () => {
 
     if (!response.ok) {
       const data = await response.json();
-      throw new Error(data.error || 'Failed to update nurse');
+      throw toApiError(data, 'Failed to update nurse');
     }
 
     const updatedNurse = await response.json();
@@ -93,7 +226,7 @@ const useNursesApi = () => {
 
   // Delete nurse using async/await
   const deleteNurse = async (id) => {
-    const response = await fetch(`${API_URL}/${id}`, {
+    const response = await apiFetch(`${API_URL}/${id}`, {
       method: 'DELETE',
     });
 
@@ -102,84 +235,315 @@ const useNursesApi = () => {
       throw new Error(data.error || 'Failed to delete nurse');
     }
 
-    setNurses((prev) => prev.filter((nurse) => nurse.id !== id));
+    // Reload so the page is back-filled from the next one
+    await fetchNurses();
+  };
+
+  // Restore a nurse from the trash using async/await
+  const restoreNurse = async (id) => {
+    const response = await apiFetch(`${API_URL}/${id}/restore`, {
+      method: 'POST',
+    });
+
+    if (!response.ok) {
+      const data = await response.json();
+      throw new Error(data.error || 'Failed to restore nurse');
+    }
+
+    await fetchNurses();
+  };
+
+  // Permanently delete a nurse from the trash using async/await
+  const purgeNurse = async (id) => {
+    const response = await apiFetch(`${API_URL}/${id}/purge`, {
+      method: 'DELETE',
+    });
+
+    if (!response.ok) {
+      const data = await response.json();
+      throw new Error(data.error || 'Failed to permanently delete nurse');
+    }
+
+    await fetchNurses();
+  };
+
+  // Bulk import rows using async/await; a dry run only returns the report
+  const importNurses = async (rows, { mode, dryRun }) => {
+    const response = await apiFetch(`${API_URL}/import`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ rows, mode, dry_run: dryRun }),
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to import nurses');
+    }
+
+    if (!dryRun) {
+      await fetchNurses();
+    }
+    return data;
+  };
+
+  // Move a list of nurses to the trash; returns the per-nurse report
+  const batchDeleteNurses = async (ids) => {
+    const response = await ensureOk(
+      await apiFetch(`${API_URL}/batch/delete`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids }),
+      }),
+      'Failed to delete nurses'
+    );
+    const report = await response.json();
+    await fetchNurses();
+    return report;
+  };
+
+  // Set the same field values on a list of nurses; returns the per-nurse report
+  const batchUpdateNurses = async (ids, fields) => {
+    const response = await ensureOk(
+      await apiFetch(`${API_URL}/batch/update`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids, fields }),
+      }),
+      'Failed to update nurses'
+    );
+    const report = await response.json();
+    await fetchNurses();
+    return report;
+  };
+
+  // Fetch a nurse's change history using async/await
+  const fetchNurseHistory = useCallback(async (id) => {
+    const response = await apiFetch(`${API_URL}/${id}/history`);
+    if (!response.ok) {
+      const data = await response.json();
+      throw new Error(data.error || 'Failed to fetch history');
+    }
+    return response.json();
+  }, []);
+
+  // Revert a nurse to an earlier version using async/await
+  const revertNurse = async (id, auditId) => {
+    const response = await apiFetch(`${API_URL}/${id}/revert`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ audit_id: auditId }),
+    });
+
+    if (!response.ok) {
+      const data = await response.json();
+      throw new Error(data.error || 'Failed to revert nurse');
+    }
+
+    const revertedNurse = await response.json();
+    setNurses((prev) =>
+      prev.map((nurse) => (nurse.id === id ? revertedNurse : nurse))
+    );
+    return revertedNurse;
   };
 
   return {
     nurses,
     setNurses,
+    remoteChanges,
+    pagination,
     loading,
     error,
     fetchNurses,
+    fetchAllNurses,
+    fetchNurseIds,
+    fetchNurse,
     createNurse,
     updateNurse,
     deleteNurse,
+    restoreNurse,
+    purgeNurse,
+    importNurses,
+    batchDeleteNurses,
+    batchUpdateNurses,
+    fetchNurseHistory,
+    revertNurse,
   };
 };
 
+// Sections of the nurse form, each shown as a tab. Emergency contacts and
+// custom fields have their own editors, so those sections list no schema
+// fields; the custom fields tab only shows when fields are defined.
+const NURSE_FORM_SECTIONS = [
+  { key: 'basic', label: 'Basic Info', fields: ['name', 'license_number', 'dob'] },
+  { key: 'contact', label: 'Contact', fields: ['email', 'phone', 'address'] },
+  { key: 'employment', label: 'Employment', fields: ['hire_date', 'job_role', 'employment_type', 'employment_status'] },
+  { key: 'emergency', label: 'Emergency Contacts', fields: [] },
+  { key: 'custom', label: 'Other Details', fields: [] },
+];
+
+// Which form section an error key belongs to
+const sectionOfField = (field) => {
+  if (field.startsWith('emergency_contacts')) return 'emergency';
+  if (field.startsWith('custom_fields')) return 'custom';
+  return NURSE_FORM_SECTIONS.find(({ fields }) => fields.includes(field))?.key;
+};
+
+// A blank nurse form, with the schema's defaults (e.g. status "active")
+const emptyNurseForm = (customFields = []) => ({
+  ...Object.fromEntries(Object.entries(NURSE_SCHEMA).map(([field, rules]) => [field, rules.default ?? ''])),
+  emergency_contacts: [],
+  custom_fields: customFieldsToForm(customFields),
+});
+
+// Form values for a saved nurse; the API's nulls become empty inputs
+const nurseToForm = (source, customFields = []) => ({
+  ...Object.fromEntries(Object.keys(NURSE_SCHEMA).map((field) => [field, source[field] ?? ''])),
+  emergency_contacts: (source.emergency_contacts || []).map((contact) => ({
+    name: contact.name,
+    relationship: contact.relationship ?? '',
+    phone: contact.phone,
+    email: contact.email ?? '',
+  })),
+  custom_fields: customFieldsToForm(customFields, source.custom_fields),
+});
+
 // Modal Component
-const NurseModal = ({ isOpen, onClose, nurse, onSave, isLoading }) => {
-  const [formData, setFormData] = useState({
-    name: '',
-    license_number: '',
-    dob: '',
-    age: '',
-  });
+const NurseModal = ({ isOpen, onClose, nurse, customFields, onSave, isLoading }) => {
+  const [formData, setFormData] = useState(() => emptyNurseForm(customFields));
+  const [section, setSection] = useState(NURSE_FORM_SECTIONS[0].key);
+  // Errors not tied to one field (e.g. a network failure)
   const [formError, setFormError] = useState('');
+  // Per-field messages, from the shared schema or the API's 422 response
+  const [fieldErrors, setFieldErrors] = useState({});
+  // The version of the nurse these edits are based on; sent with the save so
+  // the server can reject it if someone else saved in the meantime
+  const [baseVersion, setBaseVersion] = useState(null);
+  // The nurse as currently saved, after a save was rejected as stale
+  const [conflict, setConflict] = useState(null);
+
+  const sections = NURSE_FORM_SECTIONS.filter(({ key }) => key !== 'custom' || customFields.length > 0);
+
+  const loadNurse = (source) => {
+    setFormData(nurseToForm(source, customFields));
+    setBaseVersion(source.version);
+  };
 
   useEffect(() => {
     if (nurse) {
-      setFormData({
-        name: nurse.name,
-        license_number: nurse.license_number,
-        dob: nurse.dob,
-        age: nurse.age.toString(),
-      });
+      loadNurse(nurse);
     } else {
-      setFormData({ name: '', license_number: '', dob: '', age: '' });
+      setFormData(emptyNurseForm(customFields));
+      setBaseVersion(null);
     }
+    setSection(NURSE_FORM_SECTIONS[0].key);
     setFormError('');
-  }, [nurse, isOpen]);
+    setFieldErrors({});
+    setConflict(null);
+  }, [nurse, isOpen, customFields]);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData((prev) => ({ ...prev, [name]: value }));
-    
-    // Auto-calculate age when DOB changes
-    if (name === 'dob' && value) {
-      const today = new Date();
-      const birthDate = new Date(value);
-      let age = today.getFullYear() - birthDate.getFullYear();
-      const monthDiff = today.getMonth() - birthDate.getMonth();
-      if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) {
-        age--;
-      }
-      setFormData((prev) => ({ ...prev, age: age.toString() }));
-    }
+    // Clear a field's error once it is edited
+    setFieldErrors((prev) => ({ ...prev, [name]: undefined }));
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  const handleContactsChange = (contacts, clearedErrors) => {
+    setFormData((prev) => ({ ...prev, emergency_contacts: contacts }));
+    setFieldErrors((prev) => ({ ...prev, ...Object.fromEntries(clearedErrors.map((key) => [key, undefined])) }));
+  };
+
+  const handleCustomFieldChange = (key, value) => {
+    setFormData((prev) => ({ ...prev, custom_fields: { ...prev.custom_fields, [key]: value } }));
+    setFieldErrors((prev) => ({ ...prev, [`custom_fields.${key}`]: undefined }));
+  };
+
+  // Show errors, switching to the first section that has one
+  const showFieldErrors = (errors) => {
+    setFieldErrors(errors);
+    const firstSection = sections.find(({ key }) =>
+      Object.keys(errors).some((field) => sectionOfField(field) === key)
+    );
+    if (firstSection) setSection(firstSection.key);
+  };
+
+  // Save data as an edit of the given version
+  const save = async (data, version) => {
     setFormError('');
 
-    if (!formData.name || !formData.license_number || !formData.dob || !formData.age) {
-      setFormError('All fields are required');
+    const errors = validateNurseInput(data, customFields);
+    if (errors) {
+      setFormData(data);
+      setConflict(null);
+      showFieldErrors(errors);
       return;
     }
+    setFieldErrors({});
 
     try {
-      await onSave(formData);
+      await onSave(nurse ? { ...data, version } : data);
       onClose();
     } catch (err) {
-      setFormError(err.message);
+      if (err.current) {
+        setFormData(data);
+        setConflict(err.current);
+      } else if (err.fieldErrors) {
+        setFormData(data);
+        setConflict(null);
+        showFieldErrors(err.fieldErrors);
+      } else {
+        setFormError(err.message);
+      }
     }
   };
 
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    save(formData, baseVersion);
+  };
+
+  // Resolve a conflict by saving on top of the version now on the server
+  const saveOverConflict = (data) => save(data, conflict.version);
+
+  // Resolve a conflict by dropping the user's edits for the saved values
+  const useSavedVersion = () => {
+    loadNurse(conflict);
+    setConflict(null);
+  };
+
+  // Props for an input that may have an error shown under it
+  const fieldProps = (name) => ({
+    id: name,
+    name,
+    value: formData[name],
+    onChange: handleChange,
+    className: fieldErrors[name] ? 'input-error' : '',
+    'aria-invalid': Boolean(fieldErrors[name]),
+  });
+
+  const renderFieldError = (name) =>
+    fieldErrors[name] && <p className="field-error">{fieldErrors[name]}</p>;
+
+  // A select of a schema field's options
+  const renderOptionsSelect = (name, placeholder) => (
+    <select {...fieldProps(name)}>
+      {placeholder && <option value="">{placeholder}</option>}
+      {Object.entries(NURSE_SCHEMA[name].options).map(([value, label]) => (
+        <option key={value} value={value}>
+          {label}
+        </option>
+      ))}
+    </select>
+  );
+
+  const errorCount = (key) =>
+    Object.entries(fieldErrors).filter(([field, message]) => message && sectionOfField(field) === key).length;
+
   if (!isOpen) return null;
 
   return (
     <div className="modal-overlay" onClick={onClose}>
-      <div className="modal" onClick={(e) => e.stopPropagation()}>
+      <div className="modal modal-wide" onClick={(e) => e.stopPropagation()}>
         <div className="modal-header">
           <h2>{nurse ? '✏️ Edit Nurse' : '➕ Add New Nurse'}</h2>
           <button className="modal-close" onClick={onClose}>
@@ -188,61 +552,132 @@ const NurseModal = ({ isOpen, onClose, nurse, onSave, isLoading }) => {
         </div>
         <div className="modal-body">
           {formError && <div className="error-message">⚠️ {formError}</div>}
-          <form onSubmit={handleSubmit}>
-            <div className="form-group">
-              <label htmlFor="name">Name</label>
-              <input
-                type="text"
-                id="name"
-                name="name"
-                value={formData.name}
-                onChange={handleChange}
-                placeholder="Enter nurse's full name"
-                autoFocus
-              />
-            </div>
-            <div className="form-group">
-              <label htmlFor="license_number">License Number</label>
-              <input
-                type="text"
-                id="license_number"
-                name="license_number"
-                value={formData.license_number}
-                onChange={handleChange}
-                placeholder="e.g., RN-123456"
-              />
-            </div>
-            <div className="form-group">
-              <label htmlFor="dob">Date of Birth</label>
-              <input
-                type="date"
-                id="dob"
-                name="dob"
-                value={formData.dob}
-                onChange={handleChange}
+          {conflict && (
+            <EditConflictPanel
+              key={conflict.version}
+              current={conflict}
+              edits={formData}
+              onSaveMerged={saveOverConflict}
+              onUseSaved={useSavedVersion}
+              isSaving={isLoading}
+            />
+          )}
+          <div className="section-tabs">
+            {sections.map(({ key, label }) => (
+              <button
+                key={key}
+                type="button"
+                className={`section-tab ${section === key ? 'active' : ''}`}
+                onClick={() => setSection(key)}
+              >
+                {label}
+                {errorCount(key) > 0 && <span className="section-tab-errors">{errorCount(key)}</span>}
+              </button>
+            ))}
+          </div>
+          <form onSubmit={handleSubmit} noValidate>
+            {section === 'basic' && (
+              <>
+                <div className="form-group">
+                  <label htmlFor="name">Name</label>
+                  <input
+                    type="text"
+                    {...fieldProps('name')}
+                    placeholder="Enter nurse's full name"
+                    autoFocus
+                  />
+                  {renderFieldError('name')}
+                </div>
+                <div className="form-group">
+                  <label htmlFor="license_number">License Number</label>
+                  <input type="text" {...fieldProps('license_number')} placeholder="e.g., RN-123456" />
+                  {renderFieldError('license_number')}
+                </div>
+                <div className="form-group">
+                  <label htmlFor="dob">Date of Birth</label>
+                  <input type="date" {...fieldProps('dob')} />
+                  {renderFieldError('dob') || (
+                    <p className="form-hint">
+                      {formData.dob ? `Age: ${calculateAge(formData.dob)}` : 'Age is calculated from the date of birth'}
+                    </p>
+                  )}
+                </div>
+              </>
+            )}
+            {section === 'contact' && (
+              <>
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="email">Email</label>
+                    <input type="email" {...fieldProps('email')} placeholder="name@example.com" />
+                    {renderFieldError('email')}
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="phone">Phone</label>
+                    <input type="tel" {...fieldProps('phone')} placeholder="e.g., +1 555 123 4567" />
+                    {renderFieldError('phone')}
+                  </div>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="address">Address</label>
+                  <textarea {...fieldProps('address')} rows={3} placeholder="Street, city, postcode" />
+                  {renderFieldError('address')}
+                </div>
+              </>
+            )}
+            {section === 'employment' && (
+              <>
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="hire_date">Hire Date</label>
+                    <input type="date" {...fieldProps('hire_date')} />
+                    {renderFieldError('hire_date')}
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="job_role">Job Role</label>
+                    {renderOptionsSelect('job_role', 'Not set')}
+                    {renderFieldError('job_role')}
+                  </div>
+                </div>
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="employment_type">Employment Type</label>
+                    {renderOptionsSelect('employment_type', 'Not set')}
+                    {renderFieldError('employment_type')}
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="employment_status">Status</label>
+                    {renderOptionsSelect('employment_status')}
+                    {renderFieldError('employment_status')}
+                  </div>
+                </div>
+              </>
+            )}
+            {section === 'emergency' && (
+              <EmergencyContactsFields
+                contacts={formData.emergency_contacts}
+                onChange={handleContactsChange}
+                fieldErrors={fieldErrors}
               />
-            </div>
-            <div className="form-group">
-              <label htmlFor="age">Age</label>
-              <input
-                type="number"
-                id="age"
-                name="age"
-                value={formData.age}
-                onChange={handleChange}
-                placeholder="Auto-calculated from DOB"
-                min="18"
-                max="100"
+            )}
+            {section === 'custom' && (
+              <CustomFieldsInputs
+                customFields={customFields}
+                values={formData.custom_fields}
+                onChange={handleCustomFieldChange}
+                fieldErrors={fieldErrors}
               />
-            </div>
-            <div className="form-actions">
-              <button type="button" className="btn btn-secondary" onClick={onClose}>
-                Cancel
-              </button>
-              <button type="submit" className="btn btn-primary" disabled={isLoading}>
-                {isLoading ? 'Saving...' : nurse ? 'Update Nurse' : 'Add Nurse'}
-              </button>
-            </div>
+            )}
+            {!conflict && (
+              <div className="form-actions">
+                <button type="button" className="btn btn-secondary" onClick={onClose}>
+                  Cancel
+                </button>
+                <button type="submit" className="btn btn-primary" disabled={isLoading}>
+                  {isLoading ? 'Saving...' : nurse ? 'Update Nurse' : 'Add Nurse'}
+                </button>
+              </div>
+            )}
           </form>
         </div>
       </div>
@@ -264,78 +699,280 @@ const Toast = ({ message, type = 'success', onClose }) => {
   );
 };
 
-// Main App Component
-function App() {
+// Pagination Component
+const Pagination = ({ page, totalPages, pageSize, onPageChange, onPageSizeChange }) => (
+  <div className="pagination">
+    <label className="page-size">
+      Rows per page
+      <select value={pageSize} onChange={(e) => onPageSizeChange(Number(e.target.value))}>
+        {PAGE_SIZE_OPTIONS.map((size) => (
+          <option key={size} value={size}>
+            {size}
+          </option>
+        ))}
+      </select>
+    </label>
+    <div className="page-controls">
+      <button
+        className="btn btn-small"
+        onClick={() => onPageChange(page - 1)}
+        disabled={page <= 1}
+      >
+        ‹ Prev
+      </button>
+      <span>
+        Page {page} of {Math.max(totalPages, 1)}
+      </span>
+      <button
+        className="btn btn-small"
+        onClick={() => onPageChange(page + 1)}
+        disabled={page >= totalPages}
+      >
+        Next ›
+      </button>
+    </div>
+  </div>
+);
+
+// Nurse Manager Component - the roster screen for a logged in user
+function NurseManager({ user, onLogout }) {
   const {
     nurses,
-    setNurses,
+    remoteChanges,
+    pagination,
     loading,
     error,
     fetchNurses,
+    fetchAllNurses,
+    fetchNurseIds,
+    fetchNurse,
     createNurse,
     updateNurse,
     deleteNurse,
+    restoreNurse,
+    purgeNurse,
+    importNurses,
+    batchDeleteNurses,
+    batchUpdateNurses,
+    fetchNurseHistory,
+    revertNurse,
   } = useNursesApi();
 
+  // Which screen is shown: the nurse roster, or one of the other view tabs
+  // (schedule, units, analytics, leave, compliance, duplicates)
+  const [view, setView] = useState('roster');
   const [isModalOpen, setIsModalOpen] = useState(false);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [isExportOpen, setIsExportOpen] = useState(false);
+  // Whether the CSV export dialog exports the selection rather than the search
+  const [exportSelection, setExportSelection] = useState(false);
+  const [isUsersOpen, setIsUsersOpen] = useState(false);
+  const [isApiKeysOpen, setIsApiKeysOpen] = useState(false);
+  const [isWebhooksOpen, setIsWebhooksOpen] = useState(false);
+  const [isCustomFieldsOpen, setIsCustomFieldsOpen] = useState(false);
+  const [historyNurse, setHistoryNurse] = useState(null);
+  const [credentialsNurse, setCredentialsNurse] = useState(null);
+  const [unitsNurse, setUnitsNurse] = useState(null);
+  // The nurse whose profile is open in the detail drawer
+  const [detailNurse, setDetailNurse] = useState(null);
+  const [units, setUnits] = useState([]);
+  // Admin-defined nurse fields; the form, roster columns and exports follow them
+  const [customFields, setCustomFields] = useState([]);
+  // Bumped whenever credentials (or the nurses holding them) change so the
+  // expiry dashboard reloads
+  const [credentialsVersion, setCredentialsVersion] = useState(0);
   const [editingNurse, setEditingNurse] = useState(null);
   const [isSaving, setIsSaving] = useState(false);
   const [toast, setToast] = useState(null);
-  const [sortConfig, setSortConfig] = useState({ key: null, direction: 'asc' });
+  // List of { key, direction }; the first entry is the primary sort
+  const [sortConfig, setSortConfig] = useState([]);
   const [searchTerm, setSearchTerm] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [page, setPage] = useState(1);
+  const [pageSize, setPageSize] = useState(PAGE_SIZE_OPTIONS[1]);
+  // Show deleted nurses (the trash) instead of the active roster
+  const [showTrash, setShowTrash] = useState(false);
+  // Ids of the nurses ticked in the roster; the selection can span pages
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
   
-  // Apply debounce to search term - waits 300ms after user stops typing
+  // Apply debounce to search term and filters - waits 300ms after user stops typing
   const debouncedSearchTerm = useDebounce(searchTerm, 300);
+  const debouncedFilters = useDebounce(filters, 300);
+
+  // sort=name,-age means name ascending, then age descending
+  const sortParam = sortConfig
+    .map(({ key, direction }) => (direction === 'desc' ? `-${key}` : key))
+    .join(',');
+
+  // Query for the current search, filters and sort (without pagination)
+  const listQuery = {
+    q: debouncedSearchTerm.trim(),
+    ...debouncedFilters,
+    sort: sortParam,
+    trash: showTrash ? 'true' : '',
+  };
+
+  // The current search, sort and filters narrowed to the selected nurses
+  const selectionQuery = { ...listQuery, ids: [...selectedIds].join(',') };
+
+  const notify = useCallback((message, type = 'success') => {
+    setToast({ message, type });
+  }, []);
+
+  const fetchUnits = useCallback(async () => {
+    try {
+      const response = await ensureOk(await apiFetch('/api/v1/units'), 'Failed to fetch units');
+      setUnits(await response.json());
+    } catch (err) {
+      notify(err.message, 'error');
+    }
+  }, [notify]);
 
   useEffect(() => {
-    fetchNurses();
-  }, [fetchNurses]);
+    fetchUnits();
+  }, [fetchUnits]);
 
-  // Filter nurses based on debounced search term
-  const filteredNurses = nurses.filter((nurse) => {
-    if (!debouncedSearchTerm) return true;
-    
-    const searchLower = debouncedSearchTerm.toLowerCase();
-    return (
-      nurse.name.toLowerCase().includes(searchLower) ||
-      nurse.license_number.toLowerCase().includes(searchLower) ||
-      nurse.dob.includes(searchLower) ||
-      nurse.age.toString().includes(searchLower)
-    );
-  });
+  const unitNames = Object.fromEntries(units.map((unit) => [unit.id, unit.name]));
 
-  // Sorting functionality
-  const handleSort = (key) => {
-    let direction = 'asc';
-    if (sortConfig.key === key && sortConfig.direction === 'asc') {
-      direction = 'desc';
+  const fetchCustomFields = useCallback(async () => {
+    try {
+      const response = await ensureOk(await apiFetch('/api/v1/custom-fields'), 'Failed to fetch custom fields');
+      setCustomFields(await response.json());
+    } catch (err) {
+      notify(err.message, 'error');
     }
-    setSortConfig({ key, direction });
+  }, [notify]);
 
-    const sortedNurses = [...nurses].sort((a, b) => {
-      let aVal = a[key];
-      let bVal = b[key];
+  useEffect(() => {
+    fetchCustomFields();
+  }, [fetchCustomFields]);
 
-      // Handle numeric sorting for age
-      if (key === 'age') {
-        aVal = parseInt(aVal);
-        bVal = parseInt(bVal);
-      } else {
-        aVal = aVal?.toString().toLowerCase() || '';
-        bVal = bVal?.toString().toLowerCase() || '';
+  const customColumns = customFieldColumns(customFields);
+
+  // Viewers get a read-only roster; the API enforces the same rules
+  const canEdit = canEditNurses(user);
+
+  const activeFilterCount = Object.values(filters).filter(Boolean).length;
+  const hasSearchOrFilters = Boolean(debouncedSearchTerm.trim()) ||
+    Object.values(debouncedFilters).some(Boolean);
+
+  // Searching, filtering, sorting and paging all happen on the server
+  useEffect(() => {
+    fetchNurses({ ...listQuery, page, limit: pageSize });
+    // listQuery is rebuilt every render; its inputs are listed instead
+  }, [fetchNurses, debouncedSearchTerm, debouncedFilters, sortParam, showTrash, page, pageSize]);
+
+  // A new search, filter or view starts a new selection
+  useEffect(() => {
+    setSelectedIds(new Set());
+  }, [debouncedSearchTerm, debouncedFilters, showTrash]);
+
+  // Step back when the current page no longer exists (e.g. after a delete)
+  useEffect(() => {
+    if (pagination.total_pages > 0 && page > pagination.total_pages) {
+      setPage(pagination.total_pages);
+    }
+  }, [page, pagination.total_pages]);
+
+  const handleSearchChange = (value) => {
+    setSearchTerm(value);
+    setPage(1);
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters((prev) => ({ ...prev, [name]: value }));
+    setPage(1);
+  };
+
+  const clearSearchAndFilters = () => {
+    setSearchTerm('');
+    setFilters(EMPTY_FILTERS);
+    setPage(1);
+  };
+
+  // Open the roster filtered to one unit ('none' for unassigned nurses)
+  const showUnitNurses = (unitId) => {
+    setFilters({ ...EMPTY_FILTERS, unit_id: unitId });
+    setShowFilters(true);
+    setShowTrash(false);
+    setPage(1);
+    setView('roster');
+  };
+
+  const handleUnitsSaved = (nurse) => {
+    setUnitsNurse(null);
+    notify(`${nurse.name}'s units updated`);
+    fetchNurses();
+    fetchUnits();
+  };
+
+  const toggleTrash = () => {
+    setShowTrash((prev) => !prev);
+    setSortConfig([]);
+    setPage(1);
+  };
+
+  const handlePageSizeChange = (size) => {
+    setPageSize(size);
+    setPage(1);
+  };
+
+  // Sorting functionality - shift+click adds a secondary sort column
+  const handleSort = (key, event) => {
+    setSortConfig((prev) => {
+      const existing = prev.find((sort) => sort.key === key);
+      const direction = existing && existing.direction === 'asc' ? 'desc' : 'asc';
+
+      if (event.shiftKey) {
+        return existing
+          ? prev.map((sort) => (sort.key === key ? { key, direction } : sort))
+          : [...prev, { key, direction }];
       }
+      return [{ key, direction }];
+    });
+    setPage(1);
+  };
+
+  const isSorted = (key) => sortConfig.some((sort) => sort.key === key);
+
+  const getSortIcon = (key) => {
+    const index = sortConfig.findIndex((sort) => sort.key === key);
+    if (index === -1) return '↕';
+    const arrow = sortConfig[index].direction === 'asc' ? '↑' : '↓';
+    return sortConfig.length > 1 ? `${arrow}${index + 1}` : arrow;
+  };
+
+  // Selection - the header checkbox ticks or clears the current page
+  const pageSelected = nurses.length > 0 && nurses.every((nurse) => selectedIds.has(nurse.id));
 
-      if (aVal < bVal) return direction === 'asc' ? -1 : 1;
-      if (aVal > bVal) return direction === 'asc' ? 1 : -1;
-      return 0;
+  const toggleSelected = (id) => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
     });
+  };
 
-    setNurses(sortedNurses);
+  const togglePageSelected = () => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      nurses.forEach((nurse) => (pageSelected ? next.delete(nurse.id) : next.add(nurse.id)));
+      return next;
+    });
   };
 
-  const getSortIcon = (key) => {
-    if (sortConfig.key !== key) return '↕';
-    return sortConfig.direction === 'asc' ? '↑' : '↓';
+  const selectAllMatching = async () => {
+    try {
+      setSelectedIds(new Set(await fetchNurseIds(listQuery)));
+    } catch (err) {
+      setToast({ message: err.message, type: 'error' });
+    }
   };
 
   // Modal handlers
@@ -344,9 +981,15 @@ function App() {
     setIsModalOpen(true);
   };
 
-  const openEditModal = (nurse) => {
-    setEditingNurse(nurse);
-    setIsModalOpen(true);
+  // Edits start from the full profile, since list rows leave out the
+  // emergency contacts
+  const openEditModal = async (nurse) => {
+    try {
+      setEditingNurse(await fetchNurse(nurse.id));
+      setIsModalOpen(true);
+    } catch (err) {
+      setToast({ message: err.message, type: 'error' });
+    }
   };
 
   const closeModal = () => {
@@ -370,49 +1013,155 @@ function App() {
     }
   };
 
-  // Delete handler
+  // Delete handler - moves the nurse to the trash
   const handleDelete = async (nurse) => {
-    if (window.confirm(`Are you sure you want to delete ${nurse.name}?`)) {
+    if (window.confirm(`Move ${nurse.name} to the trash?`)) {
       try {
         await deleteNurse(nurse.id);
-        setToast({ message: 'Nurse deleted successfully!', type: 'success' });
+        setCredentialsVersion((prev) => prev + 1);
+        setToast({ message: 'Nurse moved to trash', type: 'success' });
+      } catch (err) {
+        setToast({ message: err.message, type: 'error' });
+      }
+    }
+  };
+
+  // Bulk delete handler - moves the selected nurses to the trash
+  const handleBatchDelete = async () => {
+    const count = selectedIds.size;
+    if (!window.confirm(`Move ${count} selected nurse${count !== 1 ? 's' : ''} to the trash?`)) {
+      return null;
+    }
+    try {
+      const report = await batchDeleteNurses([...selectedIds]);
+      const { delete: deleted, error: failed } = report.summary;
+      setSelectedIds(new Set());
+      setCredentialsVersion((prev) => prev + 1);
+      setToast({
+        message: `Moved ${deleted} nurse${deleted !== 1 ? 's' : ''} to the trash` +
+          (failed > 0 ? `; ${failed} could not be deleted` : ''),
+        type: failed > 0 ? 'error' : 'success',
+      });
+      return report;
+    } catch (err) {
+      setToast({ message: err.message, type: 'error' });
+      return null;
+    }
+  };
+
+  // Bulk update handler - sets the same fields on the selected nurses, which
+  // stay selected; rows that failed are listed in the bulk actions bar
+  const handleBatchUpdate = async (fields) => {
+    try {
+      const report = await batchUpdateNurses([...selectedIds], fields);
+      const { update: updated } = report.summary;
+      setToast({ message: `Updated ${updated} nurse${updated !== 1 ? 's' : ''}`, type: 'success' });
+      if ('primary_unit_id' in fields) {
+        fetchUnits();
+      }
+      return report;
+    } catch (err) {
+      setToast({ message: err.message, type: 'error' });
+      return null;
+    }
+  };
+
+  // Restore handler (trash view)
+  const handleRestore = async (nurse) => {
+    try {
+      await restoreNurse(nurse.id);
+      setCredentialsVersion((prev) => prev + 1);
+      setToast({ message: `${nurse.name} restored`, type: 'success' });
+    } catch (err) {
+      setToast({ message: err.message, type: 'error' });
+    }
+  };
+
+  // Purge handler (trash view, admin only)
+  const handlePurge = async (nurse) => {
+    if (window.confirm(`Permanently delete ${nurse.name}? This cannot be undone.`)) {
+      try {
+        await purgeNurse(nurse.id);
+        setToast({ message: 'Nurse permanently deleted', type: 'success' });
       } catch (err) {
         setToast({ message: err.message, type: 'error' });
       }
     }
   };
 
-  // Download functionality using xlsx library (downloads filtered results)
-  const downloadAsXLSX = () => {
-    const data = filteredNurses.map((nurse) => ({
-      Name: nurse.name,
-      'License Number': nurse.license_number,
-      'Date of Birth': nurse.dob,
-      Age: nurse.age,
-    }));
+  // Revert handler (from the history panel)
+  const handleRevert = async (id, auditId) => {
+    await revertNurse(id, auditId);
+    setToast({ message: 'Nurse reverted successfully!', type: 'success' });
+  };
+
+  // Import handler - toasts once rows are actually written
+  const handleImport = async (rows, options) => {
+    const report = await importNurses(rows, options);
+    if (!options.dryRun) {
+      const { create, update } = report.summary;
+      setToast({
+        message: `Imported ${create} new and updated ${update} existing nurse${create + update !== 1 ? 's' : ''}`,
+        type: 'success',
+      });
+    }
+    return report;
+  };
+
+  // Download functionality using xlsx library (downloads all filtered
+  // results, or the selection)
+  const downloadAsXLSX = async (query = listQuery) => {
+    try {
+      const matchingNurses = await fetchAllNurses(query);
+      const data = matchingNurses.map((nurse) =>
+        Object.fromEntries([
+          ...NURSE_COLUMNS.map(({ key, label }) => [label, nurse[key]]),
+          ...customColumns.map(({ label, field }) => [label, customFieldValue(field, nurse)]),
+        ])
+      );
 
-    const worksheet = XLSX.utils.json_to_sheet(data);
-    const workbook = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(workbook, worksheet, 'Nurses');
-    XLSX.writeFile(workbook, 'nurses_data.xlsx');
-    setToast({ message: 'Downloaded as XLSX!', type: 'success' });
+      const worksheet = XLSX.utils.json_to_sheet(data);
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, worksheet, 'Nurses');
+      XLSX.writeFile(workbook, 'nurses_data.xlsx');
+      setToast({ message: 'Downloaded as XLSX!', type: 'success' });
+    } catch (err) {
+      setToast({ message: err.message, type: 'error' });
+    }
   };
 
-  const downloadAsCSV = () => {
-    const headers = ['Name', 'License Number', 'Date of Birth', 'Age'];
-    const rows = filteredNurses.map((nurse) =>
-      [nurse.name, nurse.license_number, nurse.dob, nurse.age].join(',')
+  // Server-streamed CSV of the current search, filters and sort (or of the
+  // selection); errors are shown in the export dialog
+  const downloadAsCSV = async (options) => {
+    const query = exportSelection ? selectionQuery : listQuery;
+    await downloadFromLink(
+      `/api/v1/exports/nurses.csv/link?${buildQueryString({ ...query, ...options })}`,
+      'Failed to export CSV'
     );
-    const csv = [headers.join(','), ...rows].join('\n');
+    setToast({ message: 'CSV download started', type: 'success' });
+  };
 
-    const blob = new Blob([csv], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'nurses_data.csv';
-    a.click();
-    URL.revokeObjectURL(url);
-    setToast({ message: 'Downloaded as CSV!', type: 'success' });
+  const openExport = (selectionOnly) => {
+    setExportSelection(selectionOnly);
+    setIsExportOpen(true);
+  };
+
+  // Server-generated PDF reports of the current search, filters and sort
+  const downloadReport = async (report, label) => {
+    try {
+      await downloadFile(`/api/v1/reports/${report}.pdf?${buildQueryString(listQuery)}`, `Failed to build ${label}`);
+      setToast({ message: `Downloaded ${label}!`, type: 'success' });
+    } catch (err) {
+      setToast({ message: err.message, type: 'error' });
+    }
+  };
+
+  const downloadProfile = async (nurse) => {
+    try {
+      await downloadFile(`${API_URL}/${nurse.id}/profile.pdf`, 'Failed to build profile');
+    } catch (err) {
+      setToast({ message: err.message, type: 'error' });
+    }
   };
 
   // Format date for display
@@ -429,152 +1178,536 @@ function App() {
     <div className="app-container">
       {/* Header */}
       <header className="header">
-        <h1>Nurse Management</h1>
-        <p>Manage your nursing staff records efficiently</p>
-      </header>
-
-      {/* Action Bar */}
-      <div className="action-bar">
-        <div className="stats">
-          <span className="stats-count">{filteredNurses.length}</span>
-          <span> of {nurses.length} Nurse{nurses.length !== 1 ? 's' : ''}</span>
+        <div>
+          <h1>Nurse Management</h1>
+          <p>Manage your nursing staff records efficiently</p>
         </div>
-        <div className="search-box">
-          <input
-            type="text"
-            placeholder="Search by name, license, DOB, or age..."
-            value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
-            className="search-input"
-          />
-          {searchTerm && (
-            <button 
-              className="search-clear" 
-              onClick={() => setSearchTerm('')}
-              title="Clear search"
-            >
-              ×
-            </button>
+        <div className="user-menu">
+          <span>
+            {user.username} <span className="role-badge">{ROLE_LABELS[user.role]}</span>
+          </span>
+          {isAdmin(user) && (
+            <>
+              <button className="btn btn-small" onClick={() => setIsUsersOpen(true)}>
+                👥 Users
+              </button>
+              <button className="btn btn-small" onClick={() => setIsApiKeysOpen(true)}>
+                🔑 API Keys
+              </button>
+              <button className="btn btn-small" onClick={() => setIsWebhooksOpen(true)}>
+                🪝 Webhooks
+              </button>
+              <button className="btn btn-small" onClick={() => setIsCustomFieldsOpen(true)}>
+                🧩 Custom Fields
+              </button>
+            </>
           )}
-        </div>
-        <div className="action-buttons">
-          <button className="btn" onClick={downloadAsCSV} disabled={filteredNurses.length === 0}>
-            📥 CSV
-          </button>
-          <button className="btn" onClick={downloadAsXLSX} disabled={filteredNurses.length === 0}>
-            📊 XLSX
-          </button>
-          <button className="btn btn-primary" onClick={openAddModal}>
-            ➕ Add Nurse
+          <button className="btn btn-small" onClick={onLogout}>
+            Log Out
           </button>
         </div>
-      </div>
+      </header>
 
-      {/* Error State */}
-      {error && (
-        <div className="error-message">
-          ⚠️ {error}
-          <button className="btn btn-secondary btn-small" onClick={fetchNurses} style={{ marginLeft: '12px' }}>
-            Retry
-          </button>
-        </div>
+      {/* View Tabs */}
+      <nav className="view-tabs">
+        <button
+          className={`view-tab ${view === 'roster' ? 'active' : ''}`}
+          onClick={() => setView('roster')}
+        >
+          👩‍⚕️ Roster
+        </button>
+        <button
+          className={`view-tab ${view === 'schedule' ? 'active' : ''}`}
+          onClick={() => setView('schedule')}
+        >
+          📅 Schedule
+        </button>
+        <button
+          className={`view-tab ${view === 'units' ? 'active' : ''}`}
+          onClick={() => setView('units')}
+        >
+          🏥 Units
+        </button>
+        <button
+          className={`view-tab ${view === 'analytics' ? 'active' : ''}`}
+          onClick={() => setView('analytics')}
+        >
+          📈 Analytics
+        </button>
+        <button
+          className={`view-tab ${view === 'leave' ? 'active' : ''}`}
+          onClick={() => setView('leave')}
+        >
+          🌴 Leave
+        </button>
+        <button
+          className={`view-tab ${view === 'compliance' ? 'active' : ''}`}
+          onClick={() => setView('compliance')}
+        >
+          🎓 Compliance
+        </button>
+        <button
+          className={`view-tab ${view === 'duplicates' ? 'active' : ''}`}
+          onClick={() => setView('duplicates')}
+        >
+          👯 Duplicates
+        </button>
+      </nav>
+
+      {view === 'schedule' && <ShiftSchedule canEdit={canEdit} onNotify={notify} />}
+
+      {view === 'analytics' && <AnalyticsDashboard onNotify={notify} />}
+
+      {view === 'leave' && <LeavePanel canEdit={canEdit} onNotify={notify} onOpenNurse={setDetailNurse} />}
+
+      {view === 'compliance' && (
+        <CompliancePanel canEdit={canEdit} onNotify={notify} onOpenNurse={setDetailNurse} />
       )}
 
-      {/* Loading State */}
-      {loading && (
-        <div className="loading">
-          <div className="spinner"></div>
-          <span>Loading nurses...</span>
-        </div>
+      {view === 'duplicates' && (
+        <DuplicatesPanel
+          canEdit={canEdit}
+          unitNames={unitNames}
+          customFields={customFields}
+          onNotify={notify}
+          onOpenNurse={setDetailNurse}
+          onMerged={() => {
+            fetchNurses();
+            fetchUnits();
+            setCredentialsVersion((prev) => prev + 1);
+          }}
+        />
       )}
 
-      {/* Table */}
-      {!loading && !error && (
-        <div className="table-container">
-          {nurses.length === 0 ? (
-            <div className="empty-state">
-              <div className="empty-icon">👩‍⚕️</div>
-              <h3>No nurses registered yet</h3>
-              <p>Get started by adding your first nurse to the system</p>
-              <button className="btn btn-primary" onClick={openAddModal}>
-                ➕ Add First Nurse
+      {view === 'units' && (
+        <UnitsPanel
+          units={units}
+          canEdit={canEdit}
+          onNotify={notify}
+          onChanged={() => {
+            fetchUnits();
+            fetchNurses();
+          }}
+          onShowNurses={showUnitNurses}
+        />
+      )}
+
+      {view === 'roster' && (
+        <>
+        {/* License Expiry Dashboard */}
+        <ExpiringLicenses refreshKey={credentialsVersion} onOpenNurse={setCredentialsNurse} />
+
+        {/* Action Bar */}
+        <div className="action-bar">
+          <div className="stats">
+            <span className="stats-count">{pagination.total}</span>
+            <span>
+              {' '}
+              {hasSearchOrFilters ? 'Matching ' : ''}Nurse{pagination.total !== 1 ? 's' : ''}
+              {showTrash ? ' in Trash' : ''}
+            </span>
+          </div>
+          <div className="search-box">
+            <input
+              type="text"
+              placeholder={
+                customFields.length > 0
+                  ? 'Search by name, license, DOB, age, or custom fields...'
+                  : 'Search by name, license, DOB, or age...'
+              }
+              value={searchTerm}
+              onChange={(e) => handleSearchChange(e.target.value)}
+              className="search-input"
+            />
+            {searchTerm && (
+              <button 
+                className="search-clear" 
+                onClick={() => handleSearchChange('')}
+                title="Clear search"
+              >
+                ×
               </button>
+            )}
+          </div>
+          <div className="action-buttons">
+            <button
+              className={`btn ${showFilters ? 'btn-active' : ''}`}
+              onClick={() => setShowFilters((prev) => !prev)}
+            >
+              🔎 Filters{activeFilterCount > 0 ? ` (${activeFilterCount})` : ''}
+            </button>
+            <button className="btn" onClick={() => openExport(false)} disabled={pagination.total === 0}>
+              📥 CSV
+            </button>
+            <button className="btn" onClick={() => downloadAsXLSX()} disabled={pagination.total === 0}>
+              📊 XLSX
+            </button>
+            <button
+              className="btn"
+              onClick={() => downloadReport('roster', 'roster PDF')}
+              disabled={pagination.total === 0}
+            >
+              🖨️ Roster PDF
+            </button>
+            <button
+              className="btn"
+              onClick={() => downloadReport('profiles', 'profiles PDF')}
+              disabled={pagination.total === 0}
+              title="One page per nurse"
+            >
+              📇 Profiles PDF
+            </button>
+            <button className={`btn ${showTrash ? 'btn-active' : ''}`} onClick={toggleTrash}>
+              {showTrash ? '← Back to Roster' : '🗑️ Trash'}
+            </button>
+            {canEdit && !showTrash && (
+              <>
+                <button className="btn" onClick={() => setIsImportOpen(true)}>
+                  📤 Import
+                </button>
+                <button className="btn btn-primary" onClick={openAddModal}>
+                  ➕ Add Nurse
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+
+        {/* Filter Panel */}
+        {showFilters && (
+          <div className="filter-panel">
+            <div className="filter-group">
+              <label>Age</label>
+              <div className="filter-range">
+                <input
+                  type="number"
+                  name="age_min"
+                  value={filters.age_min}
+                  onChange={handleFilterChange}
+                  placeholder="Min"
+                  min="0"
+                />
+                <span>–</span>
+                <input
+                  type="number"
+                  name="age_max"
+                  value={filters.age_max}
+                  onChange={handleFilterChange}
+                  placeholder="Max"
+                  min="0"
+                />
+              </div>
             </div>
-          ) : filteredNurses.length === 0 ? (
-            <div className="empty-state">
-              <div className="empty-icon">🔍</div>
-              <h3>No results found</h3>
-              <p>No nurses match "{debouncedSearchTerm}"</p>
-              <button className="btn" onClick={() => setSearchTerm('')}>
-                Clear Search
-              </button>
+            <div className="filter-group">
+              <label>Date of Birth</label>
+              <div className="filter-range">
+                <input
+                  type="date"
+                  name="dob_from"
+                  value={filters.dob_from}
+                  onChange={handleFilterChange}
+                />
+                <span>–</span>
+                <input
+                  type="date"
+                  name="dob_to"
+                  value={filters.dob_to}
+                  onChange={handleFilterChange}
+                />
+              </div>
+            </div>
+            <div className="filter-group">
+              <label>License Prefix</label>
+              <input
+                type="text"
+                name="license_prefix"
+                value={filters.license_prefix}
+                onChange={handleFilterChange}
+                placeholder="e.g., RN-"
+              />
             </div>
-          ) : (
-            <table className="nurses-table">
-              <thead>
-                <tr>
-                  <th
-                    onClick={() => handleSort('name')}
-                    className={sortConfig.key === 'name' ? 'sorted' : ''}
-                  >
-                    Name
-                    <span className="sort-icon">{getSortIcon('name')}</span>
-                  </th>
-                  <th
-                    onClick={() => handleSort('license_number')}
-                    className={sortConfig.key === 'license_number' ? 'sorted' : ''}
-                  >
-                    License Number
-                    <span className="sort-icon">{getSortIcon('license_number')}</span>
-                  </th>
-                  <th
-                    onClick={() => handleSort('dob')}
-                    className={sortConfig.key === 'dob' ? 'sorted' : ''}
-                  >
-                    Date of Birth
-                    <span className="sort-icon">{getSortIcon('dob')}</span>
-                  </th>
-                  <th
-                    onClick={() => handleSort('age')}
-                    className={sortConfig.key === 'age' ? 'sorted' : ''}
-                  >
-                    Age
-                    <span className="sort-icon">{getSortIcon('age')}</span>
-                  </th>
-                  <th>Actions</th>
-                </tr>
-              </thead>
-              <tbody>
-                {filteredNurses.map((nurse, index) => (
-                  <tr key={nurse.id} style={{ animationDelay: `${index * 0.05}s` }}>
-                    <td className="name-cell">{nurse.name}</td>
-                    <td>
-                      <span className="license-cell">{nurse.license_number}</span>
-                    </td>
-                    <td className="dob-cell">{formatDate(nurse.dob)}</td>
-                    <td className="age-cell">{nurse.age}</td>
-                    <td className="actions-cell">
-                      <button
-                        className="btn btn-small"
-                        onClick={() => openEditModal(nurse)}
-                        title="Edit"
+            <div className="filter-group">
+              <label>Unit</label>
+              <select name="unit_id" value={filters.unit_id} onChange={handleFilterChange}>
+                <option value="">All units</option>
+                <option value="none">Unassigned</option>
+                {units.map((unit) => (
+                  <option key={unit.id} value={unit.id}>
+                    {unit.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <button
+              className="btn btn-small"
+              onClick={() => {
+                setFilters(EMPTY_FILTERS);
+                setPage(1);
+              }}
+              disabled={activeFilterCount === 0}
+            >
+              Clear Filters
+            </button>
+          </div>
+        )}
+
+        {/* Error State */}
+        {error && (
+          <div className="error-message">
+            ⚠️ {error}
+            <button className="btn btn-secondary btn-small" onClick={() => fetchNurses()} style={{ marginLeft: '12px' }}>
+              Retry
+            </button>
+          </div>
+        )}
+
+        {/* Loading State - only on first load, later fetches keep the table visible */}
+        {loading && nurses.length === 0 && (
+          <div className="loading">
+            <div className="spinner"></div>
+            <span>Loading nurses...</span>
+          </div>
+        )}
+
+        {/* Table */}
+        {!(loading && nurses.length === 0) && !error && (
+          <div className="table-container">
+            {pagination.total === 0 && !hasSearchOrFilters && showTrash ? (
+              <div className="empty-state">
+                <div className="empty-icon">🗑️</div>
+                <h3>The trash is empty</h3>
+                <p>Deleted nurses appear here until they are restored or purged</p>
+              </div>
+            ) : pagination.total === 0 && !hasSearchOrFilters ? (
+              <div className="empty-state">
+                <div className="empty-icon">👩‍⚕️</div>
+                <h3>No nurses registered yet</h3>
+                {canEdit && (
+                  <>
+                    <p>Get started by adding your first nurse to the system</p>
+                    <button className="btn btn-primary" onClick={openAddModal}>
+                      ➕ Add First Nurse
+                    </button>
+                  </>
+                )}
+              </div>
+            ) : pagination.total === 0 ? (
+              <div className="empty-state">
+                <div className="empty-icon">🔍</div>
+                <h3>No results found</h3>
+                <p>
+                  {debouncedSearchTerm
+                    ? `No nurses match "${debouncedSearchTerm}"`
+                    : 'No nurses match the current filters'}
+                </p>
+                <button className="btn" onClick={clearSearchAndFilters}>
+                  Clear Search & Filters
+                </button>
+              </div>
+            ) : (
+              <>
+                {selectedIds.size > 0 && (
+                  <BulkActionsBar
+                    selectedCount={selectedIds.size}
+                    total={pagination.total}
+                    pageSelected={pageSelected}
+                    canEdit={canEdit}
+                    units={units}
+                    onSelectAll={selectAllMatching}
+                    onClear={() => setSelectedIds(new Set())}
+                    onExportCSV={() => openExport(true)}
+                    onExportXLSX={() => downloadAsXLSX(selectionQuery)}
+                    onUpdate={handleBatchUpdate}
+                    onDelete={handleBatchDelete}
+                  />
+                )}
+                <table className="nurses-table">
+                  <thead>
+                    <tr>
+                      {!showTrash && (
+                        <th className="select-cell">
+                          <input
+                            type="checkbox"
+                            checked={pageSelected}
+                            onChange={togglePageSelected}
+                            aria-label="Select all nurses on this page"
+                          />
+                        </th>
+                      )}
+                      <th
+                        onClick={(e) => handleSort('name', e)}
+                        className={isSorted('name') ? 'sorted' : ''}
                       >
-                        ✏️
-                      </button>
-                      <button
-                        className="btn btn-danger btn-small"
-                        onClick={() => handleDelete(nurse)}
-                        title="Delete"
+                        Name
+                        <span className="sort-icon">{getSortIcon('name')}</span>
+                      </th>
+                      <th
+                        onClick={(e) => handleSort('license_number', e)}
+                        className={isSorted('license_number') ? 'sorted' : ''}
                       >
-                        🗑️
-                      </button>
-                    </td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          )}
-        </div>
+                        License Number
+                        <span className="sort-icon">{getSortIcon('license_number')}</span>
+                      </th>
+                      <th
+                        onClick={(e) => handleSort('dob', e)}
+                        className={isSorted('dob') ? 'sorted' : ''}
+                      >
+                        Date of Birth
+                        <span className="sort-icon">{getSortIcon('dob')}</span>
+                      </th>
+                      <th
+                        onClick={(e) => handleSort('age', e)}
+                        className={isSorted('age') ? 'sorted' : ''}
+                      >
+                        Age
+                        <span className="sort-icon">{getSortIcon('age')}</span>
+                      </th>
+                      {customColumns.map(({ key, label }) => (
+                        <th key={key} onClick={(e) => handleSort(key, e)} className={isSorted(key) ? 'sorted' : ''}>
+                          {label}
+                          <span className="sort-icon">{getSortIcon(key)}</span>
+                        </th>
+                      ))}
+                      <th>Unit</th>
+                      {showTrash && (
+                        <th
+                          onClick={(e) => handleSort('deleted_at', e)}
+                          className={isSorted('deleted_at') ? 'sorted' : ''}
+                        >
+                          Deleted On
+                          <span className="sort-icon">{getSortIcon('deleted_at')}</span>
+                        </th>
+                      )}
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {nurses.map((nurse, index) => (
+                      <tr
+                        key={nurse.id}
+                        style={{ animationDelay: `${index * 0.05}s` }}
+                        className={[
+                          remoteChanges[nurse.id] && 'remote-change',
+                          selectedIds.has(nurse.id) && 'selected-row',
+                        ].filter(Boolean).join(' ')}
+                        title={remoteChanges[nurse.id] ? `Just changed by ${remoteChanges[nurse.id]}` : undefined}
+                      >
+                        {!showTrash && (
+                          <td className="select-cell">
+                            <input
+                              type="checkbox"
+                              checked={selectedIds.has(nurse.id)}
+                              onChange={() => toggleSelected(nurse.id)}
+                              aria-label={`Select ${nurse.name}`}
+                            />
+                          </td>
+                        )}
+                        <td className="name-cell">
+                          <button className="link-button" onClick={() => setDetailNurse(nurse)}>
+                            {nurse.name}
+                          </button>
+                          {nurse.employment_status !== 'active' && (
+                            <span className={`status-badge employment-${nurse.employment_status}`}>
+                              {optionLabel('employment_status', nurse.employment_status)}
+                            </span>
+                          )}
+                        </td>
+                        <td>
+                          <span className="license-cell">{nurse.license_number}</span>
+                        </td>
+                        <td className="dob-cell">{formatDate(nurse.dob)}</td>
+                        <td className="age-cell">{nurse.age}</td>
+                        {customColumns.map(({ key, field }) => (
+                          <td key={key}>{customFieldValue(field, nurse) ?? '—'}</td>
+                        ))}
+                        <td>{unitNames[nurse.primary_unit_id] || '—'}</td>
+                        {showTrash && <td className="dob-cell">{formatDate(nurse.deleted_at)}</td>}
+                        <td className="actions-cell">
+                          <button
+                            className="btn btn-small"
+                            onClick={() => setHistoryNurse(nurse)}
+                            title="History"
+                          >
+                            🕘
+                          </button>
+                          <button
+                            className="btn btn-small"
+                            onClick={() => downloadProfile(nurse)}
+                            title="Profile PDF"
+                          >
+                            🖨️
+                          </button>
+                          {!showTrash && (
+                            <button
+                              className="btn btn-small"
+                              onClick={() => setCredentialsNurse(nurse)}
+                              title="Licenses"
+                            >
+                              🪪
+                            </button>
+                          )}
+                          {!showTrash && (
+                            <button
+                              className="btn btn-small"
+                              onClick={() => setUnitsNurse(nurse)}
+                              title="Units"
+                            >
+                              🏥
+                            </button>
+                          )}
+                          {showTrash && canEdit && (
+                            <button
+                              className="btn btn-small"
+                              onClick={() => handleRestore(nurse)}
+                              title="Restore"
+                            >
+                              ♻️
+                            </button>
+                          )}
+                          {showTrash && isAdmin(user) && (
+                            <button
+                              className="btn btn-danger btn-small"
+                              onClick={() => handlePurge(nurse)}
+                              title="Delete permanently"
+                            >
+                              ✖
+                            </button>
+                          )}
+                          {!showTrash && canEdit && (
+                            <>
+                              <button
+                                className="btn btn-small"
+                                onClick={() => openEditModal(nurse)}
+                                title="Edit"
+                              >
+                                ✏️
+                              </button>
+                              <button
+                                className="btn btn-danger btn-small"
+                                onClick={() => handleDelete(nurse)}
+                                title="Delete"
+                              >
+                                🗑️
+                              </button>
+                            </>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <Pagination
+                  page={pagination.page}
+                  totalPages={pagination.total_pages}
+                  pageSize={pageSize}
+                  onPageChange={setPage}
+                  onPageSizeChange={handlePageSizeChange}
+                />
+              </>
+            )}
+          </div>
+        )}
+        </>
       )}
 
       {/* Modal */}
@@ -582,10 +1715,114 @@ function App() {
         isOpen={isModalOpen}
         onClose={closeModal}
         nurse={editingNurse}
+        customFields={customFields}
         onSave={handleSave}
         isLoading={isSaving}
       />
 
+      {/* Import Modal */}
+      <ImportModal
+        isOpen={isImportOpen}
+        onClose={() => setIsImportOpen(false)}
+        customFields={customFields}
+        onImport={handleImport}
+      />
+
+      {/* Export Modal */}
+      <ExportModal
+        isOpen={isExportOpen}
+        onClose={() => setIsExportOpen(false)}
+        onExport={downloadAsCSV}
+        customFields={customFields}
+        total={exportSelection ? selectedIds.size : pagination.total}
+        selectionOnly={exportSelection}
+      />
+
+      {/* History Modal */}
+      <HistoryModal
+        nurse={historyNurse}
+        onClose={() => setHistoryNurse(null)}
+        onFetchHistory={fetchNurseHistory}
+        customFields={customFields}
+        units={units}
+        onRevert={handleRevert}
+        canRevert={canEdit && !showTrash}
+      />
+
+      {/* Credentials Modal */}
+      <CredentialsModal
+        nurse={credentialsNurse}
+        onClose={() => setCredentialsNurse(null)}
+        canEdit={canEdit}
+        onChanged={() => setCredentialsVersion((prev) => prev + 1)}
+      />
+
+      {/* Nurse Units Modal */}
+      <NurseUnitsModal
+        nurse={unitsNurse}
+        units={units}
+        onClose={() => setUnitsNurse(null)}
+        canEdit={canEdit}
+        onSaved={handleUnitsSaved}
+      />
+
+      {/* Nurse Detail Drawer - follows the roster row, so it reloads on changes */}
+      <NurseDetailDrawer
+        key={detailNurse?.id}
+        nurse={detailNurse && (nurses.find((nurse) => nurse.id === detailNurse.id) || detailNurse)}
+        unitNames={unitNames}
+        customFields={customFields}
+        canEdit={canEdit}
+        onClose={() => setDetailNurse(null)}
+        onEdit={(nurse) => {
+          setEditingNurse(nurse);
+          setIsModalOpen(true);
+        }}
+        onNotify={notify}
+        onChanged={fetchNurses}
+      />
+
+      {/* Users Modal */}
+      {isAdmin(user) && (
+        <UsersModal
+          isOpen={isUsersOpen}
+          onClose={() => setIsUsersOpen(false)}
+          currentUser={user}
+          onNotify={(message) => setToast({ message, type: 'success' })}
+        />
+      )}
+
+      {/* API Keys Modal */}
+      {isAdmin(user) && (
+        <ApiKeysModal
+          isOpen={isApiKeysOpen}
+          onClose={() => setIsApiKeysOpen(false)}
+          onNotify={(message) => setToast({ message, type: 'success' })}
+        />
+      )}
+
+      {/* Webhooks Modal */}
+      {isAdmin(user) && (
+        <WebhooksModal
+          isOpen={isWebhooksOpen}
+          onClose={() => setIsWebhooksOpen(false)}
+          onNotify={(message) => setToast({ message, type: 'success' })}
+        />
+      )}
+
+      {/* Custom Fields Modal */}
+      {isAdmin(user) && (
+        <CustomFieldsModal
+          isOpen={isCustomFieldsOpen}
+          onClose={() => setIsCustomFieldsOpen(false)}
+          onNotify={(message) => setToast({ message, type: 'success' })}
+          onChanged={() => {
+            fetchCustomFields();
+            fetchNurses();
+          }}
+        />
+      )}
+
       {/* Toast Notification */}
       {toast && (
         <Toast
@@ -598,5 +1835,25 @@ function App() {
   );
 }
 
+// Main App Component - shows the login screen until a user signs in
+function App() {
+  const { user, checkingSession, login, logout } = useAuth();
+
+  if (checkingSession) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <span>Checking session...</span>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <LoginScreen onLogin={login} />;
+  }
+
+  return <NurseManager user={user} onLogout={logout} />;
+}
+
 export default App;
 
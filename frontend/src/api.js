@@ -0,0 +1,95 @@
+// Session token storage and an authenticated fetch wrapper
+const TOKEN_KEY = 'nurse_management_token';
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const setToken = (token) => {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+  }
+};
+
+// Identifies this browser tab, so live updates can skip changes it made itself
+export const CLIENT_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+// Called when the server rejects the session (expired or revoked)
+let unauthorizedHandler = null;
+
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+// fetch() that sends the session token and reports 401 responses
+export const apiFetch = async (url, options = {}) => {
+  const token = getToken();
+  const headers = { 'X-Client-Id': CLIENT_ID, ...options.headers };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  const response = await fetch(url, { ...options, headers });
+  if (response.status === 401 && token && unauthorizedHandler) {
+    unauthorizedHandler();
+  }
+  return response;
+};
+
+// Build an Error from an API error body. Validation failures (422) also carry
+// their per-field messages as fieldErrors; edit conflicts (409) carry the
+// record as it is now saved as current.
+export const toApiError = (data, fallbackMessage) =>
+  Object.assign(new Error(data.error || fallbackMessage), {
+    fieldErrors: data.errors || null,
+    current: data.current || null,
+    conflicts: data.conflicts || null,
+  });
+
+// Throw the API's error message for a failed response
+export const ensureOk = async (response, fallbackMessage) => {
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw toApiError(data, fallbackMessage);
+  }
+  return response;
+};
+
+// Download a file the API generates (e.g. a PDF report), saving it under the
+// name from its Content-Disposition header
+export const downloadFile = async (url, fallbackMessage) => {
+  const response = await ensureOk(await apiFetch(url), fallbackMessage);
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const match = disposition.match(/filename="([^"]+)"/);
+
+  const blobUrl = URL.createObjectURL(await response.blob());
+  const a = document.createElement('a');
+  a.href = blobUrl;
+  a.download = match ? match[1] : 'download';
+  a.click();
+  URL.revokeObjectURL(blobUrl);
+};
+
+// Download a large file the API streams (e.g. a CSV export). linkUrl answers
+// a POST with a short-lived signed download URL, which the browser then
+// navigates to, so the file streams to disk rather than into memory.
+export const downloadFromLink = async (linkUrl, fallbackMessage) => {
+  const response = await ensureOk(await apiFetch(linkUrl, { method: 'POST' }), fallbackMessage);
+  const { url } = await response.json();
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = '';
+  a.click();
+};
+
+// Build a query string from an object, skipping empty values
+export const buildQueryString = (params) => {
+  const searchParams = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      searchParams.append(key, value);
+    }
+  });
+  return searchParams.toString();
+};
@@ -0,0 +1,57 @@
+// Column layout shared by the XLSX export and the spreadsheet import.
+// Age is derived from the date of birth, so it is exported but not imported.
+export const NURSE_COLUMNS = [
+  { key: 'name', label: 'Name' },
+  { key: 'license_number', label: 'License Number' },
+  { key: 'dob', label: 'Date of Birth' },
+  { key: 'age', label: 'Age', exportOnly: true },
+];
+
+// Columns a spreadsheet must have to be imported
+export const IMPORT_COLUMNS = NURSE_COLUMNS.filter(({ exportOnly }) => !exportOnly);
+
+// Profile columns of the CSV export that an import also reads when present
+export const OPTIONAL_IMPORT_COLUMNS = [
+  { key: 'email', label: 'Email' },
+  { key: 'phone', label: 'Phone' },
+  { key: 'address', label: 'Address' },
+  { key: 'hire_date', label: 'Hire Date' },
+  { key: 'employment_type', label: 'Employment Type' },
+  { key: 'employment_status', label: 'Employment Status' },
+  { key: 'job_role', label: 'Job Role' },
+];
+
+// Columns the server-side CSV export offers (see GET /api/v1/exports/nurses.csv)
+export const CSV_EXPORT_COLUMNS = [
+  { key: 'id', label: 'ID' },
+  ...NURSE_COLUMNS,
+  ...OPTIONAL_IMPORT_COLUMNS,
+  { key: 'unit', label: 'Unit' },
+  { key: 'status', label: 'Record Status' },
+  { key: 'created_at', label: 'Created At' },
+  { key: 'updated_at', label: 'Updated At' },
+];
+
+// Roster and export columns for the admin-defined custom fields (see
+// GET /api/v1/custom-fields), shown after the built-in ones. Their keys are
+// the names the API sorts and exports them by.
+export const customFieldColumns = (customFields) =>
+  customFields.map((field) => ({ key: `custom_fields.${field.key}`, label: field.label, field }));
+
+// A nurse's value for a custom field as the roster and exports show it
+// (yes/no for booleans), or null when it has none
+export const customFieldValue = (field, nurse) => {
+  const value = nurse.custom_fields?.[field.key];
+  if (value === undefined || value === null) return null;
+  return field.type === 'boolean' ? (value ? 'Yes' : 'No') : value;
+};
+
+// Columns ticked when the CSV export dialog first opens
+export const DEFAULT_CSV_EXPORT_COLUMNS = NURSE_COLUMNS.map(({ key }) => key);
+
+export const CSV_DELIMITERS = [
+  { value: 'comma', label: 'Comma (,)' },
+  { value: 'semicolon', label: 'Semicolon (;)' },
+  { value: 'tab', label: 'Tab' },
+  { value: 'pipe', label: 'Pipe (|)' },
+];
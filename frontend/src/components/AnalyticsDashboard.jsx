@@ -0,0 +1,232 @@
+import { useState, useEffect } from 'react';
+import { apiFetch, ensureOk, buildQueryString, downloadFile } from '../api';
+import BarChart from './BarChart';
+
+const ANALYTICS_URL = '/api/v1/analytics';
+
+const BIN_SIZE_OPTIONS = [1, 5, 10];
+const MONTH_OPTIONS = [6, 12, 24, 60];
+const RETIREMENT_AGE_OPTIONS = [60, 62, 65, 67, 70];
+const RETIREMENT_WINDOW_OPTIONS = [1, 2, 5, 10];
+
+const CHURN_SERIES = [
+  { key: 'updates', label: 'Updates', color: '#007bff' },
+  { key: 'deletes', label: 'Deletes', color: '#dc3545' },
+  { key: 'restores', label: 'Restores', color: '#28a745' },
+  { key: 'purges', label: 'Purges', color: '#6c757d' },
+];
+
+// "2026-10" -> "Oct 26"
+const formatMonth = (month) => {
+  const [year, monthNumber] = month.split('-');
+  const name = new Date(Number(year), Number(monthNumber) - 1, 1).toLocaleString('en', { month: 'short' });
+  return `${name} ${year.slice(2)}`;
+};
+
+// Analytics Dashboard Component - workforce demographics and record trends,
+// each with its data downloadable as CSV
+const AnalyticsDashboard = ({ onNotify }) => {
+  const [summary, setSummary] = useState(null);
+  const [ageBins, setAgeBins] = useState([]);
+  const [retirees, setRetirees] = useState([]);
+  const [hires, setHires] = useState([]);
+  const [churn, setChurn] = useState([]);
+  const [binSize, setBinSize] = useState(5);
+  const [months, setMonths] = useState(12);
+  const [retirementAge, setRetirementAge] = useState(65);
+  const [retirementWindow, setRetirementWindow] = useState(5);
+
+  // Query string for each endpoint, so charts and downloads use the same options
+  const queries = {
+    'age-distribution': buildQueryString({ bin_size: binSize }),
+    retirement: buildQueryString({ retirement_age: retirementAge, within_years: retirementWindow }),
+    hires: buildQueryString({ months }),
+    churn: buildQueryString({ months }),
+  };
+
+  const fetchAnalytics = async (endpoint, query = '') => {
+    const response = await ensureOk(
+      await apiFetch(`${ANALYTICS_URL}/${endpoint}?${query}`),
+      'Failed to fetch analytics'
+    );
+    return response.json();
+  };
+
+  useEffect(() => {
+    fetchAnalytics('summary')
+      .then(setSummary)
+      .catch((err) => onNotify(err.message, 'error'));
+  }, [onNotify]);
+
+  useEffect(() => {
+    fetchAnalytics('age-distribution', queries['age-distribution'])
+      .then(({ data }) => setAgeBins(data))
+      .catch((err) => onNotify(err.message, 'error'));
+  }, [queries['age-distribution'], onNotify]);
+
+  useEffect(() => {
+    fetchAnalytics('retirement', queries.retirement)
+      .then(({ data }) => setRetirees(data))
+      .catch((err) => onNotify(err.message, 'error'));
+  }, [queries.retirement, onNotify]);
+
+  useEffect(() => {
+    Promise.all([fetchAnalytics('hires', queries.hires), fetchAnalytics('churn', queries.churn)])
+      .then(([hiresData, churnData]) => {
+        setHires(hiresData.data.map((row) => ({ ...row, label: formatMonth(row.month) })));
+        setChurn(churnData.data.map((row) => ({ ...row, label: formatMonth(row.month) })));
+      })
+      .catch((err) => onNotify(err.message, 'error'));
+  }, [queries.hires, queries.churn, onNotify]);
+
+  const downloadData = async (endpoint) => {
+    try {
+      await downloadFile(
+        `${ANALYTICS_URL}/${endpoint}?${queries[endpoint]}&format=csv`,
+        'Failed to download data'
+      );
+    } catch (err) {
+      onNotify(err.message, 'error');
+    }
+  };
+
+  const downloadButton = (endpoint) => (
+    <button className="btn btn-small" onClick={() => downloadData(endpoint)} title="Download the data as CSV">
+      📥 CSV
+    </button>
+  );
+
+  return (
+    <>
+      {summary && (
+        <div className="stat-cards">
+          <div className="stat-card">
+            <span className="stat-value">{summary.headcount}</span>
+            <span className="stat-label">Active nurses</span>
+          </div>
+          <div className="stat-card">
+            <span className="stat-value">{summary.average_age ?? '—'}</span>
+            <span className="stat-label">Average age</span>
+          </div>
+          <div className="stat-card">
+            <span className="stat-value">{summary.hired_last_12_months}</span>
+            <span className="stat-label">Added in the last 12 months</span>
+          </div>
+          <div className="stat-card">
+            <span className="stat-value">{summary.in_trash}</span>
+            <span className="stat-label">In the trash</span>
+          </div>
+        </div>
+      )}
+
+      <div className="analytics-grid">
+        <section className="dashboard-panel">
+          <div className="dashboard-header">
+            <h2>📊 Age Distribution</h2>
+            <div className="window-tabs">
+              <select value={binSize} onChange={(e) => setBinSize(Number(e.target.value))}>
+                {BIN_SIZE_OPTIONS.map((size) => (
+                  <option key={size} value={size}>
+                    {size === 1 ? 'By year' : `${size}-year bands`}
+                  </option>
+                ))}
+              </select>
+              {downloadButton('age-distribution')}
+            </div>
+          </div>
+          {ageBins.length === 0 ? (
+            <p className="form-hint">No active nurses.</p>
+          ) : (
+            <BarChart
+              title="Nurses by age"
+              data={ageBins}
+              series={[{ key: 'count', label: 'Nurses', color: '#007bff' }]}
+            />
+          )}
+        </section>
+
+        <section className="dashboard-panel">
+          <div className="dashboard-header">
+            <h2>🧑‍💼 Hires per Month</h2>
+            <div className="window-tabs">
+              <select value={months} onChange={(e) => setMonths(Number(e.target.value))}>
+                {MONTH_OPTIONS.map((count) => (
+                  <option key={count} value={count}>
+                    Last {count} months
+                  </option>
+                ))}
+              </select>
+              {downloadButton('hires')}
+            </div>
+          </div>
+          <BarChart
+            title="Nurses added per month"
+            data={hires}
+            series={[{ key: 'hires', label: 'Hires', color: '#28a745' }]}
+          />
+          <p className="cell-note">Counted from when each nurse record was created.</p>
+        </section>
+
+        <section className="dashboard-panel">
+          <div className="dashboard-header">
+            <h2>🔄 Record Churn</h2>
+            <div className="window-tabs">{downloadButton('churn')}</div>
+          </div>
+          <BarChart title="Record changes per month" data={churn} series={CHURN_SERIES} />
+          <p className="cell-note">Edits, deletions, restores and purges from the audit log.</p>
+        </section>
+
+        <section className="dashboard-panel">
+          <div className="dashboard-header">
+            <h2>🎓 Approaching Retirement</h2>
+            <div className="window-tabs">
+              <select value={retirementAge} onChange={(e) => setRetirementAge(Number(e.target.value))}>
+                {RETIREMENT_AGE_OPTIONS.map((age) => (
+                  <option key={age} value={age}>
+                    Retire at {age}
+                  </option>
+                ))}
+              </select>
+              <select value={retirementWindow} onChange={(e) => setRetirementWindow(Number(e.target.value))}>
+                {RETIREMENT_WINDOW_OPTIONS.map((years) => (
+                  <option key={years} value={years}>
+                    Within {years} year{years !== 1 ? 's' : ''}
+                  </option>
+                ))}
+              </select>
+              {downloadButton('retirement')}
+            </div>
+          </div>
+          {retirees.length === 0 ? (
+            <p className="form-hint">No nurses reach retirement age in this window.</p>
+          ) : (
+            <table className="nurses-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Unit</th>
+                  <th>Age</th>
+                  <th>Retirement Date</th>
+                </tr>
+              </thead>
+              <tbody>
+                {retirees.map((nurse) => (
+                  <tr key={nurse.id}>
+                    <td className="name-cell">{nurse.name}</td>
+                    <td>{nurse.unit_name || '—'}</td>
+                    <td>{nurse.age}</td>
+                    <td className={nurse.years_remaining <= 0 ? 'expired-cell' : ''}>
+                      {nurse.retirement_date}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+      </div>
+    </>
+  );
+};
+
+export default AnalyticsDashboard;
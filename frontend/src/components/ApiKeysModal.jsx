@@ -0,0 +1,219 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch, ensureOk } from '../api';
+
+const API_KEYS_URL = '/api/v1/api-keys';
+
+// Keep in step with DEFAULT_RATE_LIMIT_PER_MINUTE in backend/apiKeys.js
+const DEFAULT_RATE_LIMIT = 60;
+
+const EMPTY_KEY = { name: '', rate_limit_per_minute: DEFAULT_RATE_LIMIT, scopes: [] };
+
+// Group scopes like "nurses:read" by resource: { nurses: ['read', 'write'] }
+const groupScopes = (scopes) =>
+  scopes.reduce((groups, scope) => {
+    const [resource, access] = scope.split(':');
+    return { ...groups, [resource]: [...(groups[resource] || []), access] };
+  }, {});
+
+// API Keys Modal Component - admin-only keys for integrations such as
+// payroll, each limited to its scopes and a number of requests per minute.
+// A new key is shown once, right after it is created.
+const ApiKeysModal = ({ isOpen, onClose, onNotify }) => {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [scopes, setScopes] = useState([]);
+  const [newKey, setNewKey] = useState(EMPTY_KEY);
+  // The plaintext of the key just created
+  const [createdKey, setCreatedKey] = useState(null);
+  const [formError, setFormError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchApiKeys = useCallback(async () => {
+    try {
+      const response = await ensureOk(await apiFetch(API_KEYS_URL), 'Failed to fetch API keys');
+      const data = await response.json();
+      setApiKeys(data.api_keys);
+      setScopes(data.scopes);
+    } catch (err) {
+      setFormError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isOpen) {
+      setNewKey(EMPTY_KEY);
+      setCreatedKey(null);
+      setFormError('');
+      fetchApiKeys();
+    }
+  }, [isOpen, fetchApiKeys]);
+
+  const toggleScope = (scope) => {
+    setNewKey((prev) => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter((other) => other !== scope)
+        : [...prev.scopes, scope],
+    }));
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke ${apiKey.name}? Integrations using it stop working at once.`)) return;
+
+    setFormError('');
+    try {
+      const response = await ensureOk(
+        await apiFetch(`${API_KEYS_URL}/${apiKey.id}`, { method: 'DELETE' }),
+        'Failed to revoke API key'
+      );
+      const revokedKey = await response.json();
+      setApiKeys((prev) => prev.map((other) => (other.id === apiKey.id ? revokedKey : other)));
+      onNotify(`${apiKey.name} revoked`);
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setFormError('');
+
+    if (!newKey.name.trim() || newKey.scopes.length === 0) {
+      setFormError('Give the key a name and at least one scope');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const response = await ensureOk(
+        await apiFetch(API_KEYS_URL, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ ...newKey, rate_limit_per_minute: Number(newKey.rate_limit_per_minute) }),
+        }),
+        'Failed to create API key'
+      );
+      const apiKey = await response.json();
+      setCreatedKey(apiKey);
+      setNewKey(EMPTY_KEY);
+      await fetchApiKeys();
+      onNotify(`${apiKey.name} created`);
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal modal-wide" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>🔑 API Keys</h2>
+          <button className="modal-close" onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <div className="modal-body">
+          {formError && <div className="error-message">⚠️ {formError}</div>}
+          <p className="form-hint">
+            Integrations send their key in the <code>X-API-Key</code> header. See the{' '}
+            <a href="/api/v1/docs" target="_blank" rel="noreferrer">
+              API docs
+            </a>{' '}
+            for the endpoints and the scope each needs.
+          </p>
+          {createdKey && (
+            <div className="api-key-created">
+              <strong>Copy the key for {createdKey.name} now; it won't be shown again:</strong>
+              <code>{createdKey.key}</code>
+            </div>
+          )}
+          <table className="nurses-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Key</th>
+                <th>Scopes</th>
+                <th>Limit</th>
+                <th>Last Used</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {apiKeys.map((apiKey) => (
+                <tr key={apiKey.id} className={apiKey.revoked_at ? 'api-key-revoked' : ''}>
+                  <td className="name-cell">
+                    {apiKey.name}
+                    <div className="cell-note">
+                      Added {apiKey.created_at.slice(0, 10)}
+                      {apiKey.created_by_username && ` by ${apiKey.created_by_username}`}
+                    </div>
+                  </td>
+                  <td>
+                    <code>{apiKey.key_prefix}…</code>
+                  </td>
+                  <td>{apiKey.scopes.join(', ')}</td>
+                  <td>{apiKey.rate_limit_per_minute}/min</td>
+                  <td>{apiKey.last_used_at ? apiKey.last_used_at.slice(0, 16) : 'Never'}</td>
+                  <td className="actions-cell">
+                    {apiKey.revoked_at ? (
+                      <span className="status-badge status-error">Revoked</span>
+                    ) : (
+                      <button className="btn btn-danger btn-small" onClick={() => handleRevoke(apiKey)}>
+                        Revoke
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <form onSubmit={handleCreate}>
+            <div className="inline-form">
+              <input
+                type="text"
+                value={newKey.name}
+                onChange={(e) => setNewKey((prev) => ({ ...prev, name: e.target.value }))}
+                placeholder="Name (e.g. Payroll)"
+                maxLength={100}
+              />
+              <input
+                type="number"
+                min={1}
+                value={newKey.rate_limit_per_minute}
+                onChange={(e) => setNewKey((prev) => ({ ...prev, rate_limit_per_minute: e.target.value }))}
+                aria-label="Requests per minute"
+                title="Requests per minute"
+              />
+              <button type="submit" className="btn btn-primary" disabled={isSaving}>
+                {isSaving ? 'Creating...' : 'Create Key'}
+              </button>
+            </div>
+            <div className="api-key-scopes">
+              {Object.entries(groupScopes(scopes)).map(([resource, accesses]) => (
+                <div key={resource} className="api-key-scope">
+                  <span>{resource}</span>
+                  {accesses.map((access) => (
+                    <label key={access} className="checkbox-option">
+                      <input
+                        type="checkbox"
+                        checked={newKey.scopes.includes(`${resource}:${access}`)}
+                        onChange={() => toggleScope(`${resource}:${access}`)}
+                      />
+                      {access}
+                    </label>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ApiKeysModal;
@@ -0,0 +1,90 @@
+// Chart drawing area in SVG units; the SVG scales to its container's width
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 220;
+const AXIS_WIDTH = 32;
+const LABEL_HEIGHT = 24;
+const BAR_GAP = 0.2;
+
+// Round a maximum up to a tidy axis value (1, 2 or 5 times a power of ten)
+const niceMax = (value) => {
+  if (value <= 0) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 5, 10].find((factor) => factor * magnitude >= value);
+  return step * magnitude;
+};
+
+// Bar Chart Component - vertical bars per category, grouped when there is more
+// than one series. data rows hold a `label` plus a value for each series key.
+const BarChart = ({ data, series, title }) => {
+  const maxValue = niceMax(Math.max(0, ...data.flatMap((row) => series.map(({ key }) => row[key]))));
+  const plotWidth = CHART_WIDTH - AXIS_WIDTH;
+  const plotHeight = CHART_HEIGHT - LABEL_HEIGHT;
+  const groupWidth = data.length > 0 ? plotWidth / data.length : plotWidth;
+  const barWidth = (groupWidth * (1 - BAR_GAP)) / series.length;
+  // Thin out category labels so they don't overlap
+  const labelEvery = Math.ceil(data.length / 12);
+
+  return (
+    <div className="bar-chart">
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} role="img" aria-label={title}>
+        {[0, 0.5, 1].map((fraction) => {
+          const y = plotHeight - fraction * plotHeight;
+          return (
+            <g key={fraction}>
+              <line x1={AXIS_WIDTH} x2={CHART_WIDTH} y1={y} y2={y} className="bar-chart-gridline" />
+              <text x={AXIS_WIDTH - 6} y={y + 4} textAnchor="end" className="bar-chart-axis-label">
+                {maxValue * fraction}
+              </text>
+            </g>
+          );
+        })}
+        {data.map((row, index) => {
+          const groupX = AXIS_WIDTH + index * groupWidth + (groupWidth * BAR_GAP) / 2;
+          return (
+            <g key={row.label}>
+              {series.map(({ key, label, color }, seriesIndex) => {
+                const height = (row[key] / maxValue) * plotHeight;
+                return (
+                  <rect
+                    key={key}
+                    x={groupX + seriesIndex * barWidth}
+                    y={plotHeight - height}
+                    width={Math.max(barWidth - 1, 1)}
+                    height={height}
+                    fill={color}
+                  >
+                    <title>
+                      {row.label} · {label}: {row[key]}
+                    </title>
+                  </rect>
+                );
+              })}
+              {index % labelEvery === 0 && (
+                <text
+                  x={AXIS_WIDTH + (index + 0.5) * groupWidth}
+                  y={CHART_HEIGHT - 6}
+                  textAnchor="middle"
+                  className="bar-chart-axis-label"
+                >
+                  {row.label}
+                </text>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+      {series.length > 1 && (
+        <div className="bar-chart-legend">
+          {series.map(({ key, label, color }) => (
+            <span key={key} className="bar-chart-legend-item">
+              <span className="bar-chart-swatch" style={{ background: color }} />
+              {label}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BarChart;
@@ -0,0 +1,144 @@
+import { useState } from 'react';
+import { NURSE_SCHEMA } from '../validation';
+
+// Keep in step with MAX_BATCH_SIZE in backend/nurses.js
+export const MAX_BATCH_SIZE = 1000;
+
+// Fields a batch update can set; keep in step with BATCH_UPDATE_FIELDS in
+// backend/server.js
+const BATCH_UPDATE_FIELDS = [
+  { key: 'primary_unit_id', label: 'Unit' },
+  ...['employment_status', 'employment_type', 'job_role'].map((key) => ({
+    key,
+    label: NURSE_SCHEMA[key].label,
+  })),
+];
+
+// Bulk Actions Bar Component - shown above the roster while nurses are
+// selected: select the whole filtered set, export the selection, and (for
+// editors) set a field on or delete every selected nurse. Rows a batch
+// couldn't change are listed until the next action.
+const BulkActionsBar = ({
+  selectedCount,
+  total,
+  pageSelected,
+  canEdit,
+  units,
+  onSelectAll,
+  onClear,
+  onExportCSV,
+  onExportXLSX,
+  onUpdate,
+  onDelete,
+}) => {
+  const [field, setField] = useState(BATCH_UPDATE_FIELDS[0].key);
+  const [value, setValue] = useState('');
+  const [failures, setFailures] = useState([]);
+  const [isWorking, setIsWorking] = useState(false);
+
+  // Run a batch action and keep the rows it reported as errors
+  const runBatch = async (action) => {
+    setIsWorking(true);
+    setFailures([]);
+    try {
+      const report = await action();
+      if (report) {
+        setFailures(report.rows.filter((row) => row.status === 'error'));
+      }
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleFieldChange = (e) => {
+    setField(e.target.value);
+    setValue('');
+  };
+
+  const handleApply = () => {
+    // An empty choice clears the field (or unassigns the unit)
+    const fieldValue = field === 'primary_unit_id' && value ? Number(value) : value || null;
+    runBatch(() => onUpdate({ [field]: fieldValue }));
+  };
+
+  const fieldOptions =
+    field === 'primary_unit_id'
+      ? units.map((unit) => [unit.id, unit.name])
+      : Object.entries(NURSE_SCHEMA[field].options);
+  const emptyLabel = field === 'primary_unit_id' ? 'Unassigned' : 'Not set';
+
+  return (
+    <div className="bulk-actions">
+      <div className="bulk-actions-row">
+        <strong>{selectedCount} selected</strong>
+        {pageSelected && selectedCount < total && (
+          total <= MAX_BATCH_SIZE ? (
+            <button className="link-button" onClick={onSelectAll} disabled={isWorking}>
+              Select all {total} matching nurses
+            </button>
+          ) : (
+            <span className="cell-note">
+              Narrow the search to select all matching nurses (at most {MAX_BATCH_SIZE} at once)
+            </span>
+          )
+        )}
+        <button className="link-button" onClick={onClear} disabled={isWorking}>
+          Clear selection
+        </button>
+        <div className="bulk-actions-buttons">
+          <button className="btn btn-small" onClick={onExportCSV} disabled={isWorking}>
+            📥 CSV
+          </button>
+          <button className="btn btn-small" onClick={onExportXLSX} disabled={isWorking}>
+            📊 XLSX
+          </button>
+          {canEdit && (
+            <>
+              <select value={field} onChange={handleFieldChange} aria-label="Field to set">
+                {BATCH_UPDATE_FIELDS.map(({ key, label }) => (
+                  <option key={key} value={key}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <select value={value} onChange={(e) => setValue(e.target.value)} aria-label="New value">
+                {field !== 'employment_status' && <option value="">{emptyLabel}</option>}
+                {field === 'employment_status' && !value && <option value="">Choose…</option>}
+                {fieldOptions.map(([optionValue, label]) => (
+                  <option key={optionValue} value={optionValue}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <button
+                className="btn btn-primary btn-small"
+                onClick={handleApply}
+                disabled={isWorking || (field === 'employment_status' && !value)}
+              >
+                Apply
+              </button>
+              <button
+                className="btn btn-danger btn-small"
+                onClick={() => runBatch(onDelete)}
+                disabled={isWorking}
+              >
+                🗑️ Delete
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+      {failures.length > 0 && (
+        <ul className="bulk-failures">
+          {failures.map((row) => (
+            <li key={row.id}>
+              <span className="status-badge status-error">Error</span> Nurse #{row.id}: {row.message}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default BulkActionsBar;
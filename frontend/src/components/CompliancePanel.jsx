@@ -0,0 +1,265 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch, ensureOk } from '../api';
+import { NURSE_SCHEMA, optionLabel } from '../validation';
+
+export const COMPETENCY_STATUS_LABELS = {
+  current: 'Current',
+  expiring: 'Expiring soon',
+  expired: 'Expired',
+  missing: 'Missing',
+};
+
+const JOB_ROLES = Object.entries(NURSE_SCHEMA.job_role.options);
+
+const EMPTY_COMPETENCY = { name: '', description: '' };
+
+// Compliance Panel Component - nurses missing required competencies or short
+// on CE hours this cycle, and the competencies each job role requires
+const CompliancePanel = ({ canEdit, onNotify, onOpenNurse }) => {
+  const [compliance, setCompliance] = useState(null);
+  const [competencies, setCompetencies] = useState([]);
+  const [showAll, setShowAll] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [newCompetency, setNewCompetency] = useState(EMPTY_COMPETENCY);
+
+  const fetchCompliance = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [complianceResponse, competenciesResponse] = await Promise.all([
+        apiFetch(showAll ? '/api/v1/compliance' : '/api/v1/compliance?status=noncompliant'),
+        apiFetch('/api/v1/competencies'),
+      ]);
+      await ensureOk(complianceResponse, 'Failed to fetch compliance');
+      await ensureOk(competenciesResponse, 'Failed to fetch competencies');
+      setCompliance(await complianceResponse.json());
+      setCompetencies(await competenciesResponse.json());
+    } catch (err) {
+      onNotify(err.message, 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [showAll, onNotify]);
+
+  useEffect(() => {
+    fetchCompliance();
+  }, [fetchCompliance]);
+
+  // Create or update a competency, then reload since requirements changed
+  const saveCompetency = async (competency, fields) => {
+    try {
+      await ensureOk(
+        await apiFetch(competency ? `/api/v1/competencies/${competency.id}` : '/api/v1/competencies', {
+          method: competency ? 'PUT' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(fields),
+        }),
+        'Failed to save competency'
+      );
+      await fetchCompliance();
+      return true;
+    } catch (err) {
+      onNotify(err.message, 'error');
+      return false;
+    }
+  };
+
+  const toggleRole = (competency, jobRole) => {
+    const jobRoles = competency.job_roles.includes(jobRole)
+      ? competency.job_roles.filter((role) => role !== jobRole)
+      : [...competency.job_roles, jobRole];
+    saveCompetency(competency, { name: competency.name, description: competency.description, job_roles: jobRoles });
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newCompetency.name.trim()) {
+      onNotify('Competency name is required', 'error');
+      return;
+    }
+    if (await saveCompetency(null, newCompetency)) {
+      onNotify(`Added ${newCompetency.name.trim()}`);
+      setNewCompetency(EMPTY_COMPETENCY);
+    }
+  };
+
+  const handleDelete = async (competency) => {
+    if (!window.confirm(`Delete ${competency.name}? Training records that certified it are kept.`)) {
+      return;
+    }
+    try {
+      await ensureOk(
+        await apiFetch(`/api/v1/competencies/${competency.id}`, { method: 'DELETE' }),
+        'Failed to delete competency'
+      );
+      onNotify(`Deleted ${competency.name}`);
+      await fetchCompliance();
+    } catch (err) {
+      onNotify(err.message, 'error');
+    }
+  };
+
+  const cycle = compliance?.cycle;
+
+  return (
+    <>
+      <section className="dashboard-panel">
+        <div className="dashboard-header">
+          <h2>
+            🎓 Training Compliance
+            {cycle && (
+              <span className="cell-note">
+                {' '}
+                · CE cycle {cycle.start_date} – {cycle.end_date}, {cycle.required_hours} hours required
+              </span>
+            )}
+          </h2>
+          <div className="window-tabs">
+            <button className={`btn btn-small ${!showAll ? 'btn-active' : ''}`} onClick={() => setShowAll(false)}>
+              Needs Attention
+            </button>
+            <button className={`btn btn-small ${showAll ? 'btn-active' : ''}`} onClick={() => setShowAll(true)}>
+              All Nurses
+            </button>
+            {loading && <div className="spinner"></div>}
+          </div>
+        </div>
+        {compliance && compliance.nurses.length === 0 ? (
+          <p className="form-hint">
+            {showAll ? 'No nurses yet.' : 'Every nurse has their required training and CE hours. 🎉'}
+          </p>
+        ) : (
+          <table className="nurses-table">
+            <thead>
+              <tr>
+                <th>Nurse</th>
+                <th>Job Role</th>
+                <th>CE Hours</th>
+                <th>Required Competencies</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {compliance?.nurses.map((nurse) => (
+                <tr key={nurse.nurse_id}>
+                  <td className="name-cell">
+                    <button
+                      className="link-button"
+                      onClick={() => onOpenNurse({ id: nurse.nurse_id, name: nurse.nurse_name })}
+                    >
+                      {nurse.nurse_name}
+                    </button>
+                  </td>
+                  <td>{optionLabel('job_role', nurse.job_role) || <span className="cell-note">Not set</span>}</td>
+                  <td className={nurse.ce_hours < nurse.ce_hours_required ? 'expired-cell' : ''}>
+                    {nurse.ce_hours} / {nurse.ce_hours_required}
+                  </td>
+                  <td>
+                    <div className="competency-badges">
+                      {nurse.competencies.map((competency) => (
+                        <span
+                          key={competency.competency_id}
+                          className={`status-badge competency-${competency.status}`}
+                          title={competency.expiry_date ? `Expires ${competency.expiry_date}` : undefined}
+                        >
+                          {competency.name}: {COMPETENCY_STATUS_LABELS[competency.status]}
+                        </span>
+                      ))}
+                      {nurse.competencies.length === 0 && <span className="cell-note">—</span>}
+                    </div>
+                  </td>
+                  <td>
+                    <span className={`status-badge ${nurse.compliant ? 'status-create' : 'status-error'}`}>
+                      {nurse.compliant ? 'Compliant' : 'Needs attention'}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      <section className="dashboard-panel">
+        <div className="dashboard-header">
+          <h2>📋 Required Competencies by Job Role</h2>
+        </div>
+        <table className="nurses-table">
+          <thead>
+            <tr>
+              <th>Competency</th>
+              {JOB_ROLES.map(([jobRole, label]) => (
+                <th key={jobRole}>{label}</th>
+              ))}
+              {canEdit && <th>Actions</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {competencies.map((competency) => (
+              <tr key={competency.id}>
+                <td className="name-cell">
+                  {competency.name}
+                  {competency.description && <div className="cell-note">{competency.description}</div>}
+                </td>
+                {JOB_ROLES.map(([jobRole, label]) => (
+                  <td key={jobRole}>
+                    <input
+                      type="checkbox"
+                      checked={competency.job_roles.includes(jobRole)}
+                      onChange={() => toggleRole(competency, jobRole)}
+                      disabled={!canEdit}
+                      aria-label={`${label} requires ${competency.name}`}
+                    />
+                  </td>
+                ))}
+                {canEdit && (
+                  <td className="actions-cell">
+                    <button
+                      className="btn btn-danger btn-small"
+                      onClick={() => handleDelete(competency)}
+                      title="Delete"
+                    >
+                      🗑️
+                    </button>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {canEdit && (
+          <form className="credential-form" onSubmit={handleAdd}>
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="competency_name">New Competency</label>
+                <input
+                  type="text"
+                  id="competency_name"
+                  value={newCompetency.name}
+                  onChange={(e) => setNewCompetency((prev) => ({ ...prev, name: e.target.value }))}
+                  placeholder="e.g., NRP"
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="competency_description">Description</label>
+                <input
+                  type="text"
+                  id="competency_description"
+                  value={newCompetency.description}
+                  onChange={(e) => setNewCompetency((prev) => ({ ...prev, description: e.target.value }))}
+                  placeholder="e.g., Neonatal Resuscitation Program"
+                />
+              </div>
+            </div>
+            <div className="form-actions">
+              <button type="submit" className="btn btn-primary">
+                Add Competency
+              </button>
+            </div>
+          </form>
+        )}
+      </section>
+    </>
+  );
+};
+
+export default CompliancePanel;
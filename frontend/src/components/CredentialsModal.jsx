@@ -0,0 +1,286 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch, ensureOk } from '../api';
+
+export const LICENSE_TYPES = ['RN', 'LPN', 'LVN', 'NP', 'APRN', 'CNS', 'CRNA', 'CNM', 'CNA', 'Other'];
+
+export const VERIFICATION_LABELS = {
+  unverified: 'Unverified',
+  pending: 'Pending',
+  verified: 'Verified',
+  rejected: 'Rejected',
+};
+
+const EMPTY_CREDENTIAL = {
+  license_type: 'RN',
+  credential_number: '',
+  issuing_authority: '',
+  issue_date: '',
+  expiry_date: '',
+  verification_status: 'unverified',
+};
+
+// Today's date as YYYY-MM-DD, for comparing against expiry dates
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Credentials Modal Component - a nurse's licenses, editable by HR editors
+const CredentialsModal = ({ nurse, onClose, canEdit, onChanged }) => {
+  const [credentials, setCredentials] = useState([]);
+  const [formData, setFormData] = useState(EMPTY_CREDENTIAL);
+  // The credential being edited, or null when the form adds a new one
+  const [editingId, setEditingId] = useState(null);
+  const [formError, setFormError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const credentialsUrl = nurse ? `/api/v1/nurses/${nurse.id}/credentials` : null;
+
+  const fetchCredentials = useCallback(async () => {
+    try {
+      const response = await ensureOk(await apiFetch(credentialsUrl), 'Failed to fetch credentials');
+      setCredentials(await response.json());
+    } catch (err) {
+      setFormError(err.message);
+    }
+  }, [credentialsUrl]);
+
+  useEffect(() => {
+    if (!credentialsUrl) return;
+    setFormData(EMPTY_CREDENTIAL);
+    setEditingId(null);
+    setFormError('');
+    fetchCredentials();
+  }, [credentialsUrl, fetchCredentials]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const startEditing = (credential) => {
+    setEditingId(credential.id);
+    setFormError('');
+    setFormData({
+      license_type: credential.license_type,
+      credential_number: credential.credential_number,
+      issuing_authority: credential.issuing_authority,
+      issue_date: credential.issue_date || '',
+      expiry_date: credential.expiry_date,
+      verification_status: credential.verification_status,
+    });
+  };
+
+  const cancelEditing = () => {
+    setEditingId(null);
+    setFormData(EMPTY_CREDENTIAL);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError('');
+
+    if (!formData.credential_number || !formData.issuing_authority || !formData.expiry_date) {
+      setFormError('License number, issuing authority and expiry date are required');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await ensureOk(
+        await apiFetch(editingId ? `${credentialsUrl}/${editingId}` : credentialsUrl, {
+          method: editingId ? 'PUT' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(formData),
+        }),
+        'Failed to save credential'
+      );
+      cancelEditing();
+      await fetchCredentials();
+      onChanged();
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (credential) => {
+    if (!window.confirm(`Delete the ${credential.license_type} license ${credential.credential_number}?`)) {
+      return;
+    }
+
+    setFormError('');
+    try {
+      await ensureOk(
+        await apiFetch(`${credentialsUrl}/${credential.id}`, { method: 'DELETE' }),
+        'Failed to delete credential'
+      );
+      setCredentials((prev) => prev.filter((c) => c.id !== credential.id));
+      onChanged();
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  if (!nurse) return null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal modal-wide" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>🪪 Licenses: {nurse.name}</h2>
+          <button className="modal-close" onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <div className="modal-body">
+          {formError && <div className="error-message">⚠️ {formError}</div>}
+          {credentials.length === 0 ? (
+            <p className="form-hint">No licenses recorded for this nurse.</p>
+          ) : (
+            <table className="nurses-table">
+              <thead>
+                <tr>
+                  <th>Type</th>
+                  <th>Number</th>
+                  <th>Issued By</th>
+                  <th>Expires</th>
+                  <th>Status</th>
+                  {canEdit && <th>Actions</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {credentials.map((credential) => (
+                  <tr key={credential.id}>
+                    <td className="name-cell">{credential.license_type}</td>
+                    <td>
+                      <span className="license-cell">{credential.credential_number}</span>
+                    </td>
+                    <td>{credential.issuing_authority}</td>
+                    <td className={credential.expiry_date < today() ? 'expired-cell' : ''}>
+                      {credential.expiry_date}
+                    </td>
+                    <td>
+                      <span className={`status-badge verification-${credential.verification_status}`}>
+                        {VERIFICATION_LABELS[credential.verification_status]}
+                      </span>
+                    </td>
+                    {canEdit && (
+                      <td className="actions-cell">
+                        <button
+                          className="btn btn-small"
+                          onClick={() => startEditing(credential)}
+                          title="Edit"
+                        >
+                          ✏️
+                        </button>
+                        <button
+                          className="btn btn-danger btn-small"
+                          onClick={() => handleDelete(credential)}
+                          title="Delete"
+                        >
+                          🗑️
+                        </button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {canEdit && (
+            <form className="credential-form" onSubmit={handleSubmit}>
+              <h3>{editingId ? 'Edit License' : 'Add License'}</h3>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="license_type">Type</label>
+                  <select
+                    id="license_type"
+                    name="license_type"
+                    value={formData.license_type}
+                    onChange={handleChange}
+                  >
+                    {LICENSE_TYPES.map((type) => (
+                      <option key={type} value={type}>
+                        {type}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="credential_number">License Number</label>
+                  <input
+                    type="text"
+                    id="credential_number"
+                    name="credential_number"
+                    value={formData.credential_number}
+                    onChange={handleChange}
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="issuing_authority">State / Board</label>
+                  <input
+                    type="text"
+                    id="issuing_authority"
+                    name="issuing_authority"
+                    value={formData.issuing_authority}
+                    onChange={handleChange}
+                    placeholder="e.g., California BRN"
+                  />
+                </div>
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="issue_date">Issue Date</label>
+                  <input
+                    type="date"
+                    id="issue_date"
+                    name="issue_date"
+                    value={formData.issue_date}
+                    onChange={handleChange}
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="expiry_date">Expiry Date</label>
+                  <input
+                    type="date"
+                    id="expiry_date"
+                    name="expiry_date"
+                    value={formData.expiry_date}
+                    onChange={handleChange}
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="verification_status">Verification</label>
+                  <select
+                    id="verification_status"
+                    name="verification_status"
+                    value={formData.verification_status}
+                    onChange={handleChange}
+                  >
+                    {Object.entries(VERIFICATION_LABELS).map(([status, label]) => (
+                      <option key={status} value={status}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div className="form-actions">
+                {editingId && (
+                  <button type="button" className="btn btn-secondary" onClick={cancelEditing}>
+                    Cancel Edit
+                  </button>
+                )}
+                <button type="submit" className="btn btn-primary" disabled={isSaving}>
+                  {isSaving ? 'Saving...' : editingId ? 'Update License' : 'Add License'}
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CredentialsModal;
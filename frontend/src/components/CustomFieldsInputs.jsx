@@ -0,0 +1,70 @@
+// A form value for each custom field of a nurse; missing values become
+// empty inputs (unticked for yes/no fields)
+export const customFieldsToForm = (customFields, values = {}) =>
+  Object.fromEntries(
+    customFields.map(({ key, type }) => [key, values[key] ?? (type === 'boolean' ? false : '')])
+  );
+
+// Custom Fields Inputs Component - edit a nurse's values for the
+// admin-defined custom fields inside the nurse form, with an input suited to
+// each field's type. Errors are keyed like the API's ("custom_fields.badge_id").
+const CustomFieldsInputs = ({ customFields, values, onChange, fieldErrors }) => (
+  <div className="form-row custom-fields-grid">
+    {customFields.map((field) => {
+      const errorKey = `custom_fields.${field.key}`;
+      const id = `custom-field-${field.key}`;
+      const inputProps = {
+        id,
+        value: values[field.key],
+        onChange: (e) => onChange(field.key, e.target.value),
+        className: fieldErrors[errorKey] ? 'input-error' : '',
+        'aria-invalid': Boolean(fieldErrors[errorKey]),
+      };
+
+      return (
+        <div key={field.key} className="form-group">
+          {field.type === 'boolean' ? (
+            <label className="checkbox-option">
+              <input
+                type="checkbox"
+                id={id}
+                checked={values[field.key] === true}
+                onChange={(e) => onChange(field.key, e.target.checked)}
+              />
+              {field.label}
+            </label>
+          ) : (
+            <label htmlFor={id}>
+              {field.label}
+              {field.required && ' *'}
+            </label>
+          )}
+          {field.type === 'text' && <input type="text" {...inputProps} maxLength={field.max_length ?? undefined} />}
+          {field.type === 'number' && (
+            <input
+              type="number"
+              {...inputProps}
+              min={field.min_value ?? undefined}
+              max={field.max_value ?? undefined}
+              step="any"
+            />
+          )}
+          {field.type === 'date' && <input type="date" {...inputProps} />}
+          {field.type === 'select' && (
+            <select {...inputProps}>
+              <option value="">Not set</option>
+              {field.options.map((option) => (
+                <option key={option} value={option}>
+                  {option}
+                </option>
+              ))}
+            </select>
+          )}
+          {fieldErrors[errorKey] && <p className="field-error">{fieldErrors[errorKey]}</p>}
+        </div>
+      );
+    })}
+  </div>
+);
+
+export default CustomFieldsInputs;
@@ -0,0 +1,409 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch, ensureOk } from '../api';
+
+const CUSTOM_FIELDS_URL = '/api/v1/custom-fields';
+
+// Keep in step with CUSTOM_FIELD_TYPES in backend/customFields.js
+const FIELD_TYPES = [
+  { value: 'text', label: 'Text' },
+  { value: 'number', label: 'Number' },
+  { value: 'date', label: 'Date' },
+  { value: 'select', label: 'Choice list' },
+  { value: 'boolean', label: 'Yes / No' },
+];
+
+const EMPTY_FIELD = {
+  key: '',
+  label: '',
+  type: 'text',
+  required: false,
+  options: '',
+  min_length: '',
+  max_length: '',
+  pattern: '',
+  min_value: '',
+  max_value: '',
+  position: '',
+};
+
+// Validation settings each type accepts, as in TYPE_SETTINGS on the backend
+const TYPE_SETTINGS = {
+  text: ['min_length', 'max_length', 'pattern'],
+  number: ['min_value', 'max_value'],
+  date: [],
+  select: ['options'],
+  boolean: [],
+};
+
+const typeLabel = (type) => FIELD_TYPES.find(({ value }) => value === type)?.label || type;
+
+// Blank inputs clear a setting; anything else is sent for the API to check
+const toNumberOrNull = (value) => (value === '' ? null : Number(value));
+
+// The request body for a form: only the settings the field's type accepts,
+// with a select field's choices one per line
+const toRequestBody = (form, isNew) => {
+  const body = { label: form.label, required: form.required };
+  if (isNew) {
+    body.key = form.key.trim();
+    body.type = form.type;
+  }
+  if (form.position !== '') body.position = Number(form.position);
+
+  TYPE_SETTINGS[form.type].forEach((setting) => {
+    if (setting === 'options') {
+      body.options = form.options
+        .split('\n')
+        .map((option) => option.trim())
+        .filter(Boolean);
+    } else if (setting === 'pattern') {
+      body.pattern = form.pattern || null;
+    } else {
+      body[setting] = toNumberOrNull(form[setting]);
+    }
+  });
+  return body;
+};
+
+const fieldToForm = (field) => ({
+  ...EMPTY_FIELD,
+  ...Object.fromEntries(Object.entries(field).map(([setting, value]) => [setting, value ?? ''])),
+  options: field.options.join('\n'),
+});
+
+// A short summary of a field's validation for the table
+const describeRules = (field) => {
+  const rules = [];
+  if (field.type === 'select') rules.push(field.options.join(', '));
+  if (field.min_length !== null) rules.push(`at least ${field.min_length} characters`);
+  if (field.max_length !== null) rules.push(`at most ${field.max_length} characters`);
+  if (field.pattern) rules.push(`matches ${field.pattern}`);
+  if (field.min_value !== null) rules.push(`≥ ${field.min_value}`);
+  if (field.max_value !== null) rules.push(`≤ ${field.max_value}`);
+  return rules.join('; ');
+};
+
+// Custom Fields Modal Component - admin-only definitions of extra nurse
+// fields (badge ID, union membership, ...). Each field appears in the nurse
+// form, the roster and exports. The key and type are fixed once created.
+const CustomFieldsModal = ({ isOpen, onClose, onNotify, onChanged }) => {
+  const [fields, setFields] = useState([]);
+  const [form, setForm] = useState(EMPTY_FIELD);
+  // The id of the field being edited, or null when defining a new one
+  const [editingId, setEditingId] = useState(null);
+  const [formError, setFormError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchFields = useCallback(async () => {
+    try {
+      const response = await ensureOk(await apiFetch(CUSTOM_FIELDS_URL), 'Failed to fetch custom fields');
+      setFields(await response.json());
+    } catch (err) {
+      setFormError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isOpen) {
+      setForm(EMPTY_FIELD);
+      setEditingId(null);
+      setFormError('');
+      fetchFields();
+    }
+  }, [isOpen, fetchFields]);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm((prev) => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleEdit = (field) => {
+    setForm(fieldToForm(field));
+    setEditingId(field.id);
+    setFormError('');
+  };
+
+  const handleCancelEdit = () => {
+    setForm(EMPTY_FIELD);
+    setEditingId(null);
+    setFormError('');
+  };
+
+  const handleDelete = async (field) => {
+    if (!window.confirm(`Delete ${field.label}? Every nurse's value for it is removed too.`)) return;
+
+    setFormError('');
+    try {
+      const response = await ensureOk(
+        await apiFetch(`${CUSTOM_FIELDS_URL}/${field.id}`, { method: 'DELETE' }),
+        'Failed to delete custom field'
+      );
+      const result = await response.json();
+      setFields((prev) => prev.filter((other) => other.id !== field.id));
+      if (editingId === field.id) handleCancelEdit();
+      onNotify(
+        result.cleared_count > 0
+          ? `${field.label} deleted and cleared from ${result.cleared_count} nurse${result.cleared_count === 1 ? '' : 's'}`
+          : `${field.label} deleted`
+      );
+      onChanged();
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError('');
+
+    const isNew = editingId === null;
+    if ((isNew && !form.key.trim()) || !form.label.trim()) {
+      setFormError('Give the field a key and a label');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const response = await ensureOk(
+        await apiFetch(isNew ? CUSTOM_FIELDS_URL : `${CUSTOM_FIELDS_URL}/${editingId}`, {
+          method: isNew ? 'POST' : 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(toRequestBody(form, isNew)),
+        }),
+        isNew ? 'Failed to create custom field' : 'Failed to update custom field'
+      );
+      const field = await response.json();
+      setForm(EMPTY_FIELD);
+      setEditingId(null);
+      await fetchFields();
+      onNotify(`${field.label} ${isNew ? 'added' : 'updated'}`);
+      onChanged();
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const settings = TYPE_SETTINGS[form.type];
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal modal-wide" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>🧩 Custom Fields</h2>
+          <button className="modal-close" onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <div className="modal-body">
+          {formError && <div className="error-message">⚠️ {formError}</div>}
+          <p className="form-hint">
+            Custom fields appear under "Other Details" in the nurse form. Stricter rules apply to saved values the
+            next time each nurse is saved.
+          </p>
+          {fields.length === 0 ? (
+            <p className="empty-state">No custom fields yet.</p>
+          ) : (
+            <table className="nurses-table">
+              <thead>
+                <tr>
+                  <th>Label</th>
+                  <th>Key</th>
+                  <th>Type</th>
+                  <th>Rules</th>
+                  <th>Order</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {fields.map((field) => (
+                  <tr key={field.id}>
+                    <td className="name-cell">
+                      {field.label}
+                      {field.required && <div className="cell-note">Required</div>}
+                    </td>
+                    <td>
+                      <code>{field.key}</code>
+                    </td>
+                    <td>{typeLabel(field.type)}</td>
+                    <td>{describeRules(field) || '—'}</td>
+                    <td>{field.position}</td>
+                    <td className="actions-cell">
+                      <button className="btn btn-secondary btn-small" onClick={() => handleEdit(field)}>
+                        Edit
+                      </button>
+                      <button className="btn btn-danger btn-small" onClick={() => handleDelete(field)}>
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <form onSubmit={handleSubmit} className="custom-field-form">
+            <h3>{editingId === null ? 'Add a Field' : `Edit ${form.key}`}</h3>
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="custom-field-key">Key</label>
+                <input
+                  type="text"
+                  id="custom-field-key"
+                  name="key"
+                  value={form.key}
+                  onChange={handleChange}
+                  placeholder="badge_id"
+                  maxLength={40}
+                  disabled={editingId !== null}
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="custom-field-label">Label</label>
+                <input
+                  type="text"
+                  id="custom-field-label"
+                  name="label"
+                  value={form.label}
+                  onChange={handleChange}
+                  placeholder="Badge ID"
+                  maxLength={60}
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="custom-field-type">Type</label>
+                <select
+                  id="custom-field-type"
+                  name="type"
+                  value={form.type}
+                  onChange={handleChange}
+                  disabled={editingId !== null}
+                >
+                  {FIELD_TYPES.map(({ value, label }) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {settings.includes('options') && (
+              <div className="form-group">
+                <label htmlFor="custom-field-options">Choices (one per line)</label>
+                <textarea
+                  id="custom-field-options"
+                  name="options"
+                  value={form.options}
+                  onChange={handleChange}
+                  rows={4}
+                />
+              </div>
+            )}
+            {settings.includes('pattern') && (
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="custom-field-min-length">Min length</label>
+                  <input
+                    type="number"
+                    id="custom-field-min-length"
+                    name="min_length"
+                    min={0}
+                    value={form.min_length}
+                    onChange={handleChange}
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="custom-field-max-length">Max length</label>
+                  <input
+                    type="number"
+                    id="custom-field-max-length"
+                    name="max_length"
+                    min={0}
+                    value={form.max_length}
+                    onChange={handleChange}
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="custom-field-pattern">Pattern (regular expression)</label>
+                  <input
+                    type="text"
+                    id="custom-field-pattern"
+                    name="pattern"
+                    value={form.pattern}
+                    onChange={handleChange}
+                    maxLength={200}
+                    placeholder="^B\d{5}$"
+                  />
+                </div>
+              </div>
+            )}
+            {settings.includes('min_value') && (
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="custom-field-min-value">Minimum</label>
+                  <input
+                    type="number"
+                    id="custom-field-min-value"
+                    name="min_value"
+                    step="any"
+                    value={form.min_value}
+                    onChange={handleChange}
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="custom-field-max-value">Maximum</label>
+                  <input
+                    type="number"
+                    id="custom-field-max-value"
+                    name="max_value"
+                    step="any"
+                    value={form.max_value}
+                    onChange={handleChange}
+                  />
+                </div>
+              </div>
+            )}
+
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="custom-field-position">Order</label>
+                <input
+                  type="number"
+                  id="custom-field-position"
+                  name="position"
+                  min={0}
+                  value={form.position}
+                  onChange={handleChange}
+                  placeholder="Last"
+                />
+              </div>
+              <div className="form-group">
+                <label className="checkbox-option">
+                  <input type="checkbox" name="required" checked={form.required} onChange={handleChange} />
+                  Required
+                </label>
+              </div>
+            </div>
+
+            <div className="form-actions">
+              {editingId !== null && (
+                <button type="button" className="btn btn-secondary" onClick={handleCancelEdit}>
+                  Cancel
+                </button>
+              )}
+              <button type="submit" className="btn btn-primary" disabled={isSaving}>
+                {isSaving ? 'Saving...' : editingId === null ? 'Add Field' : 'Save Field'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CustomFieldsModal;
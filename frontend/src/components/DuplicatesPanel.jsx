@@ -0,0 +1,137 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch, ensureOk } from '../api';
+import MergeModal from './MergeModal';
+
+// Duplicates Panel Component - nurses flagged as likely entered twice (the
+// same date of birth and alike names), to merge or dismiss
+const DuplicatesPanel = ({ canEdit, unitNames, customFields, onNotify, onOpenNurse, onMerged }) => {
+  const [pairs, setPairs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // The pair under review in the merge dialog
+  const [mergingPair, setMergingPair] = useState(null);
+  const [dismissingKey, setDismissingKey] = useState(null);
+
+  const fetchDuplicates = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await ensureOk(await apiFetch('/api/v1/duplicates'), 'Failed to find duplicates');
+      setPairs(await response.json());
+    } catch (err) {
+      onNotify(err.message, 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [onNotify]);
+
+  useEffect(() => {
+    fetchDuplicates();
+  }, [fetchDuplicates]);
+
+  const pairKey = (pair) => pair.nurses.map((nurse) => nurse.id).join('-');
+
+  const handleDismiss = async (pair) => {
+    const [first, second] = pair.nurses;
+    if (!window.confirm(`Mark ${first.name} and ${second.name} as different people?`)) {
+      return;
+    }
+
+    setDismissingKey(pairKey(pair));
+    try {
+      await ensureOk(
+        await apiFetch('/api/v1/duplicates/dismiss', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ nurse_ids: [first.id, second.id] }),
+        }),
+        'Failed to dismiss duplicate'
+      );
+      setPairs((prev) => prev.filter((other) => pairKey(other) !== pairKey(pair)));
+      onNotify('Marked as different people');
+    } catch (err) {
+      onNotify(err.message, 'error');
+    } finally {
+      setDismissingKey(null);
+    }
+  };
+
+  const handleMerged = (nurse) => {
+    setMergingPair(null);
+    onNotify(`Merged into ${nurse.name}`);
+    onMerged();
+    fetchDuplicates();
+  };
+
+  return (
+    <section className="dashboard-panel">
+      <div className="dashboard-header">
+        <h2>👯 Possible Duplicates ({pairs.length})</h2>
+        {loading && <div className="spinner"></div>}
+      </div>
+      <p className="form-hint">
+        Nurses with the same date of birth and alike names, e.g. entered twice with a mistyped or renewed
+        license number.
+      </p>
+      {pairs.length === 0 ? (
+        !loading && <p className="form-hint">No likely duplicates found.</p>
+      ) : (
+        <table className="nurses-table">
+          <thead>
+            <tr>
+              <th>Match</th>
+              <th>Record</th>
+              <th>Possible Duplicate</th>
+              <th>Date of Birth</th>
+              {canEdit && <th>Actions</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {pairs.map((pair) => (
+              <tr key={pairKey(pair)}>
+                <td>
+                  <span className="status-badge">{Math.round(pair.score * 100)}%</span>
+                </td>
+                {pair.nurses.map((nurse) => (
+                  <td key={nurse.id} className="name-cell">
+                    <button className="link-button" onClick={() => onOpenNurse(nurse)}>
+                      {nurse.name}
+                    </button>
+                    <div className="cell-note">
+                      <span className="license-cell">{nurse.license_number}</span> · #{nurse.id}
+                    </div>
+                  </td>
+                ))}
+                <td className="dob-cell">{pair.nurses[0].dob}</td>
+                {canEdit && (
+                  <td className="actions-cell">
+                    <button className="btn btn-primary btn-small" onClick={() => setMergingPair(pair)}>
+                      Review & Merge
+                    </button>
+                    <button
+                      className="btn btn-small"
+                      onClick={() => handleDismiss(pair)}
+                      disabled={dismissingKey === pairKey(pair)}
+                    >
+                      Not Duplicates
+                    </button>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {mergingPair && (
+        <MergeModal
+          pair={mergingPair}
+          unitNames={unitNames}
+          customFields={customFields}
+          onClose={() => setMergingPair(null)}
+          onMerged={handleMerged}
+        />
+      )}
+    </section>
+  );
+};
+
+export default DuplicatesPanel;
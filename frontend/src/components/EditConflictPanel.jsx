@@ -0,0 +1,96 @@
+import { useState } from 'react';
+import { NURSE_SCHEMA } from '../validation';
+
+// Edit Conflict Panel Component - shown when someone else saved the nurse
+// first. Lists the fields where the saved record and the user's edits differ
+// and lets them pick a value for each, overwrite, or take the saved version.
+// The saved record has nulls where the form has empty inputs
+const savedValue = (current, field) => current[field] ?? '';
+
+// How a value is shown: its option label for fields with fixed options
+const displayValue = (field, value) => NURSE_SCHEMA[field].options?.[value] ?? value;
+
+const EditConflictPanel = ({ current, edits, onSaveMerged, onUseSaved, isSaving }) => {
+  const fields = Object.keys(NURSE_SCHEMA).filter((field) => savedValue(current, field) !== edits[field]);
+  // field -> 'mine' | 'theirs'
+  const [picks, setPicks] = useState({});
+
+  const pick = (field) => picks[field] || 'mine';
+
+  // Emergency contacts aren't compared; the user's list is kept
+  const merged = () => ({
+    ...edits,
+    ...Object.fromEntries(
+      Object.keys(NURSE_SCHEMA).map((field) => [
+        field,
+        pick(field) === 'theirs' ? savedValue(current, field) : edits[field],
+      ])
+    ),
+  });
+
+  return (
+    <div className="conflict-panel">
+      <p>
+        ⚠️ Someone else saved changes to this nurse
+        {current.updated_at ? ` at ${current.updated_at}` : ''} while you were editing.
+        {fields.length === 0
+          ? ' Their changes match yours.'
+          : ' Choose which value to keep for each field that differs:'}
+      </p>
+      {fields.length > 0 && (
+        <table className="nurses-table conflict-table">
+          <thead>
+            <tr>
+              <th>Field</th>
+              <th>Saved Now</th>
+              <th>Your Edit</th>
+            </tr>
+          </thead>
+          <tbody>
+            {fields.map((field) => (
+              <tr key={field}>
+                <td className="name-cell">{NURSE_SCHEMA[field].label}</td>
+                {['theirs', 'mine'].map((side) => (
+                  <td key={side}>
+                    <label className="checkbox-option">
+                      <input
+                        type="radio"
+                        name={`conflict-${field}`}
+                        checked={pick(field) === side}
+                        onChange={() => setPicks((prev) => ({ ...prev, [field]: side }))}
+                      />
+                      {displayValue(field, side === 'theirs' ? savedValue(current, field) : edits[field]) || '—'}
+                    </label>
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <div className="form-actions">
+        <button type="button" className="btn btn-secondary" onClick={onUseSaved}>
+          Discard Mine
+        </button>
+        <button
+          type="button"
+          className="btn"
+          onClick={() => onSaveMerged(edits)}
+          disabled={isSaving}
+        >
+          Overwrite With Mine
+        </button>
+        <button
+          type="button"
+          className="btn btn-primary"
+          onClick={() => onSaveMerged(merged())}
+          disabled={isSaving}
+        >
+          {isSaving ? 'Saving...' : 'Save Selected'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default EditConflictPanel;
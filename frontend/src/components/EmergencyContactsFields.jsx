@@ -0,0 +1,80 @@
+import { MAX_EMERGENCY_CONTACTS } from '../validation';
+
+const EMPTY_CONTACT = { name: '', relationship: '', phone: '', email: '' };
+
+const CONTACT_FIELDS = [
+  { key: 'name', label: 'Name', type: 'text', placeholder: 'Full name' },
+  { key: 'relationship', label: 'Relationship', type: 'text', placeholder: 'e.g., Spouse' },
+  { key: 'phone', label: 'Phone', type: 'tel', placeholder: 'e.g., +1 555 123 4567' },
+  { key: 'email', label: 'Email', type: 'email', placeholder: 'Optional' },
+];
+
+// Emergency Contacts Fields Component - edit a nurse's list of emergency
+// contacts inside the nurse form. Errors are keyed like the API's
+// ("emergency_contacts.0.phone").
+const EmergencyContactsFields = ({ contacts, onChange, fieldErrors }) => {
+  const updateContact = (index, field, value) => {
+    onChange(contacts.map((contact, i) => (i === index ? { ...contact, [field]: value } : contact)), [
+      `emergency_contacts.${index}.${field}`,
+    ]);
+  };
+
+  const addContact = () => onChange([...contacts, EMPTY_CONTACT], ['emergency_contacts']);
+
+  // Errors are keyed by position, so clear them all when one is removed
+  const removeContact = (index) =>
+    onChange(
+      contacts.filter((_, i) => i !== index),
+      Object.keys(fieldErrors).filter((key) => key.startsWith('emergency_contacts'))
+    );
+
+  return (
+    <div className="contact-list">
+      {fieldErrors.emergency_contacts && <p className="field-error">{fieldErrors.emergency_contacts}</p>}
+      {contacts.length === 0 && <p className="form-hint">No emergency contacts yet.</p>}
+      {contacts.map((contact, index) => (
+        <fieldset key={index} className="contact-fieldset">
+          <legend>
+            Contact {index + 1}
+            <button
+              type="button"
+              className="btn btn-danger btn-small"
+              onClick={() => removeContact(index)}
+              title="Remove contact"
+            >
+              🗑️
+            </button>
+          </legend>
+          <div className="form-row">
+            {CONTACT_FIELDS.map(({ key, label, type, placeholder }) => {
+              const errorKey = `emergency_contacts.${index}.${key}`;
+              const id = `contact-${index}-${key}`;
+              return (
+                <div key={key} className="form-group">
+                  <label htmlFor={id}>{label}</label>
+                  <input
+                    type={type}
+                    id={id}
+                    value={contact[key]}
+                    onChange={(e) => updateContact(index, key, e.target.value)}
+                    placeholder={placeholder}
+                    className={fieldErrors[errorKey] ? 'input-error' : ''}
+                    aria-invalid={Boolean(fieldErrors[errorKey])}
+                  />
+                  {fieldErrors[errorKey] && <p className="field-error">{fieldErrors[errorKey]}</p>}
+                </div>
+              );
+            })}
+          </div>
+        </fieldset>
+      ))}
+      {contacts.length < MAX_EMERGENCY_CONTACTS && (
+        <button type="button" className="btn btn-small" onClick={addContact}>
+          ➕ Add Contact
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default EmergencyContactsFields;
@@ -0,0 +1,110 @@
+import { useState, useEffect } from 'react';
+import { apiFetch, ensureOk } from '../api';
+import { VERIFICATION_LABELS } from './CredentialsModal';
+
+// Dashboard buckets: expired, or expiring within N days
+const EXPIRY_WINDOWS = [
+  { key: 'expired', label: 'Expired', matches: (days) => days < 0 },
+  { key: '30', label: 'Within 30 days', matches: (days) => days >= 0 && days <= 30 },
+  { key: '60', label: 'Within 60 days', matches: (days) => days >= 0 && days <= 60 },
+  { key: '90', label: 'Within 90 days', matches: (days) => days >= 0 && days <= 90 },
+];
+
+const formatDaysLeft = (days) => {
+  if (days < 0) return `Expired ${-days} day${days !== -1 ? 's' : ''} ago`;
+  if (days === 0) return 'Expires today';
+  return `${days} day${days !== 1 ? 's' : ''} left`;
+};
+
+// Expiring Licenses Component - dashboard of lapsed and soon-to-lapse licenses
+const ExpiringLicenses = ({ refreshKey, onOpenNurse }) => {
+  const [credentials, setCredentials] = useState([]);
+  const [selectedWindow, setSelectedWindow] = useState('expired');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchExpiring = async () => {
+      try {
+        const response = await ensureOk(
+          await apiFetch('/api/v1/credentials/expiring?days=90'),
+          'Failed to fetch expiring licenses'
+        );
+        setCredentials(await response.json());
+        setError(null);
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    fetchExpiring();
+  }, [refreshKey]);
+
+  const activeWindow = EXPIRY_WINDOWS.find(({ key }) => key === selectedWindow);
+  const visibleCredentials = credentials.filter((c) => activeWindow.matches(c.days_until_expiry));
+
+  return (
+    <section className="dashboard-panel">
+      <div className="dashboard-header">
+        <h2>🪪 License Expiry</h2>
+        <div className="window-tabs">
+          {EXPIRY_WINDOWS.map(({ key, label, matches }) => (
+            <button
+              key={key}
+              className={`btn btn-small ${selectedWindow === key ? 'btn-active' : ''}`}
+              onClick={() => setSelectedWindow(key)}
+            >
+              {label} ({credentials.filter((c) => matches(c.days_until_expiry)).length})
+            </button>
+          ))}
+        </div>
+      </div>
+      {error ? (
+        <div className="error-message">⚠️ {error}</div>
+      ) : visibleCredentials.length === 0 ? (
+        <p className="form-hint">No licenses in this window.</p>
+      ) : (
+        <table className="nurses-table">
+          <thead>
+            <tr>
+              <th>Nurse</th>
+              <th>Type</th>
+              <th>Number</th>
+              <th>Issued By</th>
+              <th>Expires</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visibleCredentials.map((credential) => (
+              <tr key={credential.id}>
+                <td className="name-cell">
+                  <button
+                    className="link-button"
+                    onClick={() => onOpenNurse({ id: credential.nurse_id, name: credential.nurse_name })}
+                  >
+                    {credential.nurse_name}
+                  </button>
+                </td>
+                <td>{credential.license_type}</td>
+                <td>
+                  <span className="license-cell">{credential.credential_number}</span>
+                </td>
+                <td>{credential.issuing_authority}</td>
+                <td className={credential.days_until_expiry < 0 ? 'expired-cell' : ''}>
+                  {credential.expiry_date}
+                  <div className="cell-note">{formatDaysLeft(credential.days_until_expiry)}</div>
+                </td>
+                <td>
+                  <span className={`status-badge verification-${credential.verification_status}`}>
+                    {VERIFICATION_LABELS[credential.verification_status]}
+                  </span>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  );
+};
+
+export default ExpiringLicenses;
@@ -0,0 +1,110 @@
+import { useState } from 'react';
+import { CSV_EXPORT_COLUMNS, DEFAULT_CSV_EXPORT_COLUMNS, CSV_DELIMITERS, customFieldColumns } from '../columns';
+
+// Export Modal Component - choose the columns and format of a CSV export of
+// the current search, or of the selected nurses. The custom fields are
+// offered after the standard columns. Choices are kept between exports.
+const ExportModal = ({ isOpen, onClose, onExport, customFields, total, selectionOnly = false }) => {
+  const [columns, setColumns] = useState(DEFAULT_CSV_EXPORT_COLUMNS);
+  const [delimiter, setDelimiter] = useState(CSV_DELIMITERS[0].value);
+  const [bom, setBom] = useState(true);
+  const [formError, setFormError] = useState('');
+  const [isExporting, setIsExporting] = useState(false);
+
+  const exportColumns = [...CSV_EXPORT_COLUMNS, ...customFieldColumns(customFields)];
+
+  const toggleColumn = (key) => {
+    setColumns((prev) =>
+      prev.includes(key) ? prev.filter((column) => column !== key) : [...prev, key]
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (columns.length === 0) {
+      setFormError('Choose at least one column to export');
+      return;
+    }
+    setFormError('');
+    setIsExporting(true);
+    try {
+      // Keep the columns in their standard order, whatever order they were ticked in
+      const orderedColumns = exportColumns.map(({ key }) => key).filter((key) =>
+        columns.includes(key)
+      );
+      await onExport({ columns: orderedColumns.join(','), delimiter, bom });
+      onClose();
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>📥 Export CSV</h2>
+          <button className="modal-close" onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <form className="modal-body" onSubmit={handleSubmit}>
+          {formError && <div className="error-message">⚠️ {formError}</div>}
+          <p className="form-hint">
+            Exports the {total} {selectionOnly ? 'selected ' : ''}nurse{total !== 1 ? 's' : ''}
+            {!selectionOnly && ' matching the current search and filters'}, in the current sort order.
+          </p>
+          <div className="form-group">
+            <label>Columns</label>
+            <div className="checkbox-list">
+              {exportColumns.map(({ key, label }) => (
+                <label key={key} className="checkbox-option">
+                  <input
+                    type="checkbox"
+                    checked={columns.includes(key)}
+                    onChange={() => toggleColumn(key)}
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+          </div>
+          <div className="form-group">
+            <label htmlFor="export-delimiter">Delimiter</label>
+            <select
+              id="export-delimiter"
+              value={delimiter}
+              onChange={(e) => setDelimiter(e.target.value)}
+            >
+              {CSV_DELIMITERS.map(({ value, label }) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label className="checkbox-option">
+              <input type="checkbox" checked={bom} onChange={(e) => setBom(e.target.checked)} />
+              Include a byte order mark (lets Excel detect UTF-8 names)
+            </label>
+          </div>
+          <div className="form-actions">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={isExporting}>
+              {isExporting ? 'Exporting...' : 'Download CSV'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ExportModal;
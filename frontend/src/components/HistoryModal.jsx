@@ -0,0 +1,163 @@
+import { useState, useEffect } from 'react';
+import { NURSE_COLUMNS } from '../columns';
+import { NURSE_SCHEMA } from '../validation';
+
+const ACTION_LABELS = {
+  create: 'Created',
+  update: 'Updated',
+  delete: 'Deleted',
+  restore: 'Restored',
+  purge: 'Purged',
+  import: 'Imported',
+  revert: 'Reverted',
+  merge: 'Merged',
+};
+
+// Roster column labels, falling back to the form labels for fields that
+// aren't shown in the roster
+const FIELD_LABELS = {
+  ...Object.fromEntries(Object.entries(NURSE_SCHEMA).map(([field, rules]) => [field, rules.label])),
+  ...Object.fromEntries(NURSE_COLUMNS.map(({ key, label }) => [key, label])),
+  primary_unit_id: 'Unit',
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return value;
+};
+
+// Format an SQLite UTC timestamp in the browser's local time
+const formatTimestamp = (timestamp) =>
+  new Date(`${timestamp.replace(' ', 'T')}Z`).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+
+// History Modal Component - a nurse's change timeline with revert
+const HistoryModal = ({ nurse, customFields, units, onClose, onFetchHistory, onRevert, canRevert }) => {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formError, setFormError] = useState('');
+  const [revertingId, setRevertingId] = useState(null);
+
+  useEffect(() => {
+    if (!nurse) return;
+
+    const loadHistory = async () => {
+      setLoading(true);
+      setFormError('');
+      try {
+        setHistory(await onFetchHistory(nurse.id));
+      } catch (err) {
+        setFormError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadHistory();
+  }, [nurse, onFetchHistory]);
+
+  const handleRevert = async (entry) => {
+    if (!window.confirm(`Revert ${nurse.name} to the version from ${formatTimestamp(entry.created_at)}?`)) {
+      return;
+    }
+
+    setRevertingId(entry.id);
+    setFormError('');
+    try {
+      await onRevert(nurse.id, entry.id);
+      setHistory(await onFetchHistory(nurse.id));
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setRevertingId(null);
+    }
+  };
+
+  // Custom field changes are listed as "custom_fields.<key>"; fields deleted
+  // since show their key
+  const fieldLabel = (field) =>
+    FIELD_LABELS[field] ||
+    customFields.find(({ key }) => field === `custom_fields.${key}`)?.label ||
+    field.replace(/^custom_fields\./, '');
+
+  // Units are recorded by id; units deleted since show their id
+  const changeValue = (field, value) => {
+    if (field !== 'primary_unit_id' || value === null || value === undefined) return formatValue(value);
+    return units.find((unit) => unit.id === value)?.name || `Unit #${value}`;
+  };
+
+  if (!nurse) return null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal modal-wide" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>🕘 History: {nurse.name}</h2>
+          <button className="modal-close" onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <div className="modal-body">
+          {formError && <div className="error-message">⚠️ {formError}</div>}
+          {loading ? (
+            <div className="loading">
+              <div className="spinner"></div>
+              <span>Loading history...</span>
+            </div>
+          ) : history.length === 0 ? (
+            <p className="form-hint">No changes have been recorded for this nurse.</p>
+          ) : (
+            <ol className="timeline">
+              {history.map((entry, index) => (
+                <li key={entry.id} className="timeline-entry">
+                  <div className="timeline-header">
+                    <span className={`status-badge action-${entry.action}`}>
+                      {ACTION_LABELS[entry.action] || entry.action}
+                    </span>
+                    <span className="timeline-meta">
+                      {formatTimestamp(entry.created_at)} by {entry.username || 'unknown user'}
+                      {entry.merged_nurse_id && ` · combined with duplicate record #${entry.merged_nurse_id}`}
+                    </span>
+                    {/* The newest entry is the current version, so there is nothing to revert to */}
+                    {canRevert && index > 0 && entry.after && (
+                      <button
+                        className="btn btn-small"
+                        onClick={() => handleRevert(entry)}
+                        disabled={revertingId !== null}
+                      >
+                        {revertingId === entry.id ? 'Reverting...' : '↩ Revert to this version'}
+                      </button>
+                    )}
+                  </div>
+                  {entry.changes.length > 0 && (
+                    <ul className="timeline-changes">
+                      {entry.changes.map((change) => (
+                        <li key={change.field}>
+                          <strong>{fieldLabel(change.field)}:</strong>{' '}
+                          {entry.action !== 'create' && (
+                            <>
+                              <span className="value-before">{changeValue(change.field, change.before)}</span>
+                              {' → '}
+                            </>
+                          )}
+                          <span className="value-after">{changeValue(change.field, change.after)}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HistoryModal;
@@ -0,0 +1,250 @@
+import { useState, useEffect } from 'react';
+import * as XLSX from 'xlsx';
+import { IMPORT_COLUMNS, OPTIONAL_IMPORT_COLUMNS, customFieldColumns } from '../columns';
+
+// Labels shown for each row status in the validation report
+const STATUS_LABELS = {
+  create: 'New',
+  update: 'Update',
+  skip: 'Skip',
+  error: 'Error',
+};
+
+// Match a header cell to a nurse field by export label or field name, profile
+// and custom fields included (as "custom_fields.<key>"). Other columns (such
+// as Age in an export) are ignored.
+const headerToField = (header, customFields) => {
+  const normalized = header.toString().trim().toLowerCase();
+  const column = [...IMPORT_COLUMNS, ...OPTIONAL_IMPORT_COLUMNS, ...customFieldColumns(customFields)].find(
+    ({ key, label }) => label.toLowerCase() === normalized || key === normalized
+  );
+  return column ? column.key : null;
+};
+
+// Read the first sheet of a CSV or XLSX file into nurse row objects, with
+// custom field cells under custom_fields
+const readNurseRows = async (file, customFields) => {
+  const buffer = await file.arrayBuffer();
+  const workbook = XLSX.read(buffer, { type: 'array', dateNF: 'yyyy-mm-dd' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const records = XLSX.utils.sheet_to_json(sheet, {
+    raw: false,
+    dateNF: 'yyyy-mm-dd',
+    defval: '',
+  });
+
+  if (records.length === 0) {
+    throw new Error('The file has no data rows');
+  }
+
+  const fields = Object.keys(records[0]).map((header) => headerToField(header, customFields));
+  const missing = IMPORT_COLUMNS.filter(({ key }) => !fields.includes(key));
+  if (missing.length > 0) {
+    throw new Error(`Missing columns: ${missing.map(({ label }) => label).join(', ')}`);
+  }
+
+  return records.map((record) => {
+    const row = {};
+    Object.entries(record).forEach(([header, value]) => {
+      const field = headerToField(header, customFields);
+      if (field?.startsWith('custom_fields.')) {
+        row.custom_fields = { ...row.custom_fields, [field.slice('custom_fields.'.length)]: value };
+      } else if (field) {
+        row[field] = value;
+      }
+    });
+    return row;
+  });
+};
+
+// Import Modal Component - validates a spreadsheet with a dry run before importing
+const ImportModal = ({ isOpen, onClose, customFields, onImport }) => {
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState([]);
+  const [mode, setMode] = useState('skip');
+  const [report, setReport] = useState(null);
+  const [formError, setFormError] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+
+  useEffect(() => {
+    setFileName('');
+    setRows([]);
+    setMode('skip');
+    setReport(null);
+    setFormError('');
+  }, [isOpen]);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    setReport(null);
+    setFormError('');
+    setRows([]);
+    setFileName(file ? file.name : '');
+    if (!file) return;
+
+    try {
+      setRows(await readNurseRows(file, customFields));
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  // A report is only valid for the mode it was produced with
+  const handleModeChange = (e) => {
+    setMode(e.target.value);
+    setReport(null);
+  };
+
+  const runImport = async (dryRun) => {
+    setFormError('');
+    setIsWorking(true);
+    try {
+      const result = await onImport(rows, { mode, dryRun });
+      if (dryRun) {
+        setReport(result);
+      } else {
+        onClose();
+      }
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const writableCount = report ? report.summary.create + report.summary.update : 0;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal modal-wide" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>📤 Import Nurses</h2>
+          <button className="modal-close" onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <div className="modal-body">
+          {formError && <div className="error-message">⚠️ {formError}</div>}
+          <div className="form-group">
+            <label htmlFor="import-file">CSV or XLSX file</label>
+            <input
+              type="file"
+              id="import-file"
+              accept=".csv,.xlsx,.xls"
+              onChange={handleFileChange}
+            />
+            <p className="form-hint">
+              Use the same columns as the export:{' '}
+              {IMPORT_COLUMNS.map(({ label }) => label).join(', ')}, and optionally{' '}
+              {OPTIONAL_IMPORT_COLUMNS.map(({ label }) => label).join(', ')}. Age is worked out
+              from the date of birth.
+              {customFields.length > 0 &&
+                ` Custom field columns (${customFields.map(({ label }) => label).join(', ')}) are
+                imported too; an update keeps the values of any left out.`}
+            </p>
+          </div>
+          {rows.length > 0 && (
+            <p className="import-file-info">
+              {rows.length} row{rows.length !== 1 ? 's' : ''} read from {fileName}
+            </p>
+          )}
+          <div className="form-group">
+            <label>Existing license numbers</label>
+            <div className="radio-group">
+              <label>
+                <input
+                  type="radio"
+                  name="mode"
+                  value="skip"
+                  checked={mode === 'skip'}
+                  onChange={handleModeChange}
+                />
+                Skip those rows
+              </label>
+              <label>
+                <input
+                  type="radio"
+                  name="mode"
+                  value="upsert"
+                  checked={mode === 'upsert'}
+                  onChange={handleModeChange}
+                />
+                Update the existing nurse
+              </label>
+            </div>
+          </div>
+
+          {report && (
+            <div className="import-report">
+              <div className="import-summary">
+                {Object.keys(STATUS_LABELS).map((status) => (
+                  <span key={status} className={`status-badge status-${status}`}>
+                    {STATUS_LABELS[status]}: {report.summary[status]}
+                  </span>
+                ))}
+              </div>
+              <div className="import-report-table">
+                <table className="nurses-table">
+                  <thead>
+                    <tr>
+                      <th>Row</th>
+                      <th>Name</th>
+                      <th>License Number</th>
+                      <th>Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.rows.map((row) => (
+                      <tr key={row.row}>
+                        <td>{row.row}</td>
+                        <td>{row.name}</td>
+                        <td>
+                          <span className="license-cell">{row.license_number}</span>
+                        </td>
+                        <td>
+                          <span className={`status-badge status-${row.status}`}>
+                            {STATUS_LABELS[row.status]}
+                          </span>
+                          {row.message && <span className="row-message">{row.message}</span>}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          <div className="form-actions">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            {report ? (
+              <button
+                type="button"
+                className="btn btn-primary"
+                onClick={() => runImport(false)}
+                disabled={isWorking || writableCount === 0}
+              >
+                {isWorking ? 'Importing...' : `Import ${writableCount} Row${writableCount !== 1 ? 's' : ''}`}
+              </button>
+            ) : (
+              <button
+                type="button"
+                className="btn btn-primary"
+                onClick={() => runImport(true)}
+                disabled={isWorking || rows.length === 0}
+              >
+                {isWorking ? 'Validating...' : 'Validate'}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportModal;
@@ -0,0 +1,206 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch, ensureOk, buildQueryString } from '../api';
+
+// Keep in step with LEAVE_TYPES in backend/routes/leave.js
+export const LEAVE_TYPE_LABELS = {
+  vacation: 'Vacation',
+  sick: 'Sick',
+  training: 'Training',
+};
+
+export const LEAVE_STATUS_LABELS = {
+  pending: 'Pending',
+  approved: 'Approved',
+  rejected: 'Rejected',
+};
+
+// How far ahead the upcoming leave list looks
+const UPCOMING_DAYS = 60;
+
+// Format a Date as a local YYYY-MM-DD string
+const toISODate = (date) =>
+  [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+  ].join('-');
+
+export const formatLeaveDates = (request) =>
+  request.start_date === request.end_date
+    ? request.start_date
+    : `${request.start_date} – ${request.end_date}`;
+
+// Leave Panel Component - the approval queue of pending leave requests and
+// the approved leave coming up
+const LeavePanel = ({ canEdit, onNotify, onOpenNurse }) => {
+  const [pending, setPending] = useState([]);
+  const [upcoming, setUpcoming] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [reviewingId, setReviewingId] = useState(null);
+
+  const fetchLeave = useCallback(async () => {
+    setLoading(true);
+    try {
+      const today = new Date();
+      const upcomingQuery = buildQueryString({
+        status: 'approved',
+        from: toISODate(today),
+        to: toISODate(new Date(today.getFullYear(), today.getMonth(), today.getDate() + UPCOMING_DAYS)),
+      });
+      const [pendingResponse, upcomingResponse] = await Promise.all([
+        apiFetch('/api/v1/leave-requests?status=pending'),
+        apiFetch(`/api/v1/leave-requests?${upcomingQuery}`),
+      ]);
+      await ensureOk(pendingResponse, 'Failed to fetch leave requests');
+      await ensureOk(upcomingResponse, 'Failed to fetch leave requests');
+      setPending(await pendingResponse.json());
+      setUpcoming(await upcomingResponse.json());
+    } catch (err) {
+      onNotify(err.message, 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [onNotify]);
+
+  useEffect(() => {
+    fetchLeave();
+  }, [fetchLeave]);
+
+  const review = async (request, action) => {
+    let note = '';
+    if (action === 'reject') {
+      note = window.prompt(`Reject ${request.nurse_name}'s leave? Add a note (optional):`, '');
+      if (note === null) return;
+    }
+
+    setReviewingId(request.id);
+    try {
+      await ensureOk(
+        await apiFetch(`/api/v1/leave-requests/${request.id}/${action}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ note }),
+        }),
+        `Failed to ${action} leave request`
+      );
+      onNotify(`Leave ${action === 'approve' ? 'approved' : 'rejected'} for ${request.nurse_name}`);
+      await fetchLeave();
+    } catch (err) {
+      onNotify(err.message, 'error');
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
+  const nurseLink = (request) => (
+    <button
+      className="link-button"
+      onClick={() => onOpenNurse({ id: request.nurse_id, name: request.nurse_name })}
+    >
+      {request.nurse_name}
+    </button>
+  );
+
+  return (
+    <>
+      <section className="dashboard-panel">
+        <div className="dashboard-header">
+          <h2>📥 Approval Queue ({pending.length})</h2>
+          {loading && <div className="spinner"></div>}
+        </div>
+        {pending.length === 0 ? (
+          <p className="form-hint">No leave requests waiting for approval.</p>
+        ) : (
+          <table className="nurses-table">
+            <thead>
+              <tr>
+                <th>Nurse</th>
+                <th>Type</th>
+                <th>Dates</th>
+                <th>Days</th>
+                <th>Reason</th>
+                <th>Requested</th>
+                {canEdit && <th>Actions</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {pending.map((request) => (
+                <tr key={request.id}>
+                  <td className="name-cell">{nurseLink(request)}</td>
+                  <td>
+                    <span className={`status-badge leave-${request.leave_type}`}>
+                      {LEAVE_TYPE_LABELS[request.leave_type]}
+                    </span>
+                  </td>
+                  <td>{formatLeaveDates(request)}</td>
+                  <td>{request.days}</td>
+                  <td>{request.reason || '—'}</td>
+                  <td className="cell-note">
+                    {request.created_at.slice(0, 10)}
+                    {request.requested_by_username && ` by ${request.requested_by_username}`}
+                  </td>
+                  {canEdit && (
+                    <td className="actions-cell">
+                      <button
+                        className="btn btn-primary btn-small"
+                        onClick={() => review(request, 'approve')}
+                        disabled={reviewingId === request.id}
+                      >
+                        Approve
+                      </button>
+                      <button
+                        className="btn btn-danger btn-small"
+                        onClick={() => review(request, 'reject')}
+                        disabled={reviewingId === request.id}
+                      >
+                        Reject
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      <section className="dashboard-panel">
+        <div className="dashboard-header">
+          <h2>🌴 Upcoming Leave (next {UPCOMING_DAYS} days)</h2>
+        </div>
+        {upcoming.length === 0 ? (
+          <p className="form-hint">No approved leave coming up.</p>
+        ) : (
+          <table className="nurses-table">
+            <thead>
+              <tr>
+                <th>Nurse</th>
+                <th>Type</th>
+                <th>Dates</th>
+                <th>Days</th>
+                <th>Approved By</th>
+              </tr>
+            </thead>
+            <tbody>
+              {upcoming.map((request) => (
+                <tr key={request.id}>
+                  <td className="name-cell">{nurseLink(request)}</td>
+                  <td>
+                    <span className={`status-badge leave-${request.leave_type}`}>
+                      {LEAVE_TYPE_LABELS[request.leave_type]}
+                    </span>
+                  </td>
+                  <td>{formatLeaveDates(request)}</td>
+                  <td>{request.days}</td>
+                  <td>{request.reviewed_by_username || '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </>
+  );
+};
+
+export default LeavePanel;
@@ -0,0 +1,222 @@
+import { useState, useEffect } from 'react';
+import { apiFetch, ensureOk } from '../api';
+import { NURSE_SCHEMA, optionLabel } from '../validation';
+import { customFieldValue } from '../columns';
+
+// Fields a merge can take from either record; keep in step with MERGE_FIELDS
+// in backend/routes/duplicates.js
+const MERGE_FIELDS = [
+  ...Object.entries(NURSE_SCHEMA).map(([key, rules]) => ({ key, label: rules.label })),
+  { key: 'primary_unit_id', label: 'Unit' },
+  { key: 'photo_filename', label: 'Photo' },
+  { key: 'emergency_contacts', label: 'Emergency contacts' },
+  { key: 'custom_fields', label: 'Other details' },
+];
+
+const isEmpty = (value) =>
+  value === null ||
+  value === undefined ||
+  value === '' ||
+  (Array.isArray(value) && value.length === 0) ||
+  (typeof value === 'object' && Object.keys(value).length === 0);
+
+// Compare field values; contacts are compared by what they say, not their ids
+const sameValue = (key, a, b) => {
+  if (key === 'emergency_contacts') {
+    return (
+      JSON.stringify(a.map(({ id: _id, ...contact }) => contact)) ===
+      JSON.stringify(b.map(({ id: _id, ...contact }) => contact))
+    );
+  }
+  if (key === 'custom_fields') return JSON.stringify(a) === JSON.stringify(b);
+  return (isEmpty(a) && isEmpty(b)) || a === b;
+};
+
+// For each field, the nurse whose value the merge keeps: the kept record's,
+// unless only the other record has one
+const defaultChoices = (kept, other) =>
+  Object.fromEntries(
+    MERGE_FIELDS.map(({ key }) => [key, isEmpty(kept[key]) && !isEmpty(other[key]) ? other.id : kept.id])
+  );
+
+// Merge Modal Component - review two records of the same person side by
+// side, pick which record survives and, per field, whose value it keeps
+const MergeModal = ({ pair, unitNames, customFields, onClose, onMerged }) => {
+  const [nurses, setNurses] = useState(null);
+  const [keptId, setKeptId] = useState(pair.nurses[0].id);
+  const [choices, setChoices] = useState({});
+  const [formError, setFormError] = useState('');
+  // What blocked the last merge attempt: clashing shifts, leave or allowances
+  const [conflicts, setConflicts] = useState([]);
+  const [isMerging, setIsMerging] = useState(false);
+
+  // Merges start from the full profiles, since list rows leave out the
+  // emergency contacts
+  useEffect(() => {
+    const fetchNurses = async () => {
+      try {
+        const responses = await Promise.all(pair.nurses.map(({ id }) => apiFetch(`/api/v1/nurses/${id}`)));
+        await Promise.all(responses.map((response) => ensureOk(response, 'Failed to fetch nurse')));
+        const [first, second] = await Promise.all(responses.map((response) => response.json()));
+        setNurses([first, second]);
+        setChoices(defaultChoices(first, second));
+      } catch (err) {
+        setFormError(err.message);
+      }
+    };
+    fetchNurses();
+  }, [pair]);
+
+  const chooseKept = (id) => {
+    const [first, second] = id === nurses[0].id ? nurses : [...nurses].reverse();
+    setKeptId(id);
+    setChoices(defaultChoices(first, second));
+  };
+
+  const formatValue = (key, nurse) => {
+    const value = nurse[key];
+    if (isEmpty(value)) return '—';
+    if (key === 'primary_unit_id') return unitNames[value] || `Unit ${value}`;
+    if (key === 'photo_filename') return `Record #${nurse.id}'s photo`;
+    if (key === 'emergency_contacts') return value.map((contact) => contact.name).join(', ');
+    if (key === 'custom_fields') {
+      return customFields
+        .filter((field) => customFieldValue(field, nurse) !== null)
+        .map((field) => `${field.label}: ${customFieldValue(field, nurse)}`)
+        .join(', ');
+    }
+    if (NURSE_SCHEMA[key]?.options) return optionLabel(key, value);
+    return value;
+  };
+
+  const handleMerge = async () => {
+    const duplicate = nurses.find((nurse) => nurse.id !== keptId);
+    const kept = nurses.find((nurse) => nurse.id === keptId);
+    if (
+      !window.confirm(
+        `Merge ${duplicate.name} (${duplicate.license_number}) into ${kept.name} (${kept.license_number})? ` +
+          'The merged-in record is deleted for good.'
+      )
+    ) {
+      return;
+    }
+
+    setFormError('');
+    setConflicts([]);
+    setIsMerging(true);
+    try {
+      const response = await ensureOk(
+        await apiFetch(`/api/v1/nurses/${keptId}/merge`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ duplicate_id: duplicate.id, fields: choices }),
+        }),
+        'Failed to merge nurses'
+      );
+      onMerged(await response.json());
+    } catch (err) {
+      setFormError(err.message);
+      setConflicts(err.conflicts || []);
+      setIsMerging(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal modal-wide" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>🔀 Merge Duplicate Records</h2>
+          <button className="modal-close" onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <div className="modal-body">
+          {formError && <div className="error-message">⚠️ {formError}</div>}
+          {conflicts.length > 0 && (
+            <ul className="bulk-failures">
+              {conflicts.map((conflict) => (
+                <li key={conflict.message}>
+                  <span className="status-badge status-error">Conflict</span> {conflict.message}
+                </li>
+              ))}
+            </ul>
+          )}
+          {!nurses ? (
+            !formError && (
+              <div className="loading">
+                <div className="spinner"></div>
+                <span>Loading records...</span>
+              </div>
+            )
+          ) : (
+            <>
+              <p className="form-hint">
+                Choose the record to keep and, where the records differ, which value to keep. The other
+                record's licenses, shifts, documents, leave and training move to the kept record, and the
+                other record is then deleted.
+              </p>
+              <table className="nurses-table merge-table">
+                <thead>
+                  <tr>
+                    <th>Field</th>
+                    {nurses.map((nurse) => (
+                      <th key={nurse.id}>
+                        <label className="checkbox-option">
+                          <input
+                            type="radio"
+                            name="kept_nurse"
+                            checked={keptId === nurse.id}
+                            onChange={() => chooseKept(nurse.id)}
+                          />
+                          Keep record #{nurse.id}
+                        </label>
+                        <div className="cell-note">Added {nurse.created_at.slice(0, 10)}</div>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {MERGE_FIELDS.map(({ key, label }) => {
+                    const same = sameValue(key, nurses[0][key], nurses[1][key]);
+                    return (
+                      <tr key={key} className={same ? '' : 'merge-differs'}>
+                        <td className="name-cell">{label}</td>
+                        {same ? (
+                          <td colSpan={2}>{formatValue(key, nurses[0])}</td>
+                        ) : (
+                          nurses.map((nurse) => (
+                            <td key={nurse.id}>
+                              <label className="checkbox-option">
+                                <input
+                                  type="radio"
+                                  name={`merge_${key}`}
+                                  checked={choices[key] === nurse.id}
+                                  onChange={() => setChoices((prev) => ({ ...prev, [key]: nurse.id }))}
+                                />
+                                {formatValue(key, nurse)}
+                              </label>
+                            </td>
+                          ))
+                        )}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              <div className="form-actions">
+                <button type="button" className="btn btn-secondary" onClick={onClose}>
+                  Cancel
+                </button>
+                <button type="button" className="btn btn-primary" onClick={handleMerge} disabled={isMerging}>
+                  {isMerging ? 'Merging...' : 'Merge Records'}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MergeModal;
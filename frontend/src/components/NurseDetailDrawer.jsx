@@ -0,0 +1,286 @@
+import { useState, useEffect, useRef } from 'react';
+import { apiFetch, ensureOk } from '../api';
+import { optionLabel } from '../validation';
+import { customFieldValue } from '../columns';
+import NurseDocuments from './NurseDocuments';
+import NurseLeave from './NurseLeave';
+import NurseTraining from './NurseTraining';
+
+const PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_PHOTO_BYTES = 2 * 1024 * 1024;
+
+const DRAWER_TABS = [
+  { key: 'profile', label: 'Profile' },
+  { key: 'documents', label: 'Attachments' },
+  { key: 'leave', label: 'Leave' },
+  { key: 'training', label: 'Training' },
+];
+
+// Nurse Photo Component - the profile photo, fetched with the session token
+// since an <img> can't send it
+const NursePhoto = ({ nurse }) => {
+  const [photoUrl, setPhotoUrl] = useState(null);
+
+  useEffect(() => {
+    if (!nurse.photo_filename) {
+      setPhotoUrl(null);
+      return undefined;
+    }
+    let objectUrl = null;
+    let cancelled = false;
+    const fetchPhoto = async () => {
+      try {
+        const response = await ensureOk(await apiFetch(`/api/v1/nurses/${nurse.id}/photo`), 'Failed to load photo');
+        objectUrl = URL.createObjectURL(await response.blob());
+        if (!cancelled) setPhotoUrl(objectUrl);
+      } catch {
+        if (!cancelled) setPhotoUrl(null);
+      }
+    };
+    fetchPhoto();
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [nurse.id, nurse.photo_filename]);
+
+  return photoUrl ? (
+    <img className="profile-photo" src={photoUrl} alt={nurse.name} />
+  ) : (
+    <div className="profile-photo profile-photo-empty" aria-label="No photo">
+      {nurse.name.charAt(0)}
+    </div>
+  );
+};
+
+// Nurse Detail Drawer Component - the full profile of a nurse, opened from
+// the roster, with its attached documents, leave and training on further tabs.
+// Reloads whenever the nurse changes.
+const NurseDetailDrawer = ({ nurse, unitNames, customFields, canEdit, onClose, onEdit, onNotify, onChanged }) => {
+  const [profile, setProfile] = useState(null);
+  const [error, setError] = useState('');
+  const [isUploading, setIsUploading] = useState(false);
+  const [activeTab, setActiveTab] = useState('profile');
+  const fileInputRef = useRef(null);
+
+  const profileUrl = nurse ? `/api/v1/nurses/${nurse.id}` : null;
+
+  useEffect(() => {
+    if (!profileUrl) {
+      setProfile(null);
+      return;
+    }
+    setError('');
+    const fetchProfile = async () => {
+      try {
+        const url = nurse.deleted_at ? `${profileUrl}?trash=true` : profileUrl;
+        const response = await ensureOk(await apiFetch(url), 'Failed to fetch nurse');
+        setProfile(await response.json());
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    fetchProfile();
+  }, [profileUrl, nurse?.version, nurse?.photo_filename, nurse?.deleted_at]);
+
+  // Upload (or, with no file, remove) the profile photo
+  const savePhoto = async (file) => {
+    if (file && !PHOTO_TYPES.includes(file.type)) {
+      onNotify('Photo must be a JPEG, PNG or WebP image', 'error');
+      return;
+    }
+    if (file && file.size > MAX_PHOTO_BYTES) {
+      onNotify('Photo must be at most 2 MB', 'error');
+      return;
+    }
+
+    setIsUploading(true);
+    try {
+      const request = file
+        ? { method: 'PUT', headers: { 'Content-Type': file.type }, body: file }
+        : { method: 'DELETE' };
+      const response = await ensureOk(
+        await apiFetch(`${profileUrl}/photo`, request),
+        file ? 'Failed to upload photo' : 'Failed to remove photo'
+      );
+      const updated = await response.json();
+      setProfile((prev) => ({ ...prev, ...updated }));
+      onNotify(file ? 'Photo updated' : 'Photo removed');
+      onChanged();
+    } catch (err) {
+      onNotify(err.message, 'error');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (file) savePhoto(file);
+  };
+
+  if (!nurse) return null;
+
+  const details = profile && [
+    {
+      title: 'Basic Info',
+      rows: [
+        ['License Number', profile.license_number],
+        ['Date of Birth', profile.dob],
+        ['Age', profile.age],
+      ],
+    },
+    {
+      title: 'Contact',
+      rows: [
+        ['Email', profile.email && <a href={`mailto:${profile.email}`}>{profile.email}</a>],
+        ['Phone', profile.phone && <a href={`tel:${profile.phone}`}>{profile.phone}</a>],
+        ['Address', profile.address],
+      ],
+    },
+    {
+      title: 'Employment',
+      rows: [
+        ['Hire Date', profile.hire_date],
+        ['Employment Type', optionLabel('employment_type', profile.employment_type)],
+        ['Status', optionLabel('employment_status', profile.employment_status)],
+        ['Job Role', optionLabel('job_role', profile.job_role)],
+        ['Primary Unit', unitNames[profile.primary_unit_id]],
+      ],
+    },
+    ...(customFields.length > 0
+      ? [
+          {
+            title: 'Other Details',
+            rows: customFields.map((field) => [field.label, customFieldValue(field, profile)]),
+          },
+        ]
+      : []),
+  ];
+
+  return (
+    <div className="drawer-overlay" onClick={onClose}>
+      <aside className="drawer" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>👤 Nurse Profile</h2>
+          <button className="modal-close" onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <div className="drawer-body">
+          {error && <div className="error-message">⚠️ {error}</div>}
+          {!profile && !error && <p className="form-hint">Loading...</p>}
+          {profile && (
+            <>
+              <div className="profile-header">
+                <NursePhoto nurse={profile} />
+                <div>
+                  <h3>{profile.name}</h3>
+                  <span className={`status-badge employment-${profile.employment_status}`}>
+                    {optionLabel('employment_status', profile.employment_status)}
+                  </span>
+                  {profile.deleted_at && <span className="status-badge status-error">In trash</span>}
+                  {canEdit && !profile.deleted_at && (
+                    <div className="profile-actions">
+                      <button className="btn btn-small" onClick={() => onEdit(profile)}>
+                        ✏️ Edit
+                      </button>
+                      <button
+                        className="btn btn-small"
+                        onClick={() => fileInputRef.current.click()}
+                        disabled={isUploading}
+                      >
+                        📷 {profile.photo_filename ? 'Change Photo' : 'Add Photo'}
+                      </button>
+                      {profile.photo_filename && (
+                        <button className="btn btn-small" onClick={() => savePhoto(null)} disabled={isUploading}>
+                          Remove Photo
+                        </button>
+                      )}
+                      <input
+                        ref={fileInputRef}
+                        type="file"
+                        accept={PHOTO_TYPES.join(',')}
+                        onChange={handleFileChange}
+                        hidden
+                      />
+                    </div>
+                  )}
+                </div>
+              </div>
+
+              <div className="section-tabs">
+                {DRAWER_TABS.map(({ key, label }) => (
+                  <button
+                    key={key}
+                    type="button"
+                    className={`section-tab ${activeTab === key ? 'active' : ''}`}
+                    onClick={() => setActiveTab(key)}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+
+              {activeTab === 'documents' && (
+                <NurseDocuments nurse={profile} canEdit={canEdit} onNotify={onNotify} />
+              )}
+
+              {activeTab === 'leave' && <NurseLeave nurse={profile} canEdit={canEdit} onNotify={onNotify} />}
+
+              {activeTab === 'training' && (
+                <NurseTraining nurse={profile} canEdit={canEdit} onNotify={onNotify} />
+              )}
+
+              {activeTab === 'profile' && (
+                <>
+                  {details.map(({ title, rows }) => (
+                    <section key={title} className="profile-section">
+                      <h4>{title}</h4>
+                      <dl className="profile-details">
+                        {rows.map(([label, value]) => (
+                          <div key={label}>
+                            <dt>{label}</dt>
+                            <dd>{value === null || value === undefined || value === '' ? '—' : value}</dd>
+                          </div>
+                        ))}
+                      </dl>
+                    </section>
+                  ))}
+
+                  <section className="profile-section">
+                    <h4>Emergency Contacts</h4>
+                    {profile.emergency_contacts.length === 0 ? (
+                      <p className="form-hint">No emergency contacts recorded.</p>
+                    ) : (
+                      <ul className="contact-cards">
+                        {profile.emergency_contacts.map((contact) => (
+                          <li key={contact.id}>
+                            <strong>{contact.name}</strong>
+                            {contact.relationship && <span className="cell-note"> · {contact.relationship}</span>}
+                            <div>
+                              <a href={`tel:${contact.phone}`}>{contact.phone}</a>
+                              {contact.email && (
+                                <>
+                                  {' · '}
+                                  <a href={`mailto:${contact.email}`}>{contact.email}</a>
+                                </>
+                              )}
+                            </div>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </section>
+                </>
+              )}
+            </>
+          )}
+        </div>
+      </aside>
+    </div>
+  );
+};
+
+export default NurseDetailDrawer;
@@ -0,0 +1,216 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch, ensureOk, buildQueryString, downloadFile } from '../api';
+
+// Keep in step with DOCUMENT_CATEGORIES in backend/routes/documents.js
+export const DOCUMENT_TYPE_LABELS = {
+  certificate: 'Certificate',
+  vaccination: 'Vaccination Record',
+  id: 'ID Scan',
+  contract: 'Contract',
+  other: 'Other',
+};
+
+const DOCUMENT_FILE_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp'];
+const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+
+const EMPTY_UPLOAD = { document_type: 'certificate', expiry_date: '', file: null };
+
+// Today's date as YYYY-MM-DD, for comparing against expiry dates
+const today = () => new Date().toISOString().slice(0, 10);
+
+const formatSize = (bytes) =>
+  bytes < 1024 * 1024 ? `${Math.max(1, Math.round(bytes / 1024))} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+// Nurse Documents Component - the attachments tab of the nurse detail drawer:
+// certificates, vaccination records and ID scans, uploadable by HR editors
+const NurseDocuments = ({ nurse, canEdit, onNotify }) => {
+  const [documents, setDocuments] = useState([]);
+  const [upload, setUpload] = useState(EMPTY_UPLOAD);
+  const [formError, setFormError] = useState('');
+  const [isUploading, setIsUploading] = useState(false);
+  // Remounts the file input to clear it after an upload
+  const [fileInputKey, setFileInputKey] = useState(0);
+
+  const documentsUrl = `/api/v1/nurses/${nurse.id}/documents`;
+
+  const fetchDocuments = useCallback(async () => {
+    try {
+      const response = await ensureOk(await apiFetch(documentsUrl), 'Failed to fetch documents');
+      setDocuments(await response.json());
+    } catch (err) {
+      setFormError(err.message);
+    }
+  }, [documentsUrl]);
+
+  useEffect(() => {
+    fetchDocuments();
+  }, [fetchDocuments]);
+
+  const handleChange = (e) => {
+    const { name, value, files } = e.target;
+    setUpload((prev) => ({ ...prev, [name]: files ? files[0] || null : value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError('');
+
+    const { file } = upload;
+    if (!file) {
+      setFormError('Choose a file to upload');
+      return;
+    }
+    if (!DOCUMENT_FILE_TYPES.includes(file.type)) {
+      setFormError('Document must be a PDF, JPEG, PNG or WebP file');
+      return;
+    }
+    if (file.size > MAX_DOCUMENT_BYTES) {
+      setFormError('Document must be at most 10 MB');
+      return;
+    }
+
+    setIsUploading(true);
+    try {
+      const query = buildQueryString({
+        document_type: upload.document_type,
+        expiry_date: upload.expiry_date,
+        filename: file.name,
+      });
+      await ensureOk(
+        await apiFetch(`${documentsUrl}?${query}`, {
+          method: 'POST',
+          headers: { 'Content-Type': file.type },
+          body: file,
+        }),
+        'Failed to upload document'
+      );
+      setUpload(EMPTY_UPLOAD);
+      setFileInputKey((key) => key + 1);
+      await fetchDocuments();
+      onNotify(`Uploaded ${file.name}`);
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleDownload = async (doc) => {
+    try {
+      await downloadFile(`${documentsUrl}/${doc.id}`, 'Failed to download document');
+    } catch (err) {
+      onNotify(err.message, 'error');
+    }
+  };
+
+  const handleDelete = async (doc) => {
+    if (!window.confirm(`Delete ${doc.original_filename}?`)) {
+      return;
+    }
+
+    setFormError('');
+    try {
+      await ensureOk(
+        await apiFetch(`${documentsUrl}/${doc.id}`, { method: 'DELETE' }),
+        'Failed to delete document'
+      );
+      setDocuments((prev) => prev.filter((d) => d.id !== doc.id));
+      onNotify('Document deleted');
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  const editable = canEdit && !nurse.deleted_at;
+
+  return (
+    <div>
+      {formError && <div className="error-message">⚠️ {formError}</div>}
+      {documents.length === 0 ? (
+        <p className="form-hint">No documents attached to this nurse.</p>
+      ) : (
+        <ul className="contact-cards">
+          {documents.map((doc) => (
+            <li key={doc.id} className="document-card">
+              <div>
+                <button className="link-button" onClick={() => handleDownload(doc)}>
+                  📄 {doc.original_filename}
+                </button>
+                <div>
+                  <span className="status-badge">{DOCUMENT_TYPE_LABELS[doc.document_type]}</span>
+                  <span className="cell-note"> · {formatSize(doc.size_bytes)}</span>
+                  {doc.expiry_date && (
+                    <span className={`cell-note ${doc.expiry_date < today() ? 'expired-cell' : ''}`}>
+                      {' · '}
+                      {doc.expiry_date < today() ? 'Expired' : 'Expires'} {doc.expiry_date}
+                    </span>
+                  )}
+                </div>
+                <div className="cell-note">
+                  Uploaded {doc.created_at.slice(0, 10)}
+                  {doc.uploaded_by_username && ` by ${doc.uploaded_by_username}`}
+                </div>
+              </div>
+              {editable && (
+                <button
+                  className="btn btn-danger btn-small"
+                  onClick={() => handleDelete(doc)}
+                  title="Delete"
+                >
+                  🗑️
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {editable && (
+        <form className="credential-form" onSubmit={handleSubmit}>
+          <h3>Upload Document</h3>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="document_type">Type</label>
+              <select id="document_type" name="document_type" value={upload.document_type} onChange={handleChange}>
+                {Object.entries(DOCUMENT_TYPE_LABELS).map(([type, label]) => (
+                  <option key={type} value={type}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="document_expiry_date">Expiry Date</label>
+              <input
+                type="date"
+                id="document_expiry_date"
+                name="expiry_date"
+                value={upload.expiry_date}
+                onChange={handleChange}
+              />
+            </div>
+          </div>
+          <div className="form-group">
+            <label htmlFor="document_file">File</label>
+            <input
+              key={fileInputKey}
+              type="file"
+              id="document_file"
+              name="file"
+              accept={DOCUMENT_FILE_TYPES.join(',')}
+              onChange={handleChange}
+            />
+            <p className="form-hint">PDF, JPEG, PNG or WebP, up to 10 MB</p>
+          </div>
+          <div className="form-actions">
+            <button type="submit" className="btn btn-primary" disabled={isUploading}>
+              {isUploading ? 'Uploading...' : 'Upload'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default NurseDocuments;
@@ -0,0 +1,269 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch, ensureOk, buildQueryString } from '../api';
+import { LEAVE_TYPE_LABELS, LEAVE_STATUS_LABELS, formatLeaveDates } from './LeavePanel';
+
+const EMPTY_REQUEST = { leave_type: 'vacation', start_date: '', end_date: '', reason: '' };
+
+// Nurse Leave Component - the leave tab of the nurse detail drawer: balances
+// per leave type for a year, the nurse's requests and a form to request leave
+const NurseLeave = ({ nurse, canEdit, onNotify }) => {
+  const [year, setYear] = useState(() => new Date().getFullYear());
+  const [balances, setBalances] = useState([]);
+  const [requests, setRequests] = useState([]);
+  const [formData, setFormData] = useState(EMPTY_REQUEST);
+  const [formError, setFormError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const balancesUrl = `/api/v1/nurses/${nurse.id}/leave-balances`;
+  const editable = canEdit && !nurse.deleted_at;
+
+  const fetchLeave = useCallback(async () => {
+    try {
+      const [balancesResponse, requestsResponse] = await Promise.all([
+        apiFetch(`${balancesUrl}?${buildQueryString({ year })}`),
+        apiFetch(`/api/v1/leave-requests?${buildQueryString({ nurse_id: nurse.id })}`),
+      ]);
+      await ensureOk(balancesResponse, 'Failed to fetch leave balances');
+      await ensureOk(requestsResponse, 'Failed to fetch leave requests');
+      setBalances((await balancesResponse.json()).balances);
+      setRequests((await requestsResponse.json()).reverse());
+    } catch (err) {
+      setFormError(err.message);
+    }
+  }, [balancesUrl, nurse.id, year]);
+
+  useEffect(() => {
+    fetchLeave();
+  }, [fetchLeave]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const saveAllowance = async (balance, value) => {
+    if (value === '' || Number(value) === balance.allowance_days) return;
+    try {
+      const response = await ensureOk(
+        await apiFetch(`${balancesUrl}/${balance.leave_type}`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ year, allowance_days: Number(value) }),
+        }),
+        'Failed to update allowance'
+      );
+      setBalances((await response.json()).balances);
+      onNotify(`${LEAVE_TYPE_LABELS[balance.leave_type]} allowance updated`);
+    } catch (err) {
+      onNotify(err.message, 'error');
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError('');
+
+    if (!formData.start_date || !formData.end_date) {
+      setFormError('Start and end dates are required');
+      return;
+    }
+    if (formData.end_date < formData.start_date) {
+      setFormError('End date must be on or after the start date');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await ensureOk(
+        await apiFetch(`/api/v1/nurses/${nurse.id}/leave-requests`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(formData),
+        }),
+        'Failed to request leave'
+      );
+      setFormData(EMPTY_REQUEST);
+      onNotify('Leave requested; it is waiting for approval');
+      await fetchLeave();
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleCancel = async (request) => {
+    const label = LEAVE_TYPE_LABELS[request.leave_type].toLowerCase();
+    if (!window.confirm(`Cancel ${label} leave ${formatLeaveDates(request)}?`)) {
+      return;
+    }
+
+    setFormError('');
+    try {
+      await ensureOk(
+        await apiFetch(`/api/v1/leave-requests/${request.id}`, { method: 'DELETE' }),
+        'Failed to cancel leave request'
+      );
+      onNotify('Leave request cancelled');
+      await fetchLeave();
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  return (
+    <div>
+      {formError && <div className="error-message">⚠️ {formError}</div>}
+
+      <section className="profile-section">
+        <div className="leave-year">
+          <h4>Balances {year}</h4>
+          <div className="page-controls">
+            <button className="btn btn-small" onClick={() => setYear(year - 1)} title="Previous year">
+              ‹
+            </button>
+            <button className="btn btn-small" onClick={() => setYear(year + 1)} title="Next year">
+              ›
+            </button>
+          </div>
+        </div>
+        <table className="nurses-table leave-balances">
+          <thead>
+            <tr>
+              <th>Type</th>
+              <th>Allowance</th>
+              <th>Approved</th>
+              <th>Pending</th>
+              <th>Left</th>
+            </tr>
+          </thead>
+          <tbody>
+            {balances.map((balance) => (
+              <tr key={balance.leave_type}>
+                <td>{LEAVE_TYPE_LABELS[balance.leave_type]}</td>
+                <td>
+                  {editable ? (
+                    <input
+                      key={`${year}-${balance.allowance_days}`}
+                      type="number"
+                      min="0"
+                      className="allowance-input"
+                      defaultValue={balance.allowance_days}
+                      onBlur={(e) => saveAllowance(balance, e.target.value)}
+                      aria-label={`${LEAVE_TYPE_LABELS[balance.leave_type]} allowance`}
+                    />
+                  ) : (
+                    balance.allowance_days
+                  )}
+                </td>
+                <td>{balance.approved_days}</td>
+                <td>{balance.pending_days}</td>
+                <td className={balance.remaining_days < 0 ? 'expired-cell' : ''}>{balance.remaining_days}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+
+      <section className="profile-section">
+        <h4>Requests</h4>
+        {requests.length === 0 ? (
+          <p className="form-hint">No leave requested for this nurse.</p>
+        ) : (
+          <ul className="contact-cards">
+            {requests.map((request) => (
+              <li key={request.id} className="document-card">
+                <div>
+                  <strong>{LEAVE_TYPE_LABELS[request.leave_type]}</strong>
+                  <span className="cell-note">
+                    {' · '}
+                    {formatLeaveDates(request)} ({request.days} day{request.days !== 1 ? 's' : ''})
+                  </span>
+                  <div>
+                    <span className={`status-badge leave-status-${request.status}`}>
+                      {LEAVE_STATUS_LABELS[request.status]}
+                    </span>
+                    {request.reviewed_by_username && (
+                      <span className="cell-note"> by {request.reviewed_by_username}</span>
+                    )}
+                  </div>
+                  {request.reason && <div className="cell-note">{request.reason}</div>}
+                  {request.review_note && <div className="cell-note">Note: {request.review_note}</div>}
+                </div>
+                {editable && (
+                  <button
+                    className="btn btn-danger btn-small"
+                    onClick={() => handleCancel(request)}
+                    title="Cancel request"
+                  >
+                    🗑️
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      {editable && (
+        <form className="credential-form" onSubmit={handleSubmit}>
+          <h3>Request Leave</h3>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="leave_type">Type</label>
+              <select id="leave_type" name="leave_type" value={formData.leave_type} onChange={handleChange}>
+                {Object.entries(LEAVE_TYPE_LABELS).map(([type, label]) => (
+                  <option key={type} value={type}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="leave_start_date">From</label>
+              <input
+                type="date"
+                id="leave_start_date"
+                name="start_date"
+                value={formData.start_date}
+                onChange={handleChange}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="leave_end_date">To</label>
+              <input
+                type="date"
+                id="leave_end_date"
+                name="end_date"
+                value={formData.end_date}
+                min={formData.start_date}
+                onChange={handleChange}
+              />
+            </div>
+          </div>
+          <div className="form-group">
+            <label htmlFor="leave_reason">Reason</label>
+            <input
+              type="text"
+              id="leave_reason"
+              name="reason"
+              value={formData.reason}
+              onChange={handleChange}
+              placeholder="Optional"
+              maxLength={500}
+            />
+          </div>
+          <div className="form-actions">
+            <button type="submit" className="btn btn-primary" disabled={isSaving}>
+              {isSaving ? 'Saving...' : 'Request Leave'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default NurseLeave;
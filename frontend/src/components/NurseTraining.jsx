@@ -0,0 +1,293 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch, ensureOk } from '../api';
+import { COMPETENCY_STATUS_LABELS } from './CompliancePanel';
+
+const EMPTY_RECORD = {
+  course_name: '',
+  provider: '',
+  hours: '',
+  completion_date: '',
+  expiry_date: '',
+  competency_id: '',
+};
+
+// Today's date as YYYY-MM-DD, for comparing against expiry dates
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Nurse Training Component - the training tab of the nurse detail drawer:
+// required competencies and CE hours for the current cycle, and the nurse's
+// training records, editable by HR editors
+const NurseTraining = ({ nurse, canEdit, onNotify }) => {
+  const [records, setRecords] = useState([]);
+  const [competencies, setCompetencies] = useState([]);
+  const [compliance, setCompliance] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_RECORD);
+  // The record being edited, or null when the form adds a new one
+  const [editingId, setEditingId] = useState(null);
+  const [formError, setFormError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const trainingUrl = `/api/v1/nurses/${nurse.id}/training`;
+  const editable = canEdit && !nurse.deleted_at;
+
+  const fetchTraining = useCallback(async () => {
+    try {
+      const responses = await Promise.all([
+        apiFetch(trainingUrl),
+        apiFetch('/api/v1/competencies'),
+        apiFetch(`/api/v1/compliance?nurse_id=${nurse.id}`),
+      ]);
+      await Promise.all(responses.map((response) => ensureOk(response, 'Failed to fetch training')));
+      const [recordsData, competenciesData, complianceData] = await Promise.all(
+        responses.map((response) => response.json())
+      );
+      setRecords(recordsData);
+      setCompetencies(competenciesData);
+      // Trashed nurses aren't part of the compliance report
+      const [nurseCompliance] = complianceData.nurses;
+      setCompliance(nurseCompliance ? { ...nurseCompliance, cycle: complianceData.cycle } : null);
+    } catch (err) {
+      setFormError(err.message);
+    }
+  }, [trainingUrl, nurse.id]);
+
+  useEffect(() => {
+    fetchTraining();
+  }, [fetchTraining]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const startEditing = (record) => {
+    setEditingId(record.id);
+    setFormError('');
+    setFormData({
+      course_name: record.course_name,
+      provider: record.provider || '',
+      hours: String(record.hours),
+      completion_date: record.completion_date,
+      expiry_date: record.expiry_date || '',
+      competency_id: record.competency_id ? String(record.competency_id) : '',
+    });
+  };
+
+  const cancelEditing = () => {
+    setEditingId(null);
+    setFormData(EMPTY_RECORD);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError('');
+
+    if (!formData.course_name.trim() || !formData.completion_date) {
+      setFormError('Course and completion date are required');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await ensureOk(
+        await apiFetch(editingId ? `${trainingUrl}/${editingId}` : trainingUrl, {
+          method: editingId ? 'PUT' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(formData),
+        }),
+        'Failed to save training record'
+      );
+      onNotify(editingId ? 'Training record updated' : 'Training record added');
+      cancelEditing();
+      await fetchTraining();
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (record) => {
+    if (!window.confirm(`Delete the training record for ${record.course_name}?`)) {
+      return;
+    }
+
+    setFormError('');
+    try {
+      await ensureOk(
+        await apiFetch(`${trainingUrl}/${record.id}`, { method: 'DELETE' }),
+        'Failed to delete training record'
+      );
+      onNotify('Training record deleted');
+      await fetchTraining();
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  return (
+    <div>
+      {formError && <div className="error-message">⚠️ {formError}</div>}
+
+      {compliance && (
+        <section className="profile-section">
+          <h4>
+            Compliance{' '}
+            <span className={`status-badge ${compliance.compliant ? 'status-create' : 'status-error'}`}>
+              {compliance.compliant ? 'Compliant' : 'Needs attention'}
+            </span>
+          </h4>
+          <p className="cell-note">
+            CE hours {compliance.cycle.start_date.slice(0, 4)}–{compliance.cycle.end_date.slice(0, 4)}:{' '}
+            <strong className={compliance.ce_hours < compliance.ce_hours_required ? 'expired-cell' : ''}>
+              {compliance.ce_hours} of {compliance.ce_hours_required}
+            </strong>
+          </p>
+          {!compliance.job_role ? (
+            <p className="form-hint">Set a job role to check required competencies.</p>
+          ) : (
+            <div className="competency-badges">
+              {compliance.competencies.map((competency) => (
+                <span
+                  key={competency.competency_id}
+                  className={`status-badge competency-${competency.status}`}
+                  title={competency.expiry_date ? `Expires ${competency.expiry_date}` : undefined}
+                >
+                  {competency.name}: {COMPETENCY_STATUS_LABELS[competency.status]}
+                </span>
+              ))}
+            </div>
+          )}
+        </section>
+      )}
+
+      <section className="profile-section">
+        <h4>Training Records</h4>
+        {records.length === 0 ? (
+          <p className="form-hint">No training logged for this nurse.</p>
+        ) : (
+          <ul className="contact-cards">
+            {records.map((record) => (
+              <li key={record.id} className="document-card">
+                <div>
+                  <strong>{record.course_name}</strong>
+                  {record.competency_name && <span className="status-badge">{record.competency_name}</span>}
+                  <div className="cell-note">
+                    {record.provider && `${record.provider} · `}
+                    {record.hours} h · completed {record.completion_date}
+                  </div>
+                  {record.expiry_date && (
+                    <div className={`cell-note ${record.expiry_date < today() ? 'expired-cell' : ''}`}>
+                      Certification expires {record.expiry_date}
+                    </div>
+                  )}
+                </div>
+                {editable && (
+                  <div className="actions-cell">
+                    <button className="btn btn-small" onClick={() => startEditing(record)} title="Edit">
+                      ✏️
+                    </button>
+                    <button
+                      className="btn btn-danger btn-small"
+                      onClick={() => handleDelete(record)}
+                      title="Delete"
+                    >
+                      🗑️
+                    </button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      {editable && (
+        <form className="credential-form" onSubmit={handleSubmit}>
+          <h3>{editingId ? 'Edit Training' : 'Log Training'}</h3>
+          <div className="form-group">
+            <label htmlFor="course_name">Course</label>
+            <input
+              type="text"
+              id="course_name"
+              name="course_name"
+              value={formData.course_name}
+              onChange={handleChange}
+              placeholder="e.g., BLS Provider"
+            />
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="provider">Provider</label>
+              <input
+                type="text"
+                id="provider"
+                name="provider"
+                value={formData.provider}
+                onChange={handleChange}
+                placeholder="e.g., American Heart Association"
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="hours">CE Hours</label>
+              <input
+                type="number"
+                id="hours"
+                name="hours"
+                min="0"
+                step="0.5"
+                value={formData.hours}
+                onChange={handleChange}
+              />
+            </div>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="completion_date">Completed</label>
+              <input
+                type="date"
+                id="completion_date"
+                name="completion_date"
+                value={formData.completion_date}
+                onChange={handleChange}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="training_expiry_date">Certification Expires</label>
+              <input
+                type="date"
+                id="training_expiry_date"
+                name="expiry_date"
+                value={formData.expiry_date}
+                onChange={handleChange}
+              />
+            </div>
+          </div>
+          <div className="form-group">
+            <label htmlFor="competency_id">Certifies Competency</label>
+            <select id="competency_id" name="competency_id" value={formData.competency_id} onChange={handleChange}>
+              <option value="">None</option>
+              {competencies.map((competency) => (
+                <option key={competency.id} value={competency.id}>
+                  {competency.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="form-actions">
+            {editingId && (
+              <button type="button" className="btn btn-secondary" onClick={cancelEditing}>
+                Cancel Edit
+              </button>
+            )}
+            <button type="submit" className="btn btn-primary" disabled={isSaving}>
+              {isSaving ? 'Saving...' : editingId ? 'Update Record' : 'Add Record'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default NurseTraining;
@@ -0,0 +1,128 @@
+import { useState, useEffect } from 'react';
+import { apiFetch, ensureOk } from '../api';
+
+// Nurse Units Modal Component - move a nurse to a primary unit and pick the units they float to
+const NurseUnitsModal = ({ nurse, units, onClose, canEdit, onSaved }) => {
+  const [primaryUnitId, setPrimaryUnitId] = useState('');
+  const [floatUnitIds, setFloatUnitIds] = useState([]);
+  const [formError, setFormError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const unitsUrl = nurse ? `/api/v1/nurses/${nurse.id}/units` : null;
+
+  useEffect(() => {
+    if (!unitsUrl) return;
+    setFormError('');
+    const fetchAssignment = async () => {
+      try {
+        const response = await ensureOk(await apiFetch(unitsUrl), 'Failed to fetch units');
+        const data = await response.json();
+        setPrimaryUnitId(data.primary_unit_id ? String(data.primary_unit_id) : '');
+        setFloatUnitIds(data.float_unit_ids);
+      } catch (err) {
+        setFormError(err.message);
+      }
+    };
+    fetchAssignment();
+  }, [unitsUrl]);
+
+  const toggleFloatUnit = (unitId) => {
+    setFloatUnitIds((prev) =>
+      prev.includes(unitId) ? prev.filter((id) => id !== unitId) : [...prev, unitId]
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError('');
+    setIsSaving(true);
+    try {
+      await ensureOk(
+        await apiFetch(unitsUrl, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            primary_unit_id: primaryUnitId ? Number(primaryUnitId) : null,
+            float_unit_ids: floatUnitIds,
+          }),
+        }),
+        'Failed to move nurse'
+      );
+      onSaved(nurse);
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!nurse) return null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>🏥 Units: {nurse.name}</h2>
+          <button className="modal-close" onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <form className="modal-body" onSubmit={handleSubmit}>
+          {formError && <div className="error-message">⚠️ {formError}</div>}
+          {units.length === 0 ? (
+            <p className="form-hint">No units have been set up yet.</p>
+          ) : (
+            <>
+              <div className="form-group">
+                <label htmlFor="primary_unit_id">Primary Unit</label>
+                <select
+                  id="primary_unit_id"
+                  value={primaryUnitId}
+                  onChange={(e) => setPrimaryUnitId(e.target.value)}
+                  disabled={!canEdit}
+                >
+                  <option value="">Unassigned</option>
+                  {units.map((unit) => (
+                    <option key={unit.id} value={unit.id}>
+                      {unit.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label>Floats To</label>
+                <div className="checkbox-list">
+                  {units
+                    .filter((unit) => String(unit.id) !== primaryUnitId)
+                    .map((unit) => (
+                      <label key={unit.id} className="checkbox-option">
+                        <input
+                          type="checkbox"
+                          checked={floatUnitIds.includes(unit.id)}
+                          onChange={() => toggleFloatUnit(unit.id)}
+                          disabled={!canEdit}
+                        />
+                        {unit.name}
+                      </label>
+                    ))}
+                </div>
+              </div>
+            </>
+          )}
+          <div className="form-actions">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              {canEdit ? 'Cancel' : 'Close'}
+            </button>
+            {canEdit && units.length > 0 && (
+              <button type="submit" className="btn btn-primary" disabled={isSaving}>
+                {isSaving ? 'Saving...' : 'Save Units'}
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default NurseUnitsModal;
@@ -0,0 +1,169 @@
+import { useState, useEffect } from 'react';
+
+const EMPTY_SHIFT = {
+  ward: '',
+  date: '',
+  start: '07:00',
+  end: '19:00',
+  required_headcount: '1',
+  notes: '',
+};
+
+// Add a day to a YYYY-MM-DD date
+const nextDay = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const next = new Date(year, month - 1, day + 1);
+  return [
+    next.getFullYear(),
+    String(next.getMonth() + 1).padStart(2, '0'),
+    String(next.getDate()).padStart(2, '0'),
+  ].join('-');
+};
+
+// Shift Modal Component - add or edit a shift. An end time at or before the
+// start time means the shift runs overnight into the next day.
+const ShiftModal = ({ isOpen, onClose, shift, defaultDate, onSave, onDelete }) => {
+  const [formData, setFormData] = useState(EMPTY_SHIFT);
+  const [formError, setFormError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (shift) {
+      setFormData({
+        ward: shift.ward,
+        date: shift.start_time.slice(0, 10),
+        start: shift.start_time.slice(11),
+        end: shift.end_time.slice(11),
+        required_headcount: shift.required_headcount.toString(),
+        notes: shift.notes || '',
+      });
+    } else {
+      setFormData({ ...EMPTY_SHIFT, date: defaultDate || '' });
+    }
+    setFormError('');
+  }, [shift, defaultDate, isOpen]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError('');
+
+    if (!formData.ward || !formData.date || !formData.start || !formData.end) {
+      setFormError('Ward, date, start and end time are required');
+      return;
+    }
+
+    const endDate = formData.end <= formData.start ? nextDay(formData.date) : formData.date;
+
+    setIsSaving(true);
+    try {
+      await onSave({
+        ward: formData.ward,
+        start_time: `${formData.date}T${formData.start}`,
+        end_time: `${endDate}T${formData.end}`,
+        required_headcount: Number(formData.required_headcount),
+        notes: formData.notes,
+      });
+      onClose();
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the ${shift.ward} shift? Its assignments will be removed.`)) {
+      return;
+    }
+    try {
+      await onDelete(shift);
+      onClose();
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>{shift ? '✏️ Edit Shift' : '➕ Add Shift'}</h2>
+          <button className="modal-close" onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <div className="modal-body">
+          {formError && <div className="error-message">⚠️ {formError}</div>}
+          <form onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label htmlFor="ward">Ward / Unit</label>
+              <input
+                type="text"
+                id="ward"
+                name="ward"
+                value={formData.ward}
+                onChange={handleChange}
+                placeholder="e.g., ICU"
+                autoFocus
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="date">Date</label>
+              <input type="date" id="date" name="date" value={formData.date} onChange={handleChange} />
+            </div>
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="start">Start</label>
+                <input type="time" id="start" name="start" value={formData.start} onChange={handleChange} />
+              </div>
+              <div className="form-group">
+                <label htmlFor="end">End</label>
+                <input type="time" id="end" name="end" value={formData.end} onChange={handleChange} />
+              </div>
+              <div className="form-group">
+                <label htmlFor="required_headcount">Headcount</label>
+                <input
+                  type="number"
+                  id="required_headcount"
+                  name="required_headcount"
+                  value={formData.required_headcount}
+                  onChange={handleChange}
+                  min="1"
+                />
+              </div>
+            </div>
+            {formData.end && formData.start && formData.end <= formData.start && (
+              <p className="form-hint">Overnight shift: ends the next day.</p>
+            )}
+            <div className="form-group">
+              <label htmlFor="notes">Notes</label>
+              <input type="text" id="notes" name="notes" value={formData.notes} onChange={handleChange} />
+            </div>
+            <div className="form-actions">
+              {shift && (
+                <button type="button" className="btn btn-danger form-actions-left" onClick={handleDelete}>
+                  Delete
+                </button>
+              )}
+              <button type="button" className="btn btn-secondary" onClick={onClose}>
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary" disabled={isSaving}>
+                {isSaving ? 'Saving...' : shift ? 'Update Shift' : 'Add Shift'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShiftModal;
@@ -0,0 +1,318 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch, ensureOk, buildQueryString } from '../api';
+import useDebounce from '../useDebounce';
+import ShiftModal from './ShiftModal';
+import { LEAVE_TYPE_LABELS } from './LeavePanel';
+
+const SHIFTS_URL = '/api/v1/shifts';
+
+// dataTransfer type used when dragging a nurse onto a shift
+const NURSE_DRAG_TYPE = 'application/x-nurse-id';
+
+// Format a Date as a local YYYY-MM-DD string
+const toISODate = (date) =>
+  [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+  ].join('-');
+
+// Monday of the week containing the date
+const startOfWeek = (date) => {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+};
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+const formatDayHeading = (date) =>
+  date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+
+// Shift Schedule Component - weekly roster grid; drag nurses onto shifts to
+// assign them. Nurses on approved leave are listed as unavailable each day.
+const ShiftSchedule = ({ canEdit, onNotify }) => {
+  const [weekStart, setWeekStart] = useState(() => startOfWeek(new Date()));
+  const [shifts, setShifts] = useState([]);
+  const [leave, setLeave] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [nurses, setNurses] = useState([]);
+  const [nurseSearch, setNurseSearch] = useState('');
+  const [dropTargetId, setDropTargetId] = useState(null);
+  const [modalState, setModalState] = useState({ isOpen: false, shift: null, date: '' });
+
+  const debouncedNurseSearch = useDebounce(nurseSearch, 300);
+  const days = Array.from({ length: 7 }, (_, index) => addDays(weekStart, index));
+  const from = toISODate(days[0]);
+  const to = toISODate(days[6]);
+
+  const fetchShifts = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [shiftsResponse, leaveResponse] = await Promise.all([
+        apiFetch(`${SHIFTS_URL}?${buildQueryString({ from, to })}`),
+        apiFetch(`/api/v1/leave-requests?${buildQueryString({ status: 'approved', from, to })}`),
+      ]);
+      await ensureOk(shiftsResponse, 'Failed to fetch shifts');
+      await ensureOk(leaveResponse, 'Failed to fetch leave');
+      setShifts(await shiftsResponse.json());
+      setLeave(await leaveResponse.json());
+    } catch (err) {
+      onNotify(err.message, 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [from, to, onNotify]);
+
+  useEffect(() => {
+    fetchShifts();
+  }, [fetchShifts]);
+
+  // Nurses available to drag onto shifts
+  useEffect(() => {
+    const fetchNurses = async () => {
+      try {
+        const query = buildQueryString({ q: debouncedNurseSearch.trim(), sort: 'name', limit: 100 });
+        const response = await ensureOk(await apiFetch(`/api/v1/nurses?${query}`), 'Failed to fetch nurses');
+        setNurses((await response.json()).data);
+      } catch (err) {
+        onNotify(err.message, 'error');
+      }
+    };
+    fetchNurses();
+  }, [debouncedNurseSearch, onNotify]);
+
+  const replaceShift = (updatedShift) => {
+    setShifts((prev) => prev.map((shift) => (shift.id === updatedShift.id ? updatedShift : shift)));
+  };
+
+  const assignNurse = async (shift, nurseId) => {
+    try {
+      const response = await ensureOk(
+        await apiFetch(`${SHIFTS_URL}/${shift.id}/assignments`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ nurse_id: nurseId }),
+        }),
+        'Failed to assign nurse'
+      );
+      replaceShift(await response.json());
+    } catch (err) {
+      onNotify(err.message, 'error');
+    }
+  };
+
+  const unassignNurse = async (shift, assignment) => {
+    try {
+      const response = await ensureOk(
+        await apiFetch(`${SHIFTS_URL}/${shift.id}/assignments/${assignment.nurse_id}`, {
+          method: 'DELETE',
+        }),
+        'Failed to unassign nurse'
+      );
+      replaceShift(await response.json());
+    } catch (err) {
+      onNotify(err.message, 'error');
+    }
+  };
+
+  // Create or update the shift open in the modal; errors are shown by the modal
+  const saveShift = async (shiftData) => {
+    const { shift } = modalState;
+    await ensureOk(
+      await apiFetch(shift ? `${SHIFTS_URL}/${shift.id}` : SHIFTS_URL, {
+        method: shift ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(shiftData),
+      }),
+      'Failed to save shift'
+    );
+    onNotify(shift ? 'Shift updated successfully!' : 'Shift added successfully!');
+    await fetchShifts();
+  };
+
+  const deleteShift = async (shift) => {
+    await ensureOk(
+      await apiFetch(`${SHIFTS_URL}/${shift.id}`, { method: 'DELETE' }),
+      'Failed to delete shift'
+    );
+    onNotify('Shift deleted successfully!');
+    setShifts((prev) => prev.filter((s) => s.id !== shift.id));
+  };
+
+  // Drag and drop handlers
+  const handleDragStart = (e, nurse) => {
+    e.dataTransfer.setData(NURSE_DRAG_TYPE, nurse.id.toString());
+    e.dataTransfer.effectAllowed = 'copy';
+  };
+
+  const handleDragOver = (e, shift) => {
+    if (!e.dataTransfer.types.includes(NURSE_DRAG_TYPE)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    setDropTargetId(shift.id);
+  };
+
+  const handleDrop = (e, shift) => {
+    e.preventDefault();
+    setDropTargetId(null);
+    const nurseId = Number(e.dataTransfer.getData(NURSE_DRAG_TYPE));
+    if (nurseId) {
+      assignNurse(shift, nurseId);
+    }
+  };
+
+  return (
+    <div className="schedule">
+      {canEdit && (
+        <aside className="schedule-sidebar">
+          <h3>Nurses</h3>
+          <p className="form-hint">Drag a nurse onto a shift to assign them.</p>
+          <input
+            type="text"
+            className="search-input"
+            placeholder="Search nurses..."
+            value={nurseSearch}
+            onChange={(e) => setNurseSearch(e.target.value)}
+          />
+          <ul className="nurse-drag-list">
+            {nurses.map((nurse) => (
+              <li
+                key={nurse.id}
+                className="nurse-chip"
+                draggable
+                onDragStart={(e) => handleDragStart(e, nurse)}
+              >
+                {nurse.name}
+                <span className="license-cell">{nurse.license_number}</span>
+              </li>
+            ))}
+          </ul>
+        </aside>
+      )}
+
+      <div className="schedule-main">
+        <div className="schedule-toolbar">
+          <div className="page-controls">
+            <button className="btn btn-small" onClick={() => setWeekStart(addDays(weekStart, -7))}>
+              ‹ Prev Week
+            </button>
+            <button className="btn btn-small" onClick={() => setWeekStart(startOfWeek(new Date()))}>
+              This Week
+            </button>
+            <button className="btn btn-small" onClick={() => setWeekStart(addDays(weekStart, 7))}>
+              Next Week ›
+            </button>
+          </div>
+          <strong>
+            {formatDayHeading(days[0])} – {formatDayHeading(days[6])}
+          </strong>
+          {loading && <div className="spinner"></div>}
+        </div>
+
+        <div className="week-grid">
+          {days.map((day) => {
+            const date = toISODate(day);
+            const dayShifts = shifts.filter((shift) => shift.start_time.startsWith(date));
+            const dayLeave = leave.filter((request) => request.start_date <= date && request.end_date >= date);
+            return (
+              <div key={date} className={`day-column ${date === toISODate(new Date()) ? 'today' : ''}`}>
+                <div className="day-heading">
+                  <span>{formatDayHeading(day)}</span>
+                  {canEdit && (
+                    <button
+                      className="btn btn-small"
+                      onClick={() => setModalState({ isOpen: true, shift: null, date })}
+                      title="Add shift"
+                    >
+                      +
+                    </button>
+                  )}
+                </div>
+                {dayShifts.map((shift) => {
+                  const staffed = shift.assignments.length;
+                  return (
+                    <div
+                      key={shift.id}
+                      className={`shift-card ${dropTargetId === shift.id ? 'drop-target' : ''}`}
+                      onDragOver={canEdit ? (e) => handleDragOver(e, shift) : undefined}
+                      onDragLeave={() => setDropTargetId(null)}
+                      onDrop={canEdit ? (e) => handleDrop(e, shift) : undefined}
+                    >
+                      <div className="shift-card-header">
+                        <strong>{shift.ward}</strong>
+                        {canEdit && (
+                          <button
+                            className="link-button"
+                            onClick={() => setModalState({ isOpen: true, shift, date })}
+                            title="Edit shift"
+                          >
+                            ✏️
+                          </button>
+                        )}
+                      </div>
+                      <div className="cell-note">
+                        {shift.start_time.slice(11)}–{shift.end_time.slice(11)}
+                      </div>
+                      <div
+                        className={`headcount ${staffed < shift.required_headcount ? 'understaffed' : ''}`}
+                      >
+                        {staffed}/{shift.required_headcount} staffed
+                      </div>
+                      <ul className="assignment-list">
+                        {shift.assignments.map((assignment) => (
+                          <li key={assignment.nurse_id}>
+                            {assignment.nurse_name}
+                            {canEdit && (
+                              <button
+                                className="link-button"
+                                onClick={() => unassignNurse(shift, assignment)}
+                                title="Unassign"
+                              >
+                                ×
+                              </button>
+                            )}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  );
+                })}
+                {dayLeave.length > 0 && (
+                  <div className="leave-card">
+                    <div className="cell-note">Unavailable</div>
+                    <ul className="assignment-list">
+                      {dayLeave.map((request) => (
+                        <li key={request.id} title={`${LEAVE_TYPE_LABELS[request.leave_type]} leave`}>
+                          {request.nurse_name}
+                          <span className={`status-badge leave-${request.leave_type}`}>
+                            {LEAVE_TYPE_LABELS[request.leave_type]}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <ShiftModal
+        isOpen={modalState.isOpen}
+        onClose={() => setModalState({ isOpen: false, shift: null, date: '' })}
+        shift={modalState.shift}
+        defaultDate={modalState.date}
+        onSave={saveShift}
+        onDelete={deleteShift}
+      />
+    </div>
+  );
+};
+
+export default ShiftSchedule;
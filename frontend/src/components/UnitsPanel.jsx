@@ -0,0 +1,241 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch, ensureOk, buildQueryString } from '../api';
+
+const UNITS_URL = '/api/v1/units';
+
+const EMPTY_UNIT = { name: '', description: '', charge_nurse_id: '' };
+
+// Units Panel Component - manage departments/wards and see headcount and age mix per unit
+const UnitsPanel = ({ units, canEdit, onNotify, onChanged, onShowNurses }) => {
+  const [summary, setSummary] = useState([]);
+  const [nurses, setNurses] = useState([]);
+  const [formData, setFormData] = useState(EMPTY_UNIT);
+  // The unit being edited, or null when the form adds a new one
+  const [editingId, setEditingId] = useState(null);
+  const [formError, setFormError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchSummary = useCallback(async () => {
+    try {
+      const response = await ensureOk(
+        await apiFetch(`${UNITS_URL}/summary`),
+        'Failed to fetch unit summary'
+      );
+      setSummary(await response.json());
+    } catch (err) {
+      onNotify(err.message, 'error');
+    }
+  }, [onNotify]);
+
+  // Reload the summary whenever the unit list changes
+  useEffect(() => {
+    fetchSummary();
+  }, [fetchSummary, units]);
+
+  // Nurses available as charge nurses
+  useEffect(() => {
+    if (!canEdit) return;
+    const fetchNurses = async () => {
+      try {
+        const query = buildQueryString({ sort: 'name', limit: 100 });
+        const response = await ensureOk(await apiFetch(`/api/v1/nurses?${query}`), 'Failed to fetch nurses');
+        setNurses((await response.json()).data);
+      } catch (err) {
+        onNotify(err.message, 'error');
+      }
+    };
+    fetchNurses();
+  }, [canEdit, onNotify]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const startEditing = (unit) => {
+    setEditingId(unit.id);
+    setFormError('');
+    setFormData({
+      name: unit.name,
+      description: unit.description || '',
+      charge_nurse_id: unit.charge_nurse_id ? String(unit.charge_nurse_id) : '',
+    });
+  };
+
+  const cancelEditing = () => {
+    setEditingId(null);
+    setFormData(EMPTY_UNIT);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError('');
+
+    if (!formData.name.trim()) {
+      setFormError('Unit name is required');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await ensureOk(
+        await apiFetch(editingId ? `${UNITS_URL}/${editingId}` : UNITS_URL, {
+          method: editingId ? 'PUT' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            ...formData,
+            charge_nurse_id: formData.charge_nurse_id ? Number(formData.charge_nurse_id) : null,
+          }),
+        }),
+        'Failed to save unit'
+      );
+      onNotify(editingId ? 'Unit updated successfully!' : 'Unit added successfully!');
+      cancelEditing();
+      onChanged();
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (unit) => {
+    if (!window.confirm(`Delete the ${unit.name} unit? Its nurses will become unassigned.`)) {
+      return;
+    }
+
+    try {
+      await ensureOk(await apiFetch(`${UNITS_URL}/${unit.id}`, { method: 'DELETE' }), 'Failed to delete unit');
+      onNotify('Unit deleted successfully!');
+      if (editingId === unit.id) cancelEditing();
+      onChanged();
+    } catch (err) {
+      onNotify(err.message, 'error');
+    }
+  };
+
+  const unitsById = Object.fromEntries(units.map((unit) => [unit.id, unit]));
+
+  return (
+    <section className="dashboard-panel">
+      <div className="dashboard-header">
+        <h2>🏥 Units</h2>
+      </div>
+
+      {summary.length === 0 ? (
+        <p className="form-hint">No units yet{canEdit ? ' — add one below' : ''}.</p>
+      ) : (
+        <div className="unit-grid">
+          {summary.map((item) => {
+            const unit = unitsById[item.unit_id];
+            const largestBand = Math.max(1, ...item.age_distribution.map(({ count }) => count));
+            return (
+              <div key={item.unit_id ?? 'unassigned'} className="unit-card">
+                <div className="unit-card-header">
+                  <h3>{item.name}</h3>
+                  {canEdit && unit && (
+                    <div className="actions-cell">
+                      <button className="btn btn-small" onClick={() => startEditing(unit)} title="Edit">
+                        ✏️
+                      </button>
+                      <button
+                        className="btn btn-danger btn-small"
+                        onClick={() => handleDelete(unit)}
+                        title="Delete"
+                      >
+                        🗑️
+                      </button>
+                    </div>
+                  )}
+                </div>
+                {unit?.description && <p className="cell-note">{unit.description}</p>}
+                {item.unit_id !== null && (
+                  <p className="cell-note">Charge nurse: {item.charge_nurse_name || '—'}</p>
+                )}
+                <p className="unit-stats">
+                  <button
+                    className="link-button"
+                    onClick={() => onShowNurses(item.unit_id === null ? 'none' : String(item.unit_id))}
+                  >
+                    {item.headcount} nurse{item.headcount !== 1 ? 's' : ''}
+                  </button>
+                  {item.float_count > 0 && ` + ${item.float_count} floating`}
+                  {item.average_age !== null && ` · avg age ${item.average_age}`}
+                </p>
+                <div className="age-bars">
+                  {item.age_distribution.map(({ label, count }) => (
+                    <div key={label} className="age-bar-row">
+                      <span className="age-bar-label">{label}</span>
+                      <div className="age-bar-track">
+                        <div className="age-bar" style={{ width: `${(count / largestBand) * 100}%` }} />
+                      </div>
+                      <span className="age-bar-count">{count}</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {canEdit && (
+        <form className="credential-form" onSubmit={handleSubmit}>
+          <h3>{editingId ? 'Edit Unit' : 'Add Unit'}</h3>
+          {formError && <div className="error-message">⚠️ {formError}</div>}
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="unit_name">Name</label>
+              <input
+                type="text"
+                id="unit_name"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                placeholder="e.g., ICU"
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="unit_description">Description</label>
+              <input
+                type="text"
+                id="unit_description"
+                name="description"
+                value={formData.description}
+                onChange={handleChange}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="charge_nurse_id">Charge Nurse</label>
+              <select
+                id="charge_nurse_id"
+                name="charge_nurse_id"
+                value={formData.charge_nurse_id}
+                onChange={handleChange}
+              >
+                <option value="">None</option>
+                {nurses.map((nurse) => (
+                  <option key={nurse.id} value={nurse.id}>
+                    {nurse.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="form-actions">
+            {editingId && (
+              <button type="button" className="btn btn-secondary" onClick={cancelEditing}>
+                Cancel Edit
+              </button>
+            )}
+            <button type="submit" className="btn btn-primary" disabled={isSaving}>
+              {isSaving ? 'Saving...' : editingId ? 'Update Unit' : 'Add Unit'}
+            </button>
+          </div>
+        </form>
+      )}
+    </section>
+  );
+};
+
+export default UnitsPanel;
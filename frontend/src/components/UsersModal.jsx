@@ -0,0 +1,207 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch, ensureOk } from '../api';
+import { ROLE_LABELS } from '../useAuth';
+
+const USERS_URL = '/api/v1/users';
+
+const EMPTY_USER = { username: '', password: '', role: 'viewer' };
+
+// Users Modal Component - admin-only user management
+const UsersModal = ({ isOpen, onClose, currentUser, onNotify }) => {
+  const [users, setUsers] = useState([]);
+  const [newUser, setNewUser] = useState(EMPTY_USER);
+  const [formError, setFormError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      const response = await ensureOk(await apiFetch(USERS_URL), 'Failed to fetch users');
+      setUsers(await response.json());
+    } catch (err) {
+      setFormError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isOpen) {
+      setNewUser(EMPTY_USER);
+      setFormError('');
+      fetchUsers();
+    }
+  }, [isOpen, fetchUsers]);
+
+  const updateUser = async (user, changes, successMessage) => {
+    setFormError('');
+    try {
+      const response = await ensureOk(
+        await apiFetch(`${USERS_URL}/${user.id}`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(changes),
+        }),
+        'Failed to update user'
+      );
+      const updatedUser = await response.json();
+      setUsers((prev) => prev.map((u) => (u.id === user.id ? updatedUser : u)));
+      onNotify(successMessage);
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  const handleResetPassword = (user) => {
+    const password = window.prompt(`New password for ${user.username}:`);
+    if (password) {
+      updateUser(user, { password }, `Password reset for ${user.username}`);
+    }
+  };
+
+  const handleDelete = async (user) => {
+    if (!window.confirm(`Are you sure you want to delete ${user.username}?`)) return;
+
+    setFormError('');
+    try {
+      await ensureOk(
+        await apiFetch(`${USERS_URL}/${user.id}`, { method: 'DELETE' }),
+        'Failed to delete user'
+      );
+      setUsers((prev) => prev.filter((u) => u.id !== user.id));
+      onNotify(`${user.username} deleted`);
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setNewUser((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setFormError('');
+
+    if (!newUser.username || !newUser.password) {
+      setFormError('Username and password are required');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await ensureOk(
+        await apiFetch(USERS_URL, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(newUser),
+        }),
+        'Failed to create user'
+      );
+      setNewUser(EMPTY_USER);
+      await fetchUsers();
+      onNotify(`${newUser.username} added`);
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal modal-wide" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>👥 Users</h2>
+          <button className="modal-close" onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <div className="modal-body">
+          {formError && <div className="error-message">⚠️ {formError}</div>}
+          <table className="nurses-table">
+            <thead>
+              <tr>
+                <th>Username</th>
+                <th>Role</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map((user) => (
+                <tr key={user.id}>
+                  <td className="name-cell">{user.username}</td>
+                  <td>
+                    <select
+                      value={user.role}
+                      onChange={(e) =>
+                        updateUser(
+                          user,
+                          { role: e.target.value },
+                          `${user.username} is now ${ROLE_LABELS[e.target.value]}`
+                        )
+                      }
+                      disabled={user.id === currentUser.id}
+                    >
+                      {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                        <option key={role} value={role}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="actions-cell">
+                    <button
+                      className="btn btn-small"
+                      onClick={() => handleResetPassword(user)}
+                      title="Reset password"
+                    >
+                      🔑
+                    </button>
+                    <button
+                      className="btn btn-danger btn-small"
+                      onClick={() => handleDelete(user)}
+                      disabled={user.id === currentUser.id}
+                      title="Delete"
+                    >
+                      🗑️
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <form className="inline-form" onSubmit={handleCreate}>
+            <input
+              type="text"
+              name="username"
+              value={newUser.username}
+              onChange={handleChange}
+              placeholder="Username"
+            />
+            <input
+              type="password"
+              name="password"
+              value={newUser.password}
+              onChange={handleChange}
+              placeholder="Password (min. 8 characters)"
+            />
+            <select name="role" value={newUser.role} onChange={handleChange}>
+              {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                <option key={role} value={role}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <button type="submit" className="btn btn-primary" disabled={isSaving}>
+              {isSaving ? 'Adding...' : 'Add User'}
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UsersModal;
@@ -0,0 +1,400 @@
+import { Fragment, useState, useEffect, useCallback } from 'react';
+import { apiFetch, ensureOk } from '../api';
+
+const WEBHOOKS_URL = '/api/v1/webhooks';
+
+const EMPTY_WEBHOOK = { url: '', description: '', events: [] };
+
+const DELIVERY_STATUS_CLASSES = {
+  pending: 'status-badge',
+  succeeded: 'status-badge status-create',
+  failed: 'status-badge status-error',
+};
+
+// Webhooks Modal Component - admin-only subscriptions that POST signed nurse
+// events to other systems, with each webhook's delivery log and redelivery
+const WebhooksModal = ({ isOpen, onClose, onNotify }) => {
+  const [webhooks, setWebhooks] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [maxAttempts, setMaxAttempts] = useState(null);
+  const [newWebhook, setNewWebhook] = useState(EMPTY_WEBHOOK);
+  // The webhook whose delivery log is shown, its deliveries and the
+  // delivery whose payload is expanded
+  const [logWebhookId, setLogWebhookId] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [expandedDeliveryId, setExpandedDeliveryId] = useState(null);
+  const [shownSecretId, setShownSecretId] = useState(null);
+  const [formError, setFormError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchWebhooks = useCallback(async () => {
+    try {
+      const response = await ensureOk(await apiFetch(WEBHOOKS_URL), 'Failed to fetch webhooks');
+      const data = await response.json();
+      setWebhooks(data.webhooks);
+      setEvents(data.events);
+      setMaxAttempts(data.max_attempts);
+    } catch (err) {
+      setFormError(err.message);
+    }
+  }, []);
+
+  const fetchDeliveries = useCallback(async (webhookId) => {
+    try {
+      const response = await ensureOk(
+        await apiFetch(`${WEBHOOKS_URL}/${webhookId}/deliveries`),
+        'Failed to fetch deliveries'
+      );
+      setDeliveries(await response.json());
+    } catch (err) {
+      setFormError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isOpen) {
+      setNewWebhook(EMPTY_WEBHOOK);
+      setLogWebhookId(null);
+      setShownSecretId(null);
+      setFormError('');
+      fetchWebhooks();
+    }
+  }, [isOpen, fetchWebhooks]);
+
+  useEffect(() => {
+    if (logWebhookId) {
+      setDeliveries([]);
+      setExpandedDeliveryId(null);
+      fetchDeliveries(logWebhookId);
+    }
+  }, [logWebhookId, fetchDeliveries]);
+
+  // Refresh the log (and the counts) shortly after queueing a delivery to
+  // the webhook it shows, by which time the first attempt has usually been
+  // made
+  const refreshSoon = (webhookId) => {
+    setTimeout(() => {
+      fetchWebhooks();
+      fetchDeliveries(webhookId);
+    }, 1500);
+  };
+
+  const updateWebhook = async (webhook, changes, successMessage) => {
+    setFormError('');
+    try {
+      const response = await ensureOk(
+        await apiFetch(`${WEBHOOKS_URL}/${webhook.id}`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(changes),
+        }),
+        'Failed to update webhook'
+      );
+      const updatedWebhook = await response.json();
+      setWebhooks((prev) => prev.map((other) => (other.id === webhook.id ? updatedWebhook : other)));
+      onNotify(successMessage);
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  const handleRotateSecret = (webhook) => {
+    if (!window.confirm('Replace the signing secret? The receiver must be given the new one.')) return;
+    updateWebhook(webhook, { rotate_secret: true }, 'Signing secret replaced');
+    setShownSecretId(webhook.id);
+  };
+
+  const handleDelete = async (webhook) => {
+    if (!window.confirm(`Delete the webhook to ${webhook.url} and its delivery log?`)) return;
+
+    setFormError('');
+    try {
+      await ensureOk(
+        await apiFetch(`${WEBHOOKS_URL}/${webhook.id}`, { method: 'DELETE' }),
+        'Failed to delete webhook'
+      );
+      setWebhooks((prev) => prev.filter((other) => other.id !== webhook.id));
+      if (logWebhookId === webhook.id) setLogWebhookId(null);
+      onNotify('Webhook deleted');
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  const handleTest = async (webhook) => {
+    setFormError('');
+    try {
+      await ensureOk(
+        await apiFetch(`${WEBHOOKS_URL}/${webhook.id}/test`, { method: 'POST' }),
+        'Failed to send test webhook'
+      );
+      onNotify('Test delivery queued');
+      setLogWebhookId(webhook.id);
+      refreshSoon(webhook.id);
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  const handleRedeliver = async (delivery) => {
+    setFormError('');
+    try {
+      await ensureOk(
+        await apiFetch(`${WEBHOOKS_URL}/${delivery.webhook_id}/deliveries/${delivery.id}/redeliver`, {
+          method: 'POST',
+        }),
+        'Failed to redeliver webhook'
+      );
+      onNotify(`Delivery #${delivery.id} queued again`);
+      await fetchDeliveries(delivery.webhook_id);
+      refreshSoon(delivery.webhook_id);
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  const toggleEvent = (event) => {
+    setNewWebhook((prev) => ({
+      ...prev,
+      events: prev.events.includes(event)
+        ? prev.events.filter((other) => other !== event)
+        : [...prev.events, event],
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setFormError('');
+
+    if (!newWebhook.url.trim() || newWebhook.events.length === 0) {
+      setFormError('Enter a URL and choose at least one event');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const response = await ensureOk(
+        await apiFetch(WEBHOOKS_URL, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(newWebhook),
+        }),
+        'Failed to create webhook'
+      );
+      const webhook = await response.json();
+      setNewWebhook(EMPTY_WEBHOOK);
+      setShownSecretId(webhook.id);
+      await fetchWebhooks();
+      onNotify('Webhook added');
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const logWebhook = webhooks.find((webhook) => webhook.id === logWebhookId);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal modal-wide" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>🪝 Webhooks</h2>
+          <button className="modal-close" onClick={onClose}>
+            ×
+          </button>
+        </div>
+        <div className="modal-body">
+          {formError && <div className="error-message">⚠️ {formError}</div>}
+          <p className="form-hint">
+            Nurse changes are POSTed as JSON to each URL, signed with its secret in the{' '}
+            <code>X-Webhook-Signature</code> header. Failed deliveries are retried with increasing delays,
+            up to {maxAttempts} attempts.
+          </p>
+          <table className="nurses-table">
+            <thead>
+              <tr>
+                <th>URL</th>
+                <th>Events</th>
+                <th>Queue</th>
+                <th>On</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {webhooks.map((webhook) => (
+                <tr key={webhook.id} className={webhook.id === logWebhookId ? 'selected-row' : ''}>
+                  <td className="name-cell">
+                    <span className="webhook-url">{webhook.url}</span>
+                    {webhook.description && <div className="cell-note">{webhook.description}</div>}
+                    <div className="cell-note">
+                      {shownSecretId === webhook.id ? (
+                        <code className="webhook-secret">{webhook.secret}</code>
+                      ) : (
+                        <button className="link-button" onClick={() => setShownSecretId(webhook.id)}>
+                          Show secret
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                  <td>{webhook.events.join(', ')}</td>
+                  <td>
+                    {webhook.pending_count > 0 && <div>{webhook.pending_count} pending</div>}
+                    {webhook.failed_count > 0 && (
+                      <span className="status-badge status-error">{webhook.failed_count} failed</span>
+                    )}
+                  </td>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={webhook.active}
+                      onChange={(e) =>
+                        updateWebhook(
+                          webhook,
+                          { active: e.target.checked },
+                          e.target.checked ? 'Webhook turned on' : 'Webhook paused'
+                        )
+                      }
+                      aria-label="Active"
+                    />
+                  </td>
+                  <td className="actions-cell">
+                    <button className="btn btn-small" onClick={() => setLogWebhookId(webhook.id)}>
+                      Deliveries
+                    </button>
+                    <button className="btn btn-small" onClick={() => handleTest(webhook)} disabled={!webhook.active}>
+                      Test
+                    </button>
+                    <button className="btn btn-small" onClick={() => handleRotateSecret(webhook)} title="New secret">
+                      🔑
+                    </button>
+                    <button className="btn btn-danger btn-small" onClick={() => handleDelete(webhook)} title="Delete">
+                      🗑️
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <form onSubmit={handleCreate}>
+            <div className="inline-form">
+              <input
+                type="url"
+                value={newWebhook.url}
+                onChange={(e) => setNewWebhook((prev) => ({ ...prev, url: e.target.value }))}
+                placeholder="https://payroll.example.com/hooks/nurses"
+              />
+              <input
+                type="text"
+                value={newWebhook.description}
+                onChange={(e) => setNewWebhook((prev) => ({ ...prev, description: e.target.value }))}
+                placeholder="Description (optional)"
+                maxLength={200}
+              />
+              <button type="submit" className="btn btn-primary" disabled={isSaving}>
+                {isSaving ? 'Adding...' : 'Add Webhook'}
+              </button>
+            </div>
+            <div className="webhook-events">
+              {events.map((event) => (
+                <label key={event} className="checkbox-option">
+                  <input
+                    type="checkbox"
+                    checked={newWebhook.events.includes(event)}
+                    onChange={() => toggleEvent(event)}
+                  />
+                  {event}
+                </label>
+              ))}
+            </div>
+          </form>
+
+          {logWebhook && (
+            <div className="webhook-log">
+              <div className="dashboard-header">
+                <h3>Deliveries to {logWebhook.url}</h3>
+                <button className="btn btn-small" onClick={() => fetchDeliveries(logWebhook.id)}>
+                  ↻ Refresh
+                </button>
+              </div>
+              {deliveries.length === 0 ? (
+                <p className="form-hint">Nothing delivered yet.</p>
+              ) : (
+                <table className="nurses-table">
+                  <thead>
+                    <tr>
+                      <th>#</th>
+                      <th>Event</th>
+                      <th>Status</th>
+                      <th>Attempts</th>
+                      <th>Response</th>
+                      <th>Last Attempt</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {deliveries.map((delivery) => (
+                      <Fragment key={delivery.id}>
+                        <tr>
+                          <td>
+                            {delivery.id}
+                            {delivery.redelivery_of && <div className="cell-note">resends #{delivery.redelivery_of}</div>}
+                          </td>
+                          <td>
+                            <button
+                              className="link-button"
+                              onClick={() =>
+                                setExpandedDeliveryId((prev) => (prev === delivery.id ? null : delivery.id))
+                              }
+                            >
+                              {delivery.event}
+                            </button>
+                          </td>
+                          <td>
+                            <span className={DELIVERY_STATUS_CLASSES[delivery.status]}>{delivery.status}</span>
+                            {delivery.status === 'pending' && delivery.attempts > 0 && (
+                              <div className="cell-note">retry at {delivery.next_attempt_at}</div>
+                            )}
+                          </td>
+                          <td>{delivery.attempts}</td>
+                          <td>
+                            {delivery.response_status && <div>HTTP {delivery.response_status}</div>}
+                            {delivery.error && <div className="cell-note">{delivery.error}</div>}
+                          </td>
+                          <td>
+                            {delivery.last_attempt_at || '—'}
+                            {delivery.duration_ms !== null && <div className="cell-note">{delivery.duration_ms} ms</div>}
+                          </td>
+                          <td className="actions-cell">
+                            <button className="btn btn-small" onClick={() => handleRedeliver(delivery)}>
+                              Redeliver
+                            </button>
+                          </td>
+                        </tr>
+                        {expandedDeliveryId === delivery.id && (
+                          <tr>
+                            <td colSpan={7}>
+                              <pre className="webhook-payload">{JSON.stringify(delivery.payload, null, 2)}</pre>
+                              {delivery.response_body && (
+                                <pre className="webhook-payload">{delivery.response_body}</pre>
+                              )}
+                            </td>
+                          </tr>
+                        )}
+                      </Fragment>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WebhooksModal;
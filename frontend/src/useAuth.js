@@ -0,0 +1,79 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch, getToken, setToken, setUnauthorizedHandler } from './api';
+
+const AUTH_URL = '/api/v1/auth';
+
+// Roles allowed to create, update and delete nurses (mirrors the API)
+const NURSE_EDITOR_ROLES = ['admin', 'editor'];
+
+export const ROLE_LABELS = {
+  admin: 'Admin',
+  editor: 'HR Editor',
+  viewer: 'Viewer',
+};
+
+export const canEditNurses = (user) => Boolean(user) && NURSE_EDITOR_ROLES.includes(user.role);
+
+export const isAdmin = (user) => Boolean(user) && user.role === 'admin';
+
+// Custom hook for the logged in user, restoring a saved session on load
+const useAuth = () => {
+  const [user, setUser] = useState(null);
+  const [checkingSession, setCheckingSession] = useState(Boolean(getToken()));
+
+  const clearSession = useCallback(() => {
+    setToken(null);
+    setUser(null);
+  }, []);
+
+  useEffect(() => {
+    setUnauthorizedHandler(clearSession);
+    return () => setUnauthorizedHandler(null);
+  }, [clearSession]);
+
+  // Restore the session saved from a previous visit
+  useEffect(() => {
+    if (!getToken()) return;
+
+    const restoreSession = async () => {
+      try {
+        const response = await apiFetch(`${AUTH_URL}/me`);
+        if (response.ok) {
+          setUser(await response.json());
+        }
+      } finally {
+        setCheckingSession(false);
+      }
+    };
+    restoreSession();
+  }, []);
+
+  const login = async (username, password) => {
+    const response = await fetch(`${AUTH_URL}/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password }),
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to log in');
+    }
+
+    setToken(data.token);
+    setUser(data.user);
+    return data.user;
+  };
+
+  const logout = async () => {
+    try {
+      await apiFetch(`${AUTH_URL}/logout`, { method: 'POST' });
+    } finally {
+      clearSession();
+    }
+  };
+
+  return { user, checkingSession, login, logout };
+};
+
+export default useAuth;
@@ -0,0 +1,169 @@
+// Field validation driven by a declarative schema. The nurse schema is shared
+// with the API (shared/nurseSchema.json); keep this engine in step with
+// backend/validation.js so the form reports exactly what the server would.
+import NURSE_SCHEMA from '../../shared/nurseSchema.json';
+import EMERGENCY_CONTACT_SCHEMA from '../../shared/emergencyContactSchema.json';
+
+export { NURSE_SCHEMA, EMERGENCY_CONTACT_SCHEMA };
+
+// Keep in step with backend/nurses.js
+export const MAX_EMERGENCY_CONTACTS = 5;
+
+// Display label of a field with fixed options (e.g. "on_leave" -> "On leave")
+export const optionLabel = (field, value) => (value ? NURSE_SCHEMA[field].options[value] || value : null);
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+// Today's local date as YYYY-MM-DD
+const today = () => {
+  const now = new Date();
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+// Age in whole years on a date, both given as YYYY-MM-DD
+export const calculateAge = (dob, onDate = today()) =>
+  Number(onDate.slice(0, 4)) - Number(dob.slice(0, 4)) - (onDate.slice(5) < dob.slice(5) ? 1 : 0);
+
+// Whether a value is a YYYY-MM-DD string naming a real calendar date (rejects
+// 2023-02-30, and arrays like ["2023-01-01"] that would pass the pattern)
+const isValidDate = (value) => {
+  if (typeof value !== 'string' || !ISO_DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+// Compiled patterns by source. Custom field patterns are admin-supplied, so
+// each is compiled once rather than on every check.
+const compiledPatterns = new Map();
+const compilePattern = (pattern) => {
+  if (!compiledPatterns.has(pattern)) {
+    compiledPatterns.set(pattern, new RegExp(pattern, 'u'));
+  }
+  return compiledPatterns.get(pattern);
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Check one value against its rules. Returns an error message, or null when valid.
+export const validateField = (rules, rawValue) => {
+  const { label, messages = {} } = rules;
+  const message = (rule, fallback) => messages[rule] || fallback;
+
+  if (isBlank(rawValue)) {
+    return rules.required ? message('required', `${label} is required`) : null;
+  }
+  if (rules.type === 'boolean') {
+    return typeof rawValue === 'boolean' ? null : message('type', `${label} must be true or false`);
+  }
+  if (typeof rawValue !== 'string' && typeof rawValue !== 'number') {
+    return message('type', `${label} must be text`);
+  }
+  const value = String(rawValue).trim();
+
+  if (rules.type === 'number') {
+    if (!NUMBER_PATTERN.test(value)) {
+      return message('type', `${label} must be a number`);
+    }
+    if (rules.min !== undefined && Number(value) < rules.min) {
+      return message('min', `${label} must be at least ${rules.min}`);
+    }
+    if (rules.max !== undefined && Number(value) > rules.max) {
+      return message('max', `${label} must be at most ${rules.max}`);
+    }
+    return null;
+  }
+
+  if (rules.type === 'date') {
+    if (!isValidDate(value)) {
+      return message('type', `${label} must be a valid date in YYYY-MM-DD format`);
+    }
+    if (rules.notFuture && value > today()) {
+      return message('notFuture', `${label} cannot be in the future`);
+    }
+    const age = calculateAge(value);
+    if (rules.minAge !== undefined && age < rules.minAge) {
+      return message('minAge', `${label} must be at least ${rules.minAge} years ago`);
+    }
+    if (rules.maxAge !== undefined && age > rules.maxAge) {
+      return message('maxAge', `${label} must be at most ${rules.maxAge} years ago`);
+    }
+    return null;
+  }
+
+  if (rules.options) {
+    if (!Object.prototype.hasOwnProperty.call(rules.options, value)) {
+      return message('options', `${label} must be one of: ${Object.values(rules.options).join(', ')}`);
+    }
+    return null;
+  }
+
+  if (rules.minLength !== undefined && value.length < rules.minLength) {
+    return message('minLength', `${label} must be at least ${rules.minLength} characters`);
+  }
+  if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+    return message('maxLength', `${label} must be at most ${rules.maxLength} characters`);
+  }
+  if (rules.pattern && !compilePattern(rules.pattern).test(value)) {
+    return message('pattern', `${label} is not in the expected format`);
+  }
+  return null;
+};
+
+// Validate every field of a schema. Returns a map of field name to error
+// message, or null when the input is valid.
+export const validateFields = (schema, input) => {
+  const errors = {};
+  Object.entries(schema).forEach(([field, rules]) => {
+    const error = validateField(rules, input[field]);
+    if (error) errors[field] = error;
+  });
+  return Object.keys(errors).length > 0 ? errors : null;
+};
+
+// Rules for admin-defined custom fields (as GET /api/v1/custom-fields returns
+// them), keyed by field key in the shape validateFields takes. Text and
+// select values are strings; a select's options are its own labels.
+export const customFieldSchema = (fields) =>
+  Object.fromEntries(
+    fields.map((field) => {
+      const rules = {
+        label: field.label,
+        type: ['text', 'select'].includes(field.type) ? 'string' : field.type,
+        required: field.required,
+        minLength: field.min_length,
+        maxLength: field.max_length,
+        pattern: field.pattern,
+        min: field.min_value,
+        max: field.max_value,
+      };
+      if (field.type === 'select') {
+        rules.options = Object.fromEntries(field.options.map((option) => [option, option]));
+      }
+      // Unset limits are null in the API; the engine skips undefined ones
+      return [field.key, Object.fromEntries(Object.entries(rules).filter(([, value]) => value !== null))];
+    })
+  );
+
+// Validate a nurse form against the shared schema and the custom fields.
+// Emergency contact errors are keyed like "emergency_contacts.0.phone" and
+// custom field errors like "custom_fields.badge_id", as the API reports them.
+export const validateNurseInput = (input, customFields = []) => {
+  const errors = { ...validateFields(NURSE_SCHEMA, input) };
+  const contacts = input.emergency_contacts || [];
+  if (contacts.length > MAX_EMERGENCY_CONTACTS) {
+    errors.emergency_contacts = `A nurse can have at most ${MAX_EMERGENCY_CONTACTS} emergency contacts`;
+  }
+  contacts.forEach((contact, index) => {
+    Object.entries(validateFields(EMERGENCY_CONTACT_SCHEMA, contact) || {}).forEach(([field, message]) => {
+      errors[`emergency_contacts.${index}.${field}`] = message;
+    });
+  });
+  Object.entries(validateFields(customFieldSchema(customFields), input.custom_fields || {}) || {}).forEach(
+    ([key, message]) => {
+      errors[`custom_fields.${key}`] = message;
+    }
+  );
+  return Object.keys(errors).length > 0 ? errors : null;
+};